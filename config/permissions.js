@@ -0,0 +1,55 @@
+// Staff roles and what each one is allowed to do.
+// Routes check permissions (not roles) so a role can be re-scoped here without touching routes.
+
+const STAFF_ROLES = ['owner', 'manager', 'receptionist', 'trainer'];
+
+const PERMISSIONS = [
+  'members:read',
+  'members:create',
+  'members:update',
+  'members:delete',
+  'payments:collect',
+  // Free-form membership history entries (any amount, plan or type)
+  'payments:adjust',
+  'payments:read',
+  'payments:refund',
+  'reports:view',
+  'settings:update',
+  'plans:manage',
+  'attendance:read',
+  'attendance:manage',
+  'notifications:send',
+  'audit:read',
+  'staff:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter(permission => !['staff:manage', 'audit:read'].includes(permission)),
+  receptionist: [
+    'members:read',
+    'members:create',
+    'members:update',
+    'payments:collect',
+    'payments:read',
+    'attendance:read',
+    'attendance:manage',
+    'notifications:send'
+  ],
+  trainer: [
+    'members:read',
+    'attendance:read'
+  ]
+};
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+module.exports = {
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const { generateCheckInQR, processScan, getAttendanceForDay } = require('../services/attendanceService');
+const { parsePagination, parseDateParam } = require('../utils/queryHelpers');
+
+// POST /api/attendance/scan { code, kioskId }
+exports.scan = async (req, res) => {
+  try {
+    const { code, kioskId } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'QR code value is required'
+      });
+    }
+
+    const result = await processScan(code, { kioskId });
+
+    if (!result.accepted) {
+      return res.status(result.reason === 'invalid_code' ? 404 : 403).json({
+        status: 'error',
+        reason: result.reason,
+        message: result.message,
+        data: {
+          member: result.member || null
+        }
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      action: result.action,
+      message: result.action === 'check_in'
+        ? `Welcome, ${result.member.name}!`
+        : `Goodbye, ${result.member.name}!`,
+      data: {
+        member: result.member,
+        attendance: result.attendance
+      }
+    });
+  } catch (error) {
+    console.error('Error processing check-in scan:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing scan'
+    });
+  }
+};
+
+// GET /api/attendance/today (or ?date=YYYY-MM-DD)
+exports.getTodayAttendance = async (req, res) => {
+  try {
+    const date = parseDateParam(req.query.date) || new Date();
+    const summary = await getAttendanceForDay(date);
+
+    res.status(200).json({
+      status: 'success',
+      results: summary.visits.length,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching attendance'
+    });
+  }
+};
+
+// GET /api/attendance/members/:userId?from=&to=&page=&limit=
+exports.getMemberAttendance = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user id'
+      });
+    }
+
+    const filter = { user: userId };
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate || toDate) {
+      filter.checkInAt = {};
+      if (fromDate) filter.checkInAt.$gte = fromDate;
+      if (toDate) filter.checkInAt.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [visits, total] = await Promise.all([
+      Attendance.find(filter).sort({ checkInAt: -1 }).skip(skip).limit(limit),
+      Attendance.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: visits.length,
+      data: {
+        visits
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + visits.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching member attendance:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching member attendance'
+    });
+  }
+};
+
+// GET /api/attendance/members/:userId/qr
+exports.getMemberQR = async (req, res) => {
+  try {
+    const { qrImage } = await generateCheckInQR(req.params.userId);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        qrImage
+      }
+    });
+  } catch (error) {
+    console.error('Error generating check-in QR:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error generating check-in QR'
+    });
+  }
+};
+
+// POST /api/attendance/members/:userId/qr/rotate - invalidates the old QR
+exports.rotateMemberQR = async (req, res) => {
+  try {
+    const { qrImage } = await generateCheckInQR(req.params.userId, { rotate: true });
+    res.status(200).json({
+      status: 'success',
+      message: 'Check-in QR regenerated. The previous code no longer works.',
+      data: {
+        qrImage
+      }
+    });
+  } catch (error) {
+    console.error('Error rotating check-in QR:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error rotating check-in QR'
+    });
+  }
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { verifyAuditChain } = require('../services/auditService');
+const { escapeRegex, parseListParam, parseDateParam, parsePagination } = require('../utils/queryHelpers');
+
+// GET /api/audit-logs?member=&actor=&action=&from=&to=&page=&limit=
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { member, actor } = req.query;
+    const filter = {};
+
+    if (member) {
+      if (!mongoose.Types.ObjectId.isValid(member)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid member id'
+        });
+      }
+      filter.member = member;
+    }
+
+    if (actor) {
+      filter['actor.id'] = String(actor);
+    }
+
+    // Accepts exact actions ("payment.approve") or a prefix ("payment.*")
+    const actions = parseListParam(req.query.action);
+    if (actions.length > 0) {
+      filter.$or = actions.map(action => (action.endsWith('.*')
+        ? { action: { $regex: `^${escapeRegex(action.slice(0, -2))}\\.` } }
+        : { action }));
+    }
+
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate || toDate) {
+      filter.at = {};
+      if (fromDate) filter.at.$gte = fromDate;
+      if (toDate) filter.at.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ seq: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('member', 'name phone'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: {
+        entries
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + entries.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching audit log'
+    });
+  }
+};
+
+// GET /api/audit-logs/verify - recomputes the hash chain
+exports.verifyAuditLog = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error verifying audit log'
+    });
+  }
+};
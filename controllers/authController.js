@@ -2,11 +2,20 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const Admin = require('../models/Admin');
+const { getRolePermissions } = require('../config/permissions');
 const { generateReceipt } = require('../services/pdfService');
 const User = require('../models/User');
-const { sendEmail, createPaymentConfirmationEmail, createPasswordResetEmail, createPasswordResetOTPEmail } = require('../services/emailService');
-const { sendWhatsAppText } = require('../services/whatsappService');
-const { getPlanAmount, getPlanDisplayName } = require('../utils/formatters');
+const { sendNotification, isDelivered, getReceiptDocument } = require('../services/notificationService');
+const { getPlanAmountAsync, getPlanDisplayName, formatIndianPrice } = require('../utils/formatters');
+const { getPlanByCode, getHistoryDuration } = require('../services/planService');
+const { issueReceiptForLatestEntry, safeIssueReceipt } = require('../services/receiptService');
+const { getChargeAmount, getHistoryTax } = require('../services/taxService');
+const { recordAudit, snapshotMember } = require('../services/auditService');
+const { getPendingCoupon, redeemCoupon, toHistoryDiscount } = require('../services/couponService');
+const { grantReferralReward } = require('../services/referralService');
+const { getCashTag } = require('../services/cashSessionService');
+const { reserveCredit, redeemCredit, releaseCredit, toHistoryCredit } = require('../services/creditNoteService');
+const { getPendingRenewal, toRenewalMeta, applyRenewalTerm } = require('../services/paymentService');
 
 // Cache for storing failed login attempts
 const loginAttempts = new Map();
@@ -71,12 +80,22 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (admin.status !== 'active') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'This staff account has been disabled'
+      });
+    }
+
     // Clear failed attempts on successful login
     loginAttempts.delete(email);
 
+    admin.lastLoginAt = new Date();
+    await admin.save({ validateBeforeSave: false });
+
     // If everything ok, send token to client
     const token = jwt.sign(
-      { id: admin._id, role: 'admin' },
+      { id: admin._id, role: admin.role },
       process.env.JWT_SECRET,
       {
         expiresIn: process.env.JWT_EXPIRES_IN
@@ -97,7 +116,16 @@ exports.login = async (req, res) => {
     // Also send token in response body for client-side storage
     res.status(200).json({
       status: 'success',
-      token
+      token,
+      data: {
+        staff: {
+          _id: admin._id,
+          name: admin.name,
+          email: admin.email,
+          role: admin.role,
+          permissions: getRolePermissions(admin.role)
+        }
+      }
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -112,7 +140,11 @@ exports.verifyToken = async (req, res) => {
   // If the middleware passes, the token is valid
   res.status(200).json({
     status: 'success',
-    message: 'Token is valid'
+    message: 'Token is valid',
+    data: {
+      role: req.user.role,
+      permissions: req.user.permissions
+    }
   });
 };
 
@@ -155,11 +187,15 @@ exports.forgotPassword = async (req, res) => {
       console.log(`📧 Sending OTP email to: ${admin.email}`);
       console.log(`🔐 Generated OTP: ${otp} (for testing - remove in production)`);
       
-      await sendEmail({
+      const { email: delivery } = await sendNotification('admin_password_otp', {
         email: admin.email,
-        subject: 'Password Reset OTP - Star Gym Admin',
-        html: createPasswordResetOTPEmail(otp)
+        values: { otp, expiresInMinutes: 10 },
+        channels: ['email'],
+        sensitive: true
       });
+      if (!isDelivered(delivery)) {
+        throw new Error((delivery && delivery.reason) || 'Email delivery failed');
+      }
 
       console.log(`✅ OTP email sent successfully to ${admin.email}`);
 
@@ -325,8 +361,80 @@ exports.approvePayment = async (req, res) => {
       });
     }
 
+    const before = snapshotMember(user);
+
+    // A pending renewal takes effect once approved; otherwise this confirms the joining payment
+    const pendingRenewal = getPendingRenewal(user);
+    const historyType = pendingRenewal ? 'renewal' : 'join';
+    if (pendingRenewal) {
+      applyRenewalTerm(user, toRenewalMeta(pendingRenewal), { plan: await getPlanByCode(pendingRenewal.plan) });
+    }
+
+    // Ensure membershipHistory exists and append confirmed entry for revenue tracking
+    if (!user.membershipHistory) {
+      user.membershipHistory = [];
+    }
+
+    const cashTag = await getCashTag(user.paymentMethod, req.user && req.user.id);
+
+    // A coupon applied at registration or renewal discounts the plan price
+    const coupon = getPendingCoupon(user, user.plan);
+    const chargeAmount = await getChargeAmount(coupon ? coupon.finalPrice : await getPlanAmountAsync(user.plan));
+    // Open credit notes come off the charge
+    const credit = await reserveCredit(user._id, chargeAmount);
+    const planAmount = Math.round((chargeAmount - credit.total) * 100) / 100;
+    user.membershipHistory.push({
+      type: historyType,
+      date: new Date(),
+      duration: getHistoryDuration(user.plan),
+      amount: planAmount,
+      paymentMode: user.paymentMethod,
+      plan: user.plan,
+      paymentStatus: 'confirmed',
+      ...toHistoryDiscount(coupon),
+      ...toHistoryCredit(credit),
+      ...await getHistoryTax(planAmount),
+      ...cashTag
+    });
+    const historyEntry = user.membershipHistory[user.membershipHistory.length - 1];
+
+    // Update user payment status
+    user.paymentStatus = 'confirmed';
+    if (coupon) {
+      user.pendingCoupon = undefined;
+    }
+    try {
+      await user.save();
+    } catch (error) {
+      await releaseCredit(credit);
+      throw error;
+    }
+    await redeemCoupon(coupon, { membershipHistoryId: historyEntry._id });
+    await redeemCredit(credit, { membershipHistoryId: historyEntry._id });
+    await grantReferralReward(user, { audit: { req } });
+
+    // Issue the numbered receipt for the entry just confirmed
+    const receipt = await safeIssueReceipt(() => issueReceiptForLatestEntry(user));
+
+    await recordAudit({
+      req,
+      action: 'payment.approve',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: {
+        historyType,
+        amount: planAmount,
+        paymentMode: user.paymentMethod,
+        couponCode: coupon ? coupon.code : undefined,
+        creditApplied: credit.total || undefined,
+        receiptNumber: receipt ? receipt.receiptNumber : null
+      }
+    });
+
     // Generate receipt (now returns download endpoint URL)
-    const receiptUrl = await generateReceipt(user);
+    const receiptUrl = await generateReceipt(user, receipt);
     console.log('Generated Receipt URL:', receiptUrl);
     
     // Validate receiptUrl
@@ -389,47 +497,13 @@ exports.approvePayment = async (req, res) => {
     console.log('Base URL used:', emailBaseUrl);
     console.log('Receipt path:', normalizedReceiptUrl);
 
-    // Ensure membershipHistory exists and append confirmed entry for revenue tracking
-    if (!user.membershipHistory) {
-      user.membershipHistory = [];
-    }
-
-    const planToMonths = {
-      '1month': 1,
-      '2month': 2,
-      '3month': 3,
-      '6month': 6,
-      'yearly': 12
-    };
-
-    user.membershipHistory.push({
-      type: 'join',
-      date: new Date(),
-      duration: String(planToMonths[user.plan] || 0),
-      amount: getPlanAmount(user.plan),
-      paymentMode: user.paymentMethod,
-      plan: user.plan,
-      paymentStatus: 'confirmed'
+    // Confirmation by email and WhatsApp
+    await sendNotification('payment_approved', {
+      user,
+      values: { amount: formatIndianPrice(planAmount), receiptUrl: fullReceiptUrl },
+      document: getReceiptDocument(fullReceiptUrl, receipt)
     });
 
-    // Update user payment status
-    user.paymentStatus = 'confirmed';
-    await user.save();
-
-    // Send confirmation email
-    await sendEmail({
-      email: user.email,
-      subject: 'Payment Confirmed - StarGym Membership',
-      html: createPaymentConfirmationEmail(user, fullReceiptUrl)
-    });
-    // WhatsApp confirmation
-    try {
-      const text = `Payment confirmed for your Star Gym ${user.plan} plan. Start: ${new Date(user.startDate).toLocaleDateString()}, End: ${new Date(user.endDate).toLocaleDateString()}. Receipt: ${fullReceiptUrl}`;
-      await sendWhatsAppText({ phone: user.phone, message: text });
-    } catch (waError) {
-      console.error('WhatsApp payment confirm error:', waError);
-    }
-
     res.status(200).json({
       status: 'success',
       message: 'Payment approved successfully',
@@ -437,9 +511,9 @@ exports.approvePayment = async (req, res) => {
     });
   } catch (error) {
     console.error('Error approving payment:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Error approving payment'
+      message: error.statusCode ? error.message : 'Error approving payment'
     });
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const CashSession = require('../models/CashSession');
+const {
+  getOpenSession,
+  openSession,
+  getSessionEntries,
+  summarizeSession,
+  closeSession
+} = require('../services/cashSessionService');
+const { generateCashClosingReport } = require('../services/pdfService');
+const { recordAudit } = require('../services/auditService');
+const { parseDateParam, parsePagination } = require('../utils/queryHelpers');
+
+const STAFF_FIELDS = 'name email role';
+
+const findSession = (sessionId) => (mongoose.Types.ObjectId.isValid(sessionId)
+  ? CashSession.findById(sessionId).populate('openedBy', STAFF_FIELDS).populate('closedBy', STAFF_FIELDS)
+  : null);
+
+// Closed sessions carry frozen totals; open ones are totalled live
+const withTotals = async (session, entries) => {
+  if (session.status === 'closed') return session.toObject();
+  return { ...session.toObject(), ...(await summarizeSession(session, entries)) };
+};
+
+// POST /api/cash-sessions/open - Body: { openingFloat, openingNote }
+exports.openSession = async (req, res) => {
+  try {
+    const session = await openSession({
+      openingFloat: req.body.openingFloat,
+      openingNote: req.body.openingNote,
+      adminId: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'cash_session.open',
+      target: { type: 'cash_session', id: session._id },
+      meta: { openingFloat: session.openingFloat }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Cash session opened',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Error opening cash session:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error opening cash session'
+    });
+  }
+};
+
+// GET /api/cash-sessions/current - the open session with running totals
+exports.getCurrentSession = async (req, res) => {
+  try {
+    const open = await getOpenSession();
+    if (!open) {
+      return res.status(200).json({
+        status: 'success',
+        data: { session: null }
+      });
+    }
+
+    const session = await findSession(open._id);
+    const entries = await getSessionEntries(session._id);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        session: await withTotals(session, entries),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching current cash session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching current cash session'
+    });
+  }
+};
+
+// POST /api/cash-sessions/:sessionId/close - Body: { countedCash, varianceNote }
+exports.closeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cash session not found'
+      });
+    }
+
+    const { session } = await closeSession(sessionId, {
+      countedCash: req.body.countedCash,
+      varianceNote: req.body.varianceNote,
+      adminId: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'cash_session.close',
+      target: { type: 'cash_session', id: session._id },
+      meta: {
+        openingFloat: session.openingFloat,
+        collections: session.collections,
+        refunds: session.refunds,
+        expectedCash: session.expectedCash,
+        countedCash: session.countedCash,
+        variance: session.variance,
+        varianceNote: session.varianceNote
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: session.variance === 0
+        ? 'Cash session closed. The drawer balances'
+        : `Cash session closed with a variance of Rs. ${session.variance}`,
+      data: {
+        session,
+        reportUrl: `/api/cash-sessions/${session._id}/report`
+      }
+    });
+  } catch (error) {
+    console.error('Error closing cash session:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error closing cash session'
+    });
+  }
+};
+
+// GET /api/cash-sessions?status=&from=&to=&page=&limit=
+exports.getSessions = async (req, res) => {
+  try {
+    const filter = {};
+    if (['open', 'closed'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate || toDate) {
+      filter.openedAt = {};
+      if (fromDate) filter.openedAt.$gte = fromDate;
+      if (toDate) filter.openedAt.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [sessions, total] = await Promise.all([
+      CashSession.find(filter)
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('openedBy', STAFF_FIELDS)
+        .populate('closedBy', STAFF_FIELDS),
+      CashSession.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: { sessions },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + sessions.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching cash sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching cash sessions'
+    });
+  }
+};
+
+// GET /api/cash-sessions/:sessionId
+exports.getSession = async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cash session not found'
+      });
+    }
+
+    const entries = await getSessionEntries(session._id);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        session: await withTotals(session, entries),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching cash session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching cash session'
+    });
+  }
+};
+
+// GET /api/cash-sessions/:sessionId/report - day-end PDF
+exports.downloadReport = async (req, res) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cash session not found'
+      });
+    }
+
+    const entries = await getSessionEntries(session._id);
+    const pdfBuffer = await generateCashClosingReport(await withTotals(session, entries), entries);
+    const day = new Date(session.openedAt).toISOString().slice(0, 10);
+    const fileName = `cash-closing-${day}-${String(session._id).slice(-6)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating cash closing report:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate cash closing report'
+    });
+  }
+};
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const User = require('../models/User');
+const { evaluateCoupon, normalizeCode } = require('../services/couponService');
+const { recordAudit } = require('../services/auditService');
+const { escapeRegex, parsePagination } = require('../utils/queryHelpers');
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perMemberLimit',
+  'applicablePlans',
+  'firstTimeOnly',
+  'isActive'
+];
+
+const pickCouponFields = (body, { allowCode = true } = {}) => {
+  const data = {};
+  COUPON_FIELDS.forEach(field => {
+    if (field === 'code' && !allowCode) return;
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  if (data.code !== undefined) {
+    data.code = normalizeCode(data.code);
+  }
+  return data;
+};
+
+const validateCouponFields = (data) => {
+  if (data.discountType === 'percentage' && data.value > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+  if (data.validFrom && data.validUntil && new Date(data.validUntil) < new Date(data.validFrom)) {
+    return 'validUntil must be after validFrom';
+  }
+  return null;
+};
+
+const handleCouponError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A coupon with this code already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      status: 'error',
+      message: messages.join(', ')
+    });
+  }
+  res.status(500).json({
+    status: 'error',
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// POST /api/coupons/validate (public) - Body: { code, plan, userId? }
+// Quotes the discount without reserving the coupon
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, plan, userId } = req.body;
+    if (!code || !plan) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'code and plan are required'
+      });
+    }
+
+    let user = null;
+    if (userId) {
+      user = mongoose.Types.ObjectId.isValid(userId)
+        ? await User.findById(userId).select('membershipHistory').lean()
+        : null;
+      if (!user) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+    }
+
+    const quote = await evaluateCoupon(code, { user, planCode: String(plan).toLowerCase() });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        code: quote.coupon.code,
+        description: quote.coupon.description,
+        plan: quote.plan.code,
+        listPrice: quote.listPrice,
+        discount: quote.discount,
+        finalPrice: quote.finalPrice,
+        chargeAmount: quote.chargeAmount
+      }
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Error validating coupon'
+    });
+  }
+};
+
+// GET /api/coupons?search=&active=true|false&page=&limit=
+exports.getCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.search) {
+      filter.code = { $regex: escapeRegex(String(req.query.search).trim().toUpperCase()) };
+    }
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: coupons.length,
+      data: { coupons },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + coupons.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch coupons'
+    });
+  }
+};
+
+// POST /api/coupons
+exports.createCoupon = async (req, res) => {
+  try {
+    const data = pickCouponFields(req.body);
+    const invalid = validateCouponFields(data);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    const coupon = await Coupon.create({ ...data, createdBy: req.user && req.user.id });
+
+    await recordAudit({
+      req,
+      action: 'coupon.create',
+      target: { type: 'coupon', id: coupon._id },
+      after: coupon.toObject()
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    handleCouponError(res, error, 'Failed to create coupon');
+  }
+};
+
+// PATCH /api/coupons/:id. The code is immutable because redemptions and
+// membership history reference it.
+exports.updateCoupon = async (req, res) => {
+  try {
+    const existing = await Coupon.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Coupon not found'
+      });
+    }
+    if (req.body.code !== undefined && normalizeCode(req.body.code) !== existing.code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Coupon code cannot be changed once created'
+      });
+    }
+
+    const data = pickCouponFields(req.body, { allowCode: false });
+    const invalid = validateCouponFields({ ...existing, ...data });
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true });
+
+    await recordAudit({
+      req,
+      action: 'coupon.update',
+      target: { type: 'coupon', id: coupon._id },
+      before: existing,
+      after: coupon.toObject()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    handleCouponError(res, error, 'Failed to update coupon');
+  }
+};
+
+// DELETE /api/coupons/:id. Coupons that have been used can only be deactivated.
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Coupon not found'
+      });
+    }
+
+    const inUse = await CouponRedemption.exists({ coupon: coupon._id, status: { $ne: 'released' } });
+    if (inUse) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Coupon has been used by members. Deactivate it instead of deleting.'
+      });
+    }
+
+    await CouponRedemption.deleteMany({ coupon: coupon._id });
+    await coupon.deleteOne();
+
+    await recordAudit({
+      req,
+      action: 'coupon.delete',
+      target: { type: 'coupon', id: coupon._id },
+      before: coupon.toObject()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete coupon',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,173 @@
+const User = require('../models/User');
+const {
+  getMemberBalance,
+  createInstallmentPlan,
+  recordInstallmentPayment,
+  getDues
+} = require('../services/installmentService');
+const { grantReferralReward } = require('../services/referralService');
+const { recordAudit, snapshotMember } = require('../services/auditService');
+const { parsePagination } = require('../utils/queryHelpers');
+
+// GET /api/users/:userId/installments
+exports.getInstallments = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name installmentPlans');
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        balance: getMemberBalance(user),
+        installmentPlans: user.installmentPlans
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching installments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching installments'
+    });
+  }
+};
+
+// POST /api/users/:userId/installments
+// Body: { plan, saleType, totalAmount, installments: [{ amount, dueDate }] } or { count, firstDueDate }
+exports.createInstallmentPlan = async (req, res) => {
+  try {
+    const { plan, saleType, totalAmount, installments, count, firstDueDate } = req.body;
+    const { user, installmentPlan } = await createInstallmentPlan(req.params.userId, {
+      plan,
+      saleType,
+      totalAmount,
+      installments,
+      count,
+      firstDueDate,
+      adminId: req.user && req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'installment.create',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      meta: {
+        installmentPlanId: installmentPlan._id,
+        plan: installmentPlan.plan,
+        totalAmount: installmentPlan.totalAmount,
+        installments: installmentPlan.installments.map(({ amount, dueDate }) => ({ amount, dueDate }))
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Installment plan created with ${installmentPlan.installments.length} installments`,
+      data: {
+        installmentPlan,
+        balance: getMemberBalance(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating installment plan:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error creating installment plan'
+    });
+  }
+};
+
+// POST /api/users/:userId/installments/:installmentId/pay
+// `amount` below the installment amount records a partial payment
+exports.payInstallment = async (req, res) => {
+  try {
+    const { userId, installmentId } = req.params;
+    const { amount, paymentMode, transactionId } = req.body;
+
+    const before = snapshotMember(await User.findById(userId));
+    const { user, installment, receipt } = await recordInstallmentPayment(userId, installmentId, {
+      amount,
+      paymentMode,
+      transactionId,
+      adminId: req.user && req.user.id
+    });
+    const balance = getMemberBalance(user);
+    await grantReferralReward(user, { audit: { req } });
+
+    await recordAudit({
+      req,
+      action: 'installment.pay',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: {
+        installmentId: installment._id,
+        amount: installment.amount,
+        paymentMode: installment.paymentMode,
+        outstanding: balance.outstanding,
+        receiptNumber: receipt ? receipt.receiptNumber : null
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: balance.outstanding > 0
+        ? `Payment recorded. Rs. ${balance.outstanding} still outstanding`
+        : 'Payment recorded. All installments are paid',
+      data: {
+        installment,
+        balance,
+        paymentStatus: user.paymentStatus,
+        receipt
+      }
+    });
+  } catch (error) {
+    console.error('Error recording installment payment:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error recording installment payment'
+    });
+  }
+};
+
+// GET /api/users/dues?status=overdue|upcoming|all&days=7&page=&limit=
+exports.getDues = async (req, res) => {
+  try {
+    const filter = ['overdue', 'upcoming'].includes(req.query.status) ? req.query.status : 'all';
+    const days = Math.max(0, parseInt(req.query.days, 10) || 7);
+    const dues = await getDues({ filter, days });
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const rows = dues.slice(skip, skip + limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: rows.length,
+      data: {
+        dues: rows,
+        totals: {
+          outstanding: Math.round(dues.reduce((sum, row) => sum + row.outstanding, 0) * 100) / 100,
+          overdue: Math.round(dues.reduce((sum, row) => sum + row.overdue, 0) * 100) / 100
+        }
+      },
+      pagination: {
+        total: dues.length,
+        page,
+        limit,
+        totalPages: Math.ceil(dues.length / limit),
+        hasNextPage: skip + rows.length < dues.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dues:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching dues'
+    });
+  }
+};
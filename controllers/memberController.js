@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Receipt = require('../models/Receipt');
+const { sendNotification, isDelivered } = require('../services/notificationService');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../services/cloudinaryService');
+const { generateReceiptForDownload } = require('../services/pdfService');
+const { getActivePlan, getPlanByCode, addPlanDuration } = require('../services/planService');
+const { requestRenewal, toPaymentData } = require('../services/renewalService');
+const { generateCheckInQR } = require('../services/attendanceService');
+const { getMemberBalance } = require('../services/installmentService');
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_OTP_ATTEMPTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GENERIC_OTP_MESSAGE = 'If a membership exists for these details, a login code has been sent.';
+
+const hashOTP = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+// Members sign in with either their email or their 10-digit phone number
+// Emails are unique, phones are not: a phone shared by several members (family
+// accounts) can't say who is logging in, so it matches nobody and those
+// members sign in with their email instead
+const findMemberByIdentifier = async ({ email, phone }, { withOTP = false } = {}) => {
+  let filter = null;
+  if (email) {
+    filter = { email: String(email).trim().toLowerCase() };
+  } else if (phone) {
+    const digits = String(phone).replace(/\D/g, '').slice(-10);
+    filter = { phone: digits };
+  }
+  if (!filter) return null;
+
+  const query = User.find({ ...filter, isDeleted: { $ne: true } }).limit(2);
+  const users = await (withOTP ? query.select('+memberLoginOTP') : query);
+  if (users.length > 1) {
+    console.warn('Member login refused: phone number is shared by more than one member');
+    return null;
+  }
+  return users[0] || null;
+};
+
+const signMemberToken = (user) => jwt.sign(
+  { id: user._id, role: 'member' },
+  process.env.JWT_SECRET,
+  {
+    expiresIn: process.env.MEMBER_JWT_EXPIRES_IN || '7d'
+  }
+);
+
+const getDaysLeft = (user) => {
+  if (!user.endDate) return 0;
+  return Math.max(0, Math.ceil((new Date(user.endDate).getTime() - Date.now()) / DAY_MS));
+};
+
+// Profile fields a member is allowed to see about themselves
+const toMemberProfile = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  gender: user.gender,
+  address: user.address,
+  photo: user.photo,
+  gstin: user.gstin
+});
+
+// POST /api/member/auth/request-otp { email | phone, channel: 'email' | 'whatsapp' }
+exports.requestLoginOTP = async (req, res) => {
+  try {
+    const { email, phone } = req.body;
+    const channel = req.body.channel || (email ? 'email' : 'whatsapp');
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your email or phone number'
+      });
+    }
+    if (!['email', 'whatsapp'].includes(channel)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid channel. Must be either email or whatsapp'
+      });
+    }
+
+    const user = await findMemberByIdentifier({ email, phone });
+
+    // Same response whether or not the member exists, to avoid leaking membership
+    if (!user) {
+      return res.status(200).json({
+        status: 'success',
+        message: GENERIC_OTP_MESSAGE
+      });
+    }
+
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    user.memberLoginOTP = hashOTP(otp);
+    user.memberLoginOTPExpires = new Date(Date.now() + OTP_TTL_MS);
+    user.memberLoginOTPAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    // One attempt only: a late code is no use, the member can ask for another
+    const deliveries = await sendNotification('member_login_otp', {
+      user,
+      values: { otp, expiresInMinutes: OTP_TTL_MS / 60000 },
+      channels: [channel],
+      sensitive: true
+    });
+    const delivery = deliveries[channel];
+    if (!isDelivered(delivery)) {
+      console.error('Error sending member login OTP:', (delivery && delivery.reason) || `${channel} delivery failed`);
+      user.memberLoginOTP = undefined;
+      user.memberLoginOTPExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Delivery failures get the same answer too, or they would reveal who is a member
+    res.status(200).json({
+      status: 'success',
+      message: GENERIC_OTP_MESSAGE
+    });
+  } catch (error) {
+    console.error('Member OTP request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'An error occurred. Please try again later.'
+    });
+  }
+};
+
+// POST /api/member/auth/verify-otp { email | phone, otp }
+exports.verifyLoginOTP = async (req, res) => {
+  try {
+    const { email, phone, otp } = req.body;
+
+    if ((!email && !phone) || !otp) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your email or phone number and the login code'
+      });
+    }
+
+    const user = await findMemberByIdentifier({ email, phone }, { withOTP: true });
+    if (!user || !user.memberLoginOTP) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    if (!user.memberLoginOTPExpires || user.memberLoginOTPExpires < Date.now()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Login code has expired. Please request a new one.'
+      });
+    }
+
+    if (user.memberLoginOTP !== hashOTP(otp)) {
+      user.memberLoginOTPAttempts = (user.memberLoginOTPAttempts || 0) + 1;
+      // Too many wrong guesses burns the code
+      if (user.memberLoginOTPAttempts >= MAX_OTP_ATTEMPTS) {
+        user.memberLoginOTP = undefined;
+        user.memberLoginOTPExpires = undefined;
+      }
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    // Codes are single use
+    user.memberLoginOTP = undefined;
+    user.memberLoginOTPExpires = undefined;
+    user.memberLoginOTPAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    const token = signMemberToken(user);
+
+    const isProduction = process.env.NODE_ENV === 'production';
+    res.cookie('memberToken', token, {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: isProduction ? 'none' : 'lax',
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      path: '/'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      token,
+      data: {
+        member: toMemberProfile(user)
+      }
+    });
+  } catch (error) {
+    console.error('Member OTP verify error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'An error occurred. Please try again later.'
+    });
+  }
+};
+
+// POST /api/member/auth/logout
+exports.logout = (req, res) => {
+  res.clearCookie('memberToken', { path: '/' });
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out'
+  });
+};
+
+// GET /api/member/me
+exports.getMe = async (req, res) => {
+  try {
+    const user = req.member;
+    const plan = await getPlanByCode(user.plan);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        member: toMemberProfile(user),
+        membership: {
+          plan: user.plan,
+          planName: plan ? plan.displayName : user.plan,
+          startDate: user.startDate,
+          endDate: user.endDate,
+          daysLeft: getDaysLeft(user),
+          subscriptionStatus: user.subscriptionStatus,
+          paymentStatus: user.paymentStatus,
+          paymentMethod: user.paymentMethod,
+          balance: getMemberBalance(user),
+          originalJoinDate: user.originalJoinDate,
+          freezes: (user.freezes || []).filter(freeze => ['active', 'scheduled'].includes(freeze.status))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching member profile:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching your membership'
+    });
+  }
+};
+
+// GET /api/member/check-in-qr - QR shown at the front-desk kiosk
+exports.getCheckInQR = async (req, res) => {
+  try {
+    const { qrImage } = await generateCheckInQR(req.member._id);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        qrImage
+      }
+    });
+  } catch (error) {
+    console.error('Error generating member check-in QR:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: 'Error generating check-in QR'
+    });
+  }
+};
+
+// GET /api/member/membership-history
+exports.getMembershipHistory = async (req, res) => {
+  try {
+    const history = (req.member.membershipHistory || [])
+      .slice()
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.status(200).json({
+      status: 'success',
+      results: history.length,
+      data: {
+        membershipHistory: history
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching member history:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching membership history'
+    });
+  }
+};
+
+// GET /api/member/receipts
+exports.getReceipts = async (req, res) => {
+  try {
+    const receipts = await Receipt.find({ user: req.member._id })
+      .sort({ issuedAt: -1, sequence: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: receipts.length,
+      data: {
+        receipts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching member receipts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching receipts'
+    });
+  }
+};
+
+// GET /api/member/receipts/:receiptId/download
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ _id: req.params.receiptId, user: req.member._id });
+    if (!receipt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Receipt not found'
+      });
+    }
+
+    const pdfBuffer = await generateReceiptForDownload(req.member, receipt);
+    const fileName = `receipt-${receipt.receiptNumber.replace(/\//g, '-')}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Receipt not found'
+      });
+    }
+    console.error('Error downloading member receipt:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate receipt'
+    });
+  }
+};
+
+// POST /api/member/renewal { plan } - starts a renewal paid by UPI
+exports.startRenewal = async (req, res) => {
+  try {
+    const user = req.member;
+    const selectedPlan = await getActivePlan(req.body.plan || user.plan);
+    if (!selectedPlan) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid plan type: ${req.body.plan || user.plan}`
+      });
+    }
+
+    // Reuse an unpaid renewal payment instead of stacking up renewals
+    const openPayment = await Payment.findOne({
+      user: user._id,
+      status: 'created',
+      'meta.isRenewal': true,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+    if (openPayment) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'A renewal payment is already waiting to be paid',
+        data: {
+          paymentData: toPaymentData(openPayment)
+        }
+      });
+    }
+
+    // Renewals continue from the current end date, or start today once expired
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const currentEnd = user.endDate ? new Date(user.endDate) : null;
+    const startDate = currentEnd && currentEnd > today ? currentEnd : today;
+    const endDate = addPlanDuration(startDate, selectedPlan);
+
+    const { paymentData } = await requestRenewal(user, {
+      plan: selectedPlan,
+      startDate,
+      endDate,
+      paymentMethod: 'online',
+      couponCode: req.body.couponCode
+    });
+
+    if (!paymentData) {
+      return res.status(502).json({
+        status: 'error',
+        message: 'Renewal recorded but the UPI payment could not be created. Please contact the gym.'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Renewal started. Complete the UPI payment to activate it.',
+      data: {
+        plan: selectedPlan.code,
+        planName: selectedPlan.displayName,
+        startDate,
+        endDate,
+        paymentData
+      }
+    });
+  } catch (error) {
+    console.error('Error starting member renewal:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error starting renewal'
+    });
+  }
+};
+
+// PATCH /api/member/me { phone, address } + optional photo upload
+exports.updateProfile = async (req, res) => {
+  try {
+    const user = req.member;
+    const { phone, address } = req.body;
+
+    if (phone !== undefined) {
+      if (!/^[0-9]{10}$/.test(phone)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Phone number must be 10 digits'
+        });
+      }
+      user.phone = phone;
+    }
+
+    if (address !== undefined) {
+      if (!String(address).trim()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Address cannot be empty'
+        });
+      }
+      user.address = address;
+    }
+
+    if (req.file) {
+      const previousPhoto = user.photo;
+      user.photo = await uploadToCloudinary(req.file.buffer, req.file.mimetype);
+
+      // Remove the old Cloudinary photo (the shared default avatar is kept)
+      if (previousPhoto && previousPhoto.includes('cloudinary.com') && !previousPhoto.includes('default-avatar')) {
+        try {
+          const urlParts = previousPhoto.split('/');
+          const filename = urlParts[urlParts.length - 1].split('.')[0];
+          await deleteFromCloudinary(`gym-users/${filename}`);
+        } catch (photoError) {
+          console.error('Error deleting old member photo:', photoError);
+        }
+      }
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        member: toMemberProfile(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating member profile:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error updating profile'
+    });
+  }
+};
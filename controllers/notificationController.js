@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  NOTIFICATION_CHANNELS,
+  getNotificationPreferences,
+  setNotificationPreferences,
+  findUserByUnsubscribeToken
+} = require('../services/notificationService');
+const { recordAudit } = require('../services/auditService');
+
+const handleNotificationError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+// Save a preference change and audit it
+const updatePreferences = async (req, user, changes, via) => {
+  const before = getNotificationPreferences(user);
+  const preferences = await setNotificationPreferences(user, changes, { via });
+  await recordAudit({
+    req,
+    action: 'member.notification_preferences',
+    target: { type: 'member', id: user._id },
+    member: user._id,
+    before: { email: before.email, whatsapp: before.whatsapp },
+    after: { email: preferences.email, whatsapp: preferences.whatsapp },
+    meta: { via }
+  });
+  return preferences;
+};
+
+// GET /api/notifications/unsubscribe/:token (public)
+exports.getUnsubscribeStatus = async (req, res) => {
+  try {
+    const user = await findUserByUnsubscribeToken(req.params.token);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        member: { name: user.name },
+        preferences: getNotificationPreferences(user)
+      }
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error checking unsubscribe link');
+  }
+};
+
+// POST /api/notifications/unsubscribe/:token { channels: ['email', 'whatsapp'] } (public)
+// Without `channels` only email is turned off, since the link is sent by email
+exports.unsubscribe = async (req, res) => {
+  try {
+    const channels = req.body && req.body.channels !== undefined ? req.body.channels : ['email'];
+    if (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `channels must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}`
+      });
+    }
+
+    const user = await findUserByUnsubscribeToken(req.params.token);
+    const changes = Object.fromEntries(channels.map(channel => [channel, false]));
+    const preferences = await updatePreferences(req, user, changes, 'unsubscribe_link');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You have been unsubscribed',
+      data: { preferences }
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error unsubscribing');
+  }
+};
+
+// GET /api/member/notification-preferences
+exports.getMyPreferences = async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { preferences: getNotificationPreferences(req.member) }
+  });
+};
+
+// PATCH /api/member/notification-preferences { email, whatsapp }
+exports.updateMyPreferences = async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req, req.member, req.body, 'member');
+    res.status(200).json({
+      status: 'success',
+      data: { preferences }
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error updating notification preferences');
+  }
+};
+
+const findMember = async (req, res) => {
+  const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+    ? await User.findOne({ _id: req.params.userId, isDeleted: { $ne: true } })
+    : null;
+  if (!user) {
+    res.status(404).json({
+      status: 'error',
+      message: 'User not found'
+    });
+  }
+  return user;
+};
+
+// GET /api/users/:userId/notification-preferences
+exports.getMemberPreferences = async (req, res) => {
+  try {
+    const user = await findMember(req, res);
+    if (!user) return;
+    res.status(200).json({
+      status: 'success',
+      data: { preferences: getNotificationPreferences(user) }
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error fetching notification preferences');
+  }
+};
+
+// PATCH /api/users/:userId/notification-preferences { email, whatsapp }
+exports.updateMemberPreferences = async (req, res) => {
+  try {
+    const user = await findMember(req, res);
+    if (!user) return;
+    const preferences = await updatePreferences(req, user, req.body, 'staff');
+    res.status(200).json({
+      status: 'success',
+      data: { preferences }
+    });
+  } catch (error) {
+    handleNotificationError(res, error, 'Error updating notification preferences');
+  }
+};
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const User = require('../models/User');
+const {
+  NOTIFICATION_EVENTS,
+  getTemplateErrors,
+  getEffectiveTemplate,
+  renderNotification,
+  getSampleValues
+} = require('../services/notificationTemplateService');
+const { recordAudit } = require('../services/auditService');
+
+const TEMPLATE_FIELDS = [
+  ['email', 'subject'],
+  ['email', 'html'],
+  ['whatsapp', 'text']
+];
+
+// Approved WhatsApp template: names as WhatsApp Manager allows them, language codes like en or en_US
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+const TEMPLATE_LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+
+const handleTemplateError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    status: 'error',
+    message: error.statusCode ? error.message : fallbackMessage
+  });
+};
+
+/**
+ * Template fields from a request body: { email: { subject, html }, whatsapp: { text,
+ * templateName, templateLanguage, templateParameters } }. Returns { fields, errors };
+ * `fields` maps "email.subject" etc. to the new value, with an empty string (or
+ * an empty parameter list) meaning "use the built-in template" / "no approved template".
+ */
+const pickTemplateFields = (event, body = {}) => {
+  const fields = {};
+  const errors = [];
+  const definition = NOTIFICATION_EVENTS[event];
+  TEMPLATE_FIELDS.forEach(([channel, key]) => {
+    const value = body[channel] && body[channel][key];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+      errors.push(`${channel}.${key} must be a string`);
+      return;
+    }
+    if (!definition[channel]) {
+      errors.push(`The ${event} notification is not sent by ${channel}`);
+      return;
+    }
+    getTemplateErrors(event, value).forEach(message => errors.push(`${channel}.${key}: ${message}`));
+    fields[`${channel}.${key}`] = value.trim();
+  });
+
+  const whatsapp = body.whatsapp || {};
+  const approvedFields = [
+    ['templateName', TEMPLATE_NAME_PATTERN, 'lowercase letters, digits and underscores'],
+    ['templateLanguage', TEMPLATE_LANGUAGE_PATTERN, 'a language code such as en or en_US']
+  ];
+  const hasApprovedFields = ['templateName', 'templateLanguage', 'templateParameters']
+    .some(key => whatsapp[key] !== undefined && whatsapp[key] !== null);
+  if (hasApprovedFields && !definition.whatsapp) {
+    errors.push(`The ${event} notification is not sent by whatsapp`);
+    return { fields, errors };
+  }
+  approvedFields.forEach(([key, pattern, description]) => {
+    const value = whatsapp[key];
+    if (value === undefined || value === null) return;
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (typeof trimmed !== 'string' || (trimmed && !pattern.test(trimmed))) {
+      errors.push(`whatsapp.${key} must be ${description}`);
+      return;
+    }
+    fields[`whatsapp.${key}`] = trimmed;
+  });
+  const parameters = whatsapp.templateParameters;
+  if (parameters !== undefined && parameters !== null) {
+    if (!Array.isArray(parameters) || parameters.some(parameter => typeof parameter !== 'string')) {
+      errors.push('whatsapp.templateParameters must be a list of strings');
+    } else {
+      parameters.forEach((parameter, index) => {
+        getTemplateErrors(event, parameter)
+          .forEach(message => errors.push(`whatsapp.templateParameters[${index}]: ${message}`));
+      });
+      fields['whatsapp.templateParameters'] = parameters.map(parameter => parameter.trim());
+    }
+  }
+  return { fields, errors };
+};
+
+const isEmptyField = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+// GET /api/settings/notification-templates
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(NOTIFICATION_EVENTS).map(getEffectiveTemplate));
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      data: { templates }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Error fetching notification templates');
+  }
+};
+
+// GET /api/settings/notification-templates/:event
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await getEffectiveTemplate(req.params.event);
+    res.status(200).json({
+      status: 'success',
+      data: { template }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Error fetching notification template');
+  }
+};
+
+// PUT /api/settings/notification-templates/:event
+// Body: { email: { subject, html }, whatsapp: { text } }; omitted fields are kept,
+// empty strings go back to the built-in text
+exports.updateTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    const before = await getEffectiveTemplate(event);
+    const { fields, errors } = pickTemplateFields(event, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join(', ')
+      });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Provide email.subject, email.html, whatsapp.text or an approved WhatsApp template'
+      });
+    }
+
+    const $set = { updatedBy: req.user.id };
+    const $unset = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (isEmptyField(value)) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    });
+    await NotificationTemplate.findOneAndUpdate(
+      { event },
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const template = await getEffectiveTemplate(event);
+    await recordAudit({
+      req,
+      action: 'notification_template.update',
+      target: { type: 'notification_template', id: event },
+      before: { email: before.email, whatsapp: before.whatsapp },
+      after: { email: template.email, whatsapp: template.whatsapp }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification template updated',
+      data: { template }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Error updating notification template');
+  }
+};
+
+// DELETE /api/settings/notification-templates/:event - back to the built-in template
+exports.resetTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    const before = await getEffectiveTemplate(event);
+    await NotificationTemplate.deleteOne({ event });
+    const template = await getEffectiveTemplate(event);
+
+    if (before.isCustom) {
+      await recordAudit({
+        req,
+        action: 'notification_template.reset',
+        target: { type: 'notification_template', id: event },
+        before: { email: before.email, whatsapp: before.whatsapp },
+        after: { email: template.email, whatsapp: template.whatsapp }
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification template reset to default',
+      data: { template }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Error resetting notification template');
+  }
+};
+
+// POST /api/settings/notification-templates/:event/preview
+// Body: { userId, email, whatsapp } - renders unsaved edits (or the current template)
+// with a member's details, or sample details without userId
+exports.previewTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    const current = await getEffectiveTemplate(event);
+    const { fields, errors } = pickTemplateFields(event, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.join(', ')
+      });
+    }
+
+    let user = null;
+    if (req.body.userId) {
+      user = mongoose.Types.ObjectId.isValid(req.body.userId) ? await User.findById(req.body.userId) : null;
+      if (!user) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'User not found'
+        });
+      }
+    }
+
+    // Unsaved edits win over the current template; empty ones show the built-in text
+    const builtIn = NOTIFICATION_EVENTS[event];
+    const pick = (field, currentValue, builtInValue) => (
+      fields[field] === undefined ? currentValue : (isEmptyField(fields[field]) ? builtInValue : fields[field])
+    );
+    const currentApproved = (current.whatsapp && current.whatsapp.approvedTemplate) || {};
+    const approvedName = pick('whatsapp.templateName', currentApproved.name, null);
+    const template = {
+      email: current.email && {
+        subject: pick('email.subject', current.email.subject, builtIn.email.subject),
+        html: pick('email.html', current.email.html, builtIn.email.html)
+      },
+      whatsapp: current.whatsapp && {
+        text: pick('whatsapp.text', current.whatsapp.text, builtIn.whatsapp.text),
+        approvedTemplate: approvedName
+          ? {
+            name: approvedName,
+            language: pick('whatsapp.templateLanguage', currentApproved.language, null) || 'en',
+            parameters: pick('whatsapp.templateParameters', currentApproved.parameters, null) || []
+          }
+          : null
+      }
+    };
+    const preview = await renderNotification(event, {
+      user,
+      values: getSampleValues(event, { member: !user }),
+      template
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { event, preview }
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Error previewing notification template');
+  }
+};
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const OutboxMessage = require('../models/OutboxMessage');
+const { resendMessage } = require('../services/outboxService');
+const { recordAudit } = require('../services/auditService');
+const { parseListParam, parseDateParam, parsePagination } = require('../utils/queryHelpers');
+
+const MESSAGE_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+// GET /api/outbox?status=failed,skipped&channel=&template=&userId=&from=&to=&page=&limit=
+exports.getMessages = async (req, res) => {
+  try {
+    const filter = {};
+
+    const statuses = parseListParam(req.query.status);
+    const invalidStatus = statuses.find(status => !MESSAGE_STATUSES.includes(status));
+    if (invalidStatus) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid status. Must be one of: ${MESSAGE_STATUSES.join(', ')}`
+      });
+    }
+    if (statuses.length > 0) filter.status = { $in: statuses };
+
+    if (req.query.channel) filter.channel = String(req.query.channel);
+    if (req.query.template) filter.template = String(req.query.template);
+
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid user id'
+        });
+      }
+      filter.user = req.query.userId;
+    }
+
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [messages, total, counts] = await Promise.all([
+      // Email bodies are only returned by GET /api/outbox/:id
+      OutboxMessage.find(filter)
+        .select('-payload.html')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name phone email'),
+      OutboxMessage.countDocuments(filter),
+      OutboxMessage.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = Object.fromEntries(MESSAGE_STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => { summary[_id] = count; });
+
+    res.status(200).json({
+      status: 'success',
+      results: messages.length,
+      data: {
+        messages,
+        summary
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + messages.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching outbox messages:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching outbox messages'
+    });
+  }
+};
+
+// GET /api/outbox/:id
+exports.getMessage = async (req, res) => {
+  try {
+    const message = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await OutboxMessage.findById(req.params.id).populate('user', 'name phone email')
+      : null;
+    if (!message) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Message not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { message }
+    });
+  } catch (error) {
+    console.error('Error fetching outbox message:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching outbox message'
+    });
+  }
+};
+
+// POST /api/outbox/:id/resend - one more attempt for a failed or skipped message
+exports.resendMessage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Message not found'
+      });
+    }
+
+    const message = await resendMessage(req.params.id, { adminId: req.user.id });
+    await recordAudit({
+      req,
+      action: 'notification.resend',
+      target: { type: 'outbox_message', id: message._id },
+      member: message.user,
+      after: { status: message.status, attempts: message.attempts },
+      meta: { channel: message.channel, template: message.template, recipient: message.recipient }
+    });
+
+    const sent = message.status === 'sent';
+    res.status(200).json({
+      status: 'success',
+      message: sent ? 'Message sent' : `Resend failed: ${message.lastError || message.status}`,
+      data: { message }
+    });
+  } catch (error) {
+    console.error('Error resending outbox message:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Error resending message'
+    });
+  }
+};
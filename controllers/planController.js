@@ -0,0 +1,197 @@
+const Plan = require('../models/Plan');
+const User = require('../models/User');
+const { getPlanCatalog, clearPlanCache } = require('../services/planService');
+const { recordAudit } = require('../services/auditService');
+
+const PLAN_FIELDS = ['code', 'displayName', 'duration', 'durationUnit', 'price', 'maxFreezeDays', 'description', 'isActive', 'sortOrder'];
+
+const pickPlanFields = (body, { allowCode = true } = {}) => {
+  const data = {};
+  PLAN_FIELDS.forEach(field => {
+    if (field === 'code' && !allowCode) return;
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+const handlePlanError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A plan with this code already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      status: 'error',
+      message: messages.join(', ')
+    });
+  }
+  res.status(500).json({
+    status: 'error',
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Get active plans (public endpoint for registration/renewal forms)
+exports.getPlans = async (req, res) => {
+  try {
+    const plans = await getPlanCatalog({ activeOnly: true });
+    res.status(200).json({
+      status: 'success',
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch plans',
+      error: error.message
+    });
+  }
+};
+
+// Get all plans including inactive ones (protected)
+exports.getAllPlans = async (req, res) => {
+  try {
+    const plans = await getPlanCatalog();
+    res.status(200).json({
+      status: 'success',
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch plans',
+      error: error.message
+    });
+  }
+};
+
+// Create plan (protected)
+exports.createPlan = async (req, res) => {
+  try {
+    // Make sure the default catalog is seeded before the first custom plan
+    await getPlanCatalog();
+
+    const plan = await Plan.create(pickPlanFields(req.body));
+    clearPlanCache();
+
+    await recordAudit({
+      req,
+      action: 'plan.create',
+      target: { type: 'plan', id: plan._id },
+      after: plan.toObject()
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Plan created successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    handlePlanError(res, error, 'Failed to create plan');
+  }
+};
+
+// Update plan (protected). The code is immutable because members and
+// membership history reference plans by code.
+exports.updatePlan = async (req, res) => {
+  try {
+    const existing = await Plan.findById(req.params.id).lean();
+    if (req.body.code !== undefined) {
+      if (existing && String(req.body.code).toLowerCase() !== existing.code) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Plan code cannot be changed once created'
+        });
+      }
+    }
+
+    const plan = await Plan.findByIdAndUpdate(
+      req.params.id,
+      pickPlanFields(req.body, { allowCode: false }),
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Plan not found'
+      });
+    }
+
+    clearPlanCache();
+
+    await recordAudit({
+      req,
+      action: 'plan.update',
+      target: { type: 'plan', id: plan._id },
+      before: existing,
+      after: plan.toObject()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Plan updated successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    handlePlanError(res, error, 'Failed to update plan');
+  }
+};
+
+// Delete plan (protected). Plans still referenced by members can only be deactivated.
+exports.deletePlan = async (req, res) => {
+  try {
+    const plan = await Plan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Plan not found'
+      });
+    }
+
+    const inUse = await User.exists({
+      $or: [
+        { plan: plan.code },
+        { 'membershipHistory.plan': plan.code }
+      ]
+    });
+    if (inUse) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Plan is used by existing members. Deactivate it instead of deleting.'
+      });
+    }
+
+    await plan.deleteOne();
+    clearPlanCache();
+
+    await recordAudit({
+      req,
+      action: 'plan.delete',
+      target: { type: 'plan', id: plan._id },
+      before: plan.toObject()
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete plan',
+      error: error.message
+    });
+  }
+};
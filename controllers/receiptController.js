@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Receipt = require('../models/Receipt');
+const User = require('../models/User');
+const { generateReceiptForDownload } = require('../services/pdfService');
+const { buildGstr1Export, gstr1ToCsv } = require('../services/taxService');
+const { parsePagination, parseDateParam } = require('../utils/queryHelpers');
+
+// GET /api/receipts?financialYear=2026-27&user=<id>&from=&to=&page=&limit=
+exports.getReceipts = async (req, res) => {
+  try {
+    const { financialYear, user, status, from, to } = req.query;
+    const filter = {};
+
+    if (financialYear) filter.financialYear = financialYear;
+    if (status) filter.status = status;
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid user id'
+        });
+      }
+      filter.user = user;
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate || toDate) {
+      filter.issuedAt = {};
+      if (fromDate) filter.issuedAt.$gte = fromDate;
+      if (toDate) filter.issuedAt.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [receipts, total] = await Promise.all([
+      Receipt.find(filter).sort({ issuedAt: -1, sequence: -1 }).skip(skip).limit(limit),
+      Receipt.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: receipts.length,
+      data: {
+        receipts
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + receipts.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching receipts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error fetching receipts'
+    });
+  }
+};
+
+// GET /api/receipts/user/:userId
+exports.getUserReceipts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user id'
+      });
+    }
+
+    const receipts = await Receipt.find({ user: userId }).sort({ issuedAt: -1, sequence: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: receipts.length,
+      data: {
+        receipts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user receipts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error fetching receipts'
+    });
+  }
+};
+
+// GET /api/receipts/gstr1?month=2026-10 (or ?year=2026&month=10), add &format=csv for invoice lines
+exports.getGstr1Report = async (req, res) => {
+  try {
+    let year = parseInt(req.query.year, 10);
+    let month = parseInt(req.query.month, 10);
+    const monthMatch = String(req.query.month || '').match(/^(\d{4})-(\d{1,2})$/);
+    if (monthMatch) {
+      year = parseInt(monthMatch[1], 10);
+      month = parseInt(monthMatch[2], 10);
+    }
+
+    if (!year || !month || month < 1 || month > 12) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a month as YYYY-MM (or year and month)'
+      });
+    }
+
+    const report = await buildGstr1Export(year, month);
+
+    if (req.query.format === 'csv') {
+      const fileName = `gstr1-${year}-${String(month).padStart(2, '0')}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(gstr1ToCsv(report));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    console.error('Error building GSTR-1 export:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message || 'Error building GSTR-1 export'
+    });
+  }
+};
+
+// GET /api/receipts/:receiptId/download
+// Public like /api/receipt/download/:userId, since the link is sent to members by email
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const { receiptId } = req.params;
+    const receipt = mongoose.Types.ObjectId.isValid(receiptId)
+      ? await Receipt.findById(receiptId)
+      : null;
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+    if (!receipt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Receipt not found'
+      });
+    }
+
+    const user = await User.findById(receipt.user);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const pdfBuffer = await generateReceiptForDownload(user, receipt);
+    if (!pdfBuffer || pdfBuffer.length === 0) {
+      throw new Error('Generated PDF is empty');
+    }
+
+    const fileName = `receipt-${receipt.receiptNumber.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error serving receipt:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate receipt'
+    });
+  }
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ensureReferralCode, buildReferralMatch, getReferralLeaderboard } = require('../services/referralService');
+const { parseDateParam, parsePagination } = require('../utils/queryHelpers');
+
+const REFERRAL_STATUSES = ['pending', 'rewarded', 'cancelled'];
+
+// Referred members as shown in referral lists
+const toReferralRow = (referee) => ({
+  _id: referee._id,
+  name: referee.name,
+  plan: referee.plan,
+  joinedAt: referee.createdAt,
+  paymentStatus: referee.paymentStatus,
+  status: referee.referral ? referee.referral.status : null,
+  rewardType: referee.referral ? referee.referral.rewardType : null,
+  rewardValue: referee.referral ? referee.referral.rewardValue : null,
+  rewardedAt: referee.referral ? referee.referral.rewardedAt : null
+});
+
+const getStatusCounts = async (match) => {
+  const counts = await User.aggregate([
+    { $match: match },
+    { $group: { _id: '$referral.status', count: { $sum: 1 } } }
+  ]);
+  const byStatus = { pending: 0, rewarded: 0, cancelled: 0 };
+  counts.forEach(({ _id, count }) => {
+    if (_id in byStatus) byStatus[_id] = count;
+  });
+  return byStatus;
+};
+
+// GET /api/users/referrals/leaderboard?from=&to=&limit=
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const leaderboard = await getReferralLeaderboard({
+      from: parseDateParam(req.query.from),
+      to: parseDateParam(req.query.to),
+      limit
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: leaderboard.length,
+      data: { leaderboard }
+    });
+  } catch (error) {
+    console.error('Error fetching referral leaderboard:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching referral leaderboard'
+    });
+  }
+};
+
+// GET /api/users/referrals?status=&referrer=&from=&to=&page=&limit=
+exports.getReferrals = async (req, res) => {
+  try {
+    const { status, referrer } = req.query;
+    if (status && !REFERRAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid status. Must be one of: ${REFERRAL_STATUSES.join(', ')}`
+      });
+    }
+    if (referrer && !mongoose.Types.ObjectId.isValid(referrer)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid referrer id'
+      });
+    }
+
+    // Cast here since the same match feeds the status counts aggregation
+    const match = buildReferralMatch({
+      referrer: referrer ? new mongoose.Types.ObjectId(referrer) : undefined,
+      from: parseDateParam(req.query.from),
+      to: parseDateParam(req.query.to)
+    });
+    const filter = status ? { ...match, 'referral.status': status } : match;
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [referees, total, byStatus] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('name plan paymentStatus createdAt referral referredBy')
+        .populate('referredBy', 'name phone referralCode'),
+      User.countDocuments(filter),
+      getStatusCounts(match)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: referees.length,
+      data: {
+        referrals: referees.map(referee => ({
+          ...toReferralRow(referee),
+          referrer: referee.referredBy
+        })),
+        byStatus
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + referees.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching referrals:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching referrals'
+    });
+  }
+};
+
+const getReferralSummary = async (user) => {
+  const referralCode = await ensureReferralCode(user);
+  const referees = await User.find({ referredBy: user._id })
+    .sort({ createdAt: -1 })
+    .select('name plan paymentStatus createdAt referral');
+
+  return {
+    referralCode,
+    referrals: referees.map(toReferralRow),
+    rewarded: referees.filter(referee => referee.referral && referee.referral.status === 'rewarded').length
+  };
+};
+
+// GET /api/users/:userId/referrals
+exports.getMemberReferrals = async (req, res) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findById(req.params.userId).populate('referredBy', 'name phone referralCode')
+      : null;
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...(await getReferralSummary(user)),
+        referredBy: user.referredBy || null,
+        referral: user.referral && user.referral.status ? user.referral : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching member referrals:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching member referrals'
+    });
+  }
+};
+
+// GET /api/member/referrals - the member's own code and the people they referred
+exports.getMyReferrals = async (req, res) => {
+  try {
+    const summary = await getReferralSummary(req.member);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...summary,
+        // Other members' plan and payment details stay private
+        referrals: summary.referrals.map(({ name, joinedAt, status, rewardType, rewardValue, rewardedAt }) => ({
+          name,
+          joinedAt,
+          status,
+          rewardType,
+          rewardValue,
+          rewardedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching your referrals:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching your referrals'
+    });
+  }
+};
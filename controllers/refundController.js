@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const { refundHistoryEntry } = require('../services/refundService');
+const { generateRefundNote } = require('../services/pdfService');
+const { recordAudit, snapshotMember } = require('../services/auditService');
+const { parseListParam, parseDateParam, parsePagination } = require('../utils/queryHelpers');
+
+// POST /api/users/:userId/membership-history/:entryId/refund
+// Omit `amount` for a full refund of whatever has not been refunded yet
+exports.createRefund = async (req, res) => {
+  try {
+    const { userId, entryId } = req.params;
+    const { amount, mode, reason, transactionRef, membershipAction, endDate } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid member or history entry id'
+      });
+    }
+
+    const before = snapshotMember(await User.findById(userId));
+
+    const { refund, user } = await refundHistoryEntry(userId, entryId, {
+      amount,
+      mode,
+      reason,
+      transactionRef,
+      membershipAction,
+      endDate,
+      adminId: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'payment.refund',
+      target: { type: 'refund', id: refund._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: {
+        refundNumber: refund.refundNumber,
+        receiptNumber: refund.receiptNumber,
+        amount: refund.amount,
+        type: refund.type,
+        mode: refund.mode,
+        reason: refund.reason,
+        membershipAction: refund.membershipAction
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Refund ${refund.refundNumber} recorded`,
+      data: {
+        refund,
+        noteUrl: `/api/refunds/${refund._id}/note`,
+        endDate: user.endDate,
+        subscriptionStatus: user.subscriptionStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error recording refund:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error recording refund'
+    });
+  }
+};
+
+// GET /api/refunds?member=&mode=&status=&from=&to=&page=&limit=
+// totalAmount only counts completed refunds
+exports.getRefunds = async (req, res) => {
+  try {
+    const { member } = req.query;
+    const filter = {};
+
+    if (member) {
+      if (!mongoose.Types.ObjectId.isValid(member)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid member id'
+        });
+      }
+      // Cast here since the same filter feeds the totals aggregation
+      filter.user = new mongoose.Types.ObjectId(member);
+    }
+
+    const modes = parseListParam(req.query.mode);
+    if (modes.length > 0) {
+      filter.mode = { $in: modes };
+    }
+
+    const statuses = parseListParam(req.query.status);
+    if (statuses.length > 0) {
+      filter.status = { $in: statuses };
+    }
+
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate || toDate) {
+      filter.issuedAt = {};
+      if (fromDate) filter.issuedAt.$gte = fromDate;
+      if (toDate) filter.issuedAt.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [refunds, total, totals] = await Promise.all([
+      Refund.find(filter)
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('approvedBy', 'name email role'),
+      Refund.countDocuments(filter),
+      Refund.aggregate([
+        { $match: { $and: [filter, { status: { $nin: ['pending', 'failed'] } }] } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: refunds.length,
+      data: {
+        refunds,
+        totalAmount: totals[0] ? totals[0].amount : 0
+      },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + refunds.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching refunds'
+    });
+  }
+};
+
+// GET /api/refunds/:refundId/note - refund note PDF
+exports.downloadRefundNote = async (req, res) => {
+  try {
+    const { refundId } = req.params;
+    const refund = mongoose.Types.ObjectId.isValid(refundId)
+      ? await Refund.findById(refundId)
+      : null;
+
+    if (!refund) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Refund not found'
+      });
+    }
+    if (refund.status !== 'completed') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Refund ${refund.refundNumber} is ${refund.status} and has no refund note`
+      });
+    }
+
+    const pdfBuffer = await generateRefundNote(refund);
+    const fileName = `refund-${refund.refundNumber.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Length, Content-Type');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating refund note:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate refund note'
+    });
+  }
+};
@@ -1,25 +1,35 @@
 const Settings = require('../models/Settings');
+const Plan = require('../models/Plan');
 const { clearSettingsCache } = require('../utils/formatters');
+const { getPlanCatalog, buildPlanPricingMap, clearPlanCache } = require('../services/planService');
+const { recordAudit } = require('../services/auditService');
 
 // Get settings (public for plan pricing, protected for full settings)
 exports.getSettings = async (req, res) => {
   try {
     const settings = await Settings.getSettings();
+    const plans = await getPlanCatalog({ activeOnly: true });
+    const planPricing = buildPlanPricingMap(plans);
     
     // If not authenticated, only return plan pricing
     if (!req.user) {
       return res.status(200).json({
         status: 'success',
         data: {
-          planPricing: settings.planPricing
+          planPricing,
+          plans
         }
       });
     }
     
-    // If authenticated, return all settings
+    // If authenticated, return all settings (plan pricing comes from the plan catalog)
     res.status(200).json({
       status: 'success',
-      data: settings
+      data: {
+        ...settings.toObject(),
+        planPricing,
+        plans
+      }
     });
   } catch (error) {
     console.error('Error fetching settings:', error);
@@ -39,6 +49,8 @@ exports.updateSettings = async (req, res) => {
     if (!settings) {
       settings = await Settings.create({});
     }
+
+    const before = settings.toObject();
     
     // Update only provided fields
     const {
@@ -46,11 +58,27 @@ exports.updateSettings = async (req, res) => {
       gymInfo,
       emailSettings,
       notificationSettings,
+      freezeSettings,
+      receiptSettings,
+      taxSettings,
+      attendanceSettings,
+      paymentSettings,
+      installmentSettings,
+      referralSettings,
       systemPreferences
     } = req.body;
     
     if (planPricing) {
       settings.planPricing = { ...settings.planPricing, ...planPricing };
+
+      // Keep the plan catalog in sync for admin panels still posting planPricing
+      await getPlanCatalog();
+      await Promise.all(
+        Object.entries(planPricing)
+          .filter(([, price]) => typeof price === 'number' && price >= 0)
+          .map(([code, price]) => Plan.updateOne({ code: code.toLowerCase() }, { price }))
+      );
+      clearPlanCache();
     }
     
     if (gymInfo) {
@@ -65,6 +93,41 @@ exports.updateSettings = async (req, res) => {
       settings.notificationSettings = { ...settings.notificationSettings, ...notificationSettings };
     }
     
+    if (freezeSettings) {
+      settings.freezeSettings = { ...settings.freezeSettings, ...freezeSettings };
+    }
+    
+    if (receiptSettings) {
+      settings.receiptSettings = { ...settings.receiptSettings, ...receiptSettings };
+    }
+    
+    if (taxSettings) {
+      settings.taxSettings = { ...settings.taxSettings, ...taxSettings };
+    }
+    
+    if (attendanceSettings) {
+      settings.attendanceSettings = { ...settings.attendanceSettings, ...attendanceSettings };
+    }
+    
+    if (paymentSettings) {
+      settings.paymentSettings = {
+        ...settings.paymentSettings,
+        ...paymentSettings,
+        providers: {
+          ...(settings.paymentSettings && settings.paymentSettings.providers),
+          ...(paymentSettings.providers || {})
+        }
+      };
+    }
+    
+    if (installmentSettings) {
+      settings.installmentSettings = { ...settings.installmentSettings, ...installmentSettings };
+    }
+    
+    if (referralSettings) {
+      settings.referralSettings = { ...settings.referralSettings, ...referralSettings };
+    }
+    
     if (systemPreferences) {
       settings.systemPreferences = { ...settings.systemPreferences, ...systemPreferences };
     }
@@ -73,6 +136,14 @@ exports.updateSettings = async (req, res) => {
     
     // Clear cache so new settings are used immediately
     clearSettingsCache();
+
+    await recordAudit({
+      req,
+      action: 'settings.update',
+      target: { type: 'settings', id: settings._id },
+      before,
+      after: settings.toObject()
+    });
     
     res.status(200).json({
       status: 'success',
@@ -92,11 +163,12 @@ exports.updateSettings = async (req, res) => {
 // Get plan pricing only (public endpoint)
 exports.getPlanPricing = async (req, res) => {
   try {
-    const settings = await Settings.getSettings();
+    const plans = await getPlanCatalog({ activeOnly: true });
     res.status(200).json({
       status: 'success',
       data: {
-        planPricing: settings.planPricing
+        planPricing: buildPlanPricingMap(plans),
+        plans
       }
     });
   } catch (error) {
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const { STAFF_ROLES, getRolePermissions } = require('../config/permissions');
+const { sendNotification, isDelivered } = require('../services/notificationService');
+const { recordAudit } = require('../services/auditService');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const toStaffProfile = (admin) => ({
+  _id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  status: admin.status,
+  permissions: getRolePermissions(admin.role),
+  invitedBy: admin.invitedBy,
+  inviteExpires: admin.inviteExpires,
+  lastLoginAt: admin.lastLoginAt,
+  disabledAt: admin.disabledAt,
+  createdAt: admin.createdAt
+});
+
+const getInviteUrl = (token) => {
+  const frontendUrl = process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production'
+    ? 'https://stargympetlad.netlify.app'
+    : 'http://localhost:5173');
+  return `${frontendUrl}/admin/accept-invite/${token}`;
+};
+
+// Load a staff account that the current owner is allowed to change
+const findManageableStaff = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Invalid staff id'
+    });
+    return null;
+  }
+
+  if (String(id) === String(req.user.id)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'You cannot change your own role or status'
+    });
+    return null;
+  }
+
+  const admin = await Admin.findById(id);
+  if (!admin) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Staff account not found'
+    });
+    return null;
+  }
+  return admin;
+};
+
+// The gym must always keep at least one active owner
+const isLastActiveOwner = async (admin) => {
+  if (admin.role !== 'owner' || admin.status !== 'active') return false;
+  const activeOwners = await Admin.countDocuments(Admin.activeOwnerFilter());
+  return activeOwners <= 1;
+};
+
+// GET /api/staff
+exports.getStaff = async (req, res) => {
+  try {
+    const staff = await Admin.find().sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: staff.length,
+      data: {
+        staff: staff.map(toStaffProfile),
+        roles: STAFF_ROLES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching staff'
+    });
+  }
+};
+
+// POST /api/staff/invite { email, name, role }
+exports.inviteStaff = async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    const email = req.body.email ? String(req.body.email).trim().toLowerCase() : '';
+
+    if (!email || !role) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide email and role'
+      });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    let admin = await Admin.findOne({ email });
+    // Re-inviting a pending or disabled account issues a fresh link
+    if (admin && admin.status === 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A staff account with this email already exists'
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    if (!admin) {
+      admin = new Admin({ email });
+    }
+    admin.name = name || admin.name;
+    admin.status = 'invited';
+    admin.disabledAt = undefined;
+    admin.role = role;
+    admin.invitedBy = req.user.id;
+    admin.inviteToken = hashToken(inviteToken);
+    admin.inviteExpires = new Date(Date.now() + INVITE_TTL_MS);
+    await admin.save();
+
+    await recordAudit({
+      req,
+      action: 'staff.invite',
+      target: { type: 'staff', id: admin._id },
+      after: { email: admin.email, name: admin.name, role: admin.role, status: admin.status }
+    });
+
+    const inviteUrl = getInviteUrl(inviteToken);
+    const { email: delivery } = await sendNotification('staff_invite', {
+      email: admin.email,
+      values: { staff: { name: admin.name, role }, inviteUrl },
+      channels: ['email']
+    });
+    const emailSent = isDelivered(delivery);
+
+    // The link is returned so the owner can share it another way if email fails
+    res.status(201).json({
+      status: 'success',
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      data: {
+        staff: toStaffProfile(admin),
+        inviteUrl,
+        emailSent
+      }
+    });
+  } catch (error) {
+    console.error('Error inviting staff:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error inviting staff'
+    });
+  }
+};
+
+// POST /api/staff/accept-invite/:token { password, name } (public)
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { password, name } = req.body;
+
+    if (!password || password.length < 8) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password must be at least 8 characters long'
+      });
+    }
+
+    const admin = await Admin.findOne({
+      inviteToken: hashToken(token),
+      inviteExpires: { $gt: Date.now() },
+      status: 'invited'
+    });
+
+    if (!admin) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    admin.password = await bcrypt.hash(password, salt);
+    if (name) admin.name = name;
+    admin.status = 'active';
+    admin.inviteToken = undefined;
+    admin.inviteExpires = undefined;
+    await admin.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account is ready. Please login.'
+    });
+  } catch (error) {
+    console.error('Error accepting staff invite:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'An error occurred. Please try again later.'
+    });
+  }
+};
+
+// PATCH /api/staff/:id/role { role }
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}`
+      });
+    }
+
+    const admin = await findManageableStaff(req, res);
+    if (!admin) return;
+
+    if (role !== 'owner' && await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot change the role of the last active owner'
+      });
+    }
+
+    const previousRole = admin.role;
+    admin.role = role;
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'staff.role_change',
+      target: { type: 'staff', id: admin._id },
+      before: { role: previousRole },
+      after: { role: admin.role }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        staff: toStaffProfile(admin)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating staff role:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating staff role'
+    });
+  }
+};
+
+// PATCH /api/staff/:id/disable - blocks login and revokes existing sessions
+exports.disableStaff = async (req, res) => {
+  try {
+    const admin = await findManageableStaff(req, res);
+    if (!admin) return;
+
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot disable the last active owner'
+      });
+    }
+
+    const previousStatus = admin.status;
+    admin.status = 'disabled';
+    admin.disabledAt = new Date();
+    admin.inviteToken = undefined;
+    admin.inviteExpires = undefined;
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'staff.disable',
+      target: { type: 'staff', id: admin._id },
+      before: { status: previousStatus },
+      after: { status: admin.status }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff account disabled',
+      data: {
+        staff: toStaffProfile(admin)
+      }
+    });
+  } catch (error) {
+    console.error('Error disabling staff:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error disabling staff'
+    });
+  }
+};
+
+// PATCH /api/staff/:id/enable
+exports.enableStaff = async (req, res) => {
+  try {
+    const admin = await findManageableStaff(req, res);
+    if (!admin) return;
+
+    const withPassword = await Admin.findById(admin._id).select('+password');
+    if (!withPassword.password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This account never accepted its invitation. Send a new invite instead.'
+      });
+    }
+
+    const previousStatus = admin.status;
+    admin.status = 'active';
+    admin.disabledAt = undefined;
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAudit({
+      req,
+      action: 'staff.enable',
+      target: { type: 'staff', id: admin._id },
+      before: { status: previousStatus },
+      after: { status: admin.status }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff account enabled',
+      data: {
+        staff: toStaffProfile(admin)
+      }
+    });
+  } catch (error) {
+    console.error('Error enabling staff:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error enabling staff'
+    });
+  }
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const StatementImport = require('../models/StatementImport');
+const StatementCredit = require('../models/StatementCredit');
+const { importStatement, confirmCredit, ignoreCredit } = require('../services/statementService');
+const { recordAudit } = require('../services/auditService');
+const { parseDateParam, parsePagination } = require('../utils/queryHelpers');
+
+const CREDIT_STATUSES = ['unmatched', 'suggested', 'matched', 'ignored'];
+
+// POST /api/statements/import - multipart field "statement" (.csv)
+exports.importStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please upload a CSV statement'
+      });
+    }
+
+    const statementImport = await importStatement({
+      text: req.file.buffer.toString('utf8'),
+      fileName: req.file.originalname,
+      adminId: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'statement.import',
+      target: { type: 'statement_import', id: statementImport._id },
+      meta: {
+        fileName: statementImport.fileName,
+        credits: statementImport.credits,
+        duplicates: statementImport.duplicates,
+        suggested: statementImport.suggested,
+        unmatched: statementImport.unmatched
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Imported ${statementImport.credits} credits: ${statementImport.suggested} with suggested matches, ${statementImport.unmatched} unmatched`,
+      data: { statementImport }
+    });
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error importing statement'
+    });
+  }
+};
+
+// GET /api/statements?page=&limit=
+exports.getImports = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const [imports, total] = await Promise.all([
+      StatementImport.find()
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('uploadedBy', 'name email role'),
+      StatementImport.countDocuments()
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: imports.length,
+      data: { imports },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + imports.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching statement imports:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching statement imports'
+    });
+  }
+};
+
+// GET /api/statements/credits?status=suggested&import=&from=&to=&page=&limit=
+// Defaults to the review queue (suggested and unmatched credits)
+exports.getCredits = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!CREDIT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Invalid status. Must be one of: ${CREDIT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    } else {
+      filter.status = { $in: ['suggested', 'unmatched'] };
+    }
+
+    if (req.query.import) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.import)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid import id'
+        });
+      }
+      filter.statementImport = req.query.import;
+    }
+
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate || toDate) {
+      filter.txnDate = {};
+      if (fromDate) filter.txnDate.$gte = fromDate;
+      if (toDate) filter.txnDate.$lte = toDate;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [credits, total] = await Promise.all([
+      StatementCredit.find(filter)
+        .sort({ txnDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('suggestions.payment', 'orderId amount status createdAt expiresAt meta.plan meta.isRenewal')
+        .populate('suggestions.user', 'name phone email plan paymentStatus')
+        .populate('matchedPayment', 'orderId amount status paidAt')
+        .populate('matchedUser', 'name phone'),
+      StatementCredit.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: credits.length,
+      data: { credits },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + credits.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching statement credits:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching statement credits'
+    });
+  }
+};
+
+// POST /api/statements/credits/:creditId/confirm - Body: { paymentId } or { userId }
+// Without either, the top suggestion is confirmed
+exports.confirmCredit = async (req, res) => {
+  try {
+    const { creditId } = req.params;
+    const { paymentId, userId } = req.body;
+    const ids = [creditId, paymentId, userId].filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid credit, payment or member id'
+      });
+    }
+
+    const { credit, payment } = await confirmCredit(creditId, {
+      paymentId,
+      userId,
+      adminId: req.user.id,
+      audit: { req }
+    });
+
+    await recordAudit({
+      req,
+      action: 'statement.match',
+      target: { type: 'statement_credit', id: credit._id },
+      member: payment.user,
+      meta: {
+        amount: credit.amount,
+        reference: credit.reference,
+        txnDate: credit.txnDate,
+        orderId: payment.orderId
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Credit matched to payment ${payment.orderId}`,
+      data: { credit, payment }
+    });
+  } catch (error) {
+    console.error('Error confirming statement credit:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error confirming statement credit'
+    });
+  }
+};
+
+// POST /api/statements/credits/:creditId/ignore - Body: { reason }
+// For credits that aren't membership payments (e.g. personal transfers)
+exports.ignoreCredit = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.creditId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Statement credit not found'
+      });
+    }
+
+    const credit = await ignoreCredit(req.params.creditId, {
+      reason: req.body.reason,
+      adminId: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'statement.ignore',
+      target: { type: 'statement_credit', id: credit._id },
+      meta: { amount: credit.amount, reference: credit.reference, reason: credit.ignoreReason }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Credit ignored',
+      data: { credit }
+    });
+  } catch (error) {
+    console.error('Error ignoring statement credit:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error ignoring statement credit'
+    });
+  }
+};
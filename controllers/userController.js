@@ -1,14 +1,60 @@
 const User = require('../models/User');
+const Payment = require('../models/Payment');
 const APIError = require('../utils/APIError');
-const { sendEmail, createRegistrationEmail } = require('../services/emailService');
-const { getPlanAmount, getPlanDisplayName, formatIndianPrice } = require('../utils/formatters');
+const { sendNotification, isDelivered, getReceiptDocument } = require('../services/notificationService');
+const { getPlanAmountAsync, getPlanDisplayName, formatIndianPrice } = require('../utils/formatters');
+const {
+  getPlanByCode,
+  getActivePlan,
+  getActivePlanCodes,
+  addPlanDuration,
+  getHistoryDuration,
+  addHistoryDuration
+} = require('../services/planService');
 const { generateReceipt } = require('../services/pdfService');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../services/cloudinaryService');
 const fs = require('fs');
 const path = require('path');
 const jwt = require('jsonwebtoken');
 const transporter = require('../services/emailService').transporter;
-const { sendWhatsAppText, formatPhoneE164 } = require('../services/whatsappService');
+const { formatPhoneE164 } = require('../services/whatsappService');
+const { freezeMembership, unfreezeMembership } = require('../services/freezeService');
+const { calculatePlanChange, applyPlanChange } = require('../services/planChangeService');
+const { issueReceiptForLatestEntry, issueReceiptForHistoryEntry, safeIssueReceipt } = require('../services/receiptService');
+const { getChargeAmount, getHistoryTax } = require('../services/taxService');
+const { requestRenewal } = require('../services/renewalService');
+const { createRenewalUrl } = require('../services/subscriptionService');
+const {
+  evaluateCoupon,
+  applyCoupon,
+  setPendingCoupon,
+  getPendingCoupon,
+  releaseCoupon,
+  redeemCoupon,
+  toHistoryDiscount
+} = require('../services/couponService');
+const { ensureReferralCode, findReferrer, linkReferral, grantReferralReward } = require('../services/referralService');
+const { getCashTag, assertCashPeriodOpen } = require('../services/cashSessionService');
+const { reserveCredit, redeemCredit, releaseCredit, toHistoryCredit } = require('../services/creditNoteService');
+const {
+  createPayment,
+  toPaymentData,
+  markPaymentFailed,
+  getPendingRenewal,
+  toRenewalMeta,
+  applyRenewalTerm
+} = require('../services/paymentService');
+const { recordAudit, snapshotMember } = require('../services/auditService');
+const { hasPermission } = require('../config/permissions');
+const {
+  escapeRegex,
+  parseListParam,
+  parseDateParam,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../utils/queryHelpers');
 
 exports.register = async (req, res) => {
   try {
@@ -57,11 +103,13 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Validate plan type
-    if (!['1month', '2month', '3month', '6month', 'yearly'].includes(req.body.plan)) {
+    // Validate plan type against the active plan catalog
+    const selectedPlan = await getActivePlan(req.body.plan);
+    if (!selectedPlan) {
+      const activePlanCodes = await getActivePlanCodes();
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid plan type. Must be one of: 1month, 2month, 3month, 6month, yearly'
+        message: `Invalid plan type. Must be one of: ${activePlanCodes.join(', ')}`
       });
     }
 
@@ -73,6 +121,30 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Check the coupon up front so a bad code doesn't leave a half-registered member
+    if (req.body.couponCode) {
+      try {
+        await evaluateCoupon(req.body.couponCode, { planCode: selectedPlan.code });
+      } catch (couponError) {
+        return res.status(couponError.statusCode || 400).json({
+          status: 'error',
+          message: couponError.message
+        });
+      }
+    }
+
+    // Resolve the referrer before creating the member so a mistyped code can be corrected
+    let referrer = null;
+    if (req.body.referralCode) {
+      referrer = await findReferrer(req.body.referralCode);
+      if (!referrer) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid referral code'
+        });
+      }
+    }
+
     // Handle photo upload
     let photoPath = null;
     if (req.file) {
@@ -119,7 +191,8 @@ exports.register = async (req, res) => {
       phone: req.body.phone,
       gender: req.body.gender,
       address: req.body.address,
-      plan: req.body.plan,
+      gstin: req.body.gstin || undefined,
+      plan: selectedPlan.code,
       originalJoinDate: startDate,
       startDate: startDate,
       endDate: endDate,
@@ -130,29 +203,36 @@ exports.register = async (req, res) => {
 
     console.log('Creating user with data:', userData);
     const user = new User(userData);
+    if (referrer) {
+      linkReferral(user, referrer);
+    }
     await user.save();
     console.log('User created successfully:', user);
 
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Welcome to StarGym - Registration Successful',
-        html: createRegistrationEmail(user)
-      });
-      console.log('Welcome email sent successfully');
-    } catch (emailError) {
-      console.error('Error sending welcome email:', emailError);
+    // Reserve the coupon for the joining payment; per-member checks need the saved user
+    let couponError = null;
+    if (req.body.couponCode) {
+      try {
+        const { appliedCoupon } = await applyCoupon(req.body.couponCode, { user, planCode: user.plan });
+        await setPendingCoupon(user, appliedCoupon);
+        await user.save();
+      } catch (error) {
+        console.error('Error applying coupon at registration:', error);
+        couponError = error.message;
+      }
     }
+
     try {
-      const text = `Hi ${user.name}, welcome to Star Gym! Your plan ${user.plan} starts on ${new Date(user.startDate).toLocaleDateString()} and ends on ${new Date(user.endDate).toLocaleDateString()}.`;
-      await sendWhatsAppText({ phone: user.phone, message: text });
-    } catch (waError) {
-      console.error('WhatsApp welcome message error:', waError);
+      await ensureReferralCode(user);
+    } catch (referralError) {
+      console.error('Error assigning referral code:', referralError);
     }
 
+    await sendNotification('registration', { user });
+
     res.status(201).json({
       status: 'success',
-      data: { user }
+      data: couponError ? { user, couponError } : { user }
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -197,8 +277,82 @@ exports.approvePayment = async (req, res) => {
       });
     }
 
+    const before = snapshotMember(user);
+
+    // A pending renewal takes effect once approved; otherwise this confirms the joining payment
+    const pendingRenewal = getPendingRenewal(user);
+    const isRenewal = Boolean(pendingRenewal);
+    if (pendingRenewal) {
+      applyRenewalTerm(user, toRenewalMeta(pendingRenewal), { plan: await getPlanByCode(pendingRenewal.plan) });
+    }
+
+    // Ensure membershipHistory exists and append confirmed entry for revenue tracking
+    if (!user.membershipHistory) {
+      user.membershipHistory = [];
+    }
+
+    const historyType = isRenewal ? 'renewal' : 'join';
+    const cashTag = await getCashTag(user.paymentMethod, req.user && req.user.id);
+
+    // A coupon applied at registration or renewal discounts the plan price
+    const coupon = getPendingCoupon(user, user.plan);
+    const chargeAmount = await getChargeAmount(coupon ? coupon.finalPrice : await getPlanAmountAsync(user.plan));
+    // Open credit notes come off the charge
+    const credit = await reserveCredit(user._id, chargeAmount);
+    const planAmount = Math.round((chargeAmount - credit.total) * 100) / 100;
+
+    user.membershipHistory.push({
+      type: historyType,
+      date: new Date(),
+      duration: getHistoryDuration(user.plan),
+      amount: planAmount,
+      paymentMode: user.paymentMethod,
+      plan: user.plan,
+      paymentStatus: 'confirmed',
+      ...toHistoryDiscount(coupon),
+      ...toHistoryCredit(credit),
+      ...await getHistoryTax(planAmount),
+      ...cashTag
+    });
+    const historyEntry = user.membershipHistory[user.membershipHistory.length - 1];
+
+    // Update user payment status
+    user.paymentStatus = 'confirmed';
+    if (coupon) {
+      user.pendingCoupon = undefined;
+    }
+    try {
+      await user.save();
+    } catch (error) {
+      await releaseCredit(credit);
+      throw error;
+    }
+    await redeemCoupon(coupon, { membershipHistoryId: historyEntry._id });
+    await redeemCredit(credit, { membershipHistoryId: historyEntry._id });
+    await grantReferralReward(user, { audit: { req } });
+
+    // Issue the numbered receipt for the entry just confirmed
+    const receipt = await safeIssueReceipt(() => issueReceiptForLatestEntry(user));
+
+    await recordAudit({
+      req,
+      action: 'payment.approve',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: {
+        historyType,
+        amount: planAmount,
+        paymentMode: user.paymentMethod,
+        couponCode: coupon ? coupon.code : undefined,
+        creditApplied: credit.total || undefined,
+        receiptNumber: receipt ? receipt.receiptNumber : null
+      }
+    });
+
     // Generate receipt (now returns download endpoint URL)
-    const receiptUrl = await generateReceipt(user);
+    const receiptUrl = await generateReceipt(user, receipt);
     console.log('Generated Receipt URL:', receiptUrl);
     
     // Validate receiptUrl
@@ -261,101 +415,13 @@ exports.approvePayment = async (req, res) => {
     console.log('Base URL used:', emailBaseUrl);
     console.log('Receipt path:', normalizedReceiptUrl);
 
-    // Determine if this is a renewal or new membership
-    // Check if user has renewals array with recent entries or if renewalCount > 0
-    const isRenewal = (user.renewals && user.renewals.length > 0) || (user.renewalCount && user.renewalCount > 0);
-
-    // Ensure membershipHistory exists and append confirmed entry for revenue tracking
-    if (!user.membershipHistory) {
-      user.membershipHistory = [];
-    }
-
-    const planToMonths = {
-      '1month': 1,
-      '2month': 2,
-      '3month': 3,
-      '6month': 6,
-      'yearly': 12
-    };
-
-    const historyType = isRenewal ? 'renewal' : 'join';
-
-    user.membershipHistory.push({
-      type: historyType,
-      date: new Date(),
-      duration: String(planToMonths[user.plan] || 0),
-      amount: getPlanAmount(user.plan),
-      paymentMode: user.paymentMethod,
-      plan: user.plan,
-      paymentStatus: 'confirmed'
+    // Confirmation by email and WhatsApp
+    await sendNotification(isRenewal ? 'renewal_approved' : 'payment_approved', {
+      user,
+      values: { amount: formatIndianPrice(planAmount), receiptUrl: finalReceiptUrl },
+      document: getReceiptDocument(finalReceiptUrl, receipt)
     });
 
-    // Update user payment status
-    user.paymentStatus = 'confirmed';
-    await user.save();
-
-    // Send confirmation email
-    await sendEmail({
-      email: user.email,
-      subject: isRenewal ? 'Renewal Confirmed - StarGym Membership' : 'Payment Confirmed - StarGym Membership',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f8f8; padding: 20px;">
-          <div style="background-color: #ffffff; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-            <h1 style="color: #333; text-align: center; margin: 0;">${isRenewal ? 'Renewal' : 'Payment'} Confirmed! 🎉</h1>
-            <p style="color: #666; text-align: center; margin: 10px 0 30px 0;">Your StarGym membership is now active</p>
-            
-            <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-              <p style="color: #444; font-size: 16px; margin: 0 0 15px 0;">Dear ${user.name},</p>
-              <p style="color: #444; line-height: 1.5; margin: 0 0 20px 0;">Your ${isRenewal ? 'renewal' : 'payment'} has been confirmed for your ${user.plan} membership plan.</p>
-              
-              <div style="background-color: #fff; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="color: #333; margin: 0 0 15px 0;">Membership Details:</h3>
-                <p style="margin: 8px 0; color: #666;"><strong>Plan:</strong> ${user.plan}</p>
-                <p style="margin: 8px 0; color: #666;"><strong>Start Date:</strong> ${new Date(user.startDate).toLocaleDateString()}</p>
-                <p style="margin: 8px 0; color: #666;"><strong>End Date:</strong> ${new Date(user.endDate).toLocaleDateString()}</p>
-                <p style="margin: 8px 0; color: #666;"><strong>Payment Status:</strong> <span style="color: #4caf50; font-weight: bold;">Confirmed</span></p>
-              </div>
-              
-              ${finalReceiptUrl && finalReceiptUrl.trim() ? `
-              <div style="text-align: center; margin: 30px 0; padding: 20px; background-color: #f8f9fa; border-radius: 10px; border: 2px dashed #dee2e6;">
-                <h3 style="color: #333; margin: 0 0 15px 0; font-size: 18px;">📄 Your Payment Receipt</h3>
-                <p style="color: #666; margin: 0 0 20px 0; font-size: 14px;">Download your official payment receipt for your records</p>
-                <a href="${finalReceiptUrl.replace(/"/g, '&quot;')}" 
-                   target="_blank"
-                   rel="noopener noreferrer"
-                   style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4); transition: all 0.3s ease;"
-                   onmouseover="this.style.transform='translateY(-2px)'; this.style.boxShadow='0 6px 20px rgba(102, 126, 234, 0.6)';"
-                   onmouseout="this.style.transform='translateY(0)'; this.style.boxShadow='0 4px 15px rgba(102, 126, 234, 0.4)';">
-                  📥 Download Receipt
-                </a>
-                <p style="color: #999; margin: 15px 0 0 0; font-size: 12px;">Keep this receipt safe for your records</p>
-                <p style="color: #999; margin: 10px 0 0 0; font-size: 11px;">If the download doesn't start automatically, right-click the button and select "Save link as..."</p>
-              </div>
-              ` : ''}
-              
-              <p style="font-size: 14px; color: #666; margin-top: 20px; text-align: center;">
-                Thank you for your payment. Your membership is now active.
-              </p>
-            </div>
-            
-            <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-              <p style="color: #666; margin-bottom: 5px;">Need help? Contact us:</p>
-              <p style="color: #666; margin: 0;">📍 Address: 2nd floor, Krishiv complex, Swaminarayan mandir Rd, Petlad, 388450</p>
-              <p style="color: #666; margin: 5px 0;">📞 Phone: 9313720714</p>
-              <p style="color: #666; margin: 5px 0;">📧 Email: stargympetlad0205@gmail.com</p>
-            </div>
-          </div>
-        </div>
-      `
-    });
-    // WhatsApp confirmation
-    try {
-      const text = `Payment confirmed for your Star Gym ${user.plan} plan. Start: ${new Date(user.startDate).toLocaleDateString()}, End: ${new Date(user.endDate).toLocaleDateString()}.`;
-      await sendWhatsAppText({ phone: user.phone, message: text });
-    } catch (waError) {
-      console.error('WhatsApp payment confirm error:', waError);
-    }
-
     res.status(200).json({
       status: 'success',
       message: 'Payment approved successfully',
@@ -363,17 +429,112 @@ exports.approvePayment = async (req, res) => {
     });
   } catch (error) {
     console.error('Error approving payment:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
       message: error.message
     });
   }
 };
 
+// Fields the admin panel can sort the member list by
+const USER_SORT_FIELDS = ['name', 'email', 'plan', 'startDate', 'endDate', 'originalJoinDate', 'createdAt', 'subscriptionStatus', 'paymentStatus'];
+const USER_LIST_FILTERS = ['plan', 'subscriptionStatus', 'paymentStatus', 'paymentMethod', 'gender'];
+
+// Build the Mongo filter for GET /api/users from query parameters
+const buildUserListFilter = (query) => {
+  // Exclude deleted users from the main list
+  const filter = { isDeleted: { $ne: true } };
+
+  const search = String(query.search || query.q || '').trim();
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [
+      { name: pattern },
+      { email: pattern },
+      { phone: pattern }
+    ];
+  }
+
+  // Members with a renewal waiting to be paid or approved
+  if (String(query.pendingRenewal) === 'true') {
+    filter.renewals = { $elemMatch: { status: 'pending' } };
+  }
+
+  USER_LIST_FILTERS.forEach(field => {
+    const values = parseListParam(query[field]);
+    if (values.length === 1) {
+      filter[field] = values[0];
+    } else if (values.length > 1) {
+      filter[field] = { $in: values };
+    }
+  });
+
+  const endDateFrom = parseDateParam(query.endDateFrom);
+  const endDateTo = parseDateParam(query.endDateTo);
+  if (endDateFrom || endDateTo) {
+    filter.endDate = {};
+    if (endDateFrom) filter.endDate.$gte = endDateFrom;
+    if (endDateTo) filter.endDate.$lte = endDateTo;
+  }
+
+  return filter;
+};
+
+// Accepts sortBy/sortOrder or a single "sort" param like "-endDate"
+const parseUserListSort = (query) => {
+  let sortField = query.sortBy;
+  let sortOrder = query.sortOrder;
+
+  if (!sortField && query.sort) {
+    const raw = String(query.sort).trim();
+    sortField = raw.replace(/^[-+]/, '');
+    sortOrder = raw.startsWith('-') ? 'desc' : 'asc';
+  }
+
+  if (!USER_SORT_FIELDS.includes(sortField)) {
+    return { sortField: 'createdAt', direction: -1 };
+  }
+
+  const direction = String(sortOrder || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+  return { sortField, direction };
+};
+
 exports.getAllUsers = async (req, res) => {
   try {
-    // Exclude deleted users from the main list
-    const users = await User.find({ isDeleted: { $ne: true } });
+    const filter = buildUserListFilter(req.query);
+    const { sortField, direction } = parseUserListSort(req.query);
+    const sort = { [sortField]: direction, _id: direction };
+
+    // Pagination is opt-in so older admin panel builds still receive the full list
+    const { cursor } = req.query;
+    const isPaginated = Boolean(req.query.page || req.query.limit || cursor);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    let query;
+    if (!isPaginated) {
+      query = User.find(filter).sort(sort);
+    } else if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid cursor'
+        });
+      }
+      query = User.find({ $and: [filter, buildCursorFilter(decoded, sortField, direction)] })
+        .sort(sort)
+        .limit(limit + 1);
+    } else {
+      query = User.find(filter).sort(sort).skip(skip).limit(limit + 1);
+    }
+
+    const [results, total] = await Promise.all([
+      query,
+      User.countDocuments(filter)
+    ]);
+
+    const hasNextPage = isPaginated && results.length > limit;
+    const users = hasNextPage ? results.slice(0, limit) : results;
     
     // Process users to ensure photo URLs are correct
     // Use Render URL for image assets
@@ -402,12 +563,26 @@ exports.getAllUsers = async (req, res) => {
       
       return userObj;
     });
+
+    const pagination = isPaginated
+      ? {
+          total,
+          limit,
+          page: cursor ? null : page,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage,
+          nextCursor: hasNextPage ? encodeCursor(users[users.length - 1], sortField) : null
+        }
+      : { total, limit: null, page: 1, totalPages: 1, hasNextPage: false, nextCursor: null };
     
     res.status(200).json({
       status: 'success',
+      results: processedUsers.length,
       data: {
         users: processedUsers
-      }
+      },
+      pagination,
+      sort: { sortBy: sortField, sortOrder: direction === -1 ? 'desc' : 'asc' }
     });
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -422,7 +597,7 @@ exports.updateUser = async (req, res) => {
   try {
     console.log('Update request received:', req.params.id, req.body); // Debug log
 
-    const allowedUpdates = ['name', 'email', 'phone', 'gender', 'address', 'plan', 'startDate', 'endDate'];
+    const allowedUpdates = ['name', 'email', 'phone', 'gender', 'address', 'gstin', 'plan', 'startDate', 'endDate'];
     const updates = {};
     
     // Only include allowed fields that are present in the request
@@ -441,27 +616,28 @@ exports.updateUser = async (req, res) => {
       });
     }
 
-    // Plan to months mapping
-    const planToMonths = {
-      '1month': 1,
-      '2month': 2,
-      '3month': 3,
-      '6month': 6,
-      'yearly': 12
-    };
+    // A changed plan must exist in the active plan catalog
+    if (updates.plan && updates.plan !== user.plan) {
+      const newPlan = await getActivePlan(updates.plan);
+      if (!newPlan) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Invalid plan type: ${updates.plan}`
+        });
+      }
+      updates.plan = newPlan.code;
+    }
 
     // Auto-calculate end date if start date is updated or plan is changed
-    const plan = updates.plan || user.plan;
+    const plan = await getPlanByCode(updates.plan || user.plan);
     const startDate = updates.startDate ? new Date(updates.startDate) : new Date(user.startDate);
     
     // If start date is being updated or plan is being changed, recalculate end date
     if (updates.startDate || updates.plan) {
       if (startDate && !isNaN(startDate.getTime())) {
-        const months = planToMonths[plan] || 1;
-        const endDate = new Date(startDate);
-        endDate.setMonth(endDate.getMonth() + months);
+        const endDate = addPlanDuration(startDate, plan || user.plan);
         updates.endDate = endDate;
-        console.log('Auto-calculated end date:', updates.endDate, 'based on plan:', plan, 'and start date:', startDate);
+        console.log('Auto-calculated end date:', updates.endDate, 'based on plan:', updates.plan || user.plan, 'and start date:', startDate);
       }
     }
 
@@ -475,6 +651,15 @@ exports.updateUser = async (req, res) => {
       }
     );
 
+    await recordAudit({
+      req,
+      action: 'member.update',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before: snapshotMember(user),
+      after: snapshotMember(updatedUser)
+    });
+
     console.log('User updated successfully:', updatedUser); // Debug log
 
     res.status(200).json({
@@ -524,6 +709,8 @@ exports.deleteUser = async (req, res) => {
       }
     }
 
+    const before = snapshotMember(user);
+
     // Soft delete: Mark user as deleted but preserve revenue data
     user.isDeleted = true;
     user.deletedAt = new Date();
@@ -536,6 +723,15 @@ exports.deleteUser = async (req, res) => {
     await user.save();
     console.log('User soft deleted successfully (revenue preserved):', userId);
 
+    await recordAudit({
+      req,
+      action: 'member.delete',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user)
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'User deleted successfully. Revenue data preserved for accounting purposes.'
@@ -625,6 +821,14 @@ exports.cleanupTestUsers = async (req, res) => {
   }
 };
 
+// Response message for a manual notification; per-channel details go in `deliveries`
+const getNotifyMessage = (label, deliveries) => {
+  const results = Object.values(deliveries);
+  if (results.some(isDelivered)) return `${label} sent successfully`;
+  if (results.some(result => result.status === 'pending')) return `${label} queued for delivery`;
+  return `${label} was not sent`;
+};
+
 exports.notifyExpiredMember = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -638,70 +842,15 @@ exports.notifyExpiredMember = async (req, res) => {
       });
     }
 
-    // Create renewal token
-    const renewalToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Use environment variable for frontend URL; default to live site in production
-    const frontendUrl = process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production'
-      ? 'https://stargympetlad.netlify.app'
-      : 'http://localhost:5173');
-    const renewalUrl = `${frontendUrl}/renew-membership/${renewalToken}`;
+    const renewalUrl = createRenewalUrl(user);
 
-    // Send notification email
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Your StarGym Membership Has Expired - Renew Now!',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h1 style="color: #333; text-align: center;">Membership Expired</h1>
-            
-            <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px;">
-              <p>Dear ${user.name},</p>
-              <p>We hope you've been enjoying your fitness journey with StarGym! We noticed that your membership has expired on ${new Date(user.endDate).toLocaleDateString()}.</p>
-              
-              <div style="background-color: #fff; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="color: #333; margin-top: 0;">Your Membership Details:</h3>
-                <p><strong>Plan:</strong> ${user.plan}</p>
-                <p><strong>Start Date:</strong> ${new Date(user.startDate).toLocaleDateString()}</p>
-                <p><strong>End Date:</strong> ${new Date(user.endDate).toLocaleDateString()}</p>
-              </div>
-
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${renewalUrl}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
-                  Renew Membership
-                </a>
-              </div>
-
-              <p style="font-size: 14px; color: #666;">
-                This renewal link will expire in 7 days. If you have any questions, please don't hesitate to contact us.
-              </p>
-            </div>
-          </div>
-        `
-      });
-      try {
-        const text = `Hi ${user.name}, your Star Gym membership expired on ${new Date(user.endDate).toLocaleDateString()}. Renew here: ${renewalUrl}`;
-        await sendWhatsAppText({ phone: user.phone, message: text });
-      } catch (waError) {
-        console.error('WhatsApp expired notify error:', waError);
-      }
-      res.status(200).json({
-        status: 'success',
-        message: 'Notification sent successfully'
-      });
-    } catch (emailError) {
-      console.error('Email sending error:', emailError);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to send email notification',
-        error: emailError.message
-      });
-    }
+    // Failed deliveries stay in the outbox and are retried
+    const deliveries = await sendNotification('membership_expired', { user, values: { renewalUrl } });
+    res.status(200).json({
+      status: 'success',
+      message: getNotifyMessage('Notification', deliveries),
+      deliveries
+    });
   } catch (error) {
     console.error('Error in notifyExpiredMember:', error);
     res.status(500).json({
@@ -738,84 +887,19 @@ exports.notifyExpiringMember = async (req, res) => {
       });
     }
 
-    // Create renewal token
-    const renewalToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const renewalUrl = createRenewalUrl(user);
 
-    // Use environment variable for frontend URL; default to live site in production
-    const frontendUrl = process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production'
-      ? 'https://stargympetlad.netlify.app'
-      : 'http://localhost:5173');
-    const renewalUrl = `${frontendUrl}/renew-membership/${renewalToken}`;
-
-    // Send notification email
-    try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Your StarGym Membership Expires Soon - Renew Now!',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f8f8; padding: 20px;">
-            <div style="background-color: #ffffff; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-              <h1 style="color: #333; text-align: center; margin: 0;">⚠️ Membership Expiring Soon</h1>
-              
-              <div style="background-color: #fff3e0; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ff9800;">
-                <p style="color: #444; font-size: 16px; margin: 0 0 15px 0;">Dear ${user.name},</p>
-                <p style="color: #444; line-height: 1.5; margin: 0 0 20px 0;">We wanted to remind you that your StarGym membership will expire in <strong>${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}</strong> on ${new Date(user.endDate).toLocaleDateString()}.</p>
-                
-                <div style="background-color: #fff; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                  <h3 style="color: #333; margin-top: 0;">Your Membership Details:</h3>
-                  <p style="margin: 8px 0; color: #666;"><strong>Plan:</strong> ${user.plan}</p>
-                  <p style="margin: 8px 0; color: #666;"><strong>Start Date:</strong> ${new Date(user.startDate).toLocaleDateString()}</p>
-                  <p style="margin: 8px 0; color: #666;"><strong>End Date:</strong> ${new Date(user.endDate).toLocaleDateString()}</p>
-                  <p style="margin: 8px 0; color: #666;"><strong>Days Remaining:</strong> <span style="color: #ff9800; font-weight: bold;">${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}</span></p>
-                </div>
-
-                <div style="text-align: center; margin: 30px 0;">
-                  <a href="${renewalUrl}" style="background: linear-gradient(135deg, #ff9800 0%, #f57c00 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px; box-shadow: 0 4px 15px rgba(255, 152, 0, 0.4); display: inline-block; transition: all 0.3s ease;">
-                    🔄 Renew Membership Now
-                  </a>
-                </div>
-
-                <p style="font-size: 14px; color: #666; margin-top: 20px;">
-                  Don't miss out on your fitness journey! Renew now to continue enjoying all StarGym facilities and services.
-                </p>
-                <p style="font-size: 12px; color: #999; margin-top: 15px;">
-                  This renewal link will expire in 7 days. If you have any questions, please don't hesitate to contact us.
-                </p>
-              </div>
-              
-              <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #666; margin-bottom: 5px;">Need help? Contact us:</p>
-                <p style="color: #666; margin: 0;">📍 Address: 2nd floor, Krishiv complex, Swaminarayan mandir Rd, Petlad, 388450</p>
-                <p style="color: #666; margin: 5px 0;">📞 Phone: 9313720714</p>
-                <p style="color: #666; margin: 5px 0;">📧 Email: stargympetlad0205@gmail.com</p>
-              </div>
-            </div>
-          </div>
-        `
-      });
-      try {
-        const text = `Hi ${user.name}, your Star Gym membership expires in ${daysLeft} days on ${new Date(user.endDate).toLocaleDateString()}. Renew here: ${renewalUrl}`;
-        await sendWhatsAppText({ phone: user.phone, message: text });
-      } catch (waError) {
-        console.error('WhatsApp expiring notify error:', waError);
-      }
-      res.status(200).json({
-        status: 'success',
-        message: 'Expiry notification sent successfully',
-        daysLeft: daysLeft
-      });
-    } catch (emailError) {
-      console.error('Email sending error:', emailError);
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to send email notification',
-        error: emailError.message
-      });
-    }
+    // Failed deliveries stay in the outbox and are retried
+    const deliveries = await sendNotification('membership_expiring', {
+      user,
+      values: { daysLeft, daysLabel: daysLeft === 1 ? 'day' : 'days', expiresToday: daysLeft === 0, renewalUrl }
+    });
+    res.status(200).json({
+      status: 'success',
+      message: getNotifyMessage('Expiry notification', deliveries),
+      daysLeft: daysLeft,
+      deliveries
+    });
   } catch (error) {
     console.error('Error in notifyExpiringMember:', error);
     res.status(500).json({
@@ -868,7 +952,7 @@ exports.verifyRenewalToken = async (req, res) => {
 exports.renewMembership = async (req, res) => {
   try {
     const { token } = req.params;
-    const { plan, startDate, endDate, paymentMethod, orderId } = req.body;
+    const { plan, startDate, endDate, paymentMethod, orderId, couponCode } = req.body;
 
     // Verify the token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
@@ -881,178 +965,35 @@ exports.renewMembership = async (req, res) => {
       });
     }
 
-    // Store previous plan details
-    const previousPlan = user.plan;
-    const previousAmount = getPlanAmount(user.plan);
-    const newAmount = getPlanAmount(plan);
-
-    // If this is the first renewal, set the originalJoinDate
-    if (!user.originalJoinDate) {
-      user.originalJoinDate = user.startDate;
+    const selectedPlan = await getActivePlan(plan);
+    if (!selectedPlan) {
+      const activePlanCodes = await getActivePlanCodes();
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid plan type. Must be one of: ${activePlanCodes.join(', ')}`
+      });
     }
 
-    // Update user's membership details
-    user.plan = plan;
-    user.startDate = startDate;
-    user.endDate = endDate;
-    user.paymentMethod = paymentMethod;
-    user.paymentStatus = 'pending';
-    user.subscriptionStatus = 'pending';
-
-    // Log this renewal in the renewals array with previous plan details
-    user.renewals = user.renewals || [];
-    user.renewals.push({
-      plan,
+    const { paymentData, previousPlan, previousAmount, newAmount } = await requestRenewal(user, {
+      plan: selectedPlan,
       startDate,
       endDate,
       paymentMethod,
-      renewedAt: new Date(),
-      previousPlan,
-      previousAmount,
-      newAmount
+      orderId,
+      couponCode
     });
 
-    // Increment renewal count
-    user.renewalCount = (user.renewalCount || 0) + 1;
-
-    let paymentData = null;
-
-    // If online payment, create payment
-    if (paymentMethod === 'online') {
-      const { createPayment } = require('../services/paymentService');
-      try {
-        const { payment } = await createPayment({
-          userId: user._id,
-          plan: plan,
-          amount: newAmount
-        });
-        
-        // Link payment to renewal
-        payment.meta = { ...payment.meta, plan, isRenewal: true };
-        await payment.save();
-        
-        paymentData = {
-          orderId: payment.orderId,
-          paymentId: payment._id.toString(),
-          upiIntent: payment.upiIntent,
-          qrImage: payment.qrImage,
-          amount: payment.amount,
-          currency: payment.currency,
-          expiresAt: payment.expiresAt,
-          status: payment.status
-        };
-      } catch (paymentError) {
-        console.error('Error creating payment for renewal:', paymentError);
-        // Continue with renewal even if payment creation fails
+    // Confirmation by email and WhatsApp
+    await sendNotification('renewal_received', {
+      user,
+      values: {
+        previousPlan: {
+          name: getPlanDisplayName(previousPlan),
+          price: formatIndianPrice(previousAmount)
+        },
+        amount: formatIndianPrice(newAmount)
       }
-    } else if (orderId) {
-      // If orderId provided (legacy support), link existing payment
-      const Payment = require('../models/Payment');
-      const payment = await Payment.findOne({ orderId });
-      if (payment) {
-        payment.user = user._id;
-        payment.meta = { ...payment.meta, plan, isRenewal: true };
-        await payment.save();
-      }
-    }
-
-    await user.save();
-
-    // Send confirmation email
-    await sendEmail({
-      email: user.email,
-      subject: 'Membership Renewal Request Received - StarGym',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Renewal Request - StarGym</title>
-        </head>
-        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f8f8; padding: 20px;">
-          <div style="background-color: #ffffff; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-            <div style="text-align: center; margin-bottom: 30px;">
-              <h1 style="color: #333; margin: 0;">Renewal Request Received! 🎉</h1>
-              <p style="color: #666; margin-top: 10px;">Your StarGym membership renewal is being processed</p>
-            </div>
-
-            <div style="margin-bottom: 30px;">
-              <p style="color: #444; font-size: 16px;">Dear ${user.name},</p>
-              <p style="color: #444; line-height: 1.5;">Thank you for choosing to continue your fitness journey with StarGym! Your renewal request has been received and is pending approval.</p>
-            </div>
-
-            <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 30px;">
-              <h2 style="color: #333; margin-top: 0; font-size: 18px;">Renewal Details</h2>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">Previous Plan:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">${getPlanDisplayName(previousPlan)}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">Previous Amount:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">₹${previousAmount.toLocaleString('en-IN')}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">New Plan:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">${getPlanDisplayName(plan)}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">New Amount:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">₹${newAmount.toLocaleString('en-IN')}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">Start Date:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">${new Date(startDate).toLocaleDateString()}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">End Date:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">${new Date(endDate).toLocaleDateString()}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">Payment Method:</td>
-                  <td style="padding: 8px 0; color: #333; font-weight: bold;">${paymentMethod.charAt(0).toUpperCase() + paymentMethod.slice(1)}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 8px 0; color: #666;">Status:</td>
-                  <td style="padding: 8px 0; color: #ff9800; font-weight: bold;">Pending Approval</td>
-                </tr>
-              </table>
-            </div>
-
-            <div style="background-color: #fff3e0; padding: 15px; border-radius: 8px; margin-bottom: 30px;">
-              <p style="color: #f57c00; margin: 0;">⚠️ Important Note:</p>
-              <p style="color: #666; margin: 10px 0 0 0;">Your membership will be activated once the payment is confirmed by our admin team. Please ensure your payment is completed as per the selected payment method.</p>
-            </div>
-
-            <div style="background-color: #e8f5e9; padding: 15px; border-radius: 8px; margin-bottom: 30px;">
-              <p style="color: #2e7d32; margin: 0;">✨ What's Next?</p>
-              <ul style="color: #666; margin: 10px 0 0 0; padding-left: 20px;">
-                <li>Complete your payment as per the selected method</li>
-                <li>Wait for admin confirmation</li>
-                <li>You'll receive another email once your renewal is approved</li>
-                <li>Continue enjoying all StarGym facilities</li>
-              </ul>
-            </div>
-            
-            <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-              <p style="color: #666; margin-bottom: 5px;">Need help? Contact us:</p>
-              <p style="color: #666; margin: 0;">📍 Address: 2nd floor, Krishiv complex, Swaminarayan mandir Rd, Petlad, 388450</p>
-              <p style="color: #666; margin: 5px 0;">📞 Phone: 9313720714</p>
-              <p style="color: #666; margin: 5px 0;">📧 Email: stargympetlad0205@gmail.com</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `
     });
-    // WhatsApp renewal received
-    try {
-      const text = `Hi ${user.name}, your Star Gym renewal request for ${getPlanDisplayName(plan)} has been received. Start: ${new Date(startDate).toLocaleDateString()}, End: ${new Date(endDate).toLocaleDateString()}.`;
-      await sendWhatsAppText({ phone: user.phone, message: text });
-    } catch (waError) {
-      console.error('WhatsApp renewal message error:', waError);
-    }
 
     res.status(200).json({
       status: 'success',
@@ -1067,9 +1008,9 @@ exports.renewMembership = async (req, res) => {
         message: 'Invalid or expired token'
       });
     }
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
-      message: 'Error processing renewal request'
+      message: error.statusCode ? error.message : 'Error processing renewal request'
     });
   }
 };
@@ -1086,43 +1027,48 @@ exports.rejectRenewal = async (req, res) => {
       });
     }
 
-    // Update user's subscription status
-    user.subscriptionStatus = 'expired';
+    const renewal = getPendingRenewal(user);
+    if (!renewal) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This member has no pending renewal'
+      });
+    }
+
+    const before = snapshotMember(user);
+
+    // The current membership is untouched; it only lapses if it has already ended.
+    // Any coupon reserved for the renewal goes back.
+    renewal.status = 'rejected';
+    if (user.endDate && new Date(user.endDate) < new Date()) {
+      user.subscriptionStatus = 'expired';
+    }
+    await setPendingCoupon(user, null);
     await user.save();
 
-    // Send rejection email
-    await sendEmail({
-      email: user.email,
-      subject: 'Membership Renewal Request Rejected - Star Gym',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #333; text-align: center;">Renewal Request Rejected</h1>
-          
-          <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px;">
-            <p>Dear ${user.name},</p>
-            <p>We regret to inform you that your membership renewal request has been rejected.</p>
-            
-            <div style="background-color: #fff; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h3>Membership Details:</h3>
-              <p><strong>Current Plan:</strong> ${user.plan}</p>
-              <p><strong>End Date:</strong> ${new Date(user.endDate).toLocaleDateString()}</p>
-            </div>
-            
-            <p style="font-size: 14px; color: #666; margin-top: 20px;">
-              If you have any questions or concerns, please contact our support team.
-            </p>
-          </div>
-        </div>
-      `
+    // Close the renewal's unpaid order so it can't be paid after the rejection
+    const openPayments = await Payment.find({
+      user: user._id,
+      status: 'created',
+      'meta.renewal.renewalId': renewal._id
     });
-    // WhatsApp rejection notice
-    try {
-      const text = `Hi ${user.name}, your Star Gym renewal request was rejected. Please contact support if you have questions.`;
-      await sendWhatsAppText({ phone: user.phone, message: text });
-    } catch (waError) {
-      console.error('WhatsApp renewal reject error:', waError);
+    for (const payment of openPayments) {
+      await markPaymentFailed({ orderId: payment.orderId, reason: 'renewal_rejected' });
     }
 
+    await recordAudit({
+      req,
+      action: 'renewal.reject',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: { renewalId: renewal._id, plan: renewal.plan }
+    });
+
+    // Rejection notice by email and WhatsApp
+    await sendNotification('renewal_rejected', { user });
+
     res.status(200).json({
       status: 'success',
       message: 'Renewal request rejected successfully'
@@ -1159,6 +1105,36 @@ exports.addMembershipHistory = async (req, res) => {
       });
     }
 
+    // Refund entries carry a refund record and note, so they cannot be added by hand
+    if (type === 'refund') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Refunds must be recorded with the refund endpoint'
+      });
+    }
+
+    // Historical entries may reference inactive plans, but the plan must exist
+    const historyPlan = await getPlanByCode(plan);
+    if (!historyPlan) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown plan: ${plan}`
+      });
+    }
+
+    // Staff who can only collect payments record plain joins and renewals at the catalog charge
+    if (!hasPermission(req.user && req.user.role, 'payments:adjust')) {
+      const catalogCharge = await getChargeAmount(historyPlan.price);
+      if (!['join', 'renewal'].includes(type)
+        || Math.abs(Number(amount) - catalogCharge) > 0.01
+        || String(duration) !== getHistoryDuration(historyPlan)) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Only ${historyPlan.displayName} joins or renewals at Rs. ${catalogCharge} can be recorded without the payments:adjust permission`
+        });
+      }
+    }
+
     // Find the user
     const user = await User.findById(userId);
     if (!user) {
@@ -1168,6 +1144,15 @@ exports.addMembershipHistory = async (req, res) => {
       });
     }
 
+    const before = snapshotMember(user);
+
+    // Confirmed cash goes through the open drawer session, and never into a closed one
+    let cashTag = {};
+    if (paymentMode === 'cash' && paymentStatus === 'confirmed') {
+      await assertCashPeriodOpen(date);
+      cashTag = await getCashTag(paymentMode, req.user && req.user.id);
+    }
+
     // Initialize membershipHistory array if it doesn't exist
     if (!user.membershipHistory) {
       user.membershipHistory = [];
@@ -1183,20 +1168,20 @@ exports.addMembershipHistory = async (req, res) => {
       plan,
       paymentStatus: paymentStatus || 'pending',
       transactionId,
+      ...await getHistoryTax(amount),
+      ...cashTag,
       notes
     };
     user.membershipHistory.push(membershipEntry);
+    const historyEntry = user.membershipHistory[user.membershipHistory.length - 1];
 
     // Update user's current plan and dates if it's a new membership or renewal
     if (type === 'join' || type === 'renewal') {
       user.plan = plan;
       user.startDate = new Date(date);
       
-      // Calculate end date based on duration
-      const durationMonths = parseInt(duration);
-      const endDate = new Date(date);
-      endDate.setMonth(endDate.getMonth() + durationMonths);
-      user.endDate = endDate;
+      // Calculate end date based on duration ("3" = months, "15d" = days)
+      user.endDate = addHistoryDuration(date, duration);
       
       user.paymentMethod = paymentMode;
       user.paymentStatus = paymentStatus || 'pending';
@@ -1205,10 +1190,27 @@ exports.addMembershipHistory = async (req, res) => {
     // Save the user
     await user.save();
 
+    const receipt = await safeIssueReceipt(() => issueReceiptForHistoryEntry(user, historyEntry));
+    await grantReferralReward(user, { audit: { req } });
+
+    await recordAudit({
+      req,
+      action: 'membership_history.add',
+      target: { type: 'membership_history', id: historyEntry._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: {
+        entry: historyEntry.toObject(),
+        receiptNumber: receipt ? receipt.receiptNumber : null
+      }
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
         membershipHistory: user.membershipHistory,
+        receipt,
         currentPlan: {
           plan: user.plan,
           startDate: user.startDate,
@@ -1220,9 +1222,181 @@ exports.addMembershipHistory = async (req, res) => {
     });
   } catch (error) {
     console.error('Error adding membership history:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'error',
       message: error.message || 'Error adding membership history'
     });
   }
-};
\ No newline at end of file
+};
+
+exports.freezeMembership = async (req, res) => {
+  try {
+    const { startDate, days, endDate, reason } = req.body;
+    const { user, freeze } = await freezeMembership(req.params.userId, {
+      startDate,
+      days,
+      endDate,
+      reason,
+      adminId: req.user && req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'membership.freeze',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      meta: { freeze: freeze.toObject ? freeze.toObject() : freeze, endDate: user.endDate }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Membership frozen for ${freeze.days} days`,
+      data: {
+        freeze,
+        endDate: user.endDate,
+        subscriptionStatus: user.subscriptionStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error freezing membership:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error freezing membership'
+    });
+  }
+};
+
+exports.unfreezeMembership = async (req, res) => {
+  try {
+    const { user, freeze } = await unfreezeMembership(req.params.userId);
+
+    await recordAudit({
+      req,
+      action: 'membership.unfreeze',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      meta: { freeze: freeze.toObject ? freeze.toObject() : freeze, endDate: user.endDate }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: freeze.status === 'cancelled' ? 'Freeze cancelled' : `Membership unfrozen after ${freeze.days} days`,
+      data: {
+        freeze,
+        endDate: user.endDate,
+        subscriptionStatus: user.subscriptionStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error unfreezing membership:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error unfreezing membership'
+    });
+  }
+};
+
+// Preview the proration for a mid-term plan change without committing it
+exports.previewPlanChange = async (req, res) => {
+  try {
+    const plan = req.query.plan || req.body.plan;
+    if (!plan) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'plan is required'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    const quote = await calculatePlanChange(user, plan);
+
+    res.status(200).json({
+      status: 'success',
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Error previewing plan change:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error previewing plan change'
+    });
+  }
+};
+
+// Commit a mid-term upgrade/downgrade. Online top-ups create a payment and the
+// plan switches once it is paid; cash top-ups and credits apply immediately.
+exports.changePlan = async (req, res) => {
+  try {
+    const { plan, paymentMethod = 'cash' } = req.body;
+    if (!plan) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'plan is required'
+      });
+    }
+    if (!['cash', 'online'].includes(paymentMethod)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid payment method. Must be either cash or online'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    const quote = await calculatePlanChange(user, plan);
+
+    if (quote.chargeAmount > 0 && paymentMethod === 'online') {
+      const { payment } = await createPayment({
+        userId: user._id,
+        plan: quote.newPlan,
+        paymentMethod: 'online',
+        meta: { isPlanChange: true }
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Top-up payment created. The plan will change once it is paid.',
+        data: {
+          quote: payment.meta.planChange,
+          paymentData: toPaymentData(payment)
+        }
+      });
+    }
+
+    const before = snapshotMember(user);
+    const { user: updatedUser, creditNote, receipt } = await applyPlanChange(user, quote, {
+      paymentMode: paymentMethod,
+      adminId: req.user && req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'membership.plan_change',
+      target: { type: 'member', id: updatedUser._id },
+      member: updatedUser._id,
+      before,
+      after: snapshotMember(updatedUser),
+      meta: {
+        quote,
+        creditNote,
+        receiptNumber: receipt ? receipt.receiptNumber : null
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Plan changed from ${quote.previousPlanName} to ${quote.newPlanName}`,
+      data: {
+        quote,
+        creditNote,
+        receipt,
+        user: updatedUser
+      }
+    });
+  } catch (error) {
+    console.error('Error changing plan:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Error changing plan'
+    });
+  }
+};
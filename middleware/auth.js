@@ -1,17 +1,45 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const APIError = require('../utils/APIError');
 const Admin = require('../models/Admin');
+const User = require('../models/User');
+const { getRolePermissions, hasPermission } = require('../config/permissions');
+
+const getRequestToken = (req, cookieName) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  if (req.cookies && req.cookies[cookieName]) {
+    return req.cookies[cookieName];
+  }
+  return null;
+};
+
+const sendTokenError = (res, jwtError) => {
+  if (jwtError.name === 'TokenExpiredError') {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Your session has expired. Please login again.'
+    });
+  }
+  
+  if (jwtError.name === 'JsonWebTokenError') {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid token. Please login again.'
+    });
+  }
+  
+  return res.status(401).json({
+    status: 'error',
+    message: 'Invalid or expired token'
+  });
+};
 
 exports.protect = async (req, res, next) => {
   try {
     // Get token from header or cookie
-    let token;
-    
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    const token = getRequestToken(req, 'token');
 
     if (!token) {
       return res.status(401).json({
@@ -23,6 +51,14 @@ exports.protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Member portal tokens never grant access to admin routes
+      if (decoded.role === 'member') {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Member accounts cannot access admin routes'
+        });
+      }
       
       // Verify that the admin still exists in database
       const admin = await Admin.findById(decoded.id);
@@ -33,37 +69,77 @@ exports.protect = async (req, res, next) => {
         });
       }
 
-      // Attach user info to request
+      if (admin.status !== 'active') {
+        return res.status(401).json({
+          status: 'error',
+          message: 'This staff account has been disabled'
+        });
+      }
+
+      // Role comes from the database so re-roling or disabling takes effect immediately
       req.user = {
         id: decoded.id,
-        role: decoded.role || 'admin'
+        role: admin.role,
+        permissions: getRolePermissions(admin.role)
       };
       
       next();
     } catch (jwtError) {
       console.error('JWT verification error:', jwtError);
-      
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
+      return sendTokenError(res, jwtError);
+    }
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Member portal routes - only accepts tokens issued by the member OTP login
+exports.protectMember = async (req, res, next) => {
+  try {
+    const token = getRequestToken(req, 'memberToken');
+
+    if (!token) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Not authorized to access this route. Please login.'
+      });
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (decoded.role !== 'member') {
+        return res.status(403).json({
           status: 'error',
-          message: 'Your session has expired. Please login again.'
+          message: 'Member login required'
         });
       }
-      
-      if (jwtError.name === 'JsonWebTokenError') {
+
+      const member = await User.findById(decoded.id);
+      if (!member || member.isDeleted) {
         return res.status(401).json({
           status: 'error',
-          message: 'Invalid token. Please login again.'
+          message: 'Member account no longer exists'
         });
       }
-      
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid or expired token'
-      });
+
+      req.user = {
+        id: decoded.id,
+        role: 'member'
+      };
+      req.member = member;
+
+      next();
+    } catch (jwtError) {
+      console.error('Member JWT verification error:', jwtError);
+      return sendTokenError(res, jwtError);
     }
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    console.error('Member auth middleware error:', error);
     return res.status(500).json({
       status: 'error',
       message: 'Authentication error'
@@ -71,7 +147,60 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Middleware specifically for admin routes - requires admin role
+// Public routes that do more for a signed-in caller: sets req.user for an active
+// staff account or member when a valid token is sent, and carries on without
+// one otherwise
+exports.identify = async (req, res, next) => {
+  const token = getRequestToken(req, 'token') || getRequestToken(req, 'memberToken');
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role === 'member') {
+      const member = await User.findById(decoded.id);
+      if (member && !member.isDeleted) {
+        req.user = { id: decoded.id, role: 'member' };
+        req.member = member;
+      }
+    } else {
+      const admin = await Admin.findById(decoded.id);
+      if (admin && admin.status === 'active') {
+        req.user = {
+          id: decoded.id,
+          role: admin.role,
+          permissions: getRolePermissions(admin.role)
+        };
+      }
+    }
+  } catch (error) {
+    // An invalid or expired token is treated like no token
+  }
+  next();
+};
+
+// Check-in kiosks authenticate with the shared KIOSK_API_KEY (X-Kiosk-Key header);
+// without it, fall back to a normal admin login
+exports.protectKiosk = (req, res, next) => {
+  const kioskKey = req.headers['x-kiosk-key'];
+  const expectedKey = process.env.KIOSK_API_KEY;
+
+  if (kioskKey && expectedKey) {
+    const provided = Buffer.from(String(kioskKey));
+    const expected = Buffer.from(expectedKey);
+    if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+      req.user = { id: null, role: 'kiosk' };
+      return next();
+    }
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid kiosk key'
+    });
+  }
+
+  return exports.protect(req, res, next);
+};
+
+// Middleware specifically for admin routes - requires the owner role
 exports.restrictToAdmin = async (req, res, next) => {
   try {
     // First check if user is authenticated
@@ -82,8 +211,8 @@ exports.restrictToAdmin = async (req, res, next) => {
       });
     }
 
-    // Check if user has admin role
-    if (req.user.role !== 'admin') {
+    // Check if user has owner role
+    if (req.user.role !== 'owner') {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. Admin privileges required.'
@@ -117,4 +246,25 @@ exports.restrictTo = (...roles) => {
     }
     next();
   };
-}; 
\ No newline at end of file
+};
+
+// Staff routes - requires every listed permission (see config/permissions.js)
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+};
@@ -59,6 +59,21 @@ const upload = multer({
   }
 });
 
+// Bank/UPI statement exports for payment matching (see services/statementService.js)
+const uploadStatement = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Only .csv statement files are allowed!'));
+  }
+});
+
 // Error handling middleware
 const handleUploadError = (err, req, res, next) => {
   console.error('Upload error:', err);
@@ -77,4 +92,4 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
-module.exports = { upload, handleUploadError }; 
\ No newline at end of file
+module.exports = { upload, uploadStatement, handleUploadError }; 
\ No newline at end of file
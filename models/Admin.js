@@ -1,7 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { STAFF_ROLES } = require('../config/permissions');
 
 const adminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
   email: {
     type: String,
     required: [true, 'Please provide your email'],
@@ -9,16 +14,41 @@ const adminSchema = new mongoose.Schema({
     lowercase: true,
     index: true
   },
+  // Invited staff have no password until they accept the invite
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    required: [function() { return this.status !== 'invited'; }, 'Please provide a password'],
     minlength: 8,
     select: false
   },
+  // Accounts created before staff roles existed were the single owner
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    default: 'owner'
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'disabled'],
+    default: 'active'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  inviteToken: {
+    type: String,
+    select: false
+  },
+  inviteExpires: Date,
+  disabledAt: Date,
+  lastLoginAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
   passwordResetOTP: String,
   passwordResetOTPExpires: Date
+}, {
+  timestamps: true
 });
 
 adminSchema.methods.correctPassword = async function(candidatePassword, userPassword) {
@@ -30,6 +60,12 @@ adminSchema.methods.correctPassword = async function(candidatePassword, userPass
   }
 };
 
+// Active owners, including accounts saved before roles existed (no role or status stored)
+adminSchema.statics.activeOwnerFilter = () => ({
+  role: { $in: ['owner', null] },
+  status: { $in: ['active', null] }
+});
+
 adminSchema.index({ email: 1, password: 1 });
 
-module.exports = mongoose.model('Admin', adminSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const AttendanceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    checkInAt: {
+      type: Date,
+      required: true,
+      default: Date.now
+    },
+    checkOutAt: {
+      type: Date,
+      default: null
+    },
+    // How the visit was recorded
+    source: {
+      type: String,
+      enum: ['qr', 'manual'],
+      default: 'qr'
+    },
+    kioskId: {
+      type: String,
+      trim: true
+    },
+    // Snapshot of the plan at the time of the visit
+    plan: String
+  },
+  { timestamps: true }
+);
+
+AttendanceSchema.index({ user: 1, checkInAt: -1 });
+AttendanceSchema.index({ checkInAt: -1 });
+
+module.exports = mongoose.model('Attendance', AttendanceSchema);
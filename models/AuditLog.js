@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Append-only record of staff and system actions. Each row stores the hash of
+// the previous row, so editing or deleting a row breaks the chain.
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['staff', 'kiosk', 'member', 'webhook', 'system'],
+      required: true
+    },
+    id: String,
+    role: String,
+    label: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: String
+  },
+  // Member the action concerns, for per-member queries
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  meta: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  minimize: false
+});
+
+auditLogSchema.index({ member: 1, at: -1 });
+auditLogSchema.index({ 'actor.id': 1, at: -1 });
+auditLogSchema.index({ action: 1, at: -1 });
+auditLogSchema.index({ at: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One front-desk cash drawer session. Cash membershipHistory entries recorded
+// while it is open carry its id in `cashSession`; totals are frozen on close.
+const CashSessionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Cash in the drawer when the session was opened
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: [0, 'Opening float cannot be negative']
+  },
+  openingNote: {
+    type: String,
+    trim: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  closedAt: Date,
+  // Set on close
+  collections: Number,
+  refunds: Number,
+  entryCount: Number,
+  expectedCash: Number,
+  countedCash: Number,
+  // countedCash - expectedCash; negative means the drawer is short
+  variance: Number,
+  varianceNote: {
+    type: String,
+    trim: true
+  },
+  byStaff: [{
+    staff: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    name: String,
+    collections: Number,
+    refunds: Number,
+    entryCount: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Only one drawer can be open at a time
+CashSessionSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+CashSessionSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model('CashSession', CashSessionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, "-" or "_"']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Please provide a discount type']
+  },
+  // Percent off for 'percentage', rupees off for 'flat'; taken off the plan price before GST
+  value: {
+    type: Number,
+    required: [true, 'Please provide a discount value'],
+    min: [0, 'Discount cannot be negative']
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Max discount cannot be negative']
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Total redemptions allowed across all members (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perMemberLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-member limit must be at least 1']
+  },
+  // Reserved or redeemed uses, kept in step with CouponRedemption
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Plan codes the coupon applies to (empty = all plans)
+  applicablePlans: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Only members with no paid membership history (new joins)
+  firstTimeOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+CouponSchema.index({ isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
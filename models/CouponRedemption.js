@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by a member. Reserved when the coupon is applied to a sale,
+// redeemed once the payment is confirmed, released if the sale falls through.
+const CouponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: String,
+  listPrice: Number,
+  discount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  membershipHistoryId: mongoose.Schema.Types.ObjectId,
+  // Which of the member's perMemberLimit uses this is (1..limit), held while
+  // reserved or redeemed and cleared on release
+  slot: Number,
+  redeemedAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+// A member can hold each slot once, so concurrent sales can't exceed perMemberLimit
+CouponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
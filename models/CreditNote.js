@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Credit owed to a member (unused value on a plan downgrade, referral rewards).
+// The balance is used up against the member's later payments (see services/creditNoteService.js).
+const CreditNoteSchema = new mongoose.Schema(
+  {
+    // e.g. SG/CN/2026-27/000004
+    creditNoteNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    financialYear: {
+      type: String,
+      required: true
+    },
+    sequence: {
+      type: Number,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['plan_change', 'referral'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    // Amount not yet used; reserved uses are taken off straight away
+    balance: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: ['open', 'applied', 'void'],
+      default: 'open'
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Uses against payments: reserved by an open order, redeemed once it is paid,
+    // released if the order expires or fails
+    redemptions: [{
+      amount: { type: Number, required: true },
+      status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved' },
+      payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+      membershipHistoryId: mongoose.Schema.Types.ObjectId,
+      reservedAt: { type: Date, default: Date.now },
+      redeemedAt: Date,
+      releasedAt: Date
+    }]
+  },
+  { timestamps: true }
+);
+
+// Gap-free numbering, separate from receipts and refunds
+CreditNoteSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+CreditNoteSchema.index({ user: 1, status: 1, issuedAt: 1 });
+
+module.exports = mongoose.model('CreditNote', CreditNoteSchema);
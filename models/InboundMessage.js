@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A message a member (or anyone) sent to the gym's WhatsApp number, received
+// through the WhatsApp webhook (see services/whatsappInboundService.js)
+const InboundMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['whatsapp'],
+    default: 'whatsapp'
+  },
+  // WhatsApp message id; webhooks are retried, so it is unique
+  providerMessageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Sender's number as WhatsApp reports it (country code, no '+')
+  from: {
+    type: String,
+    required: true
+  },
+  profileName: String,
+  // Member matched by phone number, if any
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    default: 'text'
+  },
+  text: String,
+  // Recognised keyword and what was done about it
+  keyword: {
+    type: String,
+    enum: ['renew', 'stop']
+  },
+  action: {
+    type: String,
+    enum: ['renewal_link_sent', 'opted_out', 'unknown_member', 'none'],
+    default: 'none'
+  },
+  reply: {
+    status: String,
+    reason: String,
+    outboxId: mongoose.Schema.Types.ObjectId
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+InboundMessageSchema.index({ receivedAt: -1 });
+InboundMessageSchema.index({ user: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('InboundMessage', InboundMessageSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Settings override of a built-in notification template (services/notificationTemplates).
+// One document per event; deleting it restores the built-in template.
+const NotificationTemplateSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  email: {
+    subject: {
+      type: String,
+      trim: true
+    },
+    html: String
+  },
+  whatsapp: {
+    text: String,
+    // Template approved in WhatsApp Manager, used outside the 24-hour session
+    // window where free-form text is rejected. Each parameter is a small
+    // template (e.g. "{{member.name}}") filling {{1}}, {{2}}, ... in order.
+    templateName: {
+      type: String,
+      trim: true
+    },
+    templateLanguage: {
+      type: String,
+      trim: true
+    },
+    templateParameters: [String]
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('NotificationTemplate', NotificationTemplateSchema);
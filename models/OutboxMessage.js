@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One outgoing email or WhatsApp message. Every notification is written here
+// first and delivered from here, so failed sends are retried and visible.
+const OutboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'whatsapp'],
+    required: true
+  },
+  // Email address or phone number
+  recipient: {
+    type: String,
+    trim: true
+  },
+  // Notification event the message was rendered from (e.g. 'renewal_received')
+  template: {
+    type: String,
+    trim: true
+  },
+  // { subject, html } for email. WhatsApp: { message } for text, plus
+  // { template: { name, language, parameters } } or { document: { link, filename } }
+  payload: mongoose.Schema.Types.Mixed,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  lastError: String,
+  sentAt: Date,
+  providerMessageId: String,
+  // WhatsApp status callbacks after the API accepted the message
+  deliveryStatus: {
+    type: String,
+    enum: ['sent', 'delivered', 'read', 'failed']
+  },
+  deliveredAt: Date,
+  readAt: Date,
+  // One-time codes: single attempt, payload dropped afterwards, never resent
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  resentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  resentAt: Date
+}, {
+  timestamps: true,
+  collection: 'outbox'
+});
+
+OutboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboxMessageSchema.index({ user: 1, createdAt: -1 });
+OutboxMessageSchema.index({ createdAt: -1 });
+OutboxMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('OutboxMessage', OutboxMessageSchema);
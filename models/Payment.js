@@ -22,16 +22,48 @@ const PaymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['created', 'paid', 'failed', 'expired'],
+      enum: ['created', 'paid', 'failed', 'expired', 'partially_refunded', 'refunded'],
       default: 'created'
     },
+    paymentMethod: {
+      type: String,
+      enum: ['online', 'cash'],
+      default: 'online'
+    },
+    // Provider that handles this payment, chosen per payment method in Settings.paymentSettings
+    // 'upi' = static UPI QR, 'razorpay' = gateway checkout, 'manual' = cash at the desk
+    provider: {
+      type: String,
+      enum: ['upi', 'razorpay', 'manual'],
+      default: 'upi'
+    },
     expiresAt: Date,
+    expiredAt: Date,
+    // Regenerated orders: the expired order points at its replacement and back
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
     upiIntent: String,
     qrImage: String,
     transactionRef: String,
+    razorpayOrderId: {
+      type: String,
+      index: true,
+      sparse: true
+    },
     razorpayPaymentId: String,
     razorpaySignature: String,
     paidAt: Date,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    refundedAt: Date,
     meta: {
       type: Object,
       default: {}
@@ -40,5 +72,8 @@ const PaymentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Used by the expiry sweeper
+PaymentSchema.index({ status: 1, expiresAt: 1 });
+
 module.exports = mongoose.model('Payment', PaymentSchema);
 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const PlanSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a plan code'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Plan code may only contain letters, numbers, "-" and "_"']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Please provide a display name'],
+    trim: true
+  },
+  duration: {
+    type: Number,
+    required: [true, 'Please provide a plan duration'],
+    min: [1, 'Duration must be at least 1']
+  },
+  durationUnit: {
+    type: String,
+    enum: ['days', 'months'],
+    default: 'months'
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please provide a price'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Max freeze days allowed per term; falls back to Settings.freezeSettings when unset
+  maxFreezeDays: {
+    type: Number,
+    default: null,
+    min: [0, 'Max freeze days cannot be negative']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+PlanSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Seed the catalog once from the given defaults when no plans exist yet
+PlanSchema.statics.ensureDefaults = async function(defaultPlans) {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) {
+    return false;
+  }
+  await this.insertMany(defaultPlans, { ordered: false }).catch(error => {
+    // Another request may have seeded concurrently; duplicates are fine
+    if (error.code !== 11000) throw error;
+  });
+  return true;
+};
+
+module.exports = mongoose.model('Plan', PlanSchema);
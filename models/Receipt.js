@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const ReceiptSchema = new mongoose.Schema(
+  {
+    // e.g. SG/2026-27/000123
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Indian financial year (April - March), e.g. 2026-27
+    financialYear: {
+      type: String,
+      required: true
+    },
+    sequence: {
+      type: Number,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    membershipHistoryId: mongoose.Schema.Types.ObjectId,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    type: {
+      type: String,
+      required: true
+    },
+    plan: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    paymentMode: {
+      type: String,
+      required: true
+    },
+    transactionId: String,
+    // Coupon discount taken off the plan price before GST
+    discount: {
+      code: String,
+      amount: Number
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Snapshot of the member and membership period at the time of payment
+    member: {
+      name: String,
+      email: String,
+      phone: String,
+      gender: String
+    },
+    periodStart: Date,
+    periodEnd: Date,
+    // GST breakdown, present when the receipt was issued as a tax invoice
+    tax: {
+      sellerGstin: String,
+      buyerGstin: String,
+      sacCode: String,
+      rate: Number,
+      pricingMode: String,
+      placeOfSupply: String,
+      isInterState: Boolean,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number
+    },
+    status: {
+      type: String,
+      enum: ['issued', 'cancelled'],
+      default: 'issued'
+    }
+  },
+  { timestamps: true }
+);
+
+// Gap-free numbering: one sequence per financial year
+ReceiptSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+// One receipt per membership history entry
+ReceiptSchema.index(
+  { membershipHistoryId: 1 },
+  { unique: true, partialFilterExpression: { membershipHistoryId: { $type: 'objectId' } } }
+);
+ReceiptSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Receipt', ReceiptSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Money returned to a member against a confirmed membership history entry.
+// Each refund adds a negative 'refund' entry to membershipHistory so revenue nets it out.
+const RefundSchema = new mongoose.Schema(
+  {
+    // e.g. SG/RF/2026-27/000012
+    refundNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    financialYear: {
+      type: String,
+      required: true
+    },
+    sequence: {
+      type: Number,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Entry being refunded and the negative entry that reverses it
+    membershipHistoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    refundEntryId: mongoose.Schema.Types.ObjectId,
+    receipt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Receipt'
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    type: {
+      type: String,
+      enum: ['full', 'partial'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    // 'gateway' refunds go back through the original payment provider
+    mode: {
+      type: String,
+      enum: ['cash', 'online', 'gateway'],
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // 'pending' while the refund is being recorded or sent to the gateway;
+    // only completed refunds count as money returned
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'completed'
+    },
+    error: String,
+    // UTR / bank reference for manual online refunds
+    transactionRef: String,
+    gatewayRefundId: String,
+    gatewayStatus: String,
+    membershipAction: {
+      type: String,
+      enum: ['none', 'shorten', 'cancel'],
+      default: 'none'
+    },
+    previousEndDate: Date,
+    newEndDate: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Snapshot for the refund note
+    member: {
+      name: String,
+      email: String,
+      phone: String
+    },
+    plan: String,
+    originalAmount: Number,
+    receiptNumber: String
+  },
+  { timestamps: true }
+);
+
+// Gap-free numbering, separate from receipts
+RefundSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+RefundSchema.index({ membershipHistoryId: 1 });
+RefundSchema.index({ user: 1, issuedAt: -1 });
+RefundSchema.index({ issuedAt: -1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One step of the renewal reminder cadence sent to a member for one membership
+// term (see subscriptionService.sendRenewalReminders). The unique index keeps a
+// step from firing twice, including when two reminder runs overlap.
+const RenewalReminderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Membership end date the reminder was for; a renewal starts a new term
+  termEndDate: {
+    type: Date,
+    required: true
+  },
+  // Days relative to termEndDate (Settings.notificationSettings.renewalReminderDays)
+  step: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['membership_expiring', 'membership_expired'],
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Per-channel result from the notification dispatcher
+  deliveries: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+RenewalReminderSchema.index({ user: 1, termEndDate: 1, step: 1 }, { unique: true });
+RenewalReminderSchema.index({ sentAt: -1 });
+
+module.exports = mongoose.model('RenewalReminder', RenewalReminderSchema);
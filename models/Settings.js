@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
 
 const SettingsSchema = new mongoose.Schema({
-  // Membership Plan Pricing
+  // Membership Plan Pricing (legacy). The Plan collection is the source of truth;
+  // these values only seed it on first run and are kept in sync by updateSettings.
   planPricing: {
     '1month': {
       type: Number,
@@ -131,6 +132,169 @@ const SettingsSchema = new mongoose.Schema({
     expiryReminders: {
       type: Boolean,
       default: true
+    },
+    // Renewal reminder cadence in days relative to the membership end date:
+    // negative before it, 0 on the day, positive after. Each step is sent once per term.
+    renewalReminderDays: {
+      type: [Number],
+      default: [-7, -3, -1, 0, 7, 30],
+      validate: {
+        validator: (days) => days.every(day => Number.isInteger(day) && Math.abs(day) <= 365),
+        message: 'Renewal reminder days must be whole numbers between -365 and 365'
+      }
+    }
+  },
+  // Receipt Numbering (e.g. SG/2026-27/000123)
+  receiptSettings: {
+    prefix: {
+      type: String,
+      default: 'SG',
+      uppercase: true,
+      trim: true
+    }
+  },
+  // GST / Tax Invoice Settings
+  taxSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    gstin: {
+      type: String,
+      default: '',
+      uppercase: true,
+      trim: true
+    },
+    legalName: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    // Two-digit GST state code of the gym (24 = Gujarat)
+    stateCode: {
+      type: String,
+      default: '24',
+      trim: true
+    },
+    // SAC for health club and fitness centre services
+    sacCode: {
+      type: String,
+      default: '999723',
+      trim: true
+    },
+    rate: {
+      type: Number,
+      default: 18,
+      min: 0,
+      max: 28
+    },
+    // inclusive: plan prices already include GST; exclusive: GST is added on top
+    pricingMode: {
+      type: String,
+      enum: ['inclusive', 'exclusive'],
+      default: 'inclusive'
+    }
+  },
+  // Attendance / Check-in Rules
+  attendanceSettings: {
+    // Repeat scans within this window are rejected as duplicates
+    duplicateWindowMinutes: {
+      type: Number,
+      default: 10,
+      min: 0
+    },
+    // Open visits older than this are ignored and the next scan starts a new visit
+    autoCheckoutHours: {
+      type: Number,
+      default: 4,
+      min: 1
+    }
+  },
+  // Which payment provider handles each payment method
+  paymentSettings: {
+    providers: {
+      online: {
+        type: String,
+        enum: ['upi', 'razorpay'],
+        default: 'upi'
+      },
+      cash: {
+        type: String,
+        enum: ['manual'],
+        default: 'manual'
+      }
+    },
+    // How far apart a statement credit and a payment order can be to be suggested as a match
+    statementMatchWindowHours: {
+      type: Number,
+      default: 72,
+      min: 1
+    }
+  },
+  // Membership Freeze Rules
+  freezeSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    minFreezeDays: {
+      type: Number,
+      default: 7,
+      min: 1
+    },
+    // Used when a plan has no maxFreezeDays of its own
+    defaultMaxFreezeDays: {
+      type: Number,
+      default: 30,
+      min: 0
+    },
+    maxFreezesPerTerm: {
+      type: Number,
+      default: 2,
+      min: 0
+    }
+  },
+  // Plan sales paid in parts (see services/installmentService.js)
+  installmentSettings: {
+    maxInstallments: {
+      type: Number,
+      default: 3,
+      min: 2
+    },
+    // Reminder this many days before an installment falls due
+    reminderDaysBefore: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    // Repeat overdue reminders at most this often
+    overdueReminderIntervalDays: {
+      type: Number,
+      default: 3,
+      min: 1
+    }
+  },
+  // Reward a referrer gets once the member they referred makes a first payment
+  referralSettings: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // 'days' extends the referrer's endDate; 'credit' issues them a credit note
+    rewardType: {
+      type: String,
+      enum: ['days', 'credit'],
+      default: 'days'
+    },
+    rewardDays: {
+      type: Number,
+      default: 7,
+      min: 1
+    },
+    rewardCredit: {
+      type: Number,
+      default: 500,
+      min: 1
     }
   },
   // System Preferences
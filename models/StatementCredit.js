@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A credit line from an imported statement, queued for an admin to match to a payment
+const StatementCreditSchema = new mongoose.Schema({
+  statementImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatementImport',
+    required: true
+  },
+  row: Number,
+  txnDate: {
+    type: Date,
+    required: true
+  },
+  // The statement only had a date, so matching uses the whole day
+  dateOnly: {
+    type: Boolean,
+    default: false
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Bank reference / UPI RRN
+  reference: String,
+  narration: String,
+  // Same credit imported twice (overlapping statements) is stored once
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'suggested', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  // Best candidates first
+  suggestions: [{
+    kind: { type: String, enum: ['payment', 'member'], required: true },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    score: Number,
+    reasons: [String]
+  }],
+  matchedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  matchedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  resolvedAt: Date,
+  ignoreReason: String
+}, {
+  timestamps: true
+});
+
+StatementCreditSchema.index({ status: 1, txnDate: -1 });
+StatementCreditSchema.index({ statementImport: 1 });
+
+module.exports = mongoose.model('StatementCredit', StatementCreditSchema);
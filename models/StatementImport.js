@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One uploaded bank/UPI statement CSV and what came out of it
+const StatementImportSchema = new mongoose.Schema({
+  fileName: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  totalRows: { type: Number, default: 0 },
+  // Credit rows stored for review
+  credits: { type: Number, default: 0 },
+  // Credits already imported from an earlier statement
+  duplicates: { type: Number, default: 0 },
+  // Debits and rows without a usable date or amount
+  skipped: { type: Number, default: 0 },
+  suggested: { type: Number, default: 0 },
+  unmatched: { type: Number, default: 0 },
+  rowErrors: [{
+    row: Number,
+    message: String
+  }]
+}, {
+  timestamps: true
+});
+
+StatementImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StatementImport', StatementImportSchema);
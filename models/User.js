@@ -31,9 +31,18 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: 'https://res.cloudinary.com/dovjfipbt/image/upload/v1/default-avatar'
   },
+  // Buyer GSTIN, printed on tax invoices when the member bills to a business
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[0-9]{2}[A-Z0-9]{13}$/, 'Please provide a valid 15-character GSTIN']
+  },
+  // Plan code from the Plan catalog (validated against active plans by the controllers)
   plan: {
     type: String,
-    enum: ['1month', '2month', '3month', '6month', 'yearly'],
+    lowercase: true,
+    trim: true,
     required: [true, 'Please select a plan']
   },
   originalJoinDate: {
@@ -53,20 +62,22 @@ const UserSchema = new mongoose.Schema({
     enum: ['cash', 'online'],
     required: true
   },
+  // 'partial' while an installment plan still has unpaid installments
   paymentStatus: {
     type: String,
-    enum: ['pending', 'confirmed'],
+    enum: ['pending', 'partial', 'confirmed'],
     default: 'pending'
   },
   subscriptionStatus: {
     type: String,
-    enum: ['active', 'expired', 'pending'],
+    enum: ['active', 'expired', 'pending', 'frozen'],
     default: 'active'
   },
   membershipHistory: [{
     type: {
       type: String,
-      enum: ['join', 'renewal'],
+      // 'refund' entries carry a negative amount (see services/refundService.js)
+      enum: ['join', 'renewal', 'upgrade', 'downgrade', 'installment', 'refund'],
       required: true
     },
     date: {
@@ -88,7 +99,8 @@ const UserSchema = new mongoose.Schema({
     },
     plan: {
       type: String,
-      enum: ['1month', '2month', '3month', '6month', 'yearly'],
+      lowercase: true,
+      trim: true,
       required: true
     },
     paymentStatus: {
@@ -97,6 +109,17 @@ const UserSchema = new mongoose.Schema({
       default: 'pending'
     },
     transactionId: String,
+    // Coupon used for this sale; amount above is after the discount
+    couponCode: String,
+    discountAmount: Number,
+    // Credit notes used up against this sale; amount above is after the credit
+    creditApplied: Number,
+    // GST inside the amount above (amount = taxableValue + taxAmount), set while GST invoicing is on
+    taxableValue: Number,
+    taxAmount: Number,
+    // Drawer session and staff member that took cash payments (see services/cashSessionService.js)
+    cashSession: { type: mongoose.Schema.Types.ObjectId, ref: 'CashSession' },
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
     notes: String
   }],
   subscriptionHistory: [{
@@ -111,6 +134,7 @@ const UserSchema = new mongoose.Schema({
   }],
   renewals: [
     {
+      type: { type: String, enum: ['renewal', 'upgrade', 'downgrade'], default: 'renewal' },
       plan: { type: String, required: true },
       startDate: { type: Date, required: true },
       endDate: { type: Date, required: true },
@@ -118,13 +142,117 @@ const UserSchema = new mongoose.Schema({
       renewedAt: { type: Date, default: Date.now },
       previousPlan: { type: String, required: true },
       previousAmount: { type: Number, required: true },
-      newAmount: { type: Number, required: true }
+      newAmount: { type: Number, required: true },
+      // Mid-term plan changes: unused value of the old plan and the resulting charge (negative = credit)
+      proratedCredit: Number,
+      amountDue: Number,
+      // Renewals wait here until paid or approved; the member's current plan and
+      // dates only change then (see applyRenewalTerm in services/paymentService.js)
+      status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'rejected', 'cancelled'],
+        default: 'confirmed'
+      }
     }
   ],
+  // Code this member shares to refer others (see services/referralService.js)
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reward owed to `referredBy`, granted once this member's first payment is confirmed
+  referral: {
+    code: String,
+    status: { type: String, enum: ['pending', 'rewarded', 'cancelled'] },
+    rewardType: { type: String, enum: ['days', 'credit'] },
+    rewardValue: Number,
+    creditNoteNumber: String,
+    rewardedAt: Date
+  },
+  // Coupon reserved for the sale awaiting payment (see services/couponService.js)
+  pendingCoupon: {
+    couponId: mongoose.Schema.Types.ObjectId,
+    redemptionId: mongoose.Schema.Types.ObjectId,
+    code: String,
+    plan: String,
+    listPrice: Number,
+    discount: Number,
+    finalPrice: Number
+  },
+  // Plan sales paid in parts. The first paid installment is recorded in
+  // membershipHistory as the join/renewal, later ones as 'installment' entries.
+  installmentPlans: [{
+    plan: { type: String, required: true },
+    saleType: { type: String, enum: ['join', 'renewal'], default: 'join' },
+    totalAmount: { type: Number, required: true },
+    status: { type: String, enum: ['open', 'settled', 'cancelled'], default: 'open' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    createdAt: { type: Date, default: Date.now },
+    settledAt: Date,
+    installments: [{
+      amount: { type: Number, required: true },
+      dueDate: { type: Date, required: true },
+      status: { type: String, enum: ['pending', 'paid'], default: 'pending' },
+      paidAt: Date,
+      paymentMode: { type: String, enum: ['cash', 'online'] },
+      transactionId: String,
+      historyEntryId: mongoose.Schema.Types.ObjectId,
+      lastReminderAt: Date,
+      reminderCount: { type: Number, default: 0 }
+    }]
+  }],
+  // Membership freeze/pause periods. endDate is pushed out by the frozen days.
+  freezes: [{
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    days: { type: Number, required: true },
+    reason: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['scheduled', 'active', 'completed', 'cancelled'],
+      default: 'scheduled'
+    },
+    frozenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    unfrozenAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  }],
   renewalCount: {
     type: Number,
     default: 0
   },
+  // Secret encoded in the member's check-in QR code (rotate to revoke a leaked code)
+  checkInCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Member portal passwordless login (hashed one-time code)
+  memberLoginOTP: {
+    type: String,
+    select: false
+  },
+  memberLoginOTPExpires: Date,
+  memberLoginOTPAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Channel opt-outs (see services/notificationService.js). Login codes are sent regardless.
+  notificationPreferences: {
+    email: { type: Boolean, default: true },
+    whatsapp: { type: Boolean, default: true },
+    updatedAt: Date,
+    updatedVia: { type: String, enum: ['staff', 'member', 'unsubscribe_link', 'whatsapp'] }
+  },
+  // Last WhatsApp message from the member; free-form replies are allowed for 24 hours after it
+  whatsappLastInboundAt: Date,
   isDeleted: {
     type: Boolean,
     default: false
@@ -135,6 +263,20 @@ const UserSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Indexes backing the admin member list (search, filters, sorting)
+UserSchema.index({ isDeleted: 1, createdAt: -1 });
+UserSchema.index({ isDeleted: 1, endDate: 1 });
+UserSchema.index({ isDeleted: 1, name: 1 });
+UserSchema.index({ subscriptionStatus: 1, endDate: 1 });
+UserSchema.index({ plan: 1 });
+UserSchema.index({ paymentStatus: 1 });
+UserSchema.index({ paymentMethod: 1 });
+UserSchema.index({ phone: 1 });
+UserSchema.index({ 'freezes.status': 1 });
+UserSchema.index({ 'installmentPlans.status': 1 });
+UserSchema.index({ referredBy: 1, 'referral.status': 1 });
+UserSchema.index({ 'membershipHistory.cashSession': 1 });
+
 // Add a method to check if subscription is expired
 UserSchema.methods.isExpired = function() {
   return new Date() > new Date(this.endDate);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One delivery of a payment provider webhook, keyed by the provider's event id.
+// A second delivery of the same event is recognised here and not processed again.
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['upi', 'razorpay'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  eventType: String,
+  orderId: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  // Deliveries that were processed (retries of failed ones included)
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Deliveries recognised as replays and skipped
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  // Payment state after processing, or why the event was ignored
+  outcome: String,
+  error: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ orderId: 1 });
+WebhookEventSchema.index({ receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
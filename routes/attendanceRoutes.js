@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const attendanceController = require('../controllers/attendanceController');
+const { protect, protectKiosk, requirePermission } = require('../middleware/auth');
+
+// Front-desk kiosk (kiosk key or admin login)
+router.post('/scan', protectKiosk, attendanceController.scan);
+
+// Protected routes
+router.use(protect);
+
+router.get('/today', requirePermission('attendance:read'), attendanceController.getTodayAttendance);
+router.get('/members/:userId', requirePermission('attendance:read'), attendanceController.getMemberAttendance);
+router.get('/members/:userId/qr', requirePermission('attendance:read'), attendanceController.getMemberQR);
+router.post('/members/:userId/qr/rotate', requirePermission('attendance:manage'), attendanceController.rotateMemberQR);
+
+module.exports = router;
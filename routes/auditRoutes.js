@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect, requirePermission('audit:read'));
+
+router.get('/', auditController.getAuditLogs);
+router.get('/verify', auditController.verifyAuditLog);
+
+module.exports = router;
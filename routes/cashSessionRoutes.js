@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const cashSessionController = require('../controllers/cashSessionController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', requirePermission('payments:read'), cashSessionController.getSessions);
+router.get('/current', requirePermission('payments:collect'), cashSessionController.getCurrentSession);
+router.post('/open', requirePermission('payments:collect'), cashSessionController.openSession);
+router.get('/:sessionId', requirePermission('payments:read'), cashSessionController.getSession);
+router.post('/:sessionId/close', requirePermission('payments:collect'), cashSessionController.closeSession);
+router.get('/:sessionId/report', requirePermission('payments:read'), cashSessionController.downloadReport);
+
+module.exports = router;
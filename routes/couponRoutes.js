@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// Public: quote a coupon on the registration and renewal forms
+router.post('/validate', couponController.validateCoupon);
+
+router.use(protect);
+
+router.get('/', requirePermission('plans:manage'), couponController.getCoupons);
+router.post('/', requirePermission('plans:manage'), couponController.createCoupon);
+router.put('/:id', requirePermission('plans:manage'), couponController.updateCoupon);
+router.patch('/:id', requirePermission('plans:manage'), couponController.updateCoupon);
+router.delete('/:id', requirePermission('plans:manage'), couponController.deleteCoupon);
+
+module.exports = router;
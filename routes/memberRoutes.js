@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const memberController = require('../controllers/memberController');
+const referralController = require('../controllers/referralController');
+const notificationController = require('../controllers/notificationController');
+const { protectMember } = require('../middleware/auth');
+const { upload, handleUploadError } = require('../middleware/upload');
+const { strictAuthLimiter } = require('../middleware/rateLimiter');
+
+// Passwordless login (public)
+router.post('/auth/request-otp', strictAuthLimiter, memberController.requestLoginOTP);
+router.post('/auth/verify-otp', strictAuthLimiter, memberController.verifyLoginOTP);
+router.post('/auth/logout', memberController.logout);
+
+// Member-only routes (admin tokens are rejected)
+router.use(protectMember);
+
+router.get('/me', memberController.getMe);
+router.patch('/me', upload.single('photo'), handleUploadError, memberController.updateProfile);
+router.get('/check-in-qr', memberController.getCheckInQR);
+router.get('/membership-history', memberController.getMembershipHistory);
+router.get('/receipts', memberController.getReceipts);
+router.get('/receipts/:receiptId/download', memberController.downloadReceipt);
+router.post('/renewal', memberController.startRenewal);
+router.get('/referrals', referralController.getMyReferrals);
+router.get('/notification-preferences', notificationController.getMyPreferences);
+router.patch('/notification-preferences', notificationController.updateMyPreferences);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+
+// Unsubscribe links in member emails (public; the token identifies the member)
+router.get('/unsubscribe/:token', notificationController.getUnsubscribeStatus);
+router.post('/unsubscribe/:token', notificationController.unsubscribe);
+
+module.exports = router;
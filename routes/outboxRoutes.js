@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const outboxController = require('../controllers/outboxController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// Delivery log of outgoing email and WhatsApp messages
+router.use(protect, requirePermission('notifications:send'));
+
+router.get('/', outboxController.getMessages);
+router.get('/:id', outboxController.getMessage);
+router.post('/:id/resend', outboxController.resendMessage);
+
+module.exports = router;
@@ -1,39 +1,51 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const {
   createPayment,
+  toPaymentData,
+  confirmPayment,
+  refreshPaymentStatus,
+  expireIfOverdue,
+  regeneratePayment,
   markPaymentPaid,
-  markPaymentFailed,
-  verifyWebhookSecret
+  markPaymentFailed
 } = require('../services/paymentService');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const { processWebhookEvent } = require('../services/webhookEventService');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const WebhookEvent = require('../models/WebhookEvent');
+const { protect, requirePermission, identify } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { parsePagination } = require('../utils/queryHelpers');
 
-// Create a new UPI payment and return QR + intent
-router.post('/create', async (req, res) => {
+// Create a new online payment with the provider set in Settings:
+// UPI returns QR + intent, Razorpay returns checkout options.
+// Applying a coupon uses up one of the member's uses, so it takes the member's
+// own login or staff with payments:collect.
+router.post('/create', identify, async (req, res) => {
   try {
-    const { userId, plan, amount } = req.body;
+    // Any client-sent amount is ignored; the charge is priced from the plan catalog
+    const { userId, plan, couponCode } = req.body;
     if (!userId) {
       return res.status(400).json({ status: 'error', message: 'userId required' });
     }
-    const { payment } = await createPayment({ userId, plan, amount });
+    if (couponCode) {
+      const isMember = req.user && req.user.role === 'member' && String(req.user.id) === String(userId);
+      const isStaff = req.user && req.user.role !== 'member' && hasPermission(req.user.role, 'payments:collect');
+      if (!isMember && !isStaff) {
+        return res.status(401).json({ status: 'error', message: 'Please login to apply a coupon' });
+      }
+    }
+    const { payment } = await createPayment({ userId, plan, paymentMethod: 'online', couponCode });
     return res.status(201).json({
       status: 'success',
-      data: {
-        orderId: payment.orderId,
-        paymentId: payment._id,
-        upiIntent: payment.upiIntent,
-        qrImage: payment.qrImage,
-        amount: payment.amount,
-        currency: payment.currency,
-        expiresAt: payment.expiresAt,
-        status: payment.status
-      }
+      data: toPaymentData(payment)
     });
   } catch (error) {
     console.error('Create payment error:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       status: 'error',
       message: error.message || 'Failed to create payment'
     });
@@ -43,10 +55,16 @@ router.post('/create', async (req, res) => {
 // Public status check for polling
 router.get('/status/:orderId', async (req, res) => {
   try {
-    const payment = await Payment.findOne({ orderId: req.params.orderId }).lean();
-    if (!payment) {
+    const existing = await Payment.findOne({ orderId: req.params.orderId });
+    if (!existing) {
       return res.status(404).json({ status: 'error', message: 'Payment not found' });
     }
+    // Gateway orders may have been paid without the webhook reaching us yet;
+    // overdue orders are expired here rather than waiting for the sweeper
+    const refreshed = await refreshPaymentStatus(existing, {
+      audit: { req, actor: { type: 'system', label: 'status_poll' } }
+    });
+    const payment = await expireIfOverdue(refreshed);
     return res.json({
       status: 'success',
       data: {
@@ -54,7 +72,8 @@ router.get('/status/:orderId', async (req, res) => {
         state: payment.status,
         paidAt: payment.paidAt,
         transactionRef: payment.transactionRef,
-        expiresAt: payment.expiresAt
+        expiresAt: payment.expiresAt,
+        expiredAt: payment.expiredAt
       }
     });
   } catch (error) {
@@ -66,22 +85,14 @@ router.get('/status/:orderId', async (req, res) => {
 // Get full payment details including QR code
 router.get('/details/:orderId', async (req, res) => {
   try {
-    const payment = await Payment.findOne({ orderId: req.params.orderId }).lean();
-    if (!payment) {
+    const existing = await Payment.findOne({ orderId: req.params.orderId });
+    if (!existing) {
       return res.status(404).json({ status: 'error', message: 'Payment not found' });
     }
+    const payment = await expireIfOverdue(existing);
     return res.json({
       status: 'success',
-      data: {
-        orderId: payment.orderId,
-        paymentId: payment._id,
-        upiIntent: payment.upiIntent,
-        qrImage: payment.qrImage,
-        amount: payment.amount,
-        currency: payment.currency,
-        expiresAt: payment.expiresAt,
-        status: payment.status
-      }
+      data: toPaymentData(payment)
     });
   } catch (error) {
     console.error('Payment details error:', error);
@@ -89,35 +100,171 @@ router.get('/details/:orderId', async (req, res) => {
   }
 });
 
-// Mock webhook/confirmation endpoint to mark paid (secured by header secret)
+// Issue a fresh QR/order for an expired or failed one (same member, plan and amount)
+router.post('/:orderId/regenerate', async (req, res) => {
+  try {
+    const { payment, previous } = await regeneratePayment(req.params.orderId);
+    return res.status(previous ? 201 : 200).json({
+      status: 'success',
+      message: previous ? 'A new payment QR has been generated' : 'The existing payment is still open',
+      data: {
+        ...toPaymentData(payment),
+        previousOrderId: previous ? previous.orderId : null
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate payment error:', error);
+    return res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.message || 'Failed to regenerate payment'
+    });
+  }
+});
+
+// UPI confirmation webhook to mark paid. Signed with PAYMENT_WEBHOOK_SECRET
+// (see upiProvider); Body: { eventId, orderId, transactionRef, status, amount }.
+// A reported amount that differs from the order fails it (see markPaymentPaid).
+// Each eventId is processed once, replays are acknowledged without effect.
 router.post('/webhook', async (req, res) => {
   try {
-    const provided = req.headers['x-webhook-secret'];
-    if (!verifyWebhookSecret(provided)) {
-      return res.status(401).json({ status: 'error', message: 'Invalid webhook secret' });
+    if (!getPaymentProvider('upi').verifyWebhook(req)) {
+      return res.status(401).json({ status: 'error', message: 'Invalid webhook signature' });
     }
 
-    const { orderId, transactionRef, status } = req.body;
-    if (!orderId) {
-      return res.status(400).json({ status: 'error', message: 'orderId required' });
+    const { eventId, orderId, transactionRef, status, amount } = req.body;
+    if (!eventId || !orderId) {
+      return res.status(400).json({ status: 'error', message: 'eventId and orderId required' });
     }
 
-    let payment;
-    if (status === 'failed') {
-      payment = await markPaymentFailed({ orderId, reason: 'webhook_failed' });
-    } else {
-      payment = await markPaymentPaid({ orderId, transactionRef });
+    const { duplicate, event, result } = await processWebhookEvent({
+      provider: 'upi',
+      eventId: String(eventId),
+      eventType: status === 'failed' ? 'payment.failed' : 'payment.paid',
+      orderId,
+      payload: req.body
+    }, async () => {
+      let payment;
+      if (status === 'failed') {
+        payment = await markPaymentFailed({ orderId, reason: 'webhook_failed' });
+      } else {
+        payment = await confirmPayment({
+          orderId,
+          payload: { transactionRef, amount },
+          audit: { req, actor: { type: 'webhook', label: 'payments' } }
+        });
+      }
+      return { outcome: payment.status, payment };
+    });
+
+    if (duplicate) {
+      return res.json({ status: 'duplicate', data: { eventId: event.eventId, orderId: event.orderId, state: event.outcome } });
+    }
+    return res.json({ status: 'success', data: { orderId: result.payment.orderId, state: result.payment.status } });
+  } catch (error) {
+    console.error('Webhook error:', error);
+    return res.status(error.statusCode || 500).json({ status: 'error', message: error.message || 'Failed to process webhook' });
+  }
+});
+
+// Razorpay Checkout success handler posts the signed ids here
+router.post('/razorpay/verify', async (req, res) => {
+  try {
+    const {
+      razorpay_order_id: razorpayOrderId,
+      razorpay_payment_id: razorpayPaymentId,
+      razorpay_signature: signature
+    } = req.body;
+
+    if (!razorpayOrderId || !razorpayPaymentId || !signature) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required'
+      });
     }
 
+    const existing = await Payment.findOne({ razorpayOrderId });
+    if (!existing) {
+      return res.status(404).json({ status: 'error', message: 'Payment not found' });
+    }
+
+    const payment = await confirmPayment({
+      orderId: existing.orderId,
+      payload: { razorpayPaymentId, signature },
+      audit: { req, actor: { type: 'system', label: 'razorpay_checkout' } }
+    });
+
     return res.json({ status: 'success', data: { orderId: payment.orderId, state: payment.status } });
   } catch (error) {
-    console.error('Webhook error:', error);
+    console.error('Razorpay verify error:', error);
+    return res.status(error.statusCode || 500).json({
+      status: 'error',
+      message: error.statusCode ? error.message : 'Failed to verify payment'
+    });
+  }
+});
+
+// Razorpay webhooks (payment.captured / payment.failed), signed with the webhook secret.
+// Deduplicated on the x-razorpay-event-id header Razorpay sends with every delivery.
+router.post('/razorpay/webhook', async (req, res) => {
+  try {
+    if (!getPaymentProvider('razorpay').verifyWebhook(req)) {
+      return res.status(401).json({ status: 'error', message: 'Invalid webhook signature' });
+    }
+
+    const { event: eventType } = req.body;
+    const entity = req.body.payload && req.body.payload.payment && req.body.payload.payment.entity;
+    const eventId = req.headers['x-razorpay-event-id']
+      || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const { duplicate, event, result } = await processWebhookEvent({
+      provider: 'razorpay',
+      eventId: String(eventId),
+      eventType,
+      orderId: entity ? entity.order_id : undefined,
+      payload: req.body
+    }, async () => {
+      if (!['payment.captured', 'payment.failed'].includes(eventType) || !entity) {
+        return { status: 'ignored', outcome: 'unhandled_event' };
+      }
+
+      const existing = await Payment.findOne({ razorpayOrderId: entity.order_id });
+      // Orders created outside this app are acknowledged so Razorpay stops retrying
+      if (!existing) {
+        return { status: 'ignored', outcome: 'unknown_order' };
+      }
+
+      let payment;
+      if (eventType === 'payment.captured') {
+        payment = await markPaymentPaid({
+          orderId: existing.orderId,
+          razorpayPaymentId: entity.id,
+          paidAmount: entity.amount / 100,
+          audit: { req, actor: { type: 'webhook', label: 'razorpay' } }
+        });
+      } else {
+        payment = await markPaymentFailed({
+          orderId: existing.orderId,
+          reason: entity.error_description || 'gateway_failed'
+        });
+      }
+      return { outcome: payment.status, payment };
+    });
+
+    if (duplicate) {
+      return res.json({ status: 'duplicate', event: eventType, data: { eventId: event.eventId, state: event.outcome } });
+    }
+    if (!result.payment) {
+      return res.json({ status: 'ignored', event: eventType, reason: result.outcome });
+    }
+    return res.json({ status: 'success', data: { orderId: result.payment.orderId, state: result.payment.status } });
+  } catch (error) {
+    console.error('Razorpay webhook error:', error);
     return res.status(500).json({ status: 'error', message: 'Failed to process webhook' });
   }
 });
 
 // Admin helper: list recent payments (protected route)
-router.get('/recent', protect, async (req, res) => {
+router.get('/recent', protect, requirePermission('payments:read'), async (req, res) => {
   try {
     const payments = await Payment.find().sort({ createdAt: -1 }).limit(20).lean();
     return res.json({ status: 'success', data: payments });
@@ -127,5 +274,36 @@ router.get('/recent', protect, async (req, res) => {
   }
 });
 
+// Admin: webhook delivery log, ?provider=&status=&orderId=&page=&limit=
+router.get('/webhook-events', protect, requirePermission('payments:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.provider) filter.provider = String(req.query.provider);
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.orderId) filter.orderId = String(req.query.orderId);
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean(),
+      WebhookEvent.countDocuments(filter)
+    ]);
+    return res.json({
+      status: 'success',
+      results: events.length,
+      data: { events },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + events.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Webhook events error:', error);
+    return res.status(500).json({ status: 'error', message: 'Failed to fetch webhook events' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const receiptController = require('../controllers/receiptController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// Public route (linked from confirmation emails)
+router.get('/:receiptId/download', receiptController.downloadReceipt);
+
+// Protected routes
+router.get('/', protect, requirePermission('payments:read'), receiptController.getReceipts);
+router.get('/user/:userId', protect, requirePermission('payments:read'), receiptController.getUserReceipts);
+router.get('/gstr1', protect, requirePermission('reports:view'), receiptController.getGstr1Report);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const refundController = require('../controllers/refundController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', requirePermission('payments:read'), refundController.getRefunds);
+router.get('/:refundId/note', requirePermission('payments:read'), refundController.downloadRefundNote);
+
+module.exports = router;
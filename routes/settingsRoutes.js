@@ -1,15 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const settingsController = require('../controllers/settingsController');
-const { protect } = require('../middleware/auth');
+const planController = require('../controllers/planController');
+const notificationTemplateController = require('../controllers/notificationTemplateController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Public routes
 router.get('/pricing', settingsController.getPlanPricing);
 router.get('/gym-info', settingsController.getGymInfo);
+router.get('/plans', planController.getPlans);
 
 // Protected routes
 router.get('/', protect, settingsController.getSettings);
-router.put('/', protect, settingsController.updateSettings);
-router.patch('/', protect, settingsController.updateSettings);
+router.put('/', protect, requirePermission('settings:update'), settingsController.updateSettings);
+router.patch('/', protect, requirePermission('settings:update'), settingsController.updateSettings);
+
+// Plan catalog management
+router.get('/plans/all', protect, planController.getAllPlans);
+router.post('/plans', protect, requirePermission('plans:manage'), planController.createPlan);
+router.put('/plans/:id', protect, requirePermission('plans:manage'), planController.updatePlan);
+router.patch('/plans/:id', protect, requirePermission('plans:manage'), planController.updatePlan);
+router.delete('/plans/:id', protect, requirePermission('plans:manage'), planController.deletePlan);
+
+// Notification templates (email + WhatsApp bodies per event)
+router.get('/notification-templates', protect, notificationTemplateController.getTemplates);
+router.get('/notification-templates/:event', protect, notificationTemplateController.getTemplate);
+router.put('/notification-templates/:event', protect, requirePermission('settings:update'), notificationTemplateController.updateTemplate);
+router.delete('/notification-templates/:event', protect, requirePermission('settings:update'), notificationTemplateController.resetTemplate);
+router.post('/notification-templates/:event/preview', protect, requirePermission('settings:update'), notificationTemplateController.previewTemplate);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const staffController = require('../controllers/staffController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { strictAuthLimiter } = require('../middleware/rateLimiter');
+
+// Public route (linked from the invitation email)
+router.post('/accept-invite/:token', strictAuthLimiter, staffController.acceptInvite);
+
+// Owner-only routes
+router.use(protect, requirePermission('staff:manage'));
+
+router.get('/', staffController.getStaff);
+router.post('/invite', staffController.inviteStaff);
+router.patch('/:id/role', staffController.updateStaffRole);
+router.patch('/:id/disable', staffController.disableStaff);
+router.patch('/:id/enable', staffController.enableStaff);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const statementController = require('../controllers/statementController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadStatement, handleUploadError } = require('../middleware/upload');
+
+router.use(protect);
+
+router.get('/', requirePermission('payments:read'), statementController.getImports);
+router.post('/import', requirePermission('payments:collect'), uploadStatement.single('statement'), handleUploadError, statementController.importStatement);
+
+// Review queue of statement credits and their suggested matches
+router.get('/credits', requirePermission('payments:read'), statementController.getCredits);
+router.post('/credits/:creditId/confirm', requirePermission('payments:collect'), statementController.confirmCredit);
+router.post('/credits/:creditId/ignore', requirePermission('payments:collect'), statementController.ignoreCredit);
+
+module.exports = router;
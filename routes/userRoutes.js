@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const refundController = require('../controllers/refundController');
+const installmentController = require('../controllers/installmentController');
+const referralController = require('../controllers/referralController');
+const notificationController = require('../controllers/notificationController');
+const { protect, requirePermission } = require('../middleware/auth');
 const { upload, handleUploadError } = require('../middleware/upload');
 const { uploadToCloudinary } = require('../services/cloudinaryService');
 const User = require('../models/User');
@@ -13,24 +17,50 @@ router.post('/register', upload.single('photo'), handleUploadError, userControll
 router.get('/verify-renewal-token/:token', userController.verifyRenewalToken);
 router.post('/renew-membership/:token', userController.renewMembership);
 
-// Protected routes - require authentication (all routes below require admin authentication)
+// Protected routes - require staff authentication; each route checks its own permission
 router.use(protect);
 
-// Admin only routes
-router.get('/', userController.getAllUsers);
-router.patch('/approve/:userId', userController.approvePayment);
-router.patch('/:id', userController.updateUser);
-router.delete('/:id', userController.deleteUser);
-router.post('/notify-expired/:userId', userController.notifyExpiredMember);
-router.post('/notify-expiring/:userId', userController.notifyExpiringMember);
-router.patch('/reject-renewal/:userId', userController.rejectRenewal);
+// Staff routes
+router.get('/', requirePermission('members:read'), userController.getAllUsers);
+router.get('/dues', requirePermission('payments:read'), installmentController.getDues);
+router.get('/referrals', requirePermission('reports:view'), referralController.getReferrals);
+router.get('/referrals/leaderboard', requirePermission('reports:view'), referralController.getLeaderboard);
+router.patch('/approve/:userId', requirePermission('payments:collect'), userController.approvePayment);
+router.patch('/:id', requirePermission('members:update'), userController.updateUser);
+router.delete('/:id', requirePermission('members:delete'), userController.deleteUser);
+router.post('/notify-expired/:userId', requirePermission('notifications:send'), userController.notifyExpiredMember);
+router.post('/notify-expiring/:userId', requirePermission('notifications:send'), userController.notifyExpiringMember);
+router.patch('/reject-renewal/:userId', requirePermission('payments:collect'), userController.rejectRenewal);
+
+// Membership freeze/pause
+router.post('/:userId/freeze', requirePermission('members:update'), userController.freezeMembership);
+router.post('/:userId/unfreeze', requirePermission('members:update'), userController.unfreezeMembership);
+
+// Mid-term plan upgrade/downgrade with proration
+router.get('/:userId/plan-change/preview', requirePermission('members:read'), userController.previewPlanChange);
+router.post('/:userId/plan-change', requirePermission('members:update', 'payments:collect'), userController.changePlan);
+
+// Installment plans and outstanding balance
+router.get('/:userId/installments', requirePermission('members:read'), installmentController.getInstallments);
+router.post('/:userId/installments', requirePermission('payments:collect'), installmentController.createInstallmentPlan);
+router.post('/:userId/installments/:installmentId/pay', requirePermission('payments:collect'), installmentController.payInstallment);
+
+// Referral code, who referred the member and whom they referred
+router.get('/:userId/referrals', requirePermission('members:read'), referralController.getMemberReferrals);
+
+// Member's email/WhatsApp opt-outs
+router.get('/:userId/notification-preferences', requirePermission('members:read'), notificationController.getMemberPreferences);
+router.patch('/:userId/notification-preferences', requirePermission('members:update'), notificationController.updateMemberPreferences);
 
 // Add membership history
-router.post('/:userId/membership-history', userController.addMembershipHistory);
+router.post('/:userId/membership-history', requirePermission('payments:collect'), userController.addMembershipHistory);
+
+// Full or partial refund of a confirmed payment entry
+router.post('/:userId/membership-history/:entryId/refund', requirePermission('payments:refund'), refundController.createRefund);
 
 // Get all membership history entries (including deleted users) for revenue calculations
 // IMPORTANT: This route must come before /:userId/membership-history to avoid route conflicts
-router.get('/membership-history/all', async (req, res) => {
+router.get('/membership-history/all', requirePermission('reports:view'), async (req, res) => {
   try {
     // Fetch all users including deleted ones for revenue calculations
     // Revenue data must be preserved even after member deletion for accounting purposes
@@ -66,7 +96,7 @@ router.get('/membership-history/all', async (req, res) => {
 });
 
 // Get membership history for a specific user
-router.get('/:userId/membership-history', async (req, res) => {
+router.get('/:userId/membership-history', requirePermission('members:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { startDate, endDate, type } = req.query;
@@ -99,7 +129,8 @@ router.get('/:userId/membership-history', async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        membershipHistory
+        membershipHistory,
+        freezes: user.freezes || []
       }
     });
   } catch (error) {
@@ -112,7 +143,7 @@ router.get('/:userId/membership-history', async (req, res) => {
 });
 
 // Add this new route
-router.post('/test-upload', upload.single('photo'), async (req, res) => {
+router.post('/test-upload', requirePermission('members:update'), upload.single('photo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -146,7 +177,7 @@ router.post('/test-upload', upload.single('photo'), async (req, res) => {
 });
 
 // Simple test endpoint for Cloudinary uploads
-router.post('/test-cloudinary', upload.single('photo'), async (req, res) => {
+router.post('/test-cloudinary', requirePermission('members:update'), upload.single('photo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
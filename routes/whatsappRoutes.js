@@ -1,21 +1,46 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect, restrictTo } = require('../middleware/auth');
-const { sendWhatsAppText } = require('../services/whatsappService');
+const { protect, requirePermission } = require('../middleware/auth');
+const InboundMessage = require('../models/InboundMessage');
+const {
+  getWhatsAppConfig,
+  sendWhatsAppText,
+  sendWhatsAppTemplate,
+  sendWhatsAppDocument,
+  verifyWhatsAppSignature
+} = require('../services/whatsappService');
+const { handleWhatsAppWebhook } = require('../services/whatsappInboundService');
+const { parsePagination } = require('../utils/queryHelpers');
 
 // Protected test endpoint to send a WhatsApp message
-router.post('/test', protect, restrictTo('admin'), async (req, res) => {
+// Body: { phone, message } for text, { phone, template: { name, language, parameters } }
+// or { phone, document: { link, filename }, message } (message is the caption)
+router.post('/test', protect, requirePermission('notifications:send'), async (req, res) => {
   try {
-    const { phone, message } = req.body || {};
+    const { phone, message, template, document } = req.body || {};
 
-    if (!phone || !message) {
+    if (!phone || !(message || template || document)) {
       return res.status(400).json({
         status: 'error',
-        message: 'phone and message are required'
+        message: 'phone and one of message, template or document are required'
+      });
+    }
+    if ((template && !template.name) || (document && !document.link)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'template.name or document.link is missing'
       });
     }
 
-    const result = await sendWhatsAppText({ phone, message });
+    let result;
+    if (template) {
+      result = await sendWhatsAppTemplate({ phone, ...template });
+    } else if (document) {
+      result = await sendWhatsAppDocument({ phone, ...document, caption: message });
+    } else {
+      result = await sendWhatsAppText({ phone, message });
+    }
 
     if (result.skipped) {
       return res.status(200).json({ status: 'skipped', ...result });
@@ -32,6 +57,74 @@ router.post('/test', protect, restrictTo('admin'), async (req, res) => {
   }
 });
 
+// Webhook subscription check from Meta (echo hub.challenge when the verify token matches)
+router.get('/webhook', (req, res) => {
+  const { verifyToken } = getWhatsAppConfig();
+  if (verifyToken && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === verifyToken) {
+    return res.status(200).send(String(req.query['hub.challenge'] || ''));
+  }
+  res.status(403).json({ status: 'error', message: 'Webhook verification failed' });
+});
+
+// Delivery/read status callbacks and inbound messages (RENEW / STOP keywords)
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!getWhatsAppConfig().appSecret) {
+      console.warn('WHATSAPP_APP_SECRET is not set; rejecting WhatsApp webhook');
+      return res.status(503).json({ status: 'error', message: 'WhatsApp webhook is not configured' });
+    }
+    if (!verifyWhatsAppSignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+      return res.status(401).json({ status: 'error', message: 'Invalid webhook signature' });
+    }
+
+    const summary = await handleWhatsAppWebhook(req.body);
+    res.status(200).json({ status: 'success', data: summary });
+  } catch (error) {
+    console.error('WhatsApp webhook error:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to process webhook' });
+  }
+});
+
+// Messages received on the gym's WhatsApp number
+router.get('/messages', protect, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid user id' });
+      }
+      filter.user = req.query.userId;
+    }
+    if (req.query.keyword) filter.keyword = String(req.query.keyword);
+    if (req.query.from) filter.from = String(req.query.from);
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [messages, total] = await Promise.all([
+      InboundMessage.find(filter)
+        .sort({ receivedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name phone'),
+      InboundMessage.countDocuments(filter)
+    ]);
+    res.status(200).json({
+      status: 'success',
+      results: messages.length,
+      data: { messages },
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + messages.length < total
+      }
+    });
+  } catch (error) {
+    console.error('WhatsApp messages error:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to fetch WhatsApp messages' });
+  }
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+
+const Admin = require('../models/Admin');
+
+// Bootstraps the first owner account on a fresh database.
+// Every other staff account is invited by an owner through /api/staff/invite.
+// Usage: node scripts/createOwner.js <email> <password> [name]
+const createOwner = async () => {
+  const [email, password, name] = process.argv.slice(2);
+
+  if (!email || !password || password.length < 8) {
+    console.error('Usage: node scripts/createOwner.js <email> <password (min 8 chars)> [name]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const existingOwner = await Admin.findOne(Admin.activeOwnerFilter());
+    if (existingOwner) {
+      console.log('An owner account already exists. Use the staff endpoints to add more staff.');
+      process.exit(0);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+    await Admin.create({
+      email,
+      name,
+      password: hashedPassword,
+      role: 'owner',
+      status: 'active'
+    });
+
+    console.log(`Owner account created for ${email}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+createOwner();
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+// Local stand-in for the Razorpay API, for testing the gateway flow without real money.
+// Point the backend at it with RAZORPAY_API_BASE_URL=http://localhost:4010/v1, then:
+//   POST /simulate/:orderId/capture  -> signs a checkout response and fires payment.captured
+//   POST /simulate/:orderId/fail     -> fires payment.failed
+// Orders, order payments, payment lookup and refunds are served under /v1.
+// Usage: node scripts/fakeRazorpayServer.js
+
+const PORT = process.env.FAKE_RAZORPAY_PORT || 4010;
+const KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_fake';
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'fake_secret';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'fake_webhook_secret';
+const WEBHOOK_URL = process.env.FAKE_RAZORPAY_WEBHOOK_URL
+  || `http://localhost:${process.env.PORT || 3000}/api/payments/razorpay/webhook`;
+
+const orders = new Map();
+const payments = new Map();
+// Refunds by X-Refund-Idempotency key, replayed instead of refunding twice
+const refundsByKey = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const app = express();
+app.use(express.json());
+
+const requireBasicAuth = (req, res, next) => {
+  const expected = `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`;
+  if (req.headers.authorization !== expected) {
+    return res.status(401).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' }
+    });
+  }
+  next();
+};
+
+app.post('/v1/orders', requireBasicAuth, (req, res) => {
+  const { amount, currency = 'INR', receipt, notes = {} } = req.body || {};
+  if (!Number.isInteger(amount) || amount < 100) {
+    return res.status(400).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The amount must be atleast INR 1.00' }
+    });
+  }
+
+  const order = {
+    id: randomId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt,
+    status: 'created',
+    attempts: 0,
+    notes,
+    created_at: Math.floor(Date.now() / 1000)
+  };
+  orders.set(order.id, order);
+  console.log(`Created ${order.id} for ${amount} paise (receipt ${receipt})`);
+  res.json(order);
+});
+
+app.get('/v1/orders/:id', requireBasicAuth, (req, res) => {
+  const order = orders.get(req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  }
+  res.json(order);
+});
+
+app.get('/v1/orders/:id/payments', requireBasicAuth, (req, res) => {
+  const items = [...payments.values()].filter(payment => payment.order_id === req.params.id);
+  res.json({ entity: 'collection', count: items.length, items });
+});
+
+app.post('/v1/payments/:id/refund', requireBasicAuth, (req, res) => {
+  const idempotencyKey = req.headers['x-refund-idempotency'];
+  if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+    return res.json(refundsByKey.get(idempotencyKey));
+  }
+
+  const payment = payments.get(req.params.id);
+  if (!payment || payment.status !== 'captured') {
+    return res.status(400).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The payment has not been captured' }
+    });
+  }
+
+  const amount = req.body && req.body.amount ? req.body.amount : payment.amount - (payment.amount_refunded || 0);
+  if (amount > payment.amount - (payment.amount_refunded || 0)) {
+    return res.status(400).json({
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount is greater than the amount left to refund' }
+    });
+  }
+
+  payment.amount_refunded = (payment.amount_refunded || 0) + amount;
+  payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+  const refund = {
+    id: randomId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: payment.currency,
+    payment_id: payment.id,
+    notes: (req.body && req.body.notes) || {},
+    status: 'processed',
+    created_at: Math.floor(Date.now() / 1000)
+  };
+  if (idempotencyKey) refundsByKey.set(idempotencyKey, refund);
+  res.json(refund);
+});
+
+app.get('/v1/payments/:id', requireBasicAuth, (req, res) => {
+  const payment = payments.get(req.params.id);
+  if (!payment) {
+    return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  }
+  res.json(payment);
+});
+
+const sendWebhook = async (event, payment) => {
+  const body = JSON.stringify({
+    entity: 'event',
+    event,
+    contains: ['payment'],
+    payload: { payment: { entity: payment } },
+    created_at: Math.floor(Date.now() / 1000)
+  });
+
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': hmacHex(WEBHOOK_SECRET, body)
+      },
+      body
+    });
+    return { status: response.status, body: await response.text() };
+  } catch (error) {
+    return { status: null, error: error.message };
+  }
+};
+
+const simulate = (outcome) => async (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(404).json({ error: 'Unknown order' });
+  }
+
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: outcome === 'capture' ? 'captured' : 'failed',
+    order_id: order.id,
+    method: 'upi',
+    captured: outcome === 'capture',
+    error_description: outcome === 'capture' ? null : 'Payment was declined by the bank',
+    created_at: Math.floor(Date.now() / 1000)
+  };
+  payments.set(payment.id, payment);
+  order.attempts += 1;
+  if (outcome === 'capture') {
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+  }
+
+  const webhook = await sendWebhook(outcome === 'capture' ? 'payment.captured' : 'payment.failed', payment);
+
+  res.json({
+    // What Razorpay Checkout would hand to the browser on success
+    checkoutResponse: outcome === 'capture' ? {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: hmacHex(KEY_SECRET, `${order.id}|${payment.id}`)
+    } : null,
+    payment,
+    webhook
+  });
+};
+
+app.post('/simulate/:orderId/capture', simulate('capture'));
+app.post('/simulate/:orderId/fail', simulate('fail'));
+
+app.listen(PORT, () => {
+  console.log(`Fake Razorpay listening on http://localhost:${PORT}/v1`);
+  console.log(`Webhooks go to ${WEBHOOK_URL}`);
+});
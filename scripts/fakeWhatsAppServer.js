@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const express = require('express');
+require('dotenv').config();
+
+// Local stand-in for the WhatsApp Cloud (Graph) API, for testing notifications
+// without a Meta account. Point the backend at it with
+// WHATSAPP_API_BASE_URL=http://localhost:4020/v17.0, then:
+//   GET  /sent                        -> messages the backend has sent
+//   POST /simulate/inbound { from, text }          -> member message webhook (e.g. RENEW, STOP)
+//   POST /simulate/status/:messageId { status }    -> delivered / read / failed callback
+// Like the real API, free-form messages are rejected unless the number messaged
+// in the last 24 hours (FAKE_WHATSAPP_SESSION_WINDOW=off to allow them anyway).
+// Usage: node scripts/fakeWhatsAppServer.js
+
+const PORT = process.env.FAKE_WHATSAPP_PORT || 4020;
+const TOKEN = process.env.WHATSAPP_TOKEN || 'fake_whatsapp_token';
+const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || '100000000000000';
+const APP_SECRET = process.env.WHATSAPP_APP_SECRET || 'fake_app_secret';
+const ENFORCE_SESSION_WINDOW = process.env.FAKE_WHATSAPP_SESSION_WINDOW !== 'off';
+const WEBHOOK_URL = process.env.FAKE_WHATSAPP_WEBHOOK_URL
+  || `http://localhost:${process.env.PORT || 3000}/api/whatsapp/webhook`;
+const SESSION_MS = 24 * 60 * 60 * 1000;
+
+const sent = [];
+const lastInboundAt = new Map();
+
+const randomId = () => `wamid.${crypto.randomBytes(12).toString('hex')}`;
+const toWaId = (number) => String(number || '').replace(/\D/g, '');
+const graphError = (res, status, code, message) => res.status(status).json({
+  error: { message, type: 'OAuthException', code, fbtrace_id: crypto.randomBytes(6).toString('hex') }
+});
+
+const app = express();
+app.use(express.json());
+
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return graphError(res, 401, 190, 'Invalid OAuth access token.');
+  }
+  if (req.params.phoneNumberId !== PHONE_NUMBER_ID) {
+    return graphError(res, 400, 100, `Unsupported post request. Object with ID '${req.params.phoneNumberId}' does not exist`);
+  }
+
+  const { messaging_product: product, to, type } = req.body || {};
+  const content = req.body && req.body[type];
+  if (product !== 'whatsapp' || !to || !content) {
+    return graphError(res, 400, 100, 'Invalid parameter');
+  }
+  if (type === 'template' && !(content.name && content.language && content.language.code)) {
+    return graphError(res, 400, 132000, 'Template name and language are required');
+  }
+  if (type === 'document' && !content.link) {
+    return graphError(res, 400, 131009, 'Parameter value is not valid: document.link is required');
+  }
+  if (!['text', 'template', 'document'].includes(type)) {
+    return graphError(res, 400, 131009, `Message type ${type} is not supported by this fake`);
+  }
+
+  const waId = toWaId(to);
+  const inSession = Date.now() - (lastInboundAt.get(waId) || 0) < SESSION_MS;
+  if (ENFORCE_SESSION_WINDOW && type !== 'template' && !inSession) {
+    return graphError(res, 400, 131047, 'Re-engagement message: more than 24 hours have passed since the recipient last replied');
+  }
+
+  const message = { id: randomId(), to: waId, type, content, status: 'sent', at: new Date().toISOString() };
+  sent.push(message);
+  console.log(`Sent ${type} ${message.id} to ${waId}`);
+  res.json({
+    messaging_product: 'whatsapp',
+    contacts: [{ input: to, wa_id: waId }],
+    messages: [{ id: message.id }]
+  });
+});
+
+app.get('/sent', (req, res) => {
+  res.json({ count: sent.length, messages: sent });
+});
+
+const sendWebhook = async (value) => {
+  const body = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'fake-waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '15550000000', phone_number_id: PHONE_NUMBER_ID },
+          ...value
+        }
+      }]
+    }]
+  });
+
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': `sha256=${crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')}`
+      },
+      body
+    });
+    return { status: response.status, body: await response.text() };
+  } catch (error) {
+    return { status: null, error: error.message };
+  }
+};
+
+app.post('/simulate/inbound', async (req, res) => {
+  const { from, text = 'Hi', name = 'Test Member' } = req.body || {};
+  const waId = toWaId(from);
+  if (!waId) {
+    return res.status(400).json({ error: 'from is required' });
+  }
+
+  lastInboundAt.set(waId, Date.now());
+  const message = {
+    from: waId,
+    id: randomId(),
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    type: 'text',
+    text: { body: text }
+  };
+  const webhook = await sendWebhook({
+    contacts: [{ profile: { name }, wa_id: waId }],
+    messages: [message]
+  });
+  res.json({ message, webhook });
+});
+
+app.post('/simulate/status/:messageId', async (req, res) => {
+  const message = sent.find(item => item.id === req.params.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Unknown message' });
+  }
+  const status = (req.body && req.body.status) || 'delivered';
+  if (!['sent', 'delivered', 'read', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be sent, delivered, read or failed' });
+  }
+
+  message.status = status;
+  const webhook = await sendWebhook({
+    statuses: [{
+      id: message.id,
+      status,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      recipient_id: message.to,
+      ...(status === 'failed'
+        ? { errors: [{ code: 131026, title: 'Message undeliverable' }] }
+        : {})
+    }]
+  });
+  res.json({ message, webhook });
+});
+
+app.listen(PORT, () => {
+  console.log(`Fake WhatsApp Cloud API listening on http://localhost:${PORT}/v17.0`);
+  console.log(`Webhooks go to ${WEBHOOK_URL}`);
+});
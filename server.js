@@ -12,10 +12,24 @@ const os = require('os');
 const authRoutes = require('./routes/authRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const sendEmail = require('./services/emailService');
-const { checkExpiredSubscriptions } = require('./services/subscriptionService');
+const { checkExpiredSubscriptions, sendRenewalReminders } = require('./services/subscriptionService');
+const { expireStalePayments } = require('./services/paymentService');
+const { sendInstallmentReminders } = require('./services/installmentService');
+const { processOutbox } = require('./services/outboxService');
 const healthRoutes = require('./routes/healthRoutes');
 const whatsappRoutes = require('./routes/whatsappRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
+const receiptRoutes = require('./routes/receiptRoutes');
+const memberRoutes = require('./routes/memberRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const staffRoutes = require('./routes/staffRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const cashSessionRoutes = require('./routes/cashSessionRoutes');
+const statementRoutes = require('./routes/statementRoutes');
+const outboxRoutes = require('./routes/outboxRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 
 const app = express();
 
@@ -56,7 +70,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Kiosk-Key'],
   exposedHeaders: ['Content-Range', 'X-Content-Range'],
   maxAge: 600,
   preflightContinue: false,
@@ -67,7 +81,12 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parser middleware
-app.use(express.json());
+// Keep the raw body for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -120,11 +139,31 @@ app.use('/api/payments', paymentRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/member', memberRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/cash-sessions', cashSessionRoutes);
+app.use('/api/statements', statementRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Receipt download endpoint
 const { generateReceiptForDownload, generateAllMembersPDF } = require('./services/pdfService');
 const User = require('./models/User');
-const { protect } = require('./middleware/auth');
+const { formatIndianPrice } = require('./utils/formatters');
+const { findReceiptByNumber, getLatestReceiptForUser } = require('./services/receiptService');
+const { protect, requirePermission } = require('./middleware/auth');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 // Health check for receipt service
 app.get('/api/receipt/health', (req, res) => {
@@ -194,11 +233,14 @@ app.get('/api/receipt/download/:userId', async (req, res) => {
     }
     
     console.log('Generating PDF for user:', user.name);
+
+    // Older email links point here; render the member's latest numbered receipt when there is one
+    const latestReceipt = await getLatestReceiptForUser(user._id);
     
     // Generate PDF on-demand with timeout
     console.log('Starting PDF generation...');
     const pdfBuffer = await Promise.race([
-      generateReceiptForDownload(user),
+      generateReceiptForDownload(user, latestReceipt),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('PDF generation timeout')), 30000)
       )
@@ -321,10 +363,11 @@ app.get('/api/receipt/preview/:userId', async (req, res) => {
     }
     
     console.log('Generating PDF for preview, user:', user.name);
+    const latestReceipt = await getLatestReceiptForUser(user._id);
     
     // Generate PDF on-demand with timeout
     const pdfBuffer = await Promise.race([
-      generateReceiptForDownload(user),
+      generateReceiptForDownload(user, latestReceipt),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('PDF generation timeout')), 30000)
       )
@@ -393,7 +436,7 @@ app.get('/api/receipt/preview/:userId', async (req, res) => {
 });
 
 // Download all members PDF endpoint (protected)
-app.get('/api/members/download-pdf', protect, async (req, res) => {
+app.get('/api/members/download-pdf', protect, requirePermission('members:read'), async (req, res) => {
   try {
     console.log('All members PDF download requested');
     
@@ -478,7 +521,7 @@ app.get('/api/receipt/test/:userId', async (req, res) => {
 });
 
 // Receipt verification endpoint for admin panel
-app.get('/api/receipt/verify', protect, async (req, res) => {
+app.get('/api/receipt/verify', protect, requirePermission('payments:read'), async (req, res) => {
   try {
     const { receiptNumber, userId } = req.query;
     
@@ -490,28 +533,34 @@ app.get('/api/receipt/verify', protect, async (req, res) => {
     }
     
     let user = null;
+    let receipt = null;
     
-    // If receipt number is provided, extract user ID from it
     if (receiptNumber) {
-      // Receipt number format: RCP-XXXXXXXX (last 8 chars of user ID)
-      const receiptMatch = receiptNumber.match(/RCP-([A-Z0-9]{8})/i);
-      if (!receiptMatch) {
-        return res.status(400).json({
+      receipt = await findReceiptByNumber(receiptNumber);
+
+      // Legacy receipt numbers: RCP-XXXXXXXX (last 8 chars of user ID)
+      const legacyMatch = !receipt && receiptNumber.match(/^RCP-([A-Z0-9]{8})$/i);
+      if (!receipt && !legacyMatch) {
+        return res.status(404).json({
           status: 'error',
-          message: 'Invalid receipt number format. Expected format: RCP-XXXXXXXX'
+          message: 'Receipt not found'
         });
       }
-      
-      // Find user by matching the last 8 characters of their ID
-      const receiptSuffix = receiptMatch[1].toUpperCase();
-      const users = await User.find({ isDeleted: { $ne: true } });
-      user = users.find(u => {
-        const userIdSuffix = u._id.toString().slice(-8).toUpperCase();
-        return userIdSuffix === receiptSuffix;
-      });
+
+      if (receipt) {
+        user = await User.findById(receipt.user);
+      } else {
+        const receiptSuffix = legacyMatch[1].toUpperCase();
+        const users = await User.find({ isDeleted: { $ne: true } }).select('_id');
+        const match = users.find(u => u._id.toString().slice(-8).toUpperCase() === receiptSuffix);
+        user = match ? await User.findById(match._id) : null;
+      }
     } else if (userId) {
       // If user ID is provided directly
       user = await User.findById(userId);
+      if (user) {
+        receipt = await getLatestReceiptForUser(user._id);
+      }
     }
     
     if (!user) {
@@ -521,36 +570,54 @@ app.get('/api/receipt/verify', protect, async (req, res) => {
       });
     }
     
-    // Get the latest payment from membership history
+    // Get the latest payment from membership history (legacy receipts only)
     let latestPayment = null;
-    if (user.membershipHistory && user.membershipHistory.length > 0) {
+    if (!receipt && user.membershipHistory && user.membershipHistory.length > 0) {
       const confirmedPayments = user.membershipHistory
-        .filter(h => h.paymentStatus === 'confirmed')
+        .filter(h => h.paymentStatus === 'confirmed' && h.type !== 'refund')
         .sort((a, b) => new Date(b.date) - new Date(a.date));
       latestPayment = confirmedPayments[0] || null;
     }
     
-    // Generate receipt number
-    const generatedReceiptNumber = `RCP-${user._id.toString().slice(-8).toUpperCase()}`;
     const memberId = `MEM-${user._id.toString().slice(-8).toUpperCase()}`;
     
     // Get payment date
     let paymentDate = new Date();
-    if (latestPayment && latestPayment.date) {
+    if (receipt) {
+      paymentDate = new Date(receipt.issuedAt);
+    } else if (latestPayment && latestPayment.date) {
       paymentDate = new Date(latestPayment.date);
     }
-    
-    res.json({
-      status: 'success',
-      data: {
-        receipt: {
-          receiptNumber: generatedReceiptNumber,
+
+    const receiptDetails = receipt
+      ? {
+          _id: receipt._id,
+          receiptNumber: receipt.receiptNumber,
+          financialYear: receipt.financialYear,
+          memberId: memberId,
+          type: receipt.type,
+          plan: receipt.plan,
+          paymentDate: paymentDate.toISOString(),
+          amount: receipt.amount,
+          paymentMode: receipt.paymentMode,
+          transactionId: receipt.transactionId || null,
+          periodStart: receipt.periodStart,
+          periodEnd: receipt.periodEnd,
+          status: receipt.status
+        }
+      : {
+          receiptNumber: `RCP-${user._id.toString().slice(-8).toUpperCase()}`,
           memberId: memberId,
           paymentDate: paymentDate.toISOString(),
           amount: latestPayment?.amount || 0,
           paymentMode: latestPayment?.paymentMode || user.paymentMethod,
           transactionId: latestPayment?.transactionId || null
-        },
+        };
+    
+    res.json({
+      status: 'success',
+      data: {
+        receipt: receiptDetails,
         customer: {
           _id: user._id,
           name: user.name,
@@ -567,12 +634,14 @@ app.get('/api/receipt/verify', protect, async (req, res) => {
           paymentMethod: user.paymentMethod,
           paymentStatus: user.paymentStatus,
           subscriptionStatus: user.subscriptionStatus,
-          originalJoinDate: user.originalJoinDate
+          originalJoinDate: user.originalJoinDate,
+          freezes: user.freezes || []
         },
         verification: {
-          isValid: true,
+          isValid: !receipt || receipt.status === 'issued',
+          isLegacyReceipt: !receipt,
           receiptMatchesCustomer: true,
-          receiptMatchesSubscription: true,
+          receiptMatchesSubscription: !receipt || receipt.plan === user.plan,
           verifiedAt: new Date().toISOString()
         }
       }
@@ -588,8 +657,20 @@ app.get('/api/receipt/verify', protect, async (req, res) => {
 });
 
 // Receipt verification endpoint (public HTML page)
-app.get('/verify/:receiptNumber', (req, res) => {
-  const { receiptNumber } = req.params;
+// Receipt numbers contain slashes (SG/2026-27/000123), so match every remaining segment
+app.get('/verify/*receiptNumber', async (req, res) => {
+  const receiptNumber = [].concat(req.params.receiptNumber).join('/');
+
+  let receipt = null;
+  try {
+    receipt = await findReceiptByNumber(receiptNumber);
+  } catch (error) {
+    console.error('Error looking up receipt for verification:', error);
+  }
+  const isValid = Boolean(receipt && receipt.status === 'issued');
+  const issuedOn = receipt
+    ? new Date(receipt.issuedAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Kolkata' })
+    : '';
   
   // Simple verification page
   const html = `
@@ -630,7 +711,7 @@ app.get('/verify/:receiptNumber', (req, res) => {
           margin-bottom: 30px;
         }
         .status {
-          background: #10b981;
+          background: ${isValid ? '#10b981' : '#ef4444'};
           color: white;
           padding: 15px 30px;
           border-radius: 50px;
@@ -667,13 +748,18 @@ app.get('/verify/:receiptNumber', (req, res) => {
         <div class="logo">STARGYM</div>
         <div class="tagline">Fitness & Wellness Center</div>
         
-        <div class="icon">✅</div>
+        <div class="icon">${isValid ? '✅' : '❌'}</div>
         
-        <div class="status">RECEIPT VERIFIED</div>
+        <div class="status">${isValid ? 'RECEIPT VERIFIED' : 'RECEIPT NOT VALID'}</div>
         
         <div class="receipt-info">
-          <div class="receipt-number">Receipt Number: ${receiptNumber}</div>
+          <div class="receipt-number">Receipt Number: ${escapeHtml(receiptNumber)}</div>
+          ${isValid ? `
+          <p>Issued to ${escapeHtml(receipt.member.name || 'member')} on ${issuedOn} for ${escapeHtml(formatIndianPrice(receipt.amount))}.</p>
           <p>This receipt has been successfully verified and is valid.</p>
+          ` : `
+          <p>${receipt ? 'This receipt has been cancelled.' : 'No receipt with this number was found.'}</p>
+          `}
         </div>
         
         <div class="footer">
@@ -685,7 +771,7 @@ app.get('/verify/:receiptNumber', (req, res) => {
     </html>
   `;
   
-  res.send(html);
+  res.status(receipt ? 200 : 404).send(html);
 });
 
 // Serve static files
@@ -720,6 +806,26 @@ app.use((req, res) => {
   });
 });
 
+const runDailyChecks = async () => {
+  await checkExpiredSubscriptions();
+  try {
+    const sent = await sendRenewalReminders();
+    if (sent > 0) {
+      console.log(`Sent ${sent} renewal reminders`);
+    }
+  } catch (error) {
+    console.error('Renewal reminder error:', error);
+  }
+  try {
+    const sent = await sendInstallmentReminders();
+    if (sent > 0) {
+      console.log(`Sent ${sent} installment reminders`);
+    }
+  } catch (error) {
+    console.error('Installment reminder error:', error);
+  }
+};
+
 // Check subscriptions every day at midnight
 const scheduleSubscriptionCheck = () => {
   const now = new Date();
@@ -732,14 +838,40 @@ const scheduleSubscriptionCheck = () => {
   const timeToMidnight = night.getTime() - now.getTime();
 
   setTimeout(() => {
-    checkExpiredSubscriptions();
+    runDailyChecks();
     // Run every 24 hours
-    setInterval(checkExpiredSubscriptions, 24 * 60 * 60 * 1000);
+    setInterval(runDailyChecks, 24 * 60 * 60 * 1000);
   }, timeToMidnight);
 };
 
 scheduleSubscriptionCheck();
 
+// Expire unpaid payment orders past their expiresAt (status checks also expire lazily)
+const PAYMENT_SWEEP_INTERVAL_MS = parseInt(process.env.PAYMENT_SWEEP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+setInterval(async () => {
+  try {
+    const expired = await expireStalePayments();
+    if (expired > 0) {
+      console.log(`Expired ${expired} stale payment orders`);
+    }
+  } catch (error) {
+    console.error('Payment expiry sweep error:', error);
+  }
+}, PAYMENT_SWEEP_INTERVAL_MS);
+
+// Retry queued email/WhatsApp messages whose backoff has elapsed
+const OUTBOX_INTERVAL_MS = parseInt(process.env.OUTBOX_INTERVAL_MS, 10) || 60 * 1000;
+setInterval(async () => {
+  try {
+    const { processed, sent, failed } = await processOutbox();
+    if (processed > 0) {
+      console.log(`Outbox: retried ${processed} messages (${sent} sent, ${failed} given up)`);
+    }
+  } catch (error) {
+    console.error('Outbox worker error:', error);
+  }
+}, OUTBOX_INTERVAL_MS);
+
 const PORT = process.env.PORT || 3000;
 console.log('Starting server...');
 console.log('Environment:', process.env.NODE_ENV);
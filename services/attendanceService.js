@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const APIError = require('../utils/APIError');
+const { getSettings } = require('../utils/formatters');
+const { IST_OFFSET_MS } = require('../utils/dateHelpers');
+
+const QR_PREFIX = 'SGCHECKIN';
+const MINUTE_MS = 60 * 1000;
+
+// Midnight IST for the given instant, as a UTC Date
+const startOfISTDay = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  ist.setUTCHours(0, 0, 0, 0);
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+};
+
+const getAttendanceRules = async () => {
+  const settings = await getSettings();
+  const rules = (settings && settings.attendanceSettings) || {};
+  return {
+    duplicateWindowMinutes: typeof rules.duplicateWindowMinutes === 'number' ? rules.duplicateWindowMinutes : 10,
+    autoCheckoutHours: rules.autoCheckoutHours || 4
+  };
+};
+
+const generateCode = () => crypto.randomBytes(16).toString('hex');
+
+// Get (or create on first use) the secret behind a member's check-in QR
+const ensureCheckInCode = async (userId, { rotate = false } = {}) => {
+  const user = await User.findById(userId).select('+checkInCode');
+  if (!user || user.isDeleted) {
+    throw new APIError('User not found', 404);
+  }
+  if (!user.checkInCode || rotate) {
+    user.checkInCode = generateCode();
+    await user.save({ validateBeforeSave: false });
+  }
+  return { user, code: user.checkInCode };
+};
+
+// QR payload is "SGCHECKIN:<code>"; the code alone identifies the member
+const generateCheckInQR = async (userId, options = {}) => {
+  const { user, code } = await ensureCheckInCode(userId, options);
+  const payload = `${QR_PREFIX}:${code}`;
+  const qrImage = await QRCode.toDataURL(payload, { margin: 1, scale: 8 });
+  return { user, payload, qrImage };
+};
+
+const parseScan = (scan) => {
+  const value = String(scan || '').trim();
+  const [prefix, code] = value.split(':');
+  if (prefix !== QR_PREFIX || !code) return null;
+  return code;
+};
+
+// Reason a member may not enter, or null when they may
+const getEntryRejection = (user, now) => {
+  if (user.subscriptionStatus === 'frozen') {
+    return { reason: 'frozen', message: 'Membership is frozen' };
+  }
+  // Members paying in installments may enter once the first one is paid
+  if (!['confirmed', 'partial'].includes(user.paymentStatus) || user.subscriptionStatus === 'pending') {
+    return { reason: 'pending', message: 'Membership payment is pending' };
+  }
+  if (user.subscriptionStatus === 'expired' || (user.endDate && new Date(user.endDate) < now)) {
+    return { reason: 'expired', message: 'Membership has expired' };
+  }
+  if (user.startDate && new Date(user.startDate) > now) {
+    return { reason: 'not_started', message: 'Membership has not started yet' };
+  }
+  return null;
+};
+
+/**
+ * Handle a kiosk scan. The first scan checks the member in, the next scan
+ * (after the duplicate window) checks them out. Rejections carry a `reason`.
+ */
+const processScan = async (scan, { kioskId, now = new Date() } = {}) => {
+  const code = parseScan(scan);
+  if (!code) {
+    return { accepted: false, reason: 'invalid_code', message: 'Unrecognised QR code' };
+  }
+
+  const user = await User.findOne({ checkInCode: code });
+  if (!user || user.isDeleted) {
+    return { accepted: false, reason: 'invalid_code', message: 'Unrecognised QR code' };
+  }
+
+  const member = { _id: user._id, name: user.name, photo: user.photo, plan: user.plan, endDate: user.endDate };
+  const rules = await getAttendanceRules();
+
+  const openVisit = await Attendance.findOne({
+    user: user._id,
+    checkOutAt: null,
+    checkInAt: { $gte: new Date(now.getTime() - rules.autoCheckoutHours * 60 * MINUTE_MS) }
+  }).sort({ checkInAt: -1 });
+
+  const lastScanAt = openVisit ? openVisit.checkInAt : null;
+  const lastClosed = openVisit ? null : await Attendance.findOne({
+    user: user._id,
+    checkOutAt: { $ne: null }
+  }).sort({ checkOutAt: -1 });
+  const lastActivity = lastScanAt || (lastClosed && lastClosed.checkOutAt);
+
+  if (lastActivity && now.getTime() - new Date(lastActivity).getTime() < rules.duplicateWindowMinutes * MINUTE_MS) {
+    return {
+      accepted: false,
+      reason: 'duplicate',
+      message: `Already scanned in the last ${rules.duplicateWindowMinutes} minutes`,
+      member
+    };
+  }
+
+  if (openVisit) {
+    openVisit.checkOutAt = now;
+    await openVisit.save();
+    return { accepted: true, action: 'check_out', attendance: openVisit, member };
+  }
+
+  const rejection = getEntryRejection(user, now);
+  if (rejection) {
+    return { accepted: false, ...rejection, member };
+  }
+
+  const attendance = await Attendance.create({
+    user: user._id,
+    checkInAt: now,
+    source: 'qr',
+    kioskId,
+    plan: user.plan
+  });
+
+  return { accepted: true, action: 'check_in', attendance, member };
+};
+
+const getAttendanceForDay = async (date = new Date()) => {
+  const dayStart = startOfISTDay(date);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * MINUTE_MS);
+
+  const visits = await Attendance.find({ checkInAt: { $gte: dayStart, $lt: dayEnd } })
+    .sort({ checkInAt: -1 })
+    .populate('user', 'name phone photo plan endDate');
+
+  return {
+    date: dayStart,
+    visits,
+    totalVisits: visits.length,
+    uniqueMembers: new Set(visits.map(visit => String(visit.user && visit.user._id))).size,
+    currentlyIn: visits.filter(visit => !visit.checkOutAt).length
+  };
+};
+
+module.exports = {
+  startOfISTDay,
+  getAttendanceRules,
+  ensureCheckInCode,
+  generateCheckInQR,
+  processScan,
+  getAttendanceForDay
+};
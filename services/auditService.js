@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Member fields worth diffing for membership actions
+const MEMBER_AUDIT_FIELDS = [
+  'name', 'email', 'phone', 'gstin', 'plan', 'startDate', 'endDate',
+  'paymentMethod', 'paymentStatus', 'subscriptionStatus', 'isDeleted'
+];
+
+// Plain JSON copy: dates become ISO strings, ObjectIds become strings
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+};
+
+const hashEntry = (entry) => {
+  const payload = {
+    seq: entry.seq,
+    at: new Date(entry.at).toISOString(),
+    actor: toPlain(entry.actor),
+    action: entry.action,
+    target: toPlain(entry.target),
+    member: entry.member ? String(entry.member) : null,
+    changes: toPlain(entry.changes || []),
+    meta: toPlain(entry.meta),
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    prevHash: entry.prevHash
+  };
+  return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+};
+
+// Flatten nested objects into dotted paths; arrays stay whole
+const flatten = (value, prefix = '', out = {}) => {
+  const isObject = value && typeof value === 'object' && !Array.isArray(value);
+  if (isObject && Object.keys(value).length > 0) {
+    Object.keys(value).forEach(key => {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    });
+    return out;
+  }
+  if (prefix) out[prefix] = value;
+  return out;
+};
+
+/**
+ * Field-level diff of two snapshots, e.g. [{ field: 'plan', from: 'monthly', to: 'yearly' }].
+ * Either side may be null for creations and deletions.
+ */
+const diffSnapshots = (before, after) => {
+  const flatBefore = flatten(toPlain(before) || {});
+  const flatAfter = flatten(toPlain(after) || {});
+  const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])]
+    .filter(field => field !== '_id' && field !== '__v' && field !== 'updatedAt')
+    .sort();
+
+  return fields
+    .filter(field => canonicalize(flatBefore[field] === undefined ? null : flatBefore[field])
+      !== canonicalize(flatAfter[field] === undefined ? null : flatAfter[field]))
+    .map(field => ({
+      field,
+      from: flatBefore[field] === undefined ? null : flatBefore[field],
+      to: flatAfter[field] === undefined ? null : flatAfter[field]
+    }));
+};
+
+const snapshotMember = (user) => {
+  if (!user) return null;
+  const snapshot = {};
+  MEMBER_AUDIT_FIELDS.forEach(field => {
+    snapshot[field] = user[field] === undefined ? null : user[field];
+  });
+  return toPlain(snapshot);
+};
+
+const getRequestIp = (req) => {
+  const forwarded = req.headers && req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.ip || (req.connection && req.connection.remoteAddress);
+};
+
+const getActorFromRequest = (req) => {
+  const user = req && req.user;
+  if (!user) return { type: 'system' };
+  if (user.role === 'kiosk') return { type: 'kiosk', role: 'kiosk' };
+  if (user.role === 'member') return { type: 'member', id: String(user.id), role: 'member' };
+  return { type: 'staff', id: user.id ? String(user.id) : undefined, role: user.role };
+};
+
+// Append one row to the chain; concurrent writers race on the unique seq index and retry
+const appendEntry = async (fields) => {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+    const entry = {
+      ...fields,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record an audited action. Never throws: a failed audit write is logged and
+ * must not undo the action it describes.
+ *
+ * @param {Object} options
+ * @param {Object} [options.req] - Express request; supplies actor, IP and user agent
+ * @param {Object} [options.actor] - Overrides the actor, e.g. { type: 'webhook', label: 'upi' }
+ * @param {string} options.action - Dotted action name, e.g. 'payment.approve'
+ * @param {Object} options.target - { type, id } of the record acted on
+ * @param {string} [options.member] - Member id the action concerns
+ * @param {Object} [options.before] - Snapshot before the change
+ * @param {Object} [options.after] - Snapshot after the change
+ * @param {Object} [options.meta] - Extra context (amounts, receipt numbers, ...)
+ */
+const recordAudit = async ({ req, actor, action, target, member, before, after, meta }) => {
+  try {
+    const plainMeta = toPlain(meta);
+    return await appendEntry({
+      at: new Date(),
+      actor: toPlain(actor || getActorFromRequest(req)),
+      action,
+      target: { type: target.type, id: target.id ? String(target.id) : undefined },
+      member: member || undefined,
+      changes: diffSnapshots(before, after),
+      meta: plainMeta && Object.keys(plainMeta).length > 0 ? plainMeta : undefined,
+      ip: req ? getRequestIp(req) : undefined,
+      userAgent: req && req.headers ? req.headers['user-agent'] : undefined
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry (${action}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Walk the chain in order and report the first row that was edited, removed or reordered.
+ * Removing rows from the end cannot be detected from the chain alone, so the
+ * result includes the head hash for the owner to compare against a saved copy.
+ */
+const verifyAuditChain = async () => {
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  let previous = null;
+  let checked = 0;
+
+  for await (const entry of cursor) {
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+
+    let reason = null;
+    if (entry.seq !== expectedSeq) {
+      reason = `Missing entries before seq ${entry.seq} (expected ${expectedSeq})`;
+    } else if (entry.prevHash !== expectedPrevHash) {
+      reason = 'Previous hash does not match the preceding entry';
+    } else if (hashEntry(entry) !== entry.hash) {
+      reason = 'Entry contents do not match its hash';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return {
+        valid: false,
+        checked,
+        brokenAt: { seq: entry.seq, id: entry._id, reason },
+        headSeq: previous ? previous.seq : 0,
+        headHash: previous ? previous.hash : GENESIS_HASH
+      };
+    }
+
+    previous = entry;
+    checked++;
+  }
+
+  return {
+    valid: true,
+    checked,
+    brokenAt: null,
+    headSeq: previous ? previous.seq : 0,
+    headHash: previous ? previous.hash : GENESIS_HASH
+  };
+};
+
+module.exports = {
+  recordAudit,
+  verifyAuditChain,
+  diffSnapshots,
+  snapshotMember
+};
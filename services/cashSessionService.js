@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const CashSession = require('../models/CashSession');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const APIError = require('../utils/APIError');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getOpenSession = () => CashSession.findOne({ status: 'open' });
+
+const openSession = async ({ openingFloat = 0, openingNote, adminId }) => {
+  const float = Number(openingFloat);
+  if (!Number.isFinite(float) || float < 0) {
+    throw new APIError('Opening float must be zero or more', 400);
+  }
+
+  try {
+    return await CashSession.create({
+      openedBy: adminId,
+      openedAt: new Date(),
+      openingFloat: roundAmount(float),
+      openingNote
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new APIError('A cash session is already open. Close it before opening a new one', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fields to add to a membershipHistory entry for a payment taken in `paymentMode`.
+ * Cash needs an open drawer session so every rupee is tied to a session and the
+ * staff member who took it; other modes get nothing.
+ */
+const getCashTag = async (paymentMode, adminId) => {
+  if (paymentMode !== 'cash') return {};
+  const session = await getOpenSession();
+  if (!session) {
+    throw new APIError('Open a cash session before collecting or refunding cash', 409);
+  }
+  return { cashSession: session._id, collectedBy: adminId };
+};
+
+/**
+ * Reject cash entries dated inside a period whose drawer has already been
+ * closed, so past closings can't be changed by back-dated entries.
+ */
+const assertCashPeriodOpen = async (date) => {
+  const lastClosed = await CashSession.findOne({ status: 'closed' }).sort({ closedAt: -1 }).select('closedAt').lean();
+  if (lastClosed && new Date(date) <= lastClosed.closedAt) {
+    throw new APIError('Cash for this date has already been closed and can no longer be changed', 409);
+  }
+};
+
+// Cash entries recorded against a session, newest last
+const getSessionEntries = async (sessionId) => {
+  const id = new mongoose.Types.ObjectId(String(sessionId));
+  return User.aggregate([
+    { $match: { 'membershipHistory.cashSession': id } },
+    { $unwind: '$membershipHistory' },
+    { $match: { 'membershipHistory.cashSession': id } },
+    {
+      $project: {
+        _id: '$membershipHistory._id',
+        userId: '$_id',
+        memberName: '$name',
+        type: '$membershipHistory.type',
+        date: '$membershipHistory.date',
+        amount: '$membershipHistory.amount',
+        plan: '$membershipHistory.plan',
+        paymentStatus: '$membershipHistory.paymentStatus',
+        collectedBy: '$membershipHistory.collectedBy',
+        notes: '$membershipHistory.notes'
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+};
+
+// Expected drawer contents and per-staff totals for a session's entries
+const summarizeSession = async (session, entries) => {
+  const confirmed = entries.filter(entry => entry.paymentStatus === 'confirmed');
+  const collections = roundAmount(confirmed.filter(entry => entry.amount > 0).reduce((sum, entry) => sum + entry.amount, 0));
+  const refunds = roundAmount(confirmed.filter(entry => entry.amount < 0).reduce((sum, entry) => sum - entry.amount, 0));
+
+  const staffIds = [...new Set(confirmed.map(entry => String(entry.collectedBy || '')).filter(Boolean))];
+  const staff = await Admin.find({ _id: { $in: staffIds } }).select('name').lean();
+  const staffNames = new Map(staff.map(admin => [String(admin._id), admin.name]));
+
+  const byStaff = staffIds.map(staffId => {
+    const own = confirmed.filter(entry => String(entry.collectedBy) === staffId);
+    return {
+      staff: staffId,
+      name: staffNames.get(staffId) || 'Unknown',
+      collections: roundAmount(own.filter(entry => entry.amount > 0).reduce((sum, entry) => sum + entry.amount, 0)),
+      refunds: roundAmount(own.filter(entry => entry.amount < 0).reduce((sum, entry) => sum - entry.amount, 0)),
+      entryCount: own.length
+    };
+  });
+
+  return {
+    collections,
+    refunds,
+    entryCount: confirmed.length,
+    expectedCash: roundAmount(session.openingFloat + collections - refunds),
+    byStaff
+  };
+};
+
+/**
+ * Close the open session: freeze expected vs counted totals. A variance needs a
+ * note. Closed sessions are never reopened or edited.
+ */
+const closeSession = async (sessionId, { countedCash, varianceNote, adminId }) => {
+  const counted = Number(countedCash);
+  if (countedCash === undefined || countedCash === null || countedCash === '' || !Number.isFinite(counted) || counted < 0) {
+    throw new APIError('countedCash must be zero or more', 400);
+  }
+
+  const session = await CashSession.findById(sessionId);
+  if (!session) {
+    throw new APIError('Cash session not found', 404);
+  }
+  if (session.status !== 'open') {
+    throw new APIError('This cash session is already closed and locked', 409);
+  }
+
+  const entries = await getSessionEntries(session._id);
+  const summary = await summarizeSession(session, entries);
+  const variance = roundAmount(counted - summary.expectedCash);
+  const note = varianceNote ? String(varianceNote).trim() : '';
+  if (variance !== 0 && !note) {
+    throw new APIError(`The drawer is ${variance > 0 ? 'over' : 'short'} by Rs. ${Math.abs(variance)}. Add a variance note to close`, 400);
+  }
+
+  const closed = await CashSession.findOneAndUpdate(
+    { _id: session._id, status: 'open' },
+    {
+      $set: {
+        status: 'closed',
+        closedBy: adminId,
+        closedAt: new Date(),
+        ...summary,
+        countedCash: roundAmount(counted),
+        variance,
+        varianceNote: note || undefined
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!closed) {
+    throw new APIError('This cash session is already closed and locked', 409);
+  }
+  return { session: closed, entries };
+};
+
+module.exports = {
+  getOpenSession,
+  openSession,
+  getCashTag,
+  assertCashPeriodOpen,
+  getSessionEntries,
+  summarizeSession,
+  closeSession
+};
@@ -0,0 +1,254 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const APIError = require('../utils/APIError');
+const { getPlanByCode } = require('./planService');
+const { getChargeAmount } = require('./taxService');
+const { RECEIPTABLE_TYPES } = require('./receiptService');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Discount in whole rupees off the plan price (before GST), never more than the price
+const calculateDiscount = (coupon, listPrice) => {
+  let discount = coupon.discountType === 'percentage'
+    ? (listPrice * coupon.value) / 100
+    : coupon.value;
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.round(Math.min(discount, listPrice));
+};
+
+const hasPaidMembership = (user) => (user.membershipHistory || []).some(entry =>
+  entry.paymentStatus === 'confirmed' && RECEIPTABLE_TYPES.includes(entry.type) && entry.amount > 0
+);
+
+/**
+ * Check a coupon against a plan (and member, when known) without using it.
+ * Prices are pre-GST; `chargeAmount` is what the member would actually pay.
+ */
+const evaluateCoupon = async (code, { user = null, planCode, now = new Date() } = {}) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon || !coupon.isActive) {
+    throw new APIError('Invalid coupon code', 404);
+  }
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw new APIError('This coupon is not valid yet', 400);
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw new APIError('This coupon has expired', 400);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new APIError('This coupon has been fully redeemed', 409);
+  }
+
+  const plan = await getPlanByCode(planCode);
+  if (!plan) {
+    throw new APIError(`Unknown plan: ${planCode}`, 400);
+  }
+  if (coupon.applicablePlans.length > 0 && !coupon.applicablePlans.includes(plan.code)) {
+    throw new APIError(`This coupon does not apply to the ${plan.displayName} plan`, 400);
+  }
+
+  if (user) {
+    if (coupon.firstTimeOnly && hasPaidMembership(user)) {
+      throw new APIError('This coupon is only for first-time members', 400);
+    }
+    if (user._id) {
+      const used = await CouponRedemption.countDocuments({
+        coupon: coupon._id,
+        user: user._id,
+        status: { $ne: 'released' }
+      });
+      if (used >= coupon.perMemberLimit) {
+        throw new APIError('This coupon has already been used', 409);
+      }
+    }
+  }
+
+  const listPrice = plan.price;
+  const discount = calculateDiscount(coupon, listPrice);
+  const finalPrice = listPrice - discount;
+
+  return {
+    coupon,
+    plan,
+    listPrice,
+    discount,
+    finalPrice,
+    chargeAmount: await getChargeAmount(finalPrice)
+  };
+};
+
+// Count one more use against the coupon's total, if it still has one left
+const takeCouponUse = (couponId) => Coupon.findOneAndUpdate(
+  {
+    _id: couponId,
+    isActive: true,
+    $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+  },
+  { $inc: { usedCount: 1 } },
+  { new: true }
+);
+
+// Give a redemption one of the member's free slots (see CouponRedemption.slot)
+const claimMemberSlot = async (redemptionId, coupon) => {
+  for (let slot = 1; slot <= (coupon.perMemberLimit || 1); slot++) {
+    try {
+      const claimed = await CouponRedemption.findOneAndUpdate(
+        { _id: redemptionId, slot: { $exists: false } },
+        { $set: { slot } },
+        { new: true }
+      );
+      if (claimed) return claimed;
+      return CouponRedemption.findById(redemptionId);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate and reserve one use of a coupon for a member's sale. The returned
+ * `appliedCoupon` is stored on the pending sale (user.pendingCoupon and/or
+ * payment.meta.coupon) and redeemed when the payment is confirmed.
+ * The member's use (slot) is claimed first and the coupon's total second, both
+ * atomically, so concurrent sales can't go past either limit.
+ */
+const applyCoupon = async (code, { user, planCode }) => {
+  const quote = await evaluateCoupon(code, { user, planCode });
+
+  const redemption = await CouponRedemption.create({
+    coupon: quote.coupon._id,
+    code: quote.coupon.code,
+    user: user._id,
+    plan: quote.plan.code,
+    listPrice: quote.listPrice,
+    discount: quote.discount,
+    status: 'reserved'
+  });
+  const released = { status: 'released', releasedAt: new Date() };
+
+  if (!await claimMemberSlot(redemption._id, quote.coupon)) {
+    await CouponRedemption.updateOne({ _id: redemption._id }, { $set: released });
+    throw new APIError('This coupon has already been used', 409);
+  }
+  if (!await takeCouponUse(quote.coupon._id)) {
+    await CouponRedemption.updateOne({ _id: redemption._id }, { $set: released, $unset: { slot: 1 } });
+    throw new APIError('This coupon has been fully redeemed', 409);
+  }
+
+  return {
+    ...quote,
+    appliedCoupon: {
+      couponId: quote.coupon._id,
+      redemptionId: redemption._id,
+      code: quote.coupon.code,
+      plan: quote.plan.code,
+      listPrice: quote.listPrice,
+      discount: quote.discount,
+      finalPrice: quote.finalPrice
+    }
+  };
+};
+
+/**
+ * Reserve a released use again for a new sale (a regenerated order), under the
+ * same limits as applyCoupon. Returns the redemption if it was reserved again,
+ * null if it was still reserved.
+ */
+const reclaimCoupon = async (appliedCoupon) => {
+  if (!appliedCoupon || !appliedCoupon.redemptionId) return null;
+  const redemption = await CouponRedemption.findById(appliedCoupon.redemptionId);
+  if (!redemption || redemption.status === 'redeemed') {
+    throw new APIError('This coupon has already been used', 409);
+  }
+  if (redemption.status === 'reserved') return null;
+
+  const coupon = await Coupon.findById(redemption.coupon);
+  if (!coupon || !await claimMemberSlot(redemption._id, coupon)) {
+    throw new APIError('This coupon has already been used', 409);
+  }
+  const reclaimed = await CouponRedemption.findOneAndUpdate(
+    { _id: redemption._id, status: 'released' },
+    { $set: { status: 'reserved' }, $unset: { releasedAt: 1 } },
+    { new: true }
+  );
+  if (!reclaimed) return null;
+  if (!await takeCouponUse(coupon._id)) {
+    await CouponRedemption.updateOne(
+      { _id: redemption._id },
+      { $set: { status: 'released', releasedAt: new Date() }, $unset: { slot: 1 } }
+    );
+    throw new APIError('This coupon has been fully redeemed', 409);
+  }
+  return reclaimed;
+};
+
+// Mark a reserved use as redeemed. A use released in the meantime (e.g. its
+// payment expired before a late confirmation) is counted again; the member has
+// paid, so it is redeemed even if that takes the coupon past its limits.
+const redeemCoupon = async (appliedCoupon, { payment, membershipHistoryId } = {}) => {
+  if (!appliedCoupon || !appliedCoupon.redemptionId) return null;
+  const redemption = await CouponRedemption.findById(appliedCoupon.redemptionId);
+  if (!redemption || redemption.status === 'redeemed') return redemption;
+
+  if (redemption.status === 'released') {
+    const coupon = await Coupon.findOneAndUpdate({ _id: redemption.coupon }, { $inc: { usedCount: 1 } });
+    if (coupon) await claimMemberSlot(redemption._id, coupon);
+  }
+  redemption.status = 'redeemed';
+  redemption.redeemedAt = new Date();
+  if (payment) redemption.payment = payment._id;
+  if (membershipHistoryId) redemption.membershipHistoryId = membershipHistoryId;
+  await redemption.save();
+  return redemption;
+};
+
+// Give back a reserved use when its sale falls through
+const releaseCoupon = async (appliedCoupon) => {
+  if (!appliedCoupon || !appliedCoupon.redemptionId) return null;
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { _id: appliedCoupon.redemptionId, status: 'reserved' },
+    { $set: { status: 'released', releasedAt: new Date() }, $unset: { slot: 1 } },
+    { new: true }
+  );
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: -1 } });
+  }
+  return redemption;
+};
+
+// Store the coupon on the member's pending sale, releasing any coupon it replaces
+const setPendingCoupon = async (user, appliedCoupon) => {
+  const previous = user.pendingCoupon;
+  if (previous && previous.redemptionId && String(previous.redemptionId) !== String(appliedCoupon && appliedCoupon.redemptionId)) {
+    await releaseCoupon(previous);
+  }
+  user.pendingCoupon = appliedCoupon || undefined;
+};
+
+// Coupon applied to the member's pending sale of `planCode`, if any, as a plain object
+const getPendingCoupon = (user, planCode) => {
+  const pending = user && user.pendingCoupon;
+  if (!pending || !pending.code || pending.plan !== planCode) return null;
+  return pending.toObject ? pending.toObject() : { ...pending };
+};
+
+// Fields recorded on the membershipHistory entry the coupon was used for
+const toHistoryDiscount = (appliedCoupon) => (appliedCoupon
+  ? { couponCode: appliedCoupon.code, discountAmount: appliedCoupon.discount }
+  : {});
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  evaluateCoupon,
+  applyCoupon,
+  reclaimCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  setPendingCoupon,
+  getPendingCoupon,
+  toHistoryDiscount
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const CreditNote = require('../models/CreditNote');
+const { getSettings } = require('../utils/formatters');
+const { getFinancialYear, formatReceiptNumber } = require('./receiptService');
+
+const MAX_NUMBERING_RETRIES = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getCreditNotePrefix = async () => {
+  const settings = await getSettings();
+  const prefix = (settings && settings.receiptSettings && settings.receiptSettings.prefix) || 'SG';
+  return `${prefix}/CN`;
+};
+
+// Same gap-free numbering scheme as receipts, in its own series
+const issueCreditNote = async ({ user, amount, source, reason, issuedBy, issuedAt = new Date() }) => {
+  const financialYear = getFinancialYear(issuedAt);
+  const prefix = await getCreditNotePrefix();
+
+  for (let attempt = 0; attempt < MAX_NUMBERING_RETRIES; attempt++) {
+    const last = await CreditNote.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence').lean();
+    const sequence = (last ? last.sequence : 0) + 1;
+
+    try {
+      return await CreditNote.create({
+        creditNoteNumber: formatReceiptNumber(prefix, financialYear, sequence),
+        financialYear,
+        sequence,
+        user: user._id || user,
+        source,
+        amount: roundAmount(amount),
+        balance: roundAmount(amount),
+        reason,
+        issuedBy,
+        issuedAt
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not allocate a credit note number, please retry');
+};
+
+// Credit the member can still spend
+const getCreditBalance = async (userId) => {
+  const [result] = await CreditNote.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: 'open', balance: { $gt: 0 } } },
+    { $group: { _id: null, total: { $sum: '$balance' } } }
+  ]);
+  return roundAmount(result ? result.total : 0);
+};
+
+/**
+ * Reserve up to `amount` of the member's open credit, oldest note first, for a
+ * sale. Returns { total, uses } to store with the sale (payment.meta.credit) and
+ * pass to redeemCredit once it is paid or releaseCredit if it falls through.
+ */
+const reserveCredit = async (userId, amount, { paymentId } = {}) => {
+  const notes = await CreditNote.find({ user: userId, status: 'open', balance: { $gt: 0 } }).sort({ issuedAt: 1 });
+  const uses = [];
+  let remaining = roundAmount(amount);
+
+  for (const note of notes) {
+    if (remaining <= 0) break;
+    const take = roundAmount(Math.min(note.balance, remaining));
+    const redemptionId = new mongoose.Types.ObjectId();
+    // Guarded on the balance so two sales can't spend the same credit
+    const reserved = await CreditNote.findOneAndUpdate(
+      { _id: note._id, status: 'open', balance: { $gte: take } },
+      {
+        $inc: { balance: -take },
+        $push: { redemptions: { _id: redemptionId, amount: take, payment: paymentId } }
+      },
+      { new: true }
+    );
+    if (!reserved) continue;
+    uses.push({ creditNoteId: note._id, creditNoteNumber: note.creditNoteNumber, redemptionId, amount: take });
+    remaining = roundAmount(remaining - take);
+  }
+
+  return { total: roundAmount(amount - remaining), uses };
+};
+
+// Mark reserved uses as redeemed. A use released in the meantime (its order
+// expired before a late payment) is taken off the balance again.
+const redeemCredit = async (credit, { paymentId, membershipHistoryId } = {}) => {
+  if (!credit || !credit.uses) return;
+  const now = new Date();
+
+  for (const use of credit.uses) {
+    await CreditNote.updateOne(
+      { _id: use.creditNoteId, redemptions: { $elemMatch: { _id: use.redemptionId, status: 'released' } } },
+      { $inc: { balance: -use.amount } }
+    );
+    await CreditNote.updateOne(
+      { _id: use.creditNoteId, 'redemptions._id': use.redemptionId },
+      {
+        $set: {
+          'redemptions.$.status': 'redeemed',
+          'redemptions.$.redeemedAt': now,
+          'redemptions.$.payment': paymentId,
+          'redemptions.$.membershipHistoryId': membershipHistoryId
+        }
+      }
+    );
+    await CreditNote.updateOne(
+      { _id: use.creditNoteId, status: 'open', balance: { $lte: 0 } },
+      { $set: { status: 'applied' } }
+    );
+  }
+};
+
+// Give reserved credit back when its sale falls through
+const releaseCredit = async (credit) => {
+  if (!credit || !credit.uses) return;
+  for (const use of credit.uses) {
+    await CreditNote.updateOne(
+      { _id: use.creditNoteId, redemptions: { $elemMatch: { _id: use.redemptionId, status: 'reserved' } } },
+      {
+        $inc: { balance: use.amount },
+        $set: { 'redemptions.$.status': 'released', 'redemptions.$.releasedAt': new Date() }
+      }
+    );
+  }
+};
+
+// Fields recorded on the membershipHistory entry the credit was used for
+const toHistoryCredit = (credit) => (credit && credit.total > 0
+  ? { creditApplied: credit.total }
+  : {});
+
+const getCreditNotesForUser = (userId) => CreditNote.find({ user: userId }).sort({ issuedAt: -1 }).lean();
+
+module.exports = {
+  issueCreditNote,
+  getCreditBalance,
+  reserveCredit,
+  redeemCredit,
+  releaseCredit,
+  toHistoryCredit,
+  getCreditNotesForUser
+};
@@ -0,0 +1,199 @@
+const User = require('../models/User');
+const APIError = require('../utils/APIError');
+const { getSettings } = require('../utils/formatters');
+const { getPlanByCode } = require('./planService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Freeze rules from Settings, with the plan's own maxFreezeDays taking precedence
+const getFreezeRules = async (planCode) => {
+  const settings = await getSettings();
+  const rules = (settings && settings.freezeSettings) || {};
+  const plan = await getPlanByCode(planCode);
+
+  const defaultMax = typeof rules.defaultMaxFreezeDays === 'number' ? rules.defaultMaxFreezeDays : 30;
+  return {
+    enabled: rules.enabled !== false,
+    minFreezeDays: rules.minFreezeDays || 7,
+    maxFreezeDays: plan && typeof plan.maxFreezeDays === 'number' ? plan.maxFreezeDays : defaultMax,
+    maxFreezesPerTerm: typeof rules.maxFreezesPerTerm === 'number' ? rules.maxFreezesPerTerm : 2
+  };
+};
+
+// Freezes that count against the member's current term
+const getTermFreezes = (user) => (user.freezes || []).filter(freeze =>
+  freeze.status !== 'cancelled' && new Date(freeze.startDate) >= startOfDay(user.startDate)
+);
+
+const getOpenFreeze = (user) => (user.freezes || []).find(freeze =>
+  freeze.status === 'active' || freeze.status === 'scheduled'
+);
+
+const freezeMembership = async (userId, { startDate, days, endDate, reason, adminId } = {}) => {
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new APIError('User not found', 404);
+  }
+
+  if (!['confirmed', 'partial'].includes(user.paymentStatus) || user.subscriptionStatus !== 'active') {
+    throw new APIError('Only active members with a confirmed payment can be frozen', 400);
+  }
+
+  if (getOpenFreeze(user)) {
+    throw new APIError('Member already has an active or scheduled freeze', 409);
+  }
+
+  const rules = await getFreezeRules(user.plan);
+  if (!rules.enabled) {
+    throw new APIError('Membership freezes are disabled', 400);
+  }
+
+  const today = startOfDay(new Date());
+  const freezeStart = startOfDay(startDate || today);
+  if (isNaN(freezeStart.getTime())) {
+    throw new APIError('Invalid freeze start date', 400);
+  }
+  if (freezeStart < today) {
+    throw new APIError('Freeze cannot start in the past', 400);
+  }
+  if (freezeStart >= new Date(user.endDate)) {
+    throw new APIError('Freeze must start before the membership ends', 400);
+  }
+
+  let freezeDays = parseInt(days, 10);
+  if (!freezeDays && endDate) {
+    const freezeEndInput = startOfDay(endDate);
+    freezeDays = Math.round((freezeEndInput.getTime() - freezeStart.getTime()) / DAY_MS);
+  }
+  if (!freezeDays || freezeDays < 1) {
+    throw new APIError('Please provide the number of days or an end date after the start date', 400);
+  }
+
+  if (freezeDays < rules.minFreezeDays) {
+    throw new APIError(`Minimum freeze length is ${rules.minFreezeDays} days`, 400);
+  }
+
+  const termFreezes = getTermFreezes(user);
+  if (termFreezes.length >= rules.maxFreezesPerTerm) {
+    throw new APIError(`Maximum of ${rules.maxFreezesPerTerm} freezes per membership term reached`, 400);
+  }
+
+  const usedDays = termFreezes.reduce((sum, freeze) => sum + freeze.days, 0);
+  if (usedDays + freezeDays > rules.maxFreezeDays) {
+    const remaining = Math.max(0, rules.maxFreezeDays - usedDays);
+    throw new APIError(`Freeze exceeds the plan limit of ${rules.maxFreezeDays} days (${remaining} days remaining)`, 400);
+  }
+
+  const freezeEnd = addDays(freezeStart, freezeDays);
+  const isActiveNow = freezeStart <= new Date();
+
+  // Freezes involve no payment, so they live in `freezes` only, not in membershipHistory
+  user.freezes.push({
+    startDate: freezeStart,
+    endDate: freezeEnd,
+    days: freezeDays,
+    reason,
+    status: isActiveNow ? 'active' : 'scheduled',
+    frozenBy: adminId
+  });
+
+  // Push the membership end date out by the frozen days
+  user.endDate = addDays(user.endDate, freezeDays);
+  if (isActiveNow) {
+    user.subscriptionStatus = 'frozen';
+  }
+
+  await user.save();
+
+  return { user, freeze: user.freezes[user.freezes.length - 1] };
+};
+
+const unfreezeMembership = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new APIError('User not found', 404);
+  }
+
+  const freeze = getOpenFreeze(user);
+  if (!freeze) {
+    throw new APIError('Member has no active or scheduled freeze', 400);
+  }
+
+  const today = startOfDay(new Date());
+  const usedDays = freeze.status === 'active'
+    ? Math.max(0, Math.round((today.getTime() - startOfDay(freeze.startDate).getTime()) / DAY_MS))
+    : 0;
+  const unusedDays = freeze.days - usedDays;
+
+  // Give back the days that were not actually frozen
+  user.endDate = addDays(user.endDate, -unusedDays);
+  freeze.unfrozenAt = new Date();
+
+  if (usedDays === 0) {
+    freeze.status = 'cancelled';
+  } else {
+    freeze.status = 'completed';
+    freeze.endDate = today;
+    freeze.days = usedDays;
+  }
+
+  if (user.subscriptionStatus === 'frozen') {
+    user.subscriptionStatus = new Date(user.endDate) < new Date() ? 'expired' : 'active';
+  }
+
+  await user.save();
+
+  return { user, freeze };
+};
+
+// Start scheduled freezes and end elapsed ones. Run by the nightly subscription check.
+const processFreezeSchedule = async (now = new Date()) => {
+  const users = await User.find({
+    isDeleted: { $ne: true },
+    freezes: {
+      $elemMatch: {
+        $or: [
+          { status: 'scheduled', startDate: { $lte: now } },
+          { status: 'active', endDate: { $lte: now } }
+        ]
+      }
+    }
+  });
+
+  for (const user of users) {
+    for (const freeze of user.freezes) {
+      if (freeze.status === 'scheduled' && new Date(freeze.startDate) <= now) {
+        freeze.status = 'active';
+      }
+      if (freeze.status === 'active' && new Date(freeze.endDate) <= now) {
+        freeze.status = 'completed';
+      }
+    }
+
+    const stillFrozen = user.freezes.some(freeze => freeze.status === 'active');
+    if (stillFrozen) {
+      user.subscriptionStatus = 'frozen';
+    } else if (user.subscriptionStatus === 'frozen') {
+      user.subscriptionStatus = 'active';
+    }
+
+    await user.save();
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  getFreezeRules,
+  freezeMembership,
+  unfreezeMembership,
+  processFreezeSchedule
+};
@@ -0,0 +1,329 @@
+const User = require('../models/User');
+const APIError = require('../utils/APIError');
+const { getCashTag } = require('./cashSessionService');
+const { getSettings, formatIndianPrice } = require('../utils/formatters');
+const { getPlanByCode, getHistoryDuration } = require('./planService');
+const { getChargeAmount, getHistoryTax } = require('./taxService');
+const { issueReceiptForHistoryEntry, safeIssueReceipt } = require('./receiptService');
+const { sendNotification } = require('./notificationService');
+const { getRenewalTerm, applyRenewalTerm } = require('./paymentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYMENT_MODES = ['cash', 'online'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getInstallmentRules = async () => {
+  const settings = await getSettings();
+  const rules = (settings && settings.installmentSettings) || {};
+  return {
+    maxInstallments: rules.maxInstallments || 3,
+    reminderDaysBefore: typeof rules.reminderDaysBefore === 'number' ? rules.reminderDaysBefore : 3,
+    overdueReminderIntervalDays: rules.overdueReminderIntervalDays || 3
+  };
+};
+
+const getOpenPlans = (user) => (user.installmentPlans || []).filter(plan => plan.status === 'open');
+
+/**
+ * Outstanding balance across the member's open installment plans.
+ * Works on documents and lean objects alike (the all-members PDF uses lean users).
+ */
+const getMemberBalance = (user, now = new Date()) => {
+  const today = startOfDay(now);
+  const pending = getOpenPlans(user)
+    .flatMap(plan => plan.installments.filter(installment => installment.status === 'pending'))
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  const outstanding = pending.reduce((sum, installment) => sum + installment.amount, 0);
+  const overdue = pending
+    .filter(installment => new Date(installment.dueDate) < today)
+    .reduce((sum, installment) => sum + installment.amount, 0);
+  const next = pending[0];
+
+  return {
+    outstanding: roundAmount(outstanding),
+    overdue: roundAmount(overdue),
+    pendingInstallments: pending.length,
+    nextDueDate: next ? next.dueDate : null,
+    nextDueAmount: next ? next.amount : null
+  };
+};
+
+// Equal parts (whole rupees, remainder on the last one) due monthly from today
+const splitIntoInstallments = (totalAmount, count, firstDueDate) => {
+  const part = Math.floor(totalAmount / count);
+  return Array.from({ length: count }, (value, index) => {
+    const dueDate = startOfDay(firstDueDate);
+    dueDate.setMonth(dueDate.getMonth() + index);
+    return {
+      amount: index === count - 1 ? roundAmount(totalAmount - part * (count - 1)) : part,
+      dueDate
+    };
+  });
+};
+
+/**
+ * Sell a plan in installments. Pass either `installments` ([{ amount, dueDate }],
+ * adding up to the total) or `count` to split the total into monthly parts.
+ * `totalAmount` defaults to the plan's charge amount (GST included).
+ */
+const createInstallmentPlan = async (userId, {
+  plan,
+  saleType = 'join',
+  totalAmount,
+  installments,
+  count,
+  firstDueDate,
+  adminId
+} = {}) => {
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new APIError('User not found', 404);
+  }
+  if (getOpenPlans(user).length > 0) {
+    throw new APIError('Member already has an open installment plan', 409);
+  }
+  if (!['join', 'renewal'].includes(saleType)) {
+    throw new APIError('saleType must be join or renewal', 400);
+  }
+
+  const catalogPlan = await getPlanByCode(plan || user.plan);
+  if (!catalogPlan) {
+    throw new APIError(`Unknown plan: ${plan || user.plan}`, 400);
+  }
+
+  const total = totalAmount ? roundAmount(Number(totalAmount)) : await getChargeAmount(catalogPlan.price);
+  if (!(total > 0)) {
+    throw new APIError('totalAmount must be greater than zero', 400);
+  }
+
+  let schedule;
+  if (Array.isArray(installments) && installments.length > 0) {
+    schedule = installments.map(installment => ({
+      amount: roundAmount(Number(installment.amount)),
+      dueDate: installment.dueDate ? startOfDay(installment.dueDate) : null
+    }));
+    if (schedule.some(installment => !(installment.amount > 0) || !installment.dueDate || isNaN(installment.dueDate.getTime()))) {
+      throw new APIError('Each installment needs a positive amount and a valid due date', 400);
+    }
+    const scheduled = schedule.reduce((sum, installment) => sum + installment.amount, 0);
+    if (Math.abs(scheduled - total) > 0.01) {
+      throw new APIError(`Installments add up to Rs. ${roundAmount(scheduled)} but the total due is Rs. ${total}`, 400);
+    }
+  } else {
+    const parts = parseInt(count, 10);
+    if (!parts) {
+      throw new APIError('Provide installments or a count', 400);
+    }
+    schedule = splitIntoInstallments(total, parts, firstDueDate || new Date());
+  }
+
+  const rules = await getInstallmentRules();
+  if (schedule.length < 2 || schedule.length > rules.maxInstallments) {
+    throw new APIError(`A plan can be split into 2 to ${rules.maxInstallments} installments`, 400);
+  }
+
+  user.installmentPlans.push({
+    plan: catalogPlan.code,
+    saleType,
+    totalAmount: total,
+    status: 'open',
+    createdBy: adminId,
+    installments: schedule.sort((a, b) => a.dueDate - b.dueDate)
+  });
+  await user.save();
+
+  return { user, installmentPlan: user.installmentPlans[user.installmentPlans.length - 1] };
+};
+
+const findInstallment = (user, installmentId) => {
+  for (const installmentPlan of user.installmentPlans || []) {
+    const installment = installmentPlan.installments.id(installmentId);
+    if (installment) return { installmentPlan, installment };
+  }
+  return {};
+};
+
+/**
+ * Record a payment against an installment. Paying less than the installment
+ * amount splits off the remainder as a new installment with the same due date.
+ * Each payment is a confirmed membershipHistory entry with its own receipt.
+ * The first payment on a renewal sale puts the renewed term into effect.
+ */
+const recordInstallmentPayment = async (userId, installmentId, { amount, paymentMode = 'cash', transactionId, adminId } = {}) => {
+  if (!PAYMENT_MODES.includes(paymentMode)) {
+    throw new APIError('Invalid payment mode. Must be either cash or online', 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new APIError('User not found', 404);
+  }
+
+  const { installmentPlan, installment } = findInstallment(user, installmentId);
+  if (!installment || installmentPlan.status !== 'open') {
+    throw new APIError('Installment not found', 404);
+  }
+  if (installment.status === 'paid') {
+    throw new APIError('This installment has already been paid', 409);
+  }
+
+  const paidAmount = amount === undefined || amount === null || amount === ''
+    ? installment.amount
+    : roundAmount(Number(amount));
+  if (!(paidAmount > 0) || paidAmount > installment.amount) {
+    throw new APIError(`Amount must be more than zero and at most Rs. ${installment.amount}`, 400);
+  }
+  const cashTag = await getCashTag(paymentMode, adminId);
+
+  if (paidAmount < installment.amount) {
+    installmentPlan.installments.push({
+      amount: roundAmount(installment.amount - paidAmount),
+      dueDate: installment.dueDate
+    });
+    installment.amount = paidAmount;
+  }
+
+  const isFirstPayment = !installmentPlan.installments.some(item => item.status === 'paid');
+  const paidCount = installmentPlan.installments.filter(item => item.status === 'paid').length + 1;
+  const now = new Date();
+
+  user.membershipHistory.push({
+    type: isFirstPayment ? installmentPlan.saleType : 'installment',
+    date: now,
+    duration: isFirstPayment ? getHistoryDuration(installmentPlan.plan) : '0',
+    amount: paidAmount,
+    paymentMode,
+    plan: installmentPlan.plan,
+    paymentStatus: 'confirmed',
+    transactionId,
+    ...await getHistoryTax(paidAmount),
+    ...cashTag,
+    notes: `Installment ${paidCount} of ${installmentPlan.installments.length} (total Rs. ${installmentPlan.totalAmount})`
+  });
+  const historyEntry = user.membershipHistory[user.membershipHistory.length - 1];
+
+  if (isFirstPayment && installmentPlan.saleType === 'renewal') {
+    const term = await getRenewalTerm(user, null, { plan: installmentPlan.plan });
+    applyRenewalTerm(user, term, { paidAt: now, plan: await getPlanByCode(installmentPlan.plan) || installmentPlan.plan });
+  }
+
+  installment.status = 'paid';
+  installment.paidAt = now;
+  installment.paymentMode = paymentMode;
+  installment.transactionId = transactionId;
+  installment.historyEntryId = historyEntry._id;
+
+  if (installmentPlan.installments.every(item => item.status === 'paid')) {
+    installmentPlan.status = 'settled';
+    installmentPlan.settledAt = now;
+  }
+
+  user.paymentStatus = getOpenPlans(user).length > 0 ? 'partial' : 'confirmed';
+  user.paymentMethod = paymentMode;
+  if (user.subscriptionStatus === 'pending') {
+    user.subscriptionStatus = 'active';
+  }
+  await user.save();
+
+  const receipt = await safeIssueReceipt(() => issueReceiptForHistoryEntry(user, historyEntry));
+
+  return { user, installmentPlan, installment, receipt };
+};
+
+/**
+ * Members with open installment plans and what they owe.
+ * filter: 'overdue' (anything past due), 'upcoming' (next due within `days`), or 'all'.
+ */
+const getDues = async ({ filter = 'all', days = 7, now = new Date() } = {}) => {
+  const users = await User.find({ isDeleted: { $ne: true }, 'installmentPlans.status': 'open' })
+    .select('name email phone plan paymentStatus subscriptionStatus installmentPlans')
+    .lean();
+
+  const horizon = new Date(startOfDay(now).getTime() + (days + 1) * DAY_MS);
+  return users
+    .map(user => ({
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      plan: user.plan,
+      paymentStatus: user.paymentStatus,
+      subscriptionStatus: user.subscriptionStatus,
+      ...getMemberBalance(user, now),
+      installments: getOpenPlans(user).flatMap(plan => plan.installments.filter(item => item.status === 'pending'))
+    }))
+    .filter(row => {
+      if (row.outstanding <= 0) return false;
+      if (filter === 'overdue') return row.overdue > 0;
+      if (filter === 'upcoming') return row.overdue === 0 && new Date(row.nextDueDate) < horizon;
+      return true;
+    })
+    .sort((a, b) => new Date(a.nextDueDate) - new Date(b.nextDueDate));
+};
+
+// Upcoming installments get one reminder; overdue ones repeat every few days
+const isReminderDue = (installment, rules, today, now) => {
+  const dueDate = startOfDay(installment.dueDate);
+  if (dueDate >= today) {
+    const daysUntilDue = Math.round((dueDate - today) / DAY_MS);
+    return daysUntilDue <= rules.reminderDaysBefore && !installment.lastReminderAt;
+  }
+  return !installment.lastReminderAt
+    || now - new Date(installment.lastReminderAt) >= rules.overdueReminderIntervalDays * DAY_MS;
+};
+
+/**
+ * Email/WhatsApp reminders for upcoming and overdue installments.
+ * Runs with the daily subscription check; returns the number of reminders sent.
+ */
+const sendInstallmentReminders = async (now = new Date()) => {
+  const rules = await getInstallmentRules();
+  const today = startOfDay(now);
+  const users = await User.find({ isDeleted: { $ne: true }, 'installmentPlans.status': 'open' });
+  let sent = 0;
+
+  for (const user of users) {
+    const dueInstallments = getOpenPlans(user)
+      .flatMap(plan => plan.installments.filter(item => item.status === 'pending'))
+      .filter(installment => isReminderDue(installment, rules, today, now));
+    if (dueInstallments.length === 0) continue;
+
+    const balance = getMemberBalance(user, now);
+    for (const installment of dueInstallments) {
+      await sendNotification('installment_reminder', {
+        user,
+        values: {
+          overdue: startOfDay(installment.dueDate) < today,
+          installment: {
+            amount: formatIndianPrice(installment.amount),
+            dueDate: new Date(installment.dueDate)
+          },
+          balance: { outstanding: formatIndianPrice(balance.outstanding) }
+        }
+      });
+
+      installment.lastReminderAt = now;
+      installment.reminderCount = (installment.reminderCount || 0) + 1;
+      sent++;
+    }
+    await user.save();
+  }
+
+  return sent;
+};
+
+module.exports = {
+  getMemberBalance,
+  createInstallmentPlan,
+  recordInstallmentPayment,
+  getDues,
+  sendInstallmentReminders
+};
@@ -0,0 +1,235 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const APIError = require('../utils/APIError');
+const { getSettings } = require('../utils/formatters');
+const { NOTIFICATION_EVENTS, renderNotification } = require('./notificationTemplateService');
+const { queueEmail, queueWhatsApp } = require('./outboxService');
+
+const NOTIFICATION_CHANNELS = ['email', 'whatsapp'];
+// WhatsApp accepts free-form messages this long after the member's last message
+const WHATSAPP_SESSION_MS = 24 * 60 * 60 * 1000;
+
+// Settings.notificationSettings switch for each channel and for reminder categories
+const CHANNEL_SWITCHES = {
+  email: 'emailNotifications',
+  whatsapp: 'whatsappNotifications'
+};
+const CATEGORY_SWITCHES = {
+  expiry: 'expiryReminders',
+  renewal: 'renewalReminders'
+};
+
+// Why a channel was not attempted
+const SKIP_REASONS = {
+  emailNotifications: 'email_notifications_disabled',
+  whatsappNotifications: 'whatsapp_notifications_disabled',
+  expiryReminders: 'expiry_reminders_disabled',
+  renewalReminders: 'renewal_reminders_disabled',
+  optedOut: 'member_opted_out',
+  noRecipient: 'no_recipient',
+  noEmailTemplate: 'no_email_template',
+  noWhatsAppTemplate: 'no_whatsapp_template',
+  renderFailed: 'render_failed'
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production'
+  ? 'https://stargympetlad.netlify.app'
+  : 'http://localhost:5173');
+
+// Unsubscribe links don't expire. `sub` (not `userId`) keeps the token from
+// being accepted as a renewal token.
+const createUnsubscribeToken = (user) => jwt.sign(
+  { sub: String(user._id), purpose: 'unsubscribe' },
+  process.env.JWT_SECRET
+);
+
+const getUnsubscribeUrl = (user) => `${getFrontendUrl()}/unsubscribe/${createUnsubscribeToken(user)}`;
+
+const findUserByUnsubscribeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new APIError('Invalid unsubscribe link', 401);
+  }
+  if (decoded.purpose !== 'unsubscribe' || !decoded.sub) {
+    throw new APIError('Invalid unsubscribe link', 401);
+  }
+  const user = await User.findOne({ _id: decoded.sub, isDeleted: { $ne: true } });
+  if (!user) {
+    throw new APIError('Member not found', 404);
+  }
+  return user;
+};
+
+const getNotificationPreferences = (user) => {
+  const preferences = (user && user.notificationPreferences) || {};
+  return {
+    email: preferences.email !== false,
+    whatsapp: preferences.whatsapp !== false,
+    updatedAt: preferences.updatedAt || null
+  };
+};
+
+/**
+ * Apply channel opt-ins/outs ({ email, whatsapp } booleans; others are ignored)
+ * and save. `via` records who made the change. Returns the new preferences.
+ */
+const setNotificationPreferences = async (user, changes = {}, { via } = {}) => {
+  const updated = [];
+  NOTIFICATION_CHANNELS.forEach(channel => {
+    if (changes[channel] === undefined) return;
+    if (typeof changes[channel] !== 'boolean') {
+      throw new APIError(`${channel} must be true or false`, 400);
+    }
+    user.set(`notificationPreferences.${channel}`, changes[channel]);
+    updated.push(channel);
+  });
+  if (updated.length === 0) {
+    throw new APIError(`Provide at least one of: ${NOTIFICATION_CHANNELS.join(', ')}`, 400);
+  }
+  user.set('notificationPreferences.updatedAt', new Date());
+  user.set('notificationPreferences.updatedVia', via);
+  await user.save({ validateBeforeSave: false });
+  return getNotificationPreferences(user);
+};
+
+// Skip reason for a channel under the global switches and the member's opt-outs, or null
+const getSkipReason = (definition, channel, notificationSettings, user) => {
+  if (definition.category === 'security') return null;
+  if (notificationSettings[CHANNEL_SWITCHES[channel]] === false) {
+    return SKIP_REASONS[CHANNEL_SWITCHES[channel]];
+  }
+  const categorySwitch = CATEGORY_SWITCHES[definition.category];
+  if (categorySwitch && notificationSettings[categorySwitch] === false) {
+    return SKIP_REASONS[categorySwitch];
+  }
+  if (user && definition.category !== 'reply' && !getNotificationPreferences(user)[channel]) {
+    return SKIP_REASONS.optedOut;
+  }
+  return null;
+};
+
+const toDeliveryResult = (message) => {
+  if (!message) {
+    return { status: 'failed', reason: 'not_queued' };
+  }
+  return {
+    status: message.status,
+    ...(message.status === 'sent' ? {} : { reason: message.lastError || undefined }),
+    outboxId: message._id
+  };
+};
+
+const isInWhatsAppSession = (user, now = new Date()) => Boolean(
+  user && user.whatsappLastInboundAt && now - new Date(user.whatsappLastInboundAt) < WHATSAPP_SESSION_MS
+);
+
+/**
+ * Send `event` to a member (or to `email`/`phone` for staff messages) on each
+ * requested channel, through the outbox. Honours Settings.notificationSettings
+ * and the member's opt-outs, except for 'security' events (login codes, invites).
+ * On WhatsApp, outside the member's 24-hour session the event's approved template
+ * is sent when one is configured; otherwise `document` ({ link, filename }, e.g.
+ * a receipt PDF) goes with the text as its caption, or the text alone.
+ * Never throws. Returns a result per channel:
+ *   { email: { status: 'sent', outboxId }, whatsapp: { status: 'skipped', reason: 'member_opted_out' } }
+ * where status is an outbox status ('sent', 'pending', 'failed', 'skipped').
+ */
+const sendNotification = async (event, {
+  user,
+  values = {},
+  email = user && user.email,
+  phone = user && user.phone,
+  channels = NOTIFICATION_CHANNELS,
+  document,
+  sensitive
+} = {}) => {
+  const results = {};
+  const definition = NOTIFICATION_EVENTS[event];
+  let notificationSettings = {};
+  try {
+    const settings = await getSettings();
+    notificationSettings = (settings && settings.notificationSettings) || {};
+  } catch (error) {
+    console.error('Error loading notification settings:', error);
+  }
+
+  const recipients = { email, whatsapp: phone };
+  const missingTemplates = { email: SKIP_REASONS.noEmailTemplate, whatsapp: SKIP_REASONS.noWhatsAppTemplate };
+  const queued = channels.filter(channel => {
+    const reason = (definition && getSkipReason(definition, channel, notificationSettings, user))
+      || (definition && !definition[channel] ? missingTemplates[channel] : null)
+      || (recipients[channel] ? null : SKIP_REASONS.noRecipient);
+    if (reason) {
+      results[channel] = { status: 'skipped', reason };
+    }
+    return !reason;
+  });
+  if (queued.length === 0) {
+    return results;
+  }
+
+  let rendered;
+  try {
+    const canOptOut = Boolean(user && definition && definition.category !== 'security');
+    rendered = await renderNotification(event, {
+      user,
+      values: canOptOut ? { unsubscribeUrl: getUnsubscribeUrl(user), ...values } : values
+    });
+  } catch (error) {
+    console.error(`Failed to render ${event} notification:`, error);
+    queued.forEach(channel => { results[channel] = { status: 'failed', reason: SKIP_REASONS.renderFailed }; });
+    return results;
+  }
+
+  const userId = user ? user._id : undefined;
+  if (queued.includes('email')) {
+    results.email = toDeliveryResult(await queueEmail({
+      to: email,
+      subject: rendered.subject,
+      html: rendered.html,
+      template: event,
+      user: userId,
+      sensitive
+    }));
+  }
+  if (queued.includes('whatsapp')) {
+    const useApprovedTemplate = Boolean(rendered.whatsappTemplate) && !isInWhatsAppSession(user);
+    results.whatsapp = toDeliveryResult(await queueWhatsApp({
+      phone,
+      message: rendered.text,
+      whatsappTemplate: useApprovedTemplate ? rendered.whatsappTemplate : undefined,
+      document: !useApprovedTemplate && document ? { ...document, caption: rendered.text } : undefined,
+      template: event,
+      user: userId,
+      sensitive
+    }));
+  }
+
+  const skipped = Object.entries(results).filter(([, result]) => result.status === 'skipped');
+  if (skipped.length > 0) {
+    console.log(`Notification ${event}${userId ? ` for ${userId}` : ''} skipped on ${skipped.map(([channel, result]) => `${channel} (${result.reason})`).join(', ')}`);
+  }
+  return results;
+};
+
+const isDelivered = (result) => Boolean(result && result.status === 'sent');
+
+// WhatsApp document for a receipt PDF at a public URL (receipt numbers contain '/')
+const getReceiptDocument = (receiptUrl, receipt) => ({
+  link: receiptUrl,
+  filename: `Receipt-${receipt && receipt.receiptNumber ? receipt.receiptNumber.replace(/\//g, '-') : 'StarGym'}.pdf`
+});
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  SKIP_REASONS,
+  sendNotification,
+  isDelivered,
+  getReceiptDocument,
+  getNotificationPreferences,
+  setNotificationPreferences,
+  getUnsubscribeUrl,
+  findUserByUnsubscribeToken
+};
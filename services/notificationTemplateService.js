@@ -0,0 +1,277 @@
+const NotificationTemplate = require('../models/NotificationTemplate');
+const APIError = require('../utils/APIError');
+const { getPlanByCode } = require('./planService');
+const { formatIndianPrice, getSettings } = require('../utils/formatters');
+const {
+  GYM_PLACEHOLDERS,
+  MEMBER_PLACEHOLDERS,
+  FOOTER_PLACEHOLDERS,
+  NOTIFICATION_EVENTS,
+  SAMPLE_VALUES
+} = require('./notificationTemplates');
+
+/**
+ * Placeholder syntax (no code runs inside templates):
+ *   {{member.name}}             value lookup; HTML-escaped in email bodies
+ *   {{#receiptUrl}}...{{/receiptUrl}}  rendered only when the value is set
+ *   {{^overdue}}...{{/overdue}}        rendered only when the value is not set
+ * Dates render as e.g. "05 Mar 2026"; unknown or missing values render empty.
+ */
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*(\.[a-zA-Z][a-zA-Z0-9]*)*$/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const formatTemplateDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+// Parse into text / value / section nodes; throws on malformed tags
+const compileTemplate = (source = '') => {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [tag, kind, path] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      parent.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (!PATH_PATTERN.test(path)) {
+      throw new Error(`Invalid placeholder "${tag}"`);
+    }
+    if (kind === '/') {
+      if (stack.length === 1 || parent.path !== path) {
+        throw new Error(`Unexpected closing tag "${tag}"`);
+      }
+      stack.pop();
+    } else if (kind) {
+      const section = { type: 'section', inverted: kind === '^', path, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else {
+      parent.children.push({ type: 'value', path });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section "{{#${stack[stack.length - 1].path}}}"`);
+  }
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+};
+
+const lookup = (context, path) => path.split('.').reduce((value, key) => (
+  value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+    ? value[key]
+    : undefined
+), context);
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return formatTemplateDate(value);
+  return String(value);
+};
+
+const renderNodes = (nodes, context, { html }) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+  const value = lookup(context, node.path);
+  if (node.type === 'value') {
+    const text = toText(value);
+    return html ? escapeHtml(text) : text;
+  }
+  const isSet = value !== undefined && value !== null && value !== false && value !== '';
+  return isSet !== node.inverted ? renderNodes(node.children, context, { html }) : '';
+}).join('');
+
+const renderTemplate = (source, context, { html = false } = {}) => (
+  source ? renderNodes(compileTemplate(source), context, { html }) : ''
+);
+
+const collectPaths = (nodes, paths = new Set()) => {
+  nodes.forEach(node => {
+    if (node.type === 'text') return;
+    paths.add(node.path);
+    if (node.children) collectPaths(node.children, paths);
+  });
+  return paths;
+};
+
+const getEventDefinition = (event) => {
+  const definition = Object.prototype.hasOwnProperty.call(NOTIFICATION_EVENTS, event) && NOTIFICATION_EVENTS[event];
+  if (!definition) {
+    throw new APIError(`Unknown notification event. Must be one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`, 404);
+  }
+  return definition;
+};
+
+const getAllowedPlaceholders = (event) => {
+  const definition = getEventDefinition(event);
+  return [
+    ...GYM_PLACEHOLDERS,
+    ...(definition.member ? MEMBER_PLACEHOLDERS : []),
+    ...definition.placeholders,
+    ...FOOTER_PLACEHOLDERS
+  ];
+};
+
+/**
+ * Problems with a template source for `event`: syntax errors and placeholders
+ * the event doesn't provide. Empty array when the template is valid.
+ */
+const getTemplateErrors = (event, source) => {
+  if (!source) return [];
+  let nodes;
+  try {
+    nodes = compileTemplate(source);
+  } catch (error) {
+    return [error.message];
+  }
+  const allowed = new Set(getAllowedPlaceholders(event));
+  return [...collectPaths(nodes)]
+    .filter(path => !allowed.has(path))
+    .map(path => `Unknown placeholder "{{${path}}}"`);
+};
+
+// Stored override merged over the built-in template
+const getEffectiveTemplate = async (event) => {
+  const definition = getEventDefinition(event);
+  const custom = await NotificationTemplate.findOne({ event }).lean();
+  const customEmail = (custom && custom.email) || {};
+  const customWhatsapp = (custom && custom.whatsapp) || {};
+
+  return {
+    event,
+    label: definition.label,
+    category: definition.category,
+    channels: ['email', 'whatsapp'].filter(channel => definition[channel]),
+    placeholders: getAllowedPlaceholders(event),
+    isCustom: Boolean(custom),
+    updatedAt: custom ? custom.updatedAt : null,
+    email: definition.email
+      ? {
+        subject: customEmail.subject || definition.email.subject,
+        html: customEmail.html || definition.email.html
+      }
+      : null,
+    whatsapp: definition.whatsapp
+      ? {
+        text: customWhatsapp.text || definition.whatsapp.text,
+        approvedTemplate: customWhatsapp.templateName
+          ? {
+            name: customWhatsapp.templateName,
+            language: customWhatsapp.templateLanguage || 'en',
+            parameters: customWhatsapp.templateParameters || []
+          }
+          : null
+      }
+      : null
+  };
+};
+
+const getGymValues = async () => {
+  const settings = await getSettings();
+  const gymInfo = (settings && settings.gymInfo) || {};
+  const footer = gymInfo.footer || {};
+  return {
+    name: gymInfo.name || 'StarGym',
+    address: gymInfo.address || '',
+    phone: gymInfo.phone || footer.contactPhone || '',
+    email: gymInfo.email || footer.contactEmail || '',
+    website: gymInfo.website || '',
+    businessHours: gymInfo.businessHours || ''
+  };
+};
+
+const capitalize = (value) => (value ? `${value.charAt(0).toUpperCase()}${value.slice(1)}` : '');
+
+const getMemberValues = async (user) => {
+  const plan = await getPlanByCode(user.plan);
+  return {
+    member: {
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      startDate: user.startDate ? new Date(user.startDate) : null,
+      endDate: user.endDate ? new Date(user.endDate) : null,
+      paymentMethod: capitalize(user.paymentMethod)
+    },
+    plan: {
+      code: user.plan,
+      name: plan ? plan.displayName : user.plan,
+      price: plan ? formatIndianPrice(plan.price || 0) : ''
+    }
+  };
+};
+
+/**
+ * Placeholder values for a notification: gym details from Settings.gymInfo,
+ * member and plan details from `user` (when given), then event `values`.
+ */
+const buildTemplateContext = async ({ user, values = {} } = {}) => ({
+  gym: await getGymValues(),
+  ...(user ? await getMemberValues(user) : {}),
+  ...values
+});
+
+/**
+ * Render `event` for a recipient. Returns { subject, html, text, whatsappTemplate };
+ * `subject`/`html` are null for WhatsApp-only events and `text` (the WhatsApp
+ * body) for email-only ones. `whatsappTemplate` ({ name, language, parameters })
+ * is set when an approved WhatsApp template is configured for the event.
+ * `template` renders a draft instead of the stored one (used by preview).
+ */
+const renderNotification = async (event, { user, values, template } = {}) => {
+  const effective = template || await getEffectiveTemplate(event);
+  const context = await buildTemplateContext({ user, values });
+  const approved = effective.whatsapp && effective.whatsapp.approvedTemplate;
+  return {
+    subject: effective.email ? renderTemplate(effective.email.subject, context) : null,
+    html: effective.email ? renderTemplate(effective.email.html, context, { html: true }) : null,
+    text: effective.whatsapp ? renderTemplate(effective.whatsapp.text, context) : null,
+    whatsappTemplate: approved
+      ? {
+        name: approved.name,
+        language: approved.language,
+        parameters: approved.parameters.map(parameter => renderTemplate(parameter, context))
+      }
+      : null
+  };
+};
+
+// Sample values for an event's preview, limited to what the event provides.
+// `member: false` leaves out the sample member when a real one is used.
+const getSampleValues = (event, { member = true } = {}) => {
+  const definition = getEventDefinition(event);
+  const roots = new Set(definition.placeholders.map(path => path.split('.')[0]));
+  if (definition.member && member) {
+    roots.add('member');
+    roots.add('plan');
+  }
+  if (definition.member && definition.category !== 'security') {
+    roots.add('unsubscribeUrl');
+  }
+  return Object.fromEntries(Object.entries(SAMPLE_VALUES).filter(([key]) => roots.has(key)));
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  renderTemplate,
+  getTemplateErrors,
+  getEffectiveTemplate,
+  buildTemplateContext,
+  renderNotification,
+  getSampleValues,
+  formatTemplateDate
+};
@@ -0,0 +1,407 @@
+// Built-in notification templates, one per event. Settings can override any of
+// them (NotificationTemplate collection); resetting an event falls back to these.
+// Placeholder syntax is described in notificationTemplateService.
+
+const GYM_PLACEHOLDERS = ['gym.name', 'gym.address', 'gym.phone', 'gym.email', 'gym.website', 'gym.businessHours'];
+const MEMBER_PLACEHOLDERS = [
+  'member.name', 'member.email', 'member.phone', 'member.startDate', 'member.endDate',
+  'member.paymentMethod', 'plan.code', 'plan.name', 'plan.price'
+];
+
+// Set by the notification dispatcher for member messages that can be opted out of
+const FOOTER_PLACEHOLDERS = ['unsubscribeUrl'];
+
+const contactFooter = `
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #666; margin-bottom: 5px;">Need help? Contact us:</p>
+          {{#gym.address}}<p style="color: #666; margin: 0;">📍 Address: {{gym.address}}</p>{{/gym.address}}
+          {{#gym.phone}}<p style="color: #666; margin: 5px 0;">📞 Phone: {{gym.phone}}</p>{{/gym.phone}}
+          {{#gym.email}}<p style="color: #666; margin: 5px 0;">📧 Email: {{gym.email}}</p>{{/gym.email}}
+          {{#unsubscribeUrl}}<p style="color: #999; margin: 15px 0 0 0; font-size: 12px;">Don't want these emails? <a href="{{unsubscribeUrl}}" style="color: #999;">Unsubscribe</a></p>{{/unsubscribeUrl}}
+        </div>`;
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f8f8f8; padding: 20px;">
+  <div style="background-color: #ffffff; padding: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+${body}
+${contactFooter}
+  </div>
+</body>
+</html>`;
+
+const heading = (title, subtitle) => `
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #333; margin: 0;">${title}</h1>
+          <p style="color: #666; margin-top: 10px;">${subtitle}</p>
+        </div>`;
+
+const detailsTable = (title, rows) => `
+        <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 30px;">
+          ${title ? `<h2 style="color: #333; margin-top: 0; font-size: 18px;">${title}</h2>` : ''}
+          <table style="width: 100%; border-collapse: collapse;">${rows.map(([label, value, color]) => `
+            <tr>
+              <td style="padding: 8px 0; color: #666;">${label}:</td>
+              <td style="padding: 8px 0; color: ${color || '#333'}; font-weight: bold;">${value}</td>
+            </tr>`).join('')}
+          </table>
+        </div>`;
+
+const button = (url, label) => `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="{{${url}}}" style="display: inline-block; background: linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%); color: white; padding: 14px 35px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px;">
+            ${label}
+          </a>
+        </div>`;
+
+const otpBox = `
+        <div style="text-align: center; margin: 30px 0; padding: 30px; background: linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%); border-radius: 15px;">
+          <div style="background-color: #ffffff; padding: 20px; border-radius: 10px; display: inline-block; min-width: 200px;">
+            <p style="color: #f59e0b; margin: 0; font-size: 36px; font-weight: bold; letter-spacing: 8px; font-family: 'Courier New', monospace;">{{otp}}</p>
+          </div>
+        </div>`;
+
+const note = (lines, { background = '#fff3e0', title, titleColor = '#f57c00' } = {}) => `
+        <div style="background-color: ${background}; padding: 15px; border-radius: 8px; margin-bottom: 30px;">
+          ${title ? `<p style="color: ${titleColor}; margin: 0; font-weight: bold;">${title}</p>` : ''}
+          <ul style="color: #666; margin: ${title ? '10px' : '0'} 0 0 0; padding-left: 20px;">${lines.map(line => `
+            <li>${line}</li>`).join('')}
+          </ul>
+        </div>`;
+
+const greeting = (text) => `
+        <div style="margin-bottom: 30px;">
+          <p style="color: #444; font-size: 16px;">Dear {{member.name}},</p>
+          <p style="color: #444; line-height: 1.5;">${text}</p>
+        </div>`;
+
+const receiptBlock = `
+        {{#receiptUrl}}
+        <div style="text-align: center; margin: 30px 0; padding: 20px; background-color: #f8f9fa; border-radius: 10px; border: 2px dashed #dee2e6;">
+          <h3 style="color: #333; margin: 0 0 15px 0; font-size: 18px;">📄 Your Payment Receipt</h3>
+          <p style="color: #666; margin: 0 0 20px 0; font-size: 14px;">Download your official payment receipt for your records</p>
+          <a href="{{receiptUrl}}" target="_blank" rel="noopener noreferrer"
+             style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; font-size: 16px;">
+            📥 Download Receipt
+          </a>
+          <p style="color: #999; margin: 15px 0 0 0; font-size: 12px;">Keep this receipt safe for your records</p>
+        </div>
+        {{/receiptUrl}}`;
+
+const membershipRows = [
+  ['Plan', '{{plan.name}}'],
+  ['Start Date', '{{member.startDate}}'],
+  ['End Date', '{{member.endDate}}']
+];
+
+const confirmedEmail = (kind) => layout(`${kind} Confirmed - {{gym.name}}`, `${heading(`${kind} Confirmed! 🎉`, 'Your {{gym.name}} membership is now active')}
+${greeting(`Your ${kind.toLowerCase()} has been confirmed and your membership is now active. Welcome to the {{gym.name}} family!`)}
+${detailsTable('Membership Details', [
+  ...membershipRows,
+  ['Amount Paid', '{{amount}}'],
+  ['Status', 'Active', '#4caf50']
+])}
+${receiptBlock}`);
+
+/**
+ * Event catalogue. `placeholders` lists the event-specific values on top of the
+ * gym (and, with `member: true`, member/plan) values; templates may only use these.
+ * `category` decides which Settings.notificationSettings switches apply (see
+ * notificationService); 'security' messages are always sent and 'reply' messages
+ * (answers to a member's WhatsApp keyword) ignore the member's opt-outs.
+ * `email: null` / `whatsapp: null` marks a channel the event isn't sent on.
+ */
+const NOTIFICATION_EVENTS = {
+  registration: {
+    label: 'Registration received',
+    category: 'account',
+    member: true,
+    placeholders: [],
+    email: {
+      subject: 'Welcome to {{gym.name}} - Registration Successful',
+      html: layout('Welcome to {{gym.name}}', `${heading('Welcome to {{gym.name}}! 💪', 'Your fitness journey begins here')}
+${greeting("Thank you for registering with {{gym.name}}! We're excited to have you join our fitness family. Your registration has been successfully received and is pending approval.")}
+${detailsTable('Membership Details', [
+  ['Plan Selected', '{{plan.name}}'],
+  ['Amount to Pay', '{{plan.price}}'],
+  ['Start Date', '{{member.startDate}}'],
+  ['End Date', '{{member.endDate}}'],
+  ['Payment Status', 'Pending', '#ff9800']
+])}
+${note(['Your membership will be activated once the payment is confirmed by our admin team.'], { title: '⚠️ Important Note:' })}`)
+    },
+    whatsapp: {
+      text: 'Hi {{member.name}}, welcome to {{gym.name}}! Your plan {{plan.name}} starts on {{member.startDate}} and ends on {{member.endDate}}.'
+    }
+  },
+
+  payment_approved: {
+    label: 'Payment approved',
+    category: 'billing',
+    member: true,
+    placeholders: ['amount', 'receiptUrl'],
+    email: {
+      subject: 'Payment Confirmed - {{gym.name}} Membership',
+      html: confirmedEmail('Payment')
+    },
+    whatsapp: {
+      text: 'Payment confirmed for your {{gym.name}} {{plan.name}} plan. Start: {{member.startDate}}, End: {{member.endDate}}.{{#receiptUrl}} Receipt: {{receiptUrl}}{{/receiptUrl}}'
+    }
+  },
+
+  renewal_approved: {
+    label: 'Renewal approved',
+    category: 'billing',
+    member: true,
+    placeholders: ['amount', 'receiptUrl'],
+    email: {
+      subject: 'Renewal Confirmed - {{gym.name}} Membership',
+      html: confirmedEmail('Renewal')
+    },
+    whatsapp: {
+      text: 'Renewal confirmed for your {{gym.name}} {{plan.name}} plan. Start: {{member.startDate}}, End: {{member.endDate}}.{{#receiptUrl}} Receipt: {{receiptUrl}}{{/receiptUrl}}'
+    }
+  },
+
+  renewal_received: {
+    label: 'Renewal request received',
+    category: 'billing',
+    member: true,
+    placeholders: ['previousPlan.name', 'previousPlan.price', 'amount'],
+    email: {
+      subject: 'Membership Renewal Request Received - {{gym.name}}',
+      html: layout('Renewal Request - {{gym.name}}', `${heading('Renewal Request Received! 🎉', 'Your {{gym.name}} membership renewal is being processed')}
+${greeting('Thank you for choosing to continue your fitness journey with {{gym.name}}! Your renewal request has been received and is pending approval.')}
+${detailsTable('Renewal Details', [
+  ['Previous Plan', '{{previousPlan.name}}'],
+  ['Previous Amount', '{{previousPlan.price}}'],
+  ['New Plan', '{{plan.name}}'],
+  ['New Amount', '{{amount}}'],
+  ['Start Date', '{{member.startDate}}'],
+  ['End Date', '{{member.endDate}}'],
+  ['Payment Method', '{{member.paymentMethod}}'],
+  ['Status', 'Pending Approval', '#ff9800']
+])}
+${note(['Your membership will be activated once the payment is confirmed by our admin team. Please ensure your payment is completed as per the selected payment method.'], { title: '⚠️ Important Note:' })}
+${note([
+  'Complete your payment as per the selected method',
+  'Wait for admin confirmation',
+  "You'll receive another message once your renewal is approved"
+], { background: '#e8f5e9', title: "✨ What's Next?", titleColor: '#2e7d32' })}`)
+    },
+    whatsapp: {
+      text: 'Hi {{member.name}}, your {{gym.name}} renewal request for {{plan.name}} has been received. Start: {{member.startDate}}, End: {{member.endDate}}.'
+    }
+  },
+
+  renewal_rejected: {
+    label: 'Renewal request rejected',
+    category: 'billing',
+    member: true,
+    placeholders: [],
+    email: {
+      subject: 'Membership Renewal Request Rejected - {{gym.name}}',
+      html: layout('Renewal Request Rejected - {{gym.name}}', `${heading('Renewal Request Rejected', '{{gym.name}} membership')}
+${greeting('We regret to inform you that your membership renewal request has been rejected. If you have any questions or concerns, please contact us.')}
+${detailsTable('Membership Details', [
+  ['Current Plan', '{{plan.name}}'],
+  ['End Date', '{{member.endDate}}']
+])}`)
+    },
+    whatsapp: {
+      text: 'Hi {{member.name}}, your {{gym.name}} renewal request was rejected. Please contact us{{#gym.phone}} on {{gym.phone}}{{/gym.phone}} if you have questions.'
+    }
+  },
+
+  membership_expiring: {
+    label: 'Membership expiring soon',
+    category: 'expiry',
+    member: true,
+    placeholders: ['daysLeft', 'daysLabel', 'expiresToday', 'renewalUrl'],
+    email: {
+      subject: 'Your {{gym.name}} Membership Expires Soon - Renew Now!',
+      html: layout('Membership Expiring Soon - {{gym.name}}', `${heading('⚠️ Membership Expiring Soon', '{{gym.name}} membership')}
+${greeting('We wanted to remind you that your {{gym.name}} membership {{#expiresToday}}expires <strong>today</strong>{{/expiresToday}}{{^expiresToday}}will expire in <strong>{{daysLeft}} {{daysLabel}}</strong> on {{member.endDate}}{{/expiresToday}}.')}
+${detailsTable('Your Membership Details', [
+  ...membershipRows,
+  ['Days Remaining', '{{#expiresToday}}Expires today{{/expiresToday}}{{^expiresToday}}{{daysLeft}} {{daysLabel}}{{/expiresToday}}', '#ff9800']
+])}
+{{#renewalUrl}}${button('renewalUrl', '🔄 Renew Membership Now')}
+        <p style="font-size: 12px; color: #999; text-align: center;">This renewal link will expire in 7 days.</p>{{/renewalUrl}}`)
+    },
+    whatsapp: {
+      text: 'Hi {{member.name}}, your {{gym.name}} membership {{#expiresToday}}expires today{{/expiresToday}}{{^expiresToday}}expires in {{daysLeft}} {{daysLabel}} on {{member.endDate}}{{/expiresToday}}.{{#renewalUrl}} Renew here: {{renewalUrl}}{{/renewalUrl}}'
+    }
+  },
+
+  membership_expired: {
+    label: 'Membership expired',
+    category: 'renewal',
+    member: true,
+    placeholders: ['renewalUrl'],
+    email: {
+      subject: 'Your {{gym.name}} Membership Has Expired - Renew Now!',
+      html: layout('Membership Expired - {{gym.name}}', `${heading('Membership Expired', '{{gym.name}} membership')}
+${greeting("We hope you've been enjoying your fitness journey with {{gym.name}}! Your membership expired on {{member.endDate}}. To continue enjoying our services, please renew your membership.")}
+${detailsTable('Your Membership Details', membershipRows)}
+{{#renewalUrl}}${button('renewalUrl', 'Renew Membership')}
+        <p style="font-size: 12px; color: #999; text-align: center;">This renewal link will expire in 7 days.</p>{{/renewalUrl}}`)
+    },
+    whatsapp: {
+      text: 'Hi {{member.name}}, your {{gym.name}} membership expired on {{member.endDate}}.{{#renewalUrl}} Renew here: {{renewalUrl}}{{/renewalUrl}}'
+    }
+  },
+
+  installment_reminder: {
+    label: 'Installment due / overdue',
+    category: 'billing',
+    member: true,
+    placeholders: ['overdue', 'installment.amount', 'installment.dueDate', 'balance.outstanding'],
+    email: {
+      subject: '{{gym.name}} Installment {{#overdue}}Overdue{{/overdue}}{{^overdue}}Due Soon{{/overdue}}',
+      html: layout('Installment Reminder - {{gym.name}}', `${heading('{{#overdue}}Installment Overdue{{/overdue}}{{^overdue}}Installment Due Soon{{/overdue}}', '{{gym.name}} membership payment')}
+${greeting('{{#overdue}}Your membership installment was due on {{installment.dueDate}} and has not been paid yet. Please clear it at the front desk or online at the earliest.{{/overdue}}{{^overdue}}This is a reminder that your next membership installment is due on {{installment.dueDate}}.{{/overdue}}')}
+${detailsTable('', [
+  ['Installment', '{{installment.amount}}'],
+  ['Due Date', '{{installment.dueDate}}'],
+  ['Total Outstanding', '{{balance.outstanding}}']
+])}`)
+    },
+    whatsapp: {
+      text: '{{#overdue}}Hi {{member.name}}, your {{gym.name}} installment of {{installment.amount}} was due on {{installment.dueDate}} and is still unpaid. Outstanding balance: {{balance.outstanding}}.{{/overdue}}{{^overdue}}Hi {{member.name}}, your {{gym.name}} installment of {{installment.amount}} is due on {{installment.dueDate}}.{{/overdue}}'
+    }
+  },
+
+  member_login_otp: {
+    label: 'Member portal login code',
+    category: 'security',
+    member: true,
+    placeholders: ['otp', 'expiresInMinutes'],
+    email: {
+      subject: 'Your {{gym.name}} Login Code',
+      html: layout('Login Code - {{gym.name}}', `${heading('Your Login Code 🔑', '{{gym.name}} Member Portal')}
+${greeting('Use the code below to sign in to the {{gym.name}} member portal:')}
+${otpBox}
+${note([
+  'This code will expire in {{expiresInMinutes}} minutes',
+  "If you didn't request this, please ignore this email",
+  'Never share this code with anyone, including gym staff'
+])}`)
+    },
+    whatsapp: {
+      text: 'Your {{gym.name}} login code is {{otp}}. It expires in {{expiresInMinutes}} minutes. Do not share it with anyone.'
+    }
+  },
+
+  admin_password_otp: {
+    label: 'Admin password reset code',
+    category: 'security',
+    member: false,
+    placeholders: ['otp', 'expiresInMinutes'],
+    email: {
+      subject: 'Password Reset OTP - {{gym.name}} Admin',
+      html: layout('Password Reset OTP - {{gym.name}} Admin', `${heading('Password Reset OTP 🔐', '{{gym.name}} Admin Panel')}
+        <div style="margin-bottom: 30px;">
+          <p style="color: #444; font-size: 16px;">Hello,</p>
+          <p style="color: #444; line-height: 1.5;">You requested to reset your password for your {{gym.name}} admin account. Use the OTP below to verify your identity:</p>
+        </div>
+${otpBox}
+${note([
+  'This OTP will expire in {{expiresInMinutes}} minutes',
+  "If you didn't request this, please ignore this email",
+  'For security, never share this OTP with anyone',
+  'Enter this OTP on the password reset page to continue'
+], { title: '⚠️ Important:' })}`)
+    },
+    whatsapp: null
+  },
+
+  staff_invite: {
+    label: 'Staff invitation',
+    category: 'security',
+    member: false,
+    placeholders: ['staff.name', 'staff.role', 'inviteUrl'],
+    email: {
+      subject: 'You have been invited to {{gym.name}} Admin',
+      html: layout('Staff Invitation - {{gym.name}} Admin', `${heading("You're Invited 👋", '{{gym.name}} Admin Panel')}
+        <div style="margin-bottom: 30px;">
+          <p style="color: #444; font-size: 16px;">Hello{{#staff.name}} {{staff.name}}{{/staff.name}},</p>
+          <p style="color: #444; line-height: 1.5;">You have been added to the {{gym.name}} admin panel as <strong>{{staff.role}}</strong>. Click the button below to set your password and activate your account:</p>
+        </div>
+${button('inviteUrl', 'Accept Invitation')}
+${note([
+  'This invitation will expire in 7 days',
+  "If you weren't expecting this, please ignore this email"
+])}
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 8px; margin-bottom: 30px;">
+          <p style="color: #666; margin: 0; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:</p>
+          <p style="color: #333; margin: 10px 0 0 0; font-size: 12px; word-break: break-all;">{{inviteUrl}}</p>
+        </div>`)
+    },
+    whatsapp: null
+  },
+
+  whatsapp_renewal_link: {
+    label: 'WhatsApp RENEW reply',
+    category: 'reply',
+    member: true,
+    placeholders: ['renewalUrl'],
+    email: null,
+    whatsapp: {
+      text: 'Hi {{member.name}}, renew your {{gym.name}} membership here: {{renewalUrl}} (the link is valid for 7 days).'
+    }
+  },
+
+  whatsapp_opt_out: {
+    label: 'WhatsApp STOP reply',
+    category: 'reply',
+    member: true,
+    placeholders: [],
+    email: null,
+    whatsapp: {
+      text: "You won't receive {{gym.name}} updates on WhatsApp any more. Login codes you ask for are still sent. You can turn updates back on in the member portal."
+    }
+  }
+};
+
+// Values used by the preview endpoint. Amounts are passed to templates already
+// formatted; dates are formatted by the renderer.
+const SAMPLE_VALUES = {
+  member: {
+    name: 'Asha Patel',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    startDate: new Date('2026-01-01'),
+    endDate: new Date('2026-03-31'),
+    paymentMethod: 'Online'
+  },
+  plan: { code: '3month', name: '3 Months', price: '₹3,500' },
+  amount: '₹3,500',
+  receiptUrl: 'https://example.com/receipts/sample.pdf',
+  previousPlan: { name: '1 Month', price: '₹1,500' },
+  daysLeft: 3,
+  daysLabel: 'days',
+  expiresToday: false,
+  renewalUrl: 'https://example.com/renew-membership/sample-token',
+  overdue: false,
+  installment: { amount: '₹1,200', dueDate: new Date('2026-02-15') },
+  balance: { outstanding: '₹2,400' },
+  otp: '123456',
+  expiresInMinutes: 10,
+  staff: { name: 'Ravi Shah', role: 'receptionist' },
+  inviteUrl: 'https://example.com/admin/accept-invite/sample-token',
+  unsubscribeUrl: 'https://example.com/unsubscribe/sample-token'
+};
+
+module.exports = {
+  GYM_PLACEHOLDERS,
+  MEMBER_PLACEHOLDERS,
+  FOOTER_PLACEHOLDERS,
+  NOTIFICATION_EVENTS,
+  SAMPLE_VALUES
+};
@@ -0,0 +1,243 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const APIError = require('../utils/APIError');
+const { sendEmail } = require('./emailService');
+const { sendWhatsAppText, sendWhatsAppTemplate, sendWhatsAppDocument } = require('./whatsappService');
+
+// Wait before retry n (after attempt n failed); the last entry repeats
+const BACKOFF_MINUTES = [1, 5, 30, 120, 720];
+const DEFAULT_MAX_ATTEMPTS = 6;
+// A message left in 'sending' this long (e.g. the process died mid-send) is retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Errors that retrying won't fix (missing config, invalid phone number)
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+const TRANSPORTS = {
+  email: async ({ recipient, payload }) => {
+    const info = await sendEmail({ email: recipient, subject: payload.subject, html: payload.html });
+    return { providerMessageId: info && info.messageId };
+  },
+  whatsapp: async ({ recipient, payload }) => {
+    let result;
+    if (payload.template) {
+      result = await sendWhatsAppTemplate({ phone: recipient, ...payload.template });
+    } else if (payload.document) {
+      result = await sendWhatsAppDocument({ phone: recipient, ...payload.document });
+    } else {
+      result = await sendWhatsAppText({ phone: recipient, message: payload.message });
+    }
+    if (result.skipped) {
+      throw permanentError(result.reason);
+    }
+    if (!result.ok) {
+      // The API rejecting the message itself (e.g. outside the 24-hour window) won't change on retry
+      const rejected = result.status >= 400 && result.status < 500 && result.status !== 429;
+      throw Object.assign(new Error(result.error || `WhatsApp API returned ${result.status}`), { retryable: !rejected });
+    }
+    const sent = result.data && result.data.messages && result.data.messages[0];
+    return { providerMessageId: sent ? sent.id : undefined };
+  }
+};
+
+const getBackoffMs = (attempts) => BACKOFF_MINUTES[Math.min(attempts, BACKOFF_MINUTES.length) - 1] * 60 * 1000;
+
+/**
+ * Attempt delivery of one message. The message is claimed atomically, so the
+ * worker and a request never send the same message twice. Never throws.
+ */
+const deliverMessage = async (messageId, now = new Date()) => {
+  const message = await OutboxMessage.findOneAndUpdate(
+    {
+      _id: messageId,
+      $or: [
+        { status: 'pending' },
+        { status: 'sending', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) {
+    return OutboxMessage.findById(messageId);
+  }
+
+  const update = { $set: {} };
+  try {
+    const result = await TRANSPORTS[message.channel](message);
+    update.$set = { status: 'sent', sentAt: new Date(), lastError: null, providerMessageId: result.providerMessageId };
+  } catch (error) {
+    const exhausted = error.retryable === false || message.attempts >= message.maxAttempts;
+    update.$set = {
+      status: error.permanent ? 'skipped' : (exhausted ? 'failed' : 'pending'),
+      lastError: error.message
+    };
+    if (!error.permanent && !exhausted) {
+      update.$set.nextAttemptAt = new Date(now.getTime() + getBackoffMs(message.attempts));
+    }
+    console.error(`Outbox ${message.channel} delivery to ${message.recipient} failed (attempt ${message.attempts}):`, error.message);
+  }
+  if (message.sensitive && update.$set.status !== 'pending') {
+    update.$unset = { payload: '' };
+  }
+
+  try {
+    return await OutboxMessage.findByIdAndUpdate(message._id, update, { new: true });
+  } catch (error) {
+    console.error('Failed to record outbox delivery result:', error);
+    return Object.assign(message, update.$set);
+  }
+};
+
+/**
+ * Write a message to the outbox and make the first delivery attempt right away.
+ * Never throws: returns the message (check `status`), or null when it couldn't
+ * be stored. `sensitive` is for one-time codes: a single attempt, and the body
+ * is not kept afterwards.
+ */
+const queueMessage = async ({ channel, recipient, template, payload, user, sensitive = false }) => {
+  try {
+    const message = await OutboxMessage.create({
+      channel,
+      recipient,
+      template,
+      payload,
+      user,
+      sensitive,
+      maxAttempts: sensitive ? 1 : DEFAULT_MAX_ATTEMPTS,
+      ...(recipient ? {} : { status: 'skipped', lastError: `No ${channel === 'email' ? 'email address' : 'phone number'}` })
+    });
+    return message.status === 'pending' ? await deliverMessage(message._id) : message;
+  } catch (error) {
+    console.error(`Failed to queue ${channel} notification:`, error);
+    return null;
+  }
+};
+
+const queueEmail = ({ to, subject, html, template, user, sensitive }) => queueMessage({
+  channel: 'email',
+  recipient: to,
+  template,
+  payload: { subject, html },
+  user,
+  sensitive
+});
+
+// `message` is always stored for the delivery log; `whatsappTemplate` (approved
+// template) or `document` ({ link, filename, caption }) is what gets sent when set
+const queueWhatsApp = ({ phone, message, whatsappTemplate, document, template, user, sensitive }) => queueMessage({
+  channel: 'whatsapp',
+  recipient: phone,
+  template,
+  payload: {
+    message,
+    ...(whatsappTemplate ? { template: whatsappTemplate } : {}),
+    ...(document ? { document } : {})
+  },
+  user,
+  sensitive
+});
+
+const isDelivered = (message) => Boolean(message && message.status === 'sent');
+
+/**
+ * Retry due messages (worker). Returns { processed, sent, failed }.
+ */
+const processOutbox = async (now = new Date()) => {
+  const due = await OutboxMessage.find({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  const summary = { processed: 0, sent: 0, failed: 0 };
+  for (const { _id } of due) {
+    const message = await deliverMessage(_id, now);
+    summary.processed++;
+    if (isDelivered(message)) summary.sent++;
+    else if (message && ['failed', 'skipped'].includes(message.status)) summary.failed++;
+  }
+  return summary;
+};
+
+const DELIVERY_STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Apply a WhatsApp status callback ({ id, status, timestamp, errors }) to the
+ * message it refers to. Statuses can arrive out of order, so a message never
+ * moves back from read to delivered; 'failed' marks the outbox message failed
+ * so it shows up for resending. Returns the updated message, or null if unknown.
+ */
+const recordDeliveryStatus = async ({ id, status, timestamp, errors }) => {
+  if (!id || !['sent', 'delivered', 'read', 'failed'].includes(status)) return null;
+  const message = await OutboxMessage.findOne({ channel: 'whatsapp', providerMessageId: id });
+  if (!message) return null;
+
+  const at = timestamp ? new Date(Number(timestamp) * 1000) : new Date();
+  if (status === 'failed') {
+    const error = Array.isArray(errors) && errors[0];
+    message.status = 'failed';
+    message.deliveryStatus = 'failed';
+    message.lastError = error ? `${error.code ? `${error.code}: ` : ''}${error.title || error.message || 'Delivery failed'}` : 'Delivery failed';
+  } else if ((DELIVERY_STATUS_RANK[status] || 0) > (DELIVERY_STATUS_RANK[message.deliveryStatus] || 0)
+    && message.deliveryStatus !== 'failed') {
+    message.deliveryStatus = status;
+    if (status === 'delivered') message.deliveredAt = at;
+    if (status === 'read') {
+      message.readAt = at;
+      message.deliveredAt = message.deliveredAt || at;
+    }
+  } else {
+    return message;
+  }
+  return message.save();
+};
+
+// Admin resend of a failed or skipped message: one more attempt, made now
+const resendMessage = async (messageId, { adminId } = {}) => {
+  const message = await OutboxMessage.findById(messageId);
+  if (!message) {
+    throw new APIError('Message not found', 404);
+  }
+  if (message.sensitive) {
+    throw new APIError('One-time codes cannot be resent; ask the member to request a new one', 409);
+  }
+  if (!['failed', 'skipped'].includes(message.status)) {
+    throw new APIError(`Only failed or skipped messages can be resent (this one is ${message.status})`, 409);
+  }
+  if (!message.recipient) {
+    throw new APIError('This message has no recipient', 409);
+  }
+
+  const reset = await OutboxMessage.findOneAndUpdate(
+    { _id: message._id, status: message.status },
+    {
+      $set: {
+        status: 'pending',
+        maxAttempts: message.attempts + 1,
+        nextAttemptAt: new Date(),
+        resentBy: adminId,
+        resentAt: new Date()
+      },
+      $unset: { deliveryStatus: '', deliveredAt: '', readAt: '' }
+    },
+    { new: true }
+  );
+  if (!reset) {
+    throw new APIError('This message is already being resent', 409);
+  }
+  return deliverMessage(reset._id);
+};
+
+module.exports = {
+  queueEmail,
+  queueWhatsApp,
+  deliverMessage,
+  processOutbox,
+  resendMessage,
+  recordDeliveryStatus
+};
@@ -0,0 +1,40 @@
+const { upiProvider } = require('./upiProvider');
+const { razorpayProvider } = require('./razorpayProvider');
+const { manualProvider } = require('./manualProvider');
+const { getSettings } = require('../../utils/formatters');
+
+/**
+ * Every payment provider implements:
+ *   createOrder({ orderId, amount, currency, note, notes }) -> fields to store on the Payment
+ *   verify(payment, payload)       -> { verified, transactionRef, ...fields to store }
+ *   verifyWebhook(req)             -> boolean, is this webhook request authentic
+ *   getStatus(payment)             -> { state: 'created' | 'paid' | 'failed', transactionRef }
+ *   canRefund                      -> boolean, can refund() send money back
+ *   refund(payment, { amount, reason, idempotencyKey })
+ *                                  -> { status: 'processed' | 'pending' | 'manual', amount, refundId }
+ */
+const PROVIDERS = {
+  upi: upiProvider,
+  razorpay: razorpayProvider,
+  manual: manualProvider
+};
+
+const DEFAULT_METHOD_PROVIDERS = {
+  online: 'upi',
+  cash: 'manual'
+};
+
+const getPaymentProvider = (name) => PROVIDERS[name || 'upi'] || null;
+
+// Provider configured in Settings.paymentSettings for a payment method ('online' | 'cash')
+const getProviderNameForMethod = async (paymentMethod = 'online') => {
+  const settings = await getSettings();
+  const configured = settings && settings.paymentSettings && settings.paymentSettings.providers;
+  return (configured && configured[paymentMethod]) || DEFAULT_METHOD_PROVIDERS[paymentMethod] || null;
+};
+
+module.exports = {
+  PAYMENT_PROVIDERS: Object.keys(PROVIDERS),
+  getPaymentProvider,
+  getProviderNameForMethod
+};
@@ -0,0 +1,30 @@
+// Cash and other over-the-counter payments: nothing to create or query
+// remotely, staff confirm receipt in the admin panel.
+const manualProvider = {
+  name: 'manual',
+
+  createOrder: async () => ({}),
+
+  // payload: { transactionRef } (e.g. a cash book reference)
+  verify: async (payment, { transactionRef } = {}) => ({
+    verified: true,
+    transactionRef: transactionRef || payment.orderId
+  }),
+
+  verifyWebhook: () => false,
+
+  getStatus: async (payment) => ({
+    state: payment.status,
+    transactionRef: payment.transactionRef
+  }),
+
+  // Cash is handed back at the desk
+  canRefund: false,
+
+  refund: async (payment, { amount }) => ({
+    status: 'processed',
+    amount
+  })
+};
+
+module.exports = { manualProvider };
@@ -0,0 +1,85 @@
+const {
+  getRazorpayConfig,
+  createRazorpayOrder,
+  fetchRazorpayPayment,
+  fetchRazorpayOrderPayments,
+  createRazorpayRefund,
+  verifyCheckoutSignature,
+  verifyWebhookSignature
+} = require('../razorpayService');
+
+// Razorpay gateway: orders are created on Razorpay and confirmed by a signed
+// checkout response or a signed payment.captured webhook.
+const razorpayProvider = {
+  name: 'razorpay',
+
+  createOrder: async ({ orderId, amount, currency, notes }) => {
+    const order = await createRazorpayOrder({ amount, currency, receipt: orderId, notes });
+    return { razorpayOrderId: order.id };
+  },
+
+  // payload: { razorpayPaymentId, signature } from Razorpay Checkout. The
+  // payment is fetched as well so the amount actually paid can be checked.
+  verify: async (payment, { razorpayPaymentId, signature } = {}) => {
+    const verified = verifyCheckoutSignature({
+      razorpayOrderId: payment.razorpayOrderId,
+      razorpayPaymentId,
+      signature
+    });
+    if (!verified) {
+      return { verified };
+    }
+    const paid = await fetchRazorpayPayment(razorpayPaymentId);
+    return {
+      verified: paid.order_id === payment.razorpayOrderId,
+      transactionRef: razorpayPaymentId,
+      razorpayPaymentId,
+      razorpaySignature: signature,
+      paidAmount: paid.amount / 100
+    };
+  },
+
+  verifyWebhook: (req) => verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature']),
+
+  getStatus: async (payment) => {
+    if (!payment.razorpayOrderId) {
+      return { state: payment.status };
+    }
+    const result = await fetchRazorpayOrderPayments(payment.razorpayOrderId);
+    const attempts = (result && result.items) || [];
+    const captured = attempts.find(item => item.status === 'captured');
+    if (captured) {
+      return { state: 'paid', transactionRef: captured.id, razorpayPaymentId: captured.id, paidAmount: captured.amount / 100 };
+    }
+    if (attempts.length > 0 && attempts.every(item => item.status === 'failed')) {
+      return { state: 'failed', reason: attempts[attempts.length - 1].error_description || 'gateway_failed' };
+    }
+    return { state: payment.status };
+  },
+
+  canRefund: true,
+
+  refund: async (payment, { amount, reason, idempotencyKey }) => {
+    const paymentId = payment.razorpayPaymentId || payment.transactionRef;
+    const refund = await createRazorpayRefund(paymentId, {
+      amount,
+      notes: { orderId: payment.orderId, reason: reason || '' },
+      idempotencyKey
+    });
+    return {
+      status: refund.status === 'processed' ? 'processed' : 'pending',
+      amount,
+      refundId: refund.id
+    };
+  },
+
+  getCheckoutOptions: (payment, { name }) => ({
+    key: getRazorpayConfig().keyId,
+    orderId: payment.razorpayOrderId,
+    amount: Math.round(payment.amount * 100),
+    currency: payment.currency,
+    name
+  })
+};
+
+module.exports = { razorpayProvider };
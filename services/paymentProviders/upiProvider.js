@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// UPI Payment Configuration
+// PRIMARY UPI ID: 9898881882thanganat-1@okicici
+// This UPI ID is used in payment QR codes, UPI intents, receipts, and when opening GPay/PhonePe/Paytm apps
+// IMPORTANT: Always use the correct UPI ID for payments to ensure consistency
+// Environment variables are checked but the correct UPI is always used for payments
+const CORRECT_UPI_VPA = '9898881882thanganat-1@okicici';
+const PAYEE_VPA = CORRECT_UPI_VPA; // Always use correct UPI for payments
+const PAYEE_NAME = process.env.UPI_PAYEE_NAME || 'StarGym';
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+// How far a webhook's signed timestamp may drift from our clock
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Log UPI configuration on module load
+console.log('✅ Payment Service - UPI_VPA configured:', PAYEE_VPA);
+if (!WEBHOOK_SECRET) {
+  console.warn('⚠️ PAYMENT_WEBHOOK_SECRET is not set - UPI webhooks will be rejected');
+}
+
+// UPI payment format: upi://pay?pa=<VPA>&pn=<Name>&am=<Amount>&cu=<Currency>&tn=<Note>&tr=<TransactionRef>
+// Important: First parameter uses ? and subsequent use &
+const buildUpiIntent = ({ amount, orderId, note }) => {
+  if (!PAYEE_VPA) {
+    throw new Error('UPI_VPA is not configured');
+  }
+
+  const encodedNote = encodeURIComponent(note || `Gym subscription ${orderId || ''}`.trim());
+  const encodedVPA = encodeURIComponent(PAYEE_VPA.trim());
+  const encodedName = encodeURIComponent(PAYEE_NAME.trim());
+
+  let upiIntent = `upi://pay?pa=${encodedVPA}&pn=${encodedName}&am=${amount.toFixed(2)}&cu=INR&tn=${encodedNote}`;
+  if (orderId) {
+    upiIntent += `&tr=${orderId}`;
+  }
+  return upiIntent;
+};
+
+const safeEqual = (expected, provided) => {
+  if (!expected || !provided) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Webhook signature: hex HMAC-SHA256 of `${timestamp}.${rawBody}` with
+// PAYMENT_WEBHOOK_SECRET, sent in x-webhook-signature alongside the unix
+// timestamp (seconds) in x-webhook-timestamp
+const signWebhookPayload = (timestamp, rawBody, secret = WEBHOOK_SECRET) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.`)
+  .update(rawBody)
+  .digest('hex');
+
+const verifyWebhookRequest = (req, now = Date.now()) => {
+  if (!WEBHOOK_SECRET || !req.rawBody) return false;
+  const timestamp = Number(req.headers['x-webhook-timestamp']);
+  if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+  return safeEqual(signWebhookPayload(timestamp, req.rawBody), req.headers['x-webhook-signature']);
+};
+
+// Static UPI QR: the member pays our VPA directly, and a signed confirmation
+// webhook or a staff approval marks it paid.
+const upiProvider = {
+  name: 'upi',
+
+  createOrder: async ({ orderId, amount, note }) => {
+    const upiIntent = buildUpiIntent({ amount, orderId, note });
+    const qrImage = await QRCode.toDataURL(upiIntent, { margin: 1, scale: 6 });
+    return { upiIntent, qrImage };
+  },
+
+  // payload: { transactionRef, amount }; the webhook signature has already been checked
+  verify: async (payment, { transactionRef, amount } = {}) => ({
+    verified: true,
+    transactionRef: transactionRef || payment.orderId,
+    paidAmount: amount !== undefined && amount !== null ? Number(amount) : undefined
+  }),
+
+  verifyWebhook: (req) => verifyWebhookRequest(req),
+
+  // Nothing to query remotely; the bank only tells us through the webhook
+  getStatus: async (payment) => ({
+    state: payment.status,
+    transactionRef: payment.transactionRef
+  }),
+
+  // Money has to be sent back from the UPI app by hand
+  canRefund: false,
+
+  refund: async (payment, { amount }) => ({
+    status: 'manual',
+    amount,
+    message: `Send ₹${amount} back to the member via UPI and record the UTR`
+  })
+};
+
+module.exports = {
+  upiProvider,
+  buildUpiIntent,
+  signWebhookPayload,
+  PAYEE_VPA,
+  PAYEE_NAME
+};
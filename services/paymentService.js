@@ -1,55 +1,62 @@
 const crypto = require('crypto');
-const QRCode = require('qrcode');
+const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
-const { getPlanAmount } = require('../utils/formatters');
-
-// UPI Payment Configuration
-// PRIMARY UPI ID: 9898881882thanganat-1@okicici
-// This UPI ID is used in payment QR codes, UPI intents, and when opening GPay/PhonePe/Paytm apps
-// IMPORTANT: Always use the correct UPI ID for payments to ensure consistency
-// Environment variables are checked but the correct UPI is always used for payments
-const CORRECT_UPI_VPA = '9898881882thanganat-1@okicici';
-const PAYEE_VPA = CORRECT_UPI_VPA; // Always use correct UPI for payments
-const PAYEE_NAME = process.env.UPI_PAYEE_NAME || 'StarGym';
-const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'changeme';
-
-// Log UPI configuration on module load
-console.log('✅ Payment Service - UPI_VPA configured:', PAYEE_VPA);
-if (PAYEE_VPA === '9898881882thanganat-1@okicici') {
-  console.log('✅ Payment Service - Correct UPI ID is being used: 9898881882thanganat-1@okicici');
-}
-
-const planToMonths = {
-  '1month': 1,
-  '2month': 2,
-  '3month': 3,
-  '6month': 6,
-  yearly: 12
-};
+const APIError = require('../utils/APIError');
+const { getPlanByCode, getHistoryDuration, addPlanDuration } = require('./planService');
+const { calculatePlanChange, applyPlanChangeForPayment } = require('./planChangeService');
+const { issueReceiptForLatestEntry, safeIssueReceipt } = require('./receiptService');
+const { getChargeAmount, getHistoryTax } = require('./taxService');
+const { recordAudit, snapshotMember } = require('./auditService');
+const { getPaymentProvider, getProviderNameForMethod } = require('./paymentProviders');
+const { PAYEE_NAME } = require('./paymentProviders/upiProvider');
+const {
+  applyCoupon,
+  reclaimCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  setPendingCoupon,
+  getPendingCoupon,
+  toHistoryDiscount
+} = require('./couponService');
+const { grantReferralReward } = require('./referralService');
+const { reserveCredit, redeemCredit, releaseCredit, toHistoryCredit } = require('./creditNoteService');
+
+const PAYMENT_METHODS = ['online', 'cash'];
+const ORDER_TTL_MS = 15 * 60 * 1000; // 15 minutes
+// Statuses of payments that were collected (refunds keep them settled)
+const SETTLED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const isPaymentSettled = (payment) => SETTLED_STATUSES.includes(payment.status);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
 
 const generateOrderId = () =>
   `ORD-${crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(8).toString('hex')}`;
 
-const buildUpiIntent = ({ amount, orderId, note }) => {
-  if (!PAYEE_VPA) {
-    throw new Error('UPI_VPA is not configured');
-  }
-  
-  const encodedNote = encodeURIComponent(note || `Gym subscription ${orderId}`);
-  const encodedVPA = encodeURIComponent(PAYEE_VPA.trim());
-  const encodedName = encodeURIComponent(PAYEE_NAME.trim());
-  
-  // UPI payment format: upi://pay?pa=<VPA>&pn=<Name>&am=<Amount>&cu=<Currency>&tn=<Note>&tr=<TransactionRef>
-  // Important: First parameter uses ? and subsequent use &
-  const upiIntent = `upi://pay?pa=${encodedVPA}&pn=${encodedName}&am=${amount.toFixed(2)}&cu=INR&tn=${encodedNote}&tr=${orderId}`;
-  
-  return upiIntent;
-};
-
-const createPayment = async ({ userId, plan, amount }) => {
-  if (!PAYEE_VPA) {
-    throw new Error('UPI_VPA not configured');
+/**
+ * Create a payment order through the provider configured for the payment method.
+ * `meta` is stored on the payment (e.g. { isRenewal: true }).
+ * The amount always comes from the catalog: the plan price, a plan change
+ * top-up quoted afresh (meta.isPlanChange), or the price after a coupon, with
+ * GST added for exclusive pricing. `couponCode` applies a coupon to the plan
+ * price; without one, a coupon the member applied at registration for the same
+ * plan is used. Open credit notes come off the charge and are reserved until
+ * the order is paid or falls through. `providerName` overrides the configured
+ * provider, e.g. 'manual' for money that has already been received.
+ */
+const createPayment = async ({
+  userId,
+  plan,
+  paymentMethod = 'online',
+  meta = {},
+  couponCode,
+  paymentId = new mongoose.Types.ObjectId(),
+  replaces,
+  providerName
+}) => {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new APIError(`Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
   }
 
   const user = await User.findById(userId);
@@ -57,50 +64,300 @@ const createPayment = async ({ userId, plan, amount }) => {
     throw new Error('User not found');
   }
 
-  const resolvedPlan = plan || user.plan;
-  const resolvedAmount = amount || getPlanAmount(resolvedPlan);
+  const catalogPlan = await getPlanByCode(plan || user.plan);
+  if (!catalogPlan) {
+    throw new Error('Unknown plan');
+  }
+  const resolvedPlan = catalogPlan.code;
+  let resolvedAmount;
+  let coupon = null;
+  if (meta.isPlanChange) {
+    const quote = await calculatePlanChange(user, resolvedPlan);
+    if (quote.chargeAmount <= 0) {
+      throw new APIError('This plan change has no top-up to pay', 400);
+    }
+    meta = { ...meta, planChange: quote };
+    resolvedAmount = quote.chargeAmount;
+  } else if (couponCode) {
+    const applied = await applyCoupon(couponCode, { user, planCode: resolvedPlan });
+    coupon = applied.appliedCoupon;
+    resolvedAmount = applied.chargeAmount;
+    await setPendingCoupon(user, coupon);
+    await user.save();
+  } else {
+    coupon = meta.coupon || getPendingCoupon(user, resolvedPlan);
+    resolvedAmount = await getChargeAmount(coupon ? coupon.finalPrice : catalogPlan.price);
+  }
   if (!resolvedAmount) {
-    throw new Error('Unable to resolve amount for plan');
+    throw new APIError(coupon ? 'Nothing to pay for this plan after the discount' : 'Unable to resolve amount for plan', 400);
   }
 
-  const orderId = generateOrderId();
-  const upiIntent = buildUpiIntent({
-    amount: resolvedAmount,
-    orderId,
-    note: `Subscription ${resolvedPlan}`
-  });
-  const qrImage = await QRCode.toDataURL(upiIntent, { margin: 1, scale: 6 });
+  const provider = getPaymentProvider(providerName || await getProviderNameForMethod(paymentMethod));
+  if (!provider) {
+    throw new Error(`No payment provider configured for ${paymentMethod} payments`);
+  }
 
-  const payment = await Payment.create({
-    user: userId,
-    orderId,
-    amount: resolvedAmount,
-    currency: 'INR',
-    status: 'created',
-    upiIntent,
-    qrImage,
-    expiresAt: new Date(Date.now() + 15 * 60 * 1000),
-    meta: { plan: resolvedPlan }
-  });
+  const credit = await reserveCredit(userId, resolvedAmount, { paymentId });
+  const chargeAmount = roundAmount(resolvedAmount - credit.total);
+  if (chargeAmount <= 0) {
+    await releaseCredit(credit);
+    throw new APIError('The member\'s credit covers this payment; record it at the desk instead', 409);
+  }
+
+  try {
+    const orderId = generateOrderId();
+    const providerFields = await provider.createOrder({
+      orderId,
+      amount: chargeAmount,
+      currency: 'INR',
+      note: `Subscription ${resolvedPlan}`,
+      notes: { userId: String(userId), plan: resolvedPlan }
+    });
+
+    const payment = await Payment.create({
+      _id: paymentId,
+      user: userId,
+      orderId,
+      replaces,
+      amount: chargeAmount,
+      currency: 'INR',
+      status: 'created',
+      paymentMethod,
+      provider: provider.name,
+      expiresAt: paymentMethod === 'online' ? new Date(Date.now() + ORDER_TTL_MS) : undefined,
+      ...providerFields,
+      meta: {
+        plan: resolvedPlan,
+        ...meta,
+        ...(coupon ? { coupon } : {}),
+        ...(credit.total > 0 ? { credit } : {})
+      }
+    });
 
-  return { payment, user };
+    return { payment, user };
+  } catch (error) {
+    await releaseCredit(credit);
+    throw error;
+  }
 };
 
-const markPaymentPaid = async ({ orderId, transactionRef }) => {
-  const payment = await Payment.findOne({ orderId });
+// Client-facing payment details; gateway payments include their checkout options
+const toPaymentData = (payment) => {
+  const data = {
+    orderId: payment.orderId,
+    paymentId: payment._id.toString(),
+    provider: payment.provider || 'upi',
+    upiIntent: payment.upiIntent,
+    qrImage: payment.qrImage,
+    amount: payment.amount,
+    currency: payment.currency,
+    expiresAt: payment.expiresAt,
+    status: payment.status
+  };
+
+  const provider = getPaymentProvider(payment.provider);
+  if (provider && provider.getCheckoutOptions) {
+    data.checkout = provider.getCheckoutOptions(payment, { name: PAYEE_NAME });
+  }
+
+  return data;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Latest renewal still waiting to be paid or approved
+const getPendingRenewal = (user) =>
+  [...(user.renewals || [])].reverse().find(entry => entry.status === 'pending') || null;
+
+// Renewal terms carried on the payment that pays for them (payment.meta.renewal)
+const toRenewalMeta = (renewal) => ({
+  renewalId: renewal._id,
+  plan: renewal.plan,
+  startDate: renewal.startDate,
+  endDate: renewal.endDate
+});
+
+// Terms for a paid renewal: the ones on its order, the member's pending request,
+// or, with neither recorded, the plan (the current one by default) again from
+// the current end date. A pending request for another plan is ignored when
+// `plan` is given.
+const getRenewalTerm = async (user, renewalMeta, { plan } = {}) => {
+  if (renewalMeta) return renewalMeta;
+  const pending = getPendingRenewal(user);
+  if (pending && (!plan || pending.plan === plan)) return toRenewalMeta(pending);
+
+  const planCode = plan || user.plan;
+  const today = startOfDay(new Date());
+  const startDate = user.endDate && new Date(user.endDate) > today ? new Date(user.endDate) : today;
+  return { plan: planCode, startDate, endDate: addPlanDuration(startDate, await getPlanByCode(planCode) || planCode) };
+};
+
+/**
+ * Put a paid or approved renewal into effect: move the member to its plan and
+ * dates, activate the membership and confirm the renewals entry. If payment
+ * only arrives after the requested start has passed, the member couldn't use
+ * those days while it was pending, so the term restarts on the day of payment.
+ * Deliberately back-dated renewals (starting before the order) are kept.
+ */
+const applyRenewalTerm = (user, term, { paidAt = new Date(), orderedAt, plan } = {}) => {
+  const renewal = term.renewalId && user.renewals ? user.renewals.id(term.renewalId) : null;
+  const today = startOfDay(paidAt);
+  const orderedOn = startOfDay(orderedAt || (renewal && renewal.renewedAt) || paidAt);
+  let startDate = new Date(term.startDate);
+  let endDate = new Date(term.endDate);
+  if (startDate < today && startDate >= orderedOn) {
+    startDate = today;
+    endDate = addPlanDuration(today, plan || term.plan);
+  }
+
+  // If this is the first renewal, set the originalJoinDate
+  if (!user.originalJoinDate) {
+    user.originalJoinDate = user.startDate;
+  }
+  user.plan = term.plan;
+  user.startDate = startDate;
+  user.endDate = endDate;
+  user.renewalCount = (user.renewalCount || 0) + 1;
+  user.paymentStatus = 'confirmed';
+  user.subscriptionStatus = 'active';
+
+  if (renewal) {
+    renewal.status = 'confirmed';
+    renewal.startDate = startDate;
+    renewal.endDate = endDate;
+    user.paymentMethod = renewal.paymentMethod;
+  }
+  return renewal;
+};
+
+/**
+ * A late payment on an order that was already replaced by a regenerated one.
+ * The money is recorded, but the membership is left to the replacement and the
+ * payment is flagged for staff to refund.
+ */
+const markSupersededPaid = async (existing, update, audit = {}) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $nin: SETTLED_STATUSES } },
+    { $set: { ...update, 'meta.superseded': true, 'meta.needsRefund': true } },
+    { new: true }
+  );
   if (!payment) {
+    return Payment.findById(existing._id);
+  }
+
+  await recordAudit({
+    ...audit,
+    action: 'payment.superseded',
+    target: { type: 'payment', id: payment._id },
+    member: payment.user,
+    meta: {
+      orderId: payment.orderId,
+      amount: payment.amount,
+      transactionRef: payment.transactionRef,
+      replacedBy: payment.replacedBy
+    }
+  });
+  return payment;
+};
+
+// Captured amount (reported by the provider) that differs from the order's charge
+const isAmountMismatch = (payment, paidAmount) =>
+  paidAmount !== undefined && paidAmount !== null && Math.abs(Number(paidAmount) - payment.amount) > 0.01;
+
+/**
+ * `audit` carries the request/actor that confirmed the payment, for the audit log.
+ * `paidAmount` is the amount the provider captured, when it reports one; a
+ * capture that doesn't match the order fails it instead of activating anything,
+ * and the money is left for staff to refund. So is a payment on an order that
+ * has been regenerated (see markSupersededPaid).
+ */
+const markPaymentPaid = async ({ orderId, transactionRef, razorpayPaymentId, razorpaySignature, paidAmount, audit = {} }) => {
+  const existing = await Payment.findOne({ orderId });
+  if (!existing) {
     throw new Error('Payment not found');
   }
-  if (payment.status === 'paid') {
+  if (isPaymentSettled(existing)) {
+    return existing;
+  }
+  if (isAmountMismatch(existing, paidAmount)) {
+    const failed = await markPaymentFailed({
+      orderId,
+      reason: 'amount_mismatch',
+      details: {
+        paidAmount: Number(paidAmount),
+        transactionRef: transactionRef || razorpayPaymentId,
+        razorpayPaymentId
+      }
+    });
+    await recordAudit({
+      ...audit,
+      action: 'payment.amount_mismatch',
+      target: { type: 'payment', id: existing._id },
+      member: existing.user,
+      meta: { orderId, amount: existing.amount, paidAmount: Number(paidAmount) }
+    });
+    return failed;
+  }
+
+  // Claim the transition atomically so concurrent or replayed confirmations
+  // (webhook + status poll, provider retries) update the membership only once
+  const update = {
+    status: 'paid',
+    transactionRef: transactionRef || razorpayPaymentId || existing.transactionRef || orderId,
+    paidAt: new Date()
+  };
+  if (razorpayPaymentId) update.razorpayPaymentId = razorpayPaymentId;
+  if (razorpaySignature) update.razorpaySignature = razorpaySignature;
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, status: { $nin: SETTLED_STATUSES }, replacedBy: { $exists: false } },
+    { $set: update },
+    { new: true }
+  );
+  if (!payment) {
+    const current = await Payment.findById(existing._id);
+    if (current.replacedBy && !isPaymentSettled(current)) {
+      return markSupersededPaid(current, update, audit);
+    }
+    return current;
+  }
+
+  const paymentMeta = {
+    orderId: payment.orderId,
+    amount: payment.amount,
+    transactionRef: payment.transactionRef
+  };
+
+  // Mid-term plan change top-ups switch the plan instead of adding a join entry
+  if (payment.meta && payment.meta.isPlanChange) {
+    const result = await applyPlanChangeForPayment(payment);
+    await recordAudit({
+      ...audit,
+      action: 'payment.confirm',
+      target: { type: 'payment', id: payment._id },
+      member: payment.user,
+      after: result && result.user ? snapshotMember(result.user) : null,
+      meta: { ...paymentMeta, isPlanChange: true, shortfall: result ? result.shortfall : undefined }
+    });
     return payment;
   }
-  payment.status = 'paid';
-  payment.transactionRef = transactionRef || payment.transactionRef || orderId;
-  payment.paidAt = new Date();
-  await payment.save();
 
   const user = await User.findById(payment.user);
   if (user) {
+    const before = snapshotMember(user);
+    const isRenewal = Boolean(payment.meta && payment.meta.isRenewal);
+    if (isRenewal) {
+      const term = await getRenewalTerm(user, payment.meta.renewal);
+      applyRenewalTerm(user, term, {
+        paidAt: payment.paidAt,
+        orderedAt: payment.createdAt,
+        plan: await getPlanByCode(term.plan)
+      });
+    }
+    const userPlan = await getPlanByCode(user.plan);
     user.paymentStatus = 'confirmed';
     user.subscriptionStatus = 'active';
 
@@ -108,40 +365,266 @@ const markPaymentPaid = async ({ orderId, transactionRef }) => {
     if (!user.membershipHistory) {
       user.membershipHistory = [];
     }
-    const months = planToMonths[user.plan] || 1;
     const amount = payment.amount;
+    const coupon = payment.meta && payment.meta.coupon;
     user.membershipHistory.push({
-      type: 'join',
+      type: isRenewal ? 'renewal' : 'join',
       date: new Date(),
-      duration: String(months),
+      duration: getHistoryDuration(userPlan || user.plan),
       amount,
       paymentMode: 'online',
       plan: user.plan,
       paymentStatus: 'confirmed',
-      transactionId: payment.transactionRef
+      transactionId: payment.transactionRef,
+      ...toHistoryDiscount(coupon),
+      ...toHistoryCredit(payment.meta && payment.meta.credit),
+      ...await getHistoryTax(amount)
     });
+    const historyEntry = user.membershipHistory[user.membershipHistory.length - 1];
+    if (coupon && user.pendingCoupon && String(user.pendingCoupon.redemptionId) === String(coupon.redemptionId)) {
+      user.pendingCoupon = undefined;
+    }
     await user.save();
+    await redeemCoupon(coupon, { payment, membershipHistoryId: historyEntry._id });
+    await redeemCredit(payment.meta && payment.meta.credit, { paymentId: payment._id, membershipHistoryId: historyEntry._id });
+    await grantReferralReward(user, { audit });
+    const receipt = await safeIssueReceipt(() => issueReceiptForLatestEntry(user, { payment }));
+
+    await recordAudit({
+      ...audit,
+      action: 'payment.confirm',
+      target: { type: 'payment', id: payment._id },
+      member: user._id,
+      before,
+      after: snapshotMember(user),
+      meta: { ...paymentMeta, isRenewal, receiptNumber: receipt ? receipt.receiptNumber : null }
+    });
   }
 
   return payment;
 };
 
-const markPaymentFailed = async ({ orderId, reason }) => {
+// `details` are stored on meta with the reason (e.g. the captured amount of a mismatch)
+const markPaymentFailed = async ({ orderId, reason, details = {} }) => {
   const payment = await Payment.findOne({ orderId });
   if (!payment) {
     throw new Error('Payment not found');
   }
+  // A late failure event must not undo a captured payment
+  if (isPaymentSettled(payment)) {
+    return payment;
+  }
   payment.status = 'failed';
-  payment.meta = { ...payment.meta, reason };
+  payment.meta = { ...payment.meta, ...details, reason };
   await payment.save();
+  await releaseCoupon(payment.meta.coupon);
+  await releaseCredit(payment.meta.credit);
   return payment;
 };
 
-const verifyWebhookSecret = (secret) => secret && secret === WEBHOOK_SECRET;
+/**
+ * Confirm a payment with proof from its provider (e.g. Razorpay Checkout's signed ids).
+ * Throws 400 when the provider rejects the proof.
+ */
+const confirmPayment = async ({ orderId, payload = {}, audit = {} }) => {
+  const payment = await Payment.findOne({ orderId });
+  if (!payment) {
+    throw new APIError('Payment not found', 404);
+  }
+  if (isPaymentSettled(payment)) {
+    return payment;
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const result = await provider.verify(payment, payload);
+  if (!result.verified) {
+    throw new APIError('Payment could not be verified', 400);
+  }
+
+  const confirmed = await markPaymentPaid({
+    orderId,
+    transactionRef: result.transactionRef,
+    razorpayPaymentId: result.razorpayPaymentId,
+    razorpaySignature: result.razorpaySignature,
+    paidAmount: result.paidAmount,
+    audit
+  });
+  if (isAmountMismatch(payment, result.paidAmount)) {
+    throw new APIError(`Rs. ${result.paidAmount} was paid but this order is for Rs. ${payment.amount}. Please contact the gym.`, 409);
+  }
+  return confirmed;
+};
+
+const isPaymentOverdue = (payment, now = new Date()) =>
+  payment.status === 'created' && payment.expiresAt && new Date(payment.expiresAt) <= now;
+
+// Lazily expire a single overdue order (the sweeper does the same in bulk)
+const expireIfOverdue = async (payment, now = new Date()) => {
+  if (!payment || !isPaymentOverdue(payment, now)) return payment;
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'created' },
+    { $set: { status: 'expired', expiredAt: now } },
+    { new: true }
+  );
+  if (updated) {
+    await releaseCoupon(updated.meta && updated.meta.coupon);
+    await releaseCredit(updated.meta && updated.meta.credit);
+  }
+  return updated || Payment.findById(payment._id);
+};
+
+/**
+ * Move overdue 'created' orders to 'expired', giving back the coupons and credit
+ * they reserved. Gateway orders are checked with the provider first, since a
+ * payment may have been captured without its webhook reaching us; ones that
+ * can't be checked are left for the next sweep. Late UPI confirmations are
+ * still accepted by markPaymentPaid.
+ */
+const expireStalePayments = async (now = new Date()) => {
+  const audit = { actor: { type: 'system', label: 'expiry_sweeper' } };
+  let expired = 0;
+
+  const overdueGatewayPayments = await Payment.find({
+    status: 'created',
+    expiresAt: { $lte: now },
+    provider: 'razorpay'
+  }).limit(100);
+
+  for (const payment of overdueGatewayPayments) {
+    try {
+      const checked = await syncProviderStatus(payment, { audit });
+      if (checked.status !== 'created') continue;
+      const updated = await expireIfOverdue(checked, now);
+      if (updated && updated.status === 'expired') expired++;
+    } catch (error) {
+      console.error(`Error checking ${payment.provider} payment ${payment.orderId} before expiry:`, error);
+    }
+  }
+
+  const overduePayments = await Payment.find({
+    status: 'created',
+    expiresAt: { $lte: now },
+    provider: { $ne: 'razorpay' }
+  });
+  for (const payment of overduePayments) {
+    const updated = await expireIfOverdue(payment, now);
+    if (updated && updated.status === 'expired') expired++;
+  }
+
+  return expired;
+};
+
+/**
+ * Issue a fresh order for the same member, plan and purpose as an expired or
+ * failed one, linking the two. The old order is claimed first, so concurrent
+ * requests issue a single replacement and a late payment on it is treated as
+ * superseded. Repeat calls return the open replacement.
+ */
+const regeneratePayment = async (orderId) => {
+  let payment = await Payment.findOne({ orderId });
+  if (!payment) {
+    throw new APIError('Payment not found', 404);
+  }
+
+  // Follow earlier regenerations to the latest order
+  while (payment.replacedBy) {
+    const replacement = await Payment.findById(payment.replacedBy);
+    if (!replacement) {
+      throw new APIError('A new payment is already being generated for this order, please retry', 409);
+    }
+    payment = replacement;
+  }
+
+  payment = await expireIfOverdue(payment);
+  if (isPaymentSettled(payment)) {
+    throw new APIError('This payment has already been completed', 409);
+  }
+  if (payment.status === 'created') {
+    return { payment, previous: null };
+  }
+
+  const replacementId = new mongoose.Types.ObjectId();
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['expired', 'failed'] }, replacedBy: { $exists: false } },
+    { $set: { replacedBy: replacementId } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new APIError('This payment was completed or regenerated in the meantime, please retry', 409);
+  }
+
+  // meta.coupon carries over and the use released when the old order expired or
+  // failed is reserved again. The amount is priced again and credit is
+  // reserved afresh.
+  const { reason, credit, paidAmount, ...meta } = claimed.meta || {};
+  let reclaimed = null;
+  try {
+    reclaimed = await reclaimCoupon(meta.coupon);
+    const { payment: replacement } = await createPayment({
+      userId: claimed.user,
+      plan: meta.plan,
+      paymentMethod: claimed.paymentMethod || 'online',
+      meta,
+      paymentId: replacementId,
+      replaces: claimed._id
+    });
+    return { payment: replacement, previous: claimed };
+  } catch (error) {
+    if (reclaimed) await releaseCoupon(meta.coupon);
+    await Payment.updateOne(
+      { _id: claimed._id, replacedBy: replacementId },
+      { $unset: { replacedBy: 1 } }
+    );
+    throw error;
+  }
+};
+
+// Provider's view of an open order, applied to it; throws if the provider can't be reached
+const syncProviderStatus = async (payment, { audit = {} } = {}) => {
+  const provider = getPaymentProvider(payment.provider);
+  const status = await provider.getStatus(payment);
+  if (status.state === 'paid') {
+    return markPaymentPaid({
+      orderId: payment.orderId,
+      transactionRef: status.transactionRef,
+      razorpayPaymentId: status.razorpayPaymentId,
+      paidAmount: status.paidAmount,
+      audit
+    });
+  }
+  if (status.state === 'failed') {
+    return markPaymentFailed({ orderId: payment.orderId, reason: status.reason || 'provider_failed' });
+  }
+  return payment;
+};
+
+// Ask the provider whether an open order has been paid or failed in the meantime
+const refreshPaymentStatus = async (payment, { audit = {} } = {}) => {
+  if (!payment || payment.status !== 'created') return payment;
+
+  try {
+    return await syncProviderStatus(payment, { audit });
+  } catch (error) {
+    console.error(`Error checking ${payment.provider} payment status:`, error);
+  }
+  return payment;
+};
 
 module.exports = {
+  PAYMENT_METHODS,
+  SETTLED_STATUSES,
+  isPaymentSettled,
+  getPendingRenewal,
+  toRenewalMeta,
+  getRenewalTerm,
+  applyRenewalTerm,
   createPayment,
+  toPaymentData,
+  confirmPayment,
+  refreshPaymentStatus,
+  expireIfOverdue,
+  expireStalePayments,
+  regeneratePayment,
   markPaymentPaid,
-  markPaymentFailed,
-  verifyWebhookSecret
+  markPaymentFailed
 };
@@ -3,46 +3,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const QRCode = require('qrcode');
 const { uploadPDFToCloudinary } = require('./cloudinaryService');
-const { getPlanAmount, getPlanDisplayName, formatIndianPrice: formatPrice } = require('../utils/formatters');
-
-// UPI Payment details
-// PRIMARY UPI ID: 9898881882thanganat-1@okicici
-// This UPI ID is used in receipts, QR codes, and when opening GPay/PhonePe/Paytm apps
-// IMPORTANT: Always use the correct UPI ID for receipts to ensure consistency
-// Environment variables are checked but the correct UPI is always used for receipts
-const CORRECT_UPI_VPA = '9898881882thanganat-1@okicici';
-const PAYEE_VPA = CORRECT_UPI_VPA; // Always use correct UPI for receipts
-const PAYEE_NAME = process.env.UPI_PAYEE_NAME || 'StarGym';
-
-// Log UPI configuration on module load (for debugging)
-if (!PAYEE_VPA || PAYEE_VPA === '') {
-  console.warn('⚠️  UPI_VPA not found in environment variables. Payment QR codes will not work.');
-  console.warn('   Please set UPI_VPA in your .env file (e.g., UPI_VPA=yourname@paytm)');
-} else {
-  console.log('✅ PDF Service - UPI_VPA configured:', PAYEE_VPA);
-  // Confirm correct UPI ID
-  if (PAYEE_VPA === '9898881882thanganat-1@okicici') {
-    console.log('✅ PDF Service - Correct UPI ID is being used: 9898881882thanganat-1@okicici');
-  }
-}
+const { getPlanAmount, getPlanDisplayName, amountInWords, formatIndianPrice: formatPrice } = require('../utils/formatters');
+const { getPlanCatalog } = require('./planService');
+const { formatPlaceOfSupply } = require('./taxService');
+const { getMemberBalance } = require('./installmentService');
 
-// Helper function to build UPI payment intent
-const buildUpiIntent = ({ amount, note }) => {
-  if (!PAYEE_VPA || PAYEE_VPA === '' || PAYEE_VPA === 'yourupi@paytm') {
-    throw new Error('UPI_VPA is not configured. Please set UPI_VPA in .env file (e.g., UPI_VPA=yourname@paytm)');
-  }
-  
-  const encodedNote = encodeURIComponent(note || 'Gym Membership Payment');
-  const encodedVPA = encodeURIComponent(PAYEE_VPA.trim());
-  const encodedName = encodeURIComponent(PAYEE_NAME.trim());
-  
-  // UPI payment format: upi://pay?pa=<VPA>&pn=<Name>&am=<Amount>&cu=<Currency>&tn=<Note>
-  // Important: First parameter uses ? and subsequent use &
-  const upiIntent = `upi://pay?pa=${encodedVPA}&pn=${encodedName}&am=${amount.toFixed(2)}&cu=INR&tn=${encodedNote}`;
-  
-  console.log('📱 Generated UPI Intent:', upiIntent); // Debug log
-  return upiIntent;
-};
+// UPI details come from the UPI payment provider so receipts and payment QRs always match
+const { buildUpiIntent, PAYEE_VPA } = require('./paymentProviders/upiProvider');
 
 // Helper function to format Indian currency with Rs. prefix (for PDF formatting)
 const formatIndianPrice = (amount) => {
@@ -55,17 +22,79 @@ const formatIndianPrice = (amount) => {
   return `Rs. ${formattedAmount}`;
 };
 
-const generateReceipt = async (user) => {
+const formatTaxAmount = (amount) => `Rs. ${new Intl.NumberFormat('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(amount || 0)}`;
+
+// GST breakdown card shown in place of the payment QR code on tax invoices
+const drawTaxBreakdown = (doc, tax, { x, y, width, height, headerColor, borderColor, labelColor, valueColor }) => {
+  doc
+    .rect(x, y, width, height)
+    .fill('#ffffff')
+    .stroke(borderColor, 2.5);
+
+  const headerHeight = 28;
+  doc
+    .rect(x, y, width, headerHeight)
+    .fill(headerColor);
+
+  doc
+    .fontSize(10)
+    .fillColor('#ffffff')
+    .font('Helvetica-Bold')
+    .text('GST BREAKDOWN', x, y + 9, { align: 'center', width });
+
+  const halfRate = tax.rate / 2;
+  const rows = [
+    { label: 'Supplier GSTIN', value: tax.sellerGstin || 'N/A' },
+    tax.buyerGstin ? { label: 'Buyer GSTIN', value: tax.buyerGstin } : null,
+    { label: 'SAC Code', value: tax.sacCode },
+    { label: 'Place of Supply', value: formatPlaceOfSupply(tax.placeOfSupply) },
+    { label: 'Taxable Value', value: formatTaxAmount(tax.taxableValue) },
+    ...(tax.isInterState
+      ? [{ label: `IGST @ ${tax.rate}%`, value: formatTaxAmount(tax.igst) }]
+      : [
+        { label: `CGST @ ${halfRate}%`, value: formatTaxAmount(tax.cgst) },
+        { label: `SGST @ ${halfRate}%`, value: formatTaxAmount(tax.sgst) }
+      ]),
+    { label: 'Total Tax', value: formatTaxAmount(tax.totalTax) }
+  ].filter(Boolean);
+
+  let rowY = y + headerHeight + 10;
+  rows.forEach(row => {
+    doc
+      .fontSize(8)
+      .fillColor(labelColor)
+      .font('Helvetica')
+      .text(row.label, x + 10, rowY, { width: width / 2 - 10 })
+      .fillColor(valueColor)
+      .font('Helvetica-Bold')
+      .text(row.value, x + width / 2, rowY, { width: width / 2 - 10, align: 'right' });
+    rowY += 15;
+  });
+};
+
+const generateReceipt = async (user, receipt = null) => {
   // This function returns a URL that points to the download endpoint
   // The actual PDF generation happens in generateReceiptForDownload
   // which has the updated professional one-page format with Rs. currency
+  if (receipt && receipt._id) {
+    return `/api/receipts/${receipt._id.toString()}/download`;
+  }
   return `/api/receipt/download/${user._id.toString()}`;
 };
 
-// Function to generate PDF on-demand for download
-const generateReceiptForDownload = async (user) => {
+// Function to generate PDF on-demand for download.
+// When a stored receipt is given, its number, date, amount and period are printed
+// instead of the member's current plan details.
+const generateReceiptForDownload = async (user, receipt = null) => {
   try {
     console.log('📄 Generating ONE-PAGE receipt PDF (updated compact version)...');
+    // Load the plan catalog so plan names and prices below resolve from it
+    await getPlanCatalog();
+    // Receipts issued while GST invoicing was enabled carry a tax snapshot
+    const isTaxInvoice = Boolean(receipt && receipt.tax && typeof receipt.tax.rate === 'number');
     const doc = new PDFDocument({ 
       size: 'A4',
       margin: 30, // Reduced margins for more space
@@ -181,21 +210,40 @@ const generateReceiptForDownload = async (user) => {
       .fontSize(20)
       .fillColor(white)
       .font('Helvetica-Bold')
-      .text('MEMBERSHIP RECEIPT', 0, 58, { align: 'center' });
+      .text(isTaxInvoice ? 'TAX INVOICE' : 'MEMBERSHIP RECEIPT', 0, 58, { align: 'center' });
+
+    if (isTaxInvoice && receipt.tax.sellerGstin) {
+      doc
+        .fontSize(9)
+        .fillColor(mediumGray)
+        .font('Helvetica-Bold')
+        .text(`GSTIN: ${receipt.tax.sellerGstin}`, 0, 20, { align: 'right', width: doc.page.width - 40 });
+    }
 
     // ==================== RECEIPT INFO SECTION ====================
     let yPos = headerHeight + 25; // More spacing after header
     
     // Receipt Info Box - Professional card design
-    const receiptNumber = `RCP-${user._id.toString().slice(-8).toUpperCase()}`;
+    const receiptNumber = receipt
+      ? receipt.receiptNumber
+      : `RCP-${user._id.toString().slice(-8).toUpperCase()}`;
     const memberId = `MEM-${user._id.toString().slice(-8).toUpperCase()}`;
+
+    // Details printed on the receipt: the stored receipt snapshot, or the member's current plan
+    const member = (receipt && receipt.member && receipt.member.name) ? receipt.member : user;
+    const receiptPlan = receipt ? receipt.plan : user.plan;
+    const receiptPaymentMethod = receipt ? receipt.paymentMode : user.paymentMethod;
+    const periodStart = (receipt && receipt.periodStart) || user.startDate;
+    const periodEnd = (receipt && receipt.periodEnd) || user.endDate;
     
     // Try to get payment date from membership history, otherwise use current date
     // Use Indian Standard Time (IST) timezone for all date/time formatting
     let paymentDate = new Date();
-    if (user.membershipHistory && user.membershipHistory.length > 0) {
+    if (receipt && receipt.issuedAt) {
+      paymentDate = new Date(receipt.issuedAt);
+    } else if (user.membershipHistory && user.membershipHistory.length > 0) {
       const latestPayment = user.membershipHistory
-        .filter(h => h.paymentStatus === 'confirmed')
+        .filter(h => h.paymentStatus === 'confirmed' && h.type !== 'refund')
         .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
       if (latestPayment && latestPayment.date) {
         paymentDate = new Date(latestPayment.date);
@@ -236,7 +284,7 @@ const generateReceiptForDownload = async (user) => {
       .fontSize(8)
       .fillColor(darkGray)
       .font('Helvetica')
-      .text('RECEIPT NUMBER', 50, yPos + 12)
+      .text(isTaxInvoice ? 'INVOICE NUMBER' : 'RECEIPT NUMBER', 50, yPos + 12)
       .fontSize(10)
       .fillColor(primaryColor)
       .font('Helvetica-Bold')
@@ -313,11 +361,11 @@ const generateReceiptForDownload = async (user) => {
 
     // Member details - More spacious layout
     const memberDetails = [
-      { label: 'Full Name', value: user.name || 'N/A' },
-      { label: 'Email', value: user.email || 'N/A' },
-      { label: 'Phone', value: user.phone || 'N/A' },
-      { label: 'Gender', value: user.gender ? user.gender.charAt(0).toUpperCase() + user.gender.slice(1) : 'N/A' },
-      { label: 'Plan', value: getPlanDisplayName(user.plan) }
+      { label: 'Full Name', value: member.name || 'N/A' },
+      { label: 'Email', value: member.email || 'N/A' },
+      { label: 'Phone', value: member.phone || 'N/A' },
+      { label: 'Gender', value: member.gender ? member.gender.charAt(0).toUpperCase() + member.gender.slice(1) : 'N/A' },
+      { label: 'Plan', value: getPlanDisplayName(receiptPlan) }
     ];
 
     let detailY = memberCardY + 15;
@@ -357,10 +405,17 @@ const generateReceiptForDownload = async (user) => {
 
     yPos += 30; // More spacing
 
+    // Freeze periods in the current term (shown as an extra row when present)
+    const termFreezes = (user.freezes || []).filter(f =>
+      f.status !== 'cancelled' && new Date(f.startDate) >= new Date(new Date(user.startDate).setHours(0, 0, 0, 0))
+    );
+    const extraMembershipRows = termFreezes.length > 0 ? 1 : 0;
+    const membershipCardHeight = 95 + extraMembershipRows * 18;
+
     // Membership Details Card - More spacious
     const membershipCardY = yPos;
     doc
-      .rect(40, membershipCardY, doc.page.width - 80, 95)
+      .rect(40, membershipCardY, doc.page.width - 80, membershipCardHeight)
       .fill(white)
       .stroke(secondaryColor, 2.5);
 
@@ -369,27 +424,44 @@ const generateReceiptForDownload = async (user) => {
       .rect(40, membershipCardY, doc.page.width - 80, 5)
       .fill(secondaryColor);
 
-    const startDate = new Date(user.startDate).toLocaleDateString('en-IN', {
+    const startDate = new Date(periodStart).toLocaleDateString('en-IN', {
       year: 'numeric',
       month: 'short',
       day: 'numeric'
     });
-    const endDate = new Date(user.endDate).toLocaleDateString('en-IN', {
+    const endDate = new Date(periodEnd).toLocaleDateString('en-IN', {
       year: 'numeric',
       month: 'short',
       day: 'numeric'
     });
-    const amount = getPlanAmount(user.plan);
+    const amount = receipt ? receipt.amount : getPlanAmount(user.plan);
     const formattedAmount = formatIndianPrice(amount);
 
+    const isFrozen = user.subscriptionStatus === 'frozen';
     const membershipDetails = [
-      { label: 'Plan', value: getPlanDisplayName(user.plan) },
+      { label: 'Plan', value: getPlanDisplayName(receiptPlan) },
       { label: 'Start Date', value: startDate },
       { label: 'End Date', value: endDate },
-      { label: 'Payment Method', value: user.paymentMethod === 'online' ? 'Online' : 'Cash' },
-      { label: 'Status', value: 'Active', color: successColor }
+      { label: 'Payment Method', value: receiptPaymentMethod === 'online' ? 'Online' : 'Cash' },
+      { label: 'Status', value: isFrozen ? 'Frozen' : 'Active', color: isFrozen ? secondaryColor : successColor }
     ];
 
+    if (termFreezes.length > 0) {
+      const formatShortDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+      });
+      const totalFrozenDays = termFreezes.reduce((sum, f) => sum + f.days, 0);
+      const freezePeriods = termFreezes
+        .map(f => `${formatShortDate(f.startDate)} - ${formatShortDate(f.endDate)}`)
+        .join(', ');
+      membershipDetails.push({
+        label: 'Freeze',
+        value: `${totalFrozenDays} days (${freezePeriods}), end date extended`
+      });
+    }
+
     let membershipY = membershipCardY + 15;
     membershipDetails.forEach((detail, index) => {
       // Alternating row background with more padding
@@ -411,7 +483,7 @@ const generateReceiptForDownload = async (user) => {
       membershipY += 18; // More spacing between rows
     });
 
-    yPos = membershipCardY + 100; // Adjusted height
+    yPos = membershipCardY + membershipCardHeight + 5; // Adjusted height
 
     // ==================== PAYMENT & AMOUNT SECTION ====================
     yPos += 20; // More spacing
@@ -425,75 +497,88 @@ const generateReceiptForDownload = async (user) => {
     const rightColumnX = pageMargin + columnWidth + columnSpacing;
     const sectionHeight = 160; // Increased height for better balance
 
-    // Left Column - Payment QR Code (if available)
-    try {
-      if (!PAYEE_VPA || PAYEE_VPA === '' || PAYEE_VPA === 'yourupi@paytm') {
-        throw new Error('UPI_VPA not configured');
-      }
-      
-      const upiIntent = buildUpiIntent({
-        amount: amount,
-        note: `StarGym ${getPlanDisplayName(user.plan)} - ${user.name}`
+    // Left Column - GST breakdown on tax invoices, otherwise the payment QR code (if available)
+    if (isTaxInvoice) {
+      drawTaxBreakdown(doc, receipt.tax, {
+        x: leftColumnX,
+        y: yPos,
+        width: columnWidth,
+        height: sectionHeight,
+        headerColor: accentColor,
+        borderColor: accentColor,
+        labelColor: darkGray,
+        valueColor: primaryColor
       });
-      
-      const paymentQRCodeDataURL = await QRCode.toDataURL(upiIntent, {
-        width: 120,
-        margin: 2,
-        color: {
-          dark: accentColor,
-          light: white
+    } else {
+      try {
+        if (!PAYEE_VPA || PAYEE_VPA === '' || PAYEE_VPA === 'yourupi@paytm') {
+          throw new Error('UPI_VPA not configured');
         }
-      });
+      
+        const upiIntent = buildUpiIntent({
+          amount: amount,
+          note: `StarGym ${getPlanDisplayName(receiptPlan)} - ${member.name}`
+        });
+      
+        const paymentQRCodeDataURL = await QRCode.toDataURL(upiIntent, {
+          width: 120,
+          margin: 2,
+          color: {
+            dark: accentColor,
+            light: white
+          }
+        });
 
-      // QR Code Card with proper design
-      doc
-        .rect(leftColumnX, yPos, columnWidth, sectionHeight)
-        .fill(white)
-        .stroke(accentColor, 2.5);
+        // QR Code Card with proper design
+        doc
+          .rect(leftColumnX, yPos, columnWidth, sectionHeight)
+          .fill(white)
+          .stroke(accentColor, 2.5);
 
-      // QR Code Header - Properly sized
-      const qrHeaderHeight = 28;
-      doc
-        .rect(leftColumnX, yPos, columnWidth, qrHeaderHeight)
-        .fill(accentColor);
+        // QR Code Header - Properly sized
+        const qrHeaderHeight = 28;
+        doc
+          .rect(leftColumnX, yPos, columnWidth, qrHeaderHeight)
+          .fill(accentColor);
       
-      doc
-        .fontSize(10)
-        .fillColor(white)
-        .font('Helvetica-Bold')
-        .text('PAYMENT QR CODE', leftColumnX, yPos + 9, { 
-          align: 'center', 
-          width: columnWidth 
-        });
+        doc
+          .fontSize(10)
+          .fillColor(white)
+          .font('Helvetica-Bold')
+          .text('PAYMENT QR CODE', leftColumnX, yPos + 9, { 
+            align: 'center', 
+            width: columnWidth 
+          });
 
-      // QR Code Image - Properly centered
-      const qrSize = 100;
-      const qrX = leftColumnX + (columnWidth - qrSize) / 2;
-      const qrY = yPos + qrHeaderHeight + 15;
-      doc.image(paymentQRCodeDataURL, qrX, qrY, { width: qrSize, height: qrSize });
+        // QR Code Image - Properly centered
+        const qrSize = 100;
+        const qrX = leftColumnX + (columnWidth - qrSize) / 2;
+        const qrY = yPos + qrHeaderHeight + 15;
+        doc.image(paymentQRCodeDataURL, qrX, qrY, { width: qrSize, height: qrSize });
       
-      // QR Code Footer - Properly spaced
-      const qrFooterY = qrY + qrSize + 12;
-      doc
-        .fontSize(8)
-        .fillColor(darkGray)
-        .font('Helvetica')
-        .text('Scan to pay via UPI', leftColumnX, qrFooterY, { 
-          align: 'center', 
-          width: columnWidth 
-        });
+        // QR Code Footer - Properly spaced
+        const qrFooterY = qrY + qrSize + 12;
+        doc
+          .fontSize(8)
+          .fillColor(darkGray)
+          .font('Helvetica')
+          .text('Scan to pay via UPI', leftColumnX, qrFooterY, { 
+            align: 'center', 
+            width: columnWidth 
+          });
       
-      doc
-        .fontSize(7)
-        .fillColor(primaryColor)
-        .font('Helvetica-Bold')
-        .text(`UPI: ${PAYEE_VPA}`, leftColumnX, qrFooterY + 12, { 
-          align: 'center', 
-          width: columnWidth 
-        });
-    } catch (qrError) {
-      // If QR code fails, create a placeholder or skip
-      console.warn('Payment QR Code generation failed:', qrError);
+        doc
+          .fontSize(7)
+          .fillColor(primaryColor)
+          .font('Helvetica-Bold')
+          .text(`UPI: ${PAYEE_VPA}`, leftColumnX, qrFooterY + 12, { 
+            align: 'center', 
+            width: columnWidth 
+          });
+      } catch (qrError) {
+        // If QR code fails, create a placeholder or skip
+        console.warn('Payment QR Code generation failed:', qrError);
+      }
     }
 
     // Right Column - Amount Box (Properly balanced)
@@ -552,14 +637,35 @@ const generateReceiptForDownload = async (user) => {
       .fontSize(9)
       .fillColor(darkGray)
       .font('Helvetica')
-      .text(`Payment: ${user.paymentMethod === 'online' ? 'Online' : 'Cash'}`, 
+      .text(`Payment: ${receiptPaymentMethod === 'online' ? 'Online' : 'Cash'}`, 
             rightColumnX, paymentMethodY, { 
               align: 'center', 
               width: columnWidth 
             });
 
+    if (receipt && receipt.discount && receipt.discount.code) {
+      doc
+        .fontSize(8)
+        .fillColor(successColor)
+        .font('Helvetica-Bold')
+        .text(`Coupon ${receipt.discount.code}: ${formatIndianPrice(receipt.discount.amount)} off`,
+              rightColumnX, paymentMethodY + 14, {
+                align: 'center',
+                width: columnWidth
+              });
+    }
+
     yPos += sectionHeight + 20; // More spacing
 
+    if (isTaxInvoice) {
+      doc
+        .fontSize(9)
+        .fillColor(primaryColor)
+        .font('Helvetica-Bold')
+        .text(`Amount in words: ${amountInWords(amount)}`, 40, yPos - 10, { width: doc.page.width - 80 });
+      yPos += 8;
+    }
+
     // ==================== FOOTER SECTION ====================
     // Professional footer - Properly calculated height to fit all content
     // Calculate required height: top padding (12) + thank you (17) + spacing (18) + accent (4) + spacing (12) + contact (11) + spacing (14) + address (11) + spacing (16) + disclaimer (10) + bottom padding (10) = ~125px
@@ -709,6 +815,7 @@ const generateReceiptForDownload = async (user) => {
 // Function to generate PDF with all members details
 const generateAllMembersPDF = async (users) => {
   try {
+    const planCatalog = await getPlanCatalog();
     const doc = new PDFDocument({ 
       size: 'A4',
       margin: 50,
@@ -892,7 +999,8 @@ const generateAllMembersPDF = async (users) => {
           : yellowColor;
         const statusText = user.paymentStatus === 'confirmed' 
           ? (expired ? 'Expired' : 'Active')
-          : 'Pending';
+          : (user.paymentStatus === 'partial' ? 'Part-paid' : 'Pending');
+        const balance = getMemberBalance(user);
 
         // Check if we need a new page
         if (yPosition > doc.page.height - 100) {
@@ -999,6 +1107,15 @@ const generateAllMembersPDF = async (users) => {
           .fillColor(darkGray)
           .text(`Payment: ${paymentMethod}`, 330, rowY + 32, { width: 120 });
 
+        // Outstanding installments
+        if (balance.outstanding > 0) {
+          doc
+            .fontSize(8)
+            .font('Helvetica-Bold')
+            .fillColor(balance.overdue > 0 ? redColor : yellowColor)
+            .text(`Due: ${formatCurrency(balance.outstanding)}${balance.overdue > 0 ? ' (overdue)' : ''}`, 460, rowY + 5, { width: 95 });
+        }
+
         yPosition += rowHeight + 5; // Spacing between rows
       }
 
@@ -1018,18 +1135,19 @@ const generateAllMembersPDF = async (users) => {
     addPageHeader(totalPages + 1, totalPages + 1);
 
     // Summary statistics
-    const activeMembers = users.filter(u => u.paymentStatus === 'confirmed' && !isExpired(u.endDate)).length;
-    const expiredMembers = users.filter(u => u.paymentStatus === 'confirmed' && isExpired(u.endDate)).length;
+    // Members paying in installments ('partial') hold a membership as well
+    const isPaidUp = (u) => ['confirmed', 'partial'].includes(u.paymentStatus);
+    const activeMembers = users.filter(u => isPaidUp(u) && !isExpired(u.endDate)).length;
+    const expiredMembers = users.filter(u => isPaidUp(u) && isExpired(u.endDate)).length;
     const pendingMembers = users.filter(u => u.paymentStatus === 'pending').length;
     const totalRevenue = users.reduce((sum, u) => sum + getPlanAmount(u.plan), 0);
+    const totalOutstanding = users.reduce((sum, u) => sum + getMemberBalance(u).outstanding, 0);
+    const membersWithDues = users.filter(u => getMemberBalance(u).outstanding > 0).length;
 
-    const planCounts = {
-      '1month': users.filter(u => u.plan === '1month').length,
-      '2month': users.filter(u => u.plan === '2month').length,
-      '3month': users.filter(u => u.plan === '3month').length,
-      '6month': users.filter(u => u.plan === '6month').length,
-      'yearly': users.filter(u => u.plan === 'yearly').length
-    };
+    const planCounts = users.reduce((acc, u) => {
+      acc[u.plan] = (acc[u.plan] || 0) + 1;
+      return acc;
+    }, {});
 
     let summaryY = 110;
 
@@ -1105,19 +1223,50 @@ const generateAllMembersPDF = async (users) => {
       .fillColor(accentColor)
       .text(formatCurrency(totalRevenue), statStartX + statBoxWidth + statSpacing + 10, summaryY + 25, { width: statBoxWidth - 20 });
 
+    summaryY += statBoxHeight + 15;
+
+    // Outstanding installment dues
+    doc
+      .rect(statStartX, summaryY, statBoxWidth, statBoxHeight)
+      .fill(white)
+      .stroke(mediumGray, 1);
+
+    doc
+      .fillColor(primaryColor)
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .text('Outstanding Dues', statStartX + 10, summaryY + 8)
+      .fontSize(18)
+      .fillColor(redColor)
+      .text(formatCurrency(totalOutstanding), statStartX + 10, summaryY + 25, { width: statBoxWidth - 20 });
+
+    doc
+      .rect(statStartX + statBoxWidth + statSpacing, summaryY, statBoxWidth, statBoxHeight)
+      .fill(white)
+      .stroke(mediumGray, 1);
+
+    doc
+      .fillColor(primaryColor)
+      .fontSize(10)
+      .font('Helvetica-Bold')
+      .text('Members With Dues', statStartX + statBoxWidth + statSpacing + 10, summaryY + 8)
+      .fontSize(24)
+      .fillColor(yellowColor)
+      .text(membersWithDues.toString(), statStartX + statBoxWidth + statSpacing + 10, summaryY + 25);
+
     summaryY += statBoxHeight + 30;
 
     // Simple Plan Distribution with proper spacing
     addSectionHeader(summaryY, 'PLAN DISTRIBUTION');
     summaryY += 30; // Increased spacing to avoid overlap
 
-    const plans = [
-      { name: '1 Month', count: planCounts['1month'] },
-      { name: '2 Months', count: planCounts['2month'] },
-      { name: '3 Months', count: planCounts['3month'] },
-      { name: '6 Months', count: planCounts['6month'] },
-      { name: '1 Year', count: planCounts['yearly'] }
-    ];
+    // Active catalog plans plus any retired plans members are still on
+    const plans = planCatalog
+      .filter(plan => plan.isActive || planCounts[plan.code])
+      .map(plan => ({ name: plan.displayName, count: planCounts[plan.code] || 0 }));
+    Object.keys(planCounts)
+      .filter(code => !planCatalog.some(plan => plan.code === code))
+      .forEach(code => plans.push({ name: getPlanDisplayName(code), count: planCounts[code] }));
 
     let planY = summaryY;
     plans.forEach((plan, index) => {
@@ -1186,4 +1335,348 @@ const generateAllMembersPDF = async (users) => {
   }
 };
 
-module.exports = { generateReceipt, generateReceiptForDownload, generateAllMembersPDF };
\ No newline at end of file
+// One-page refund note for a Refund record, styled like the receipt header
+const generateRefundNote = async (refund) => {
+  await getPlanCatalog();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    info: {
+      Title: 'StarGym Refund Note',
+      Author: 'StarGym',
+      Subject: `Refund ${refund.refundNumber}`,
+      Creator: 'StarGym Management System'
+    },
+    lang: 'en-IN'
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+
+  const primaryColor = '#0f172a';
+  const accentColor = '#f59e0b';
+  const darkGray = '#64748b';
+  const mediumGray = '#e2e8f0';
+  const dangerColor = '#dc2626';
+
+  const headerHeight = 85;
+  doc.rect(0, 0, doc.page.width, headerHeight).fill(primaryColor);
+  doc.rect(0, headerHeight - 4, doc.page.width, 4).fill(accentColor);
+
+  const logoPath = path.join(__dirname, '..', 'public', 'starlogo.png');
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 40, 15, { fit: [80, 55] });
+  } else {
+    doc.fontSize(26).fillColor('#ffffff').font('Helvetica-Bold').text('STAR FITNESS', 40, 25);
+  }
+  doc
+    .fontSize(20)
+    .fillColor('#ffffff')
+    .font('Helvetica-Bold')
+    .text('REFUND NOTE', 0, 58, { align: 'center' });
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'Asia/Kolkata'
+  }) : '-');
+
+  const modeLabels = { cash: 'Cash', online: 'Bank / UPI transfer', gateway: 'Original payment method' };
+  const actionLabels = {
+    none: 'Membership unchanged',
+    shorten: `Membership shortened to ${formatDate(refund.newEndDate)}`,
+    cancel: `Membership cancelled on ${formatDate(refund.newEndDate)}`
+  };
+  const member = refund.member || {};
+
+  const rows = [
+    ['Refund Number', refund.refundNumber],
+    ['Date', formatDate(refund.issuedAt)],
+    ['Member', member.name || '-'],
+    ['Member ID', `MEM-${refund.user.toString().slice(-8).toUpperCase()}`],
+    ['Phone', member.phone || '-'],
+    ['Plan', getPlanDisplayName(refund.plan)],
+    ['Original Receipt', refund.receiptNumber || '-'],
+    ['Original Amount', formatTaxAmount(refund.originalAmount)],
+    ['Refund Type', refund.type === 'full' ? 'Full refund' : 'Partial refund'],
+    ['Refund Mode', modeLabels[refund.mode] || refund.mode],
+    refund.transactionRef ? ['Reference', refund.transactionRef] : null,
+    refund.gatewayRefundId ? ['Gateway Refund ID', refund.gatewayRefundId] : null,
+    ['Membership', actionLabels[refund.membershipAction] || actionLabels.none],
+    ['Reason', refund.reason]
+  ].filter(Boolean);
+
+  let yPos = headerHeight + 30;
+  const labelWidth = 150;
+  const valueWidth = doc.page.width - 80 - labelWidth;
+  rows.forEach(([label, value], index) => {
+    const rowHeight = Math.max(22, doc.heightOfString(String(value), { width: valueWidth - 10 }) + 10);
+    if (index % 2 === 0) {
+      doc.rect(40, yPos, doc.page.width - 80, rowHeight).fill('#f8fafc');
+    }
+    doc
+      .fontSize(9)
+      .fillColor(darkGray)
+      .font('Helvetica')
+      .text(label.toUpperCase(), 50, yPos + 7, { width: labelWidth - 10 })
+      .fontSize(10)
+      .fillColor(primaryColor)
+      .font('Helvetica-Bold')
+      .text(String(value), 40 + labelWidth, yPos + 6, { width: valueWidth - 10 });
+    yPos += rowHeight;
+  });
+
+  yPos += 20;
+  doc.rect(40, yPos, doc.page.width - 80, 60).fill('#fef2f2').stroke(dangerColor, 1.5);
+  doc
+    .fontSize(10)
+    .fillColor(darkGray)
+    .font('Helvetica-Bold')
+    .text('AMOUNT REFUNDED', 55, yPos + 12)
+    .fontSize(20)
+    .fillColor(dangerColor)
+    .text(formatTaxAmount(refund.amount), 55, yPos + 26, { width: doc.page.width - 110, align: 'right' });
+  yPos += 72;
+  doc
+    .fontSize(9)
+    .fillColor(primaryColor)
+    .font('Helvetica')
+    .text(`Amount in words: ${amountInWords(refund.amount)}`, 40, yPos, { width: doc.page.width - 80 });
+
+  doc
+    .moveTo(40, doc.page.height - 90)
+    .lineTo(doc.page.width - 40, doc.page.height - 90)
+    .stroke(mediumGray);
+  doc
+    .fontSize(8)
+    .fillColor(darkGray)
+    .text('This is a computer-generated refund note and does not require a signature.', 40, doc.page.height - 80, {
+      width: doc.page.width - 80,
+      align: 'center'
+    });
+
+  await new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+    doc.end();
+  });
+
+  return Buffer.concat(chunks);
+};
+
+// Day-end cash drawer report for a CashSession (openedBy/closedBy populated) and its entries
+const generateCashClosingReport = async (session, entries) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    bufferPages: true,
+    info: {
+      Title: 'StarGym Cash Closing Report',
+      Author: 'StarGym',
+      Subject: `Cash session ${session._id}`,
+      Creator: 'StarGym Management System'
+    },
+    lang: 'en-IN'
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+
+  const primaryColor = '#0f172a';
+  const accentColor = '#f59e0b';
+  const darkGray = '#64748b';
+  const mediumGray = '#e2e8f0';
+  const successColor = '#16a34a';
+  const dangerColor = '#dc2626';
+  const contentWidth = doc.page.width - 80;
+
+  const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-IN', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Asia/Kolkata'
+  }) : '-');
+  const staffName = (admin) => (admin && admin.name ? admin.name : '-');
+  const isClosed = session.status === 'closed';
+
+  const headerHeight = 85;
+  doc.rect(0, 0, doc.page.width, headerHeight).fill(primaryColor);
+  doc.rect(0, headerHeight - 4, doc.page.width, 4).fill(accentColor);
+  const logoPath = path.join(__dirname, '..', 'public', 'starlogo.png');
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 40, 15, { fit: [80, 55] });
+  } else {
+    doc.fontSize(26).fillColor('#ffffff').font('Helvetica-Bold').text('STAR FITNESS', 40, 25);
+  }
+  doc
+    .fontSize(20)
+    .fillColor('#ffffff')
+    .font('Helvetica-Bold')
+    .text(isClosed ? 'CASH CLOSING REPORT' : 'CASH SESSION (OPEN)', 0, 58, { align: 'center' });
+
+  let yPos = headerHeight + 25;
+  const infoRows = [
+    ['Opened', `${formatDateTime(session.openedAt)} by ${staffName(session.openedBy)}`],
+    ['Closed', isClosed ? `${formatDateTime(session.closedAt)} by ${staffName(session.closedBy)}` : 'Still open'],
+    session.openingNote ? ['Opening Note', session.openingNote] : null
+  ].filter(Boolean);
+  infoRows.forEach(([label, value]) => {
+    doc
+      .fontSize(9)
+      .fillColor(darkGray)
+      .font('Helvetica')
+      .text(label.toUpperCase(), 40, yPos, { width: 100 })
+      .fontSize(10)
+      .fillColor(primaryColor)
+      .font('Helvetica-Bold')
+      .text(String(value), 140, yPos - 1, { width: contentWidth - 100 });
+    yPos += 18;
+  });
+
+  // Summary boxes: float, collections, refunds, expected, counted, variance
+  yPos += 10;
+  const variance = session.variance || 0;
+  const boxes = [
+    ['Opening Float', session.openingFloat, primaryColor],
+    ['Cash Collected', session.collections, successColor],
+    ['Cash Refunded', session.refunds, dangerColor],
+    ['Expected', session.expectedCash, primaryColor],
+    ['Counted', isClosed ? session.countedCash : null, primaryColor],
+    ['Variance', isClosed ? variance : null, variance === 0 ? successColor : dangerColor]
+  ];
+  const boxWidth = (contentWidth - 10) / 3;
+  boxes.forEach(([label, value, color], index) => {
+    const x = 40 + (index % 3) * (boxWidth + 5);
+    const y = yPos + Math.floor(index / 3) * 55;
+    doc.rect(x, y, boxWidth, 50).fill('#f8fafc').stroke(mediumGray);
+    doc
+      .fontSize(8)
+      .fillColor(darkGray)
+      .font('Helvetica-Bold')
+      .text(label.toUpperCase(), x + 10, y + 9, { width: boxWidth - 20 })
+      .fontSize(14)
+      .fillColor(color)
+      .text(value === null || value === undefined ? '-' : formatTaxAmount(value), x + 10, y + 24, { width: boxWidth - 20 });
+  });
+  yPos += 115;
+
+  if (session.varianceNote) {
+    doc
+      .fontSize(9)
+      .fillColor(darkGray)
+      .font('Helvetica-Bold')
+      .text('VARIANCE NOTE', 40, yPos)
+      .fontSize(10)
+      .fillColor(primaryColor)
+      .font('Helvetica')
+      .text(session.varianceNote, 40, yPos + 13, { width: contentWidth });
+    yPos = doc.y + 15;
+  }
+
+  const drawTable = (title, columns, rows) => {
+    if (yPos > doc.page.height - 150) {
+      doc.addPage();
+      yPos = 40;
+    }
+    doc.fontSize(11).fillColor(primaryColor).font('Helvetica-Bold').text(title, 40, yPos);
+    yPos += 18;
+
+    const drawHeader = () => {
+      doc.rect(40, yPos, contentWidth, 20).fill(primaryColor);
+      let x = 40;
+      columns.forEach(({ label, width, align }) => {
+        doc.fontSize(8).fillColor('#ffffff').font('Helvetica-Bold')
+          .text(label, x + 5, yPos + 6, { width: width - 10, align: align || 'left' });
+        x += width;
+      });
+      yPos += 20;
+    };
+    drawHeader();
+
+    if (rows.length === 0) {
+      doc.fontSize(9).fillColor(darkGray).font('Helvetica').text('No cash entries in this session', 45, yPos + 6);
+      yPos += 24;
+      return;
+    }
+    rows.forEach((row, index) => {
+      if (yPos > doc.page.height - 70) {
+        doc.addPage();
+        yPos = 40;
+        drawHeader();
+      }
+      if (index % 2 === 0) {
+        doc.rect(40, yPos, contentWidth, 18).fill('#f8fafc');
+      }
+      let x = 40;
+      columns.forEach(({ width, align }, column) => {
+        doc.fontSize(8).fillColor(primaryColor).font('Helvetica')
+          .text(String(row[column]), x + 5, yPos + 5, { width: width - 10, align: align || 'left', lineBreak: false, ellipsis: true });
+        x += width;
+      });
+      yPos += 18;
+    });
+    yPos += 15;
+  };
+
+  drawTable('By Staff Member', [
+    { label: 'STAFF', width: 215 },
+    { label: 'ENTRIES', width: 70, align: 'right' },
+    { label: 'COLLECTED', width: 115, align: 'right' },
+    { label: 'REFUNDED', width: 115, align: 'right' }
+  ], (session.byStaff || []).map(row => [
+    row.name,
+    row.entryCount,
+    formatTaxAmount(row.collections),
+    formatTaxAmount(row.refunds)
+  ]));
+
+  const typeLabels = { join: 'New joining', renewal: 'Renewal', upgrade: 'Upgrade', downgrade: 'Downgrade', installment: 'Installment', refund: 'Refund' };
+  const staffById = new Map((session.byStaff || []).map(row => [String(row.staff), row.name]));
+  drawTable('Cash Entries', [
+    { label: 'TIME', width: 95 },
+    { label: 'MEMBER', width: 140 },
+    { label: 'TYPE', width: 75 },
+    { label: 'COLLECTED BY', width: 110 },
+    { label: 'AMOUNT', width: 95, align: 'right' }
+  ], entries.filter(entry => entry.paymentStatus === 'confirmed').map(entry => [
+    formatDateTime(entry.date),
+    entry.memberName,
+    typeLabels[entry.type] || entry.type,
+    staffById.get(String(entry.collectedBy)) || '-',
+    formatTaxAmount(entry.amount)
+  ]));
+
+  const range = doc.bufferedPageRange();
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    // Footer sits inside the bottom margin; drop the margin so pdfkit doesn't add a page
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(8)
+      .fillColor(darkGray)
+      .text(`Generated ${formatDateTime(new Date())} - Page ${page + 1} of ${range.count}`, 40, doc.page.height - 30, {
+        width: contentWidth,
+        align: 'center',
+        lineBreak: false
+      });
+  }
+
+  await new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+    doc.end();
+  });
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  generateReceipt,
+  generateReceiptForDownload,
+  generateAllMembersPDF,
+  generateRefundNote,
+  generateCashClosingReport
+};
\ No newline at end of file
@@ -0,0 +1,201 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const APIError = require('../utils/APIError');
+const { getCashTag } = require('./cashSessionService');
+const { getPlanByCode, getActivePlan, addPlanDuration, getPlanDurationDays, getHistoryDuration } = require('./planService');
+const { issueReceiptForHistoryEntry, safeIssueReceipt } = require('./receiptService');
+const { getChargeAmount, getHistoryTax } = require('./taxService');
+const { issueCreditNote, reserveCredit, redeemCredit, toHistoryCredit } = require('./creditNoteService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Work out the proration for moving a member to another plan today.
+ * The unused value of the current plan is its catalog price times the share of
+ * the plan's days still remaining. A positive `amountDue` is a top-up charge;
+ * a negative one becomes a credit note.
+ */
+const calculatePlanChange = async (user, newPlanCode, { effectiveDate = new Date() } = {}) => {
+  if (!user || user.isDeleted) {
+    throw new APIError('User not found', 404);
+  }
+  if (user.paymentStatus !== 'confirmed' || user.subscriptionStatus !== 'active') {
+    throw new APIError('Only active members with a confirmed payment can change plans', 400);
+  }
+
+  const newPlan = await getActivePlan(newPlanCode);
+  if (!newPlan) {
+    throw new APIError(`Invalid plan type: ${newPlanCode}`, 400);
+  }
+  if (newPlan.code === user.plan) {
+    throw new APIError('Member is already on this plan', 400);
+  }
+
+  const currentPlan = await getPlanByCode(user.plan);
+  const currentPrice = currentPlan ? currentPlan.price : 0;
+
+  const today = startOfDay(effectiveDate);
+  const totalDays = Math.max(1, getPlanDurationDays(currentPlan || user.plan, user.startDate));
+  const remainingDays = Math.min(
+    totalDays,
+    Math.max(0, Math.ceil((new Date(user.endDate).getTime() - today.getTime()) / DAY_MS))
+  );
+
+  const unusedValue = Math.round((currentPrice * remainingDays) / totalDays);
+  const amountDue = newPlan.price - unusedValue;
+
+  return {
+    changeType: newPlan.price >= currentPrice ? 'upgrade' : 'downgrade',
+    previousPlan: user.plan,
+    previousPlanName: currentPlan ? currentPlan.displayName : user.plan,
+    previousPrice: currentPrice,
+    newPlan: newPlan.code,
+    newPlanName: newPlan.displayName,
+    newPrice: newPlan.price,
+    totalDays,
+    remainingDays,
+    unusedValue,
+    amountDue,
+    // Amounts actually collected or credited (GST added on top with exclusive pricing)
+    chargeAmount: await getChargeAmount(Math.max(0, amountDue)),
+    creditAmount: await getChargeAmount(Math.max(0, -amountDue)),
+    startDate: today,
+    endDate: addPlanDuration(today, newPlan)
+  };
+};
+
+/**
+ * Apply a previously calculated plan change to the member: switch the plan,
+ * restart the term today, and record it in renewals and membershipHistory.
+ * Cash top-ups use up the member's open credit first. Online top-ups pass the
+ * `amount` collected and the `credit` reserved with the payment.
+ */
+const applyPlanChange = async (user, quote, { paymentMode = 'cash', transactionId, adminId, payment, amount, credit } = {}) => {
+  if (!payment && quote.chargeAmount > 0) {
+    credit = await reserveCredit(user._id, quote.chargeAmount);
+    amount = roundAmount(quote.chargeAmount - credit.total);
+  }
+  const collected = amount === undefined ? quote.chargeAmount : amount;
+  const cashTag = collected > 0 ? await getCashTag(paymentMode, adminId) : {};
+  const startDate = startOfDay(new Date());
+  const endDate = addPlanDuration(startDate, quote.newPlan);
+
+  // Online top-ups paid against an older quote can be over or short; an
+  // overpayment is credited, a shortfall is noted for the desk to collect
+  const difference = roundAmount(collected + (credit ? credit.total : 0) - quote.chargeAmount);
+  const shortfall = Math.max(0, -difference);
+  const creditAmount = roundAmount(quote.creditAmount + Math.max(0, difference));
+  const creditNote = creditAmount > 0
+    ? await issueCreditNote({
+      user,
+      amount: creditAmount,
+      source: 'plan_change',
+      reason: `Unused value of ${quote.previousPlanName} on change to ${quote.newPlanName}`,
+      issuedBy: adminId
+    })
+    : null;
+
+  let notes = `${quote.previousPlanName} -> ${quote.newPlanName}. Unused value Rs. ${quote.unusedValue}.`;
+  if (quote.chargeAmount > 0) notes += ` Top-up Rs. ${quote.chargeAmount}.`;
+  if (creditNote) notes += ` Credit note ${creditNote.creditNoteNumber} for Rs. ${creditNote.amount}.`;
+  if (shortfall > 0) notes += ` Rs. ${shortfall} still due.`;
+
+  user.membershipHistory.push({
+    type: quote.changeType,
+    date: new Date(),
+    duration: getHistoryDuration(quote.newPlan),
+    amount: collected,
+    paymentMode,
+    plan: quote.newPlan,
+    paymentStatus: 'confirmed',
+    transactionId,
+    ...toHistoryCredit(credit),
+    ...await getHistoryTax(collected),
+    ...cashTag,
+    notes
+  });
+  const historyEntry = user.membershipHistory[user.membershipHistory.length - 1];
+
+  user.renewals = user.renewals || [];
+  user.renewals.push({
+    type: quote.changeType,
+    plan: quote.newPlan,
+    startDate,
+    endDate,
+    paymentMethod: paymentMode,
+    renewedAt: new Date(),
+    previousPlan: quote.previousPlan,
+    previousAmount: quote.previousPrice,
+    newAmount: quote.newPrice,
+    proratedCredit: quote.unusedValue,
+    amountDue: quote.amountDue
+  });
+
+  user.plan = quote.newPlan;
+  user.startDate = startDate;
+  user.endDate = endDate;
+  user.paymentMethod = paymentMode;
+
+  await user.save();
+  await redeemCredit(credit, { paymentId: payment && payment._id, membershipHistoryId: historyEntry._id });
+
+  // Downgrades settled by credit note carry no charge, so no receipt is issued
+  const receipt = await safeIssueReceipt(() => issueReceiptForHistoryEntry(user, historyEntry, { payment }));
+
+  return { user, creditNote, receipt, shortfall };
+};
+
+/**
+ * Used by the payment flow once an online top-up has been paid. The quote stored
+ * with the order is worked out again for the day of payment, since the unused
+ * value shrinks while the order is open.
+ */
+const applyPlanChangeForPayment = async (payment) => {
+  const stored = payment.meta && payment.meta.planChange;
+  if (!stored) return null;
+
+  const user = await User.findById(payment.user);
+  if (!user) return null;
+
+  // Skip if the plan was already switched (e.g. a replayed confirmation)
+  if (user.plan === stored.newPlan) return { user, creditNote: null, receipt: null };
+
+  let quote = stored;
+  try {
+    quote = await calculatePlanChange(user, stored.newPlan, { effectiveDate: payment.paidAt || new Date() });
+  } catch (error) {
+    // The member or plan changed since the order; keep the terms they paid for
+    console.error('Error recalculating plan change, using the quoted terms:', error.message);
+  }
+
+  const result = await applyPlanChange(user, quote, {
+    paymentMode: 'online',
+    transactionId: payment.transactionRef,
+    payment,
+    amount: payment.amount,
+    credit: payment.meta.credit
+  });
+
+  if (result.shortfall > 0) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'meta.planChangeShortfall': result.shortfall, 'meta.planChangeQuote': quote } }
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  calculatePlanChange,
+  applyPlanChange,
+  applyPlanChangeForPayment
+};
@@ -0,0 +1,151 @@
+const Plan = require('../models/Plan');
+const Settings = require('../models/Settings');
+
+// Plans that existed before the catalog was admin-managed. Used to seed the
+// collection on first run and as a fallback when the database is unreachable.
+const DEFAULT_PLANS = [
+  { code: '1month', displayName: '1 Month', duration: 1, durationUnit: 'months', price: 1500, sortOrder: 1 },
+  { code: '2month', displayName: '2 Months', duration: 2, durationUnit: 'months', price: 2500, sortOrder: 2 },
+  { code: '3month', displayName: '3 Months', duration: 3, durationUnit: 'months', price: 3500, sortOrder: 3 },
+  { code: '6month', displayName: '6 Months', duration: 6, durationUnit: 'months', price: 5000, sortOrder: 4 },
+  { code: 'yearly', displayName: '1 Year', duration: 12, durationUnit: 'months', price: 8000, sortOrder: 5 }
+];
+
+// Cache for the plan catalog to avoid a query on every price lookup
+let planCache = null;
+let cacheTimestamp = null;
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+// Seed defaults using prices already saved in Settings.planPricing
+const seedDefaultPlans = async () => {
+  const settings = await Settings.getSettings();
+  const pricing = (settings && settings.planPricing) || {};
+  const defaults = DEFAULT_PLANS.map(plan => ({
+    ...plan,
+    price: typeof pricing[plan.code] === 'number' ? pricing[plan.code] : plan.price
+  }));
+  return Plan.ensureDefaults(defaults);
+};
+
+const refreshPlanCache = async () => {
+  try {
+    await seedDefaultPlans();
+    const plans = await Plan.find().sort({ sortOrder: 1, createdAt: 1 }).lean();
+    planCache = plans;
+    cacheTimestamp = Date.now();
+    return plans;
+  } catch (error) {
+    console.error('Error refreshing plan cache:', error);
+    return planCache || DEFAULT_PLANS.map(plan => ({ ...plan, isActive: true }));
+  }
+};
+
+// Get the plan catalog (with caching)
+const getPlanCatalog = async ({ activeOnly = false } = {}) => {
+  const now = Date.now();
+  let plans = planCache;
+  if (!planCache || !cacheTimestamp || (now - cacheTimestamp) > CACHE_DURATION) {
+    plans = await refreshPlanCache();
+  }
+  return activeOnly ? plans.filter(plan => plan.isActive) : plans;
+};
+
+const getPlanByCode = async (code) => {
+  if (!code) return null;
+  const plans = await getPlanCatalog();
+  return plans.find(plan => plan.code === String(code).toLowerCase()) || null;
+};
+
+// Resolve a plan that members may currently buy (exists and is active)
+const getActivePlan = async (code) => {
+  const plan = await getPlanByCode(code);
+  return plan && plan.isActive ? plan : null;
+};
+
+const getActivePlanCodes = async () => {
+  const plans = await getPlanCatalog({ activeOnly: true });
+  return plans.map(plan => plan.code);
+};
+
+// Synchronous lookup for template/PDF code. Returns null until the cache is warm.
+const getCachedPlan = (code) => {
+  if (!planCache || !code) return null;
+  return planCache.find(plan => plan.code === String(code).toLowerCase()) || null;
+};
+
+// Synchronous lookup that falls back to the built-in defaults
+const resolvePlanSync = (planOrCode) => {
+  if (planOrCode && typeof planOrCode === 'object') return planOrCode;
+  return getCachedPlan(planOrCode) || DEFAULT_PLANS.find(plan => plan.code === planOrCode) || null;
+};
+
+// Calculate the end date of a plan starting on startDate
+const addPlanDuration = (startDate, planOrCode) => {
+  const plan = resolvePlanSync(planOrCode);
+  const endDate = new Date(startDate);
+  if (!plan) {
+    endDate.setMonth(endDate.getMonth() + 1);
+    return endDate;
+  }
+  if (plan.durationUnit === 'days') {
+    endDate.setDate(endDate.getDate() + plan.duration);
+  } else {
+    endDate.setMonth(endDate.getMonth() + plan.duration);
+  }
+  return endDate;
+};
+
+// Plan length in days, used for pro-rating and limits
+const getPlanDurationDays = (planOrCode, startDate = new Date()) => {
+  const start = new Date(startDate);
+  const end = addPlanDuration(start, planOrCode);
+  return Math.round((end.getTime() - start.getTime()) / (24 * 60 * 60 * 1000));
+};
+
+// Value stored in membershipHistory.duration: month count for monthly plans
+// (as before the catalog existed) and e.g. "15d" for day-based plans
+const getHistoryDuration = (planOrCode) => {
+  const plan = resolvePlanSync(planOrCode);
+  if (!plan) return '0';
+  return plan.durationUnit === 'days' ? `${plan.duration}d` : String(plan.duration);
+};
+
+// Add a history "duration" (see getHistoryDuration) to a date
+const addHistoryDuration = (startDate, duration) => {
+  const endDate = new Date(startDate);
+  const value = parseInt(duration, 10) || 0;
+  if (/d$/i.test(String(duration).trim())) {
+    endDate.setDate(endDate.getDate() + value);
+  } else {
+    endDate.setMonth(endDate.getMonth() + value);
+  }
+  return endDate;
+};
+
+// { code: price } map for the legacy planPricing response shape
+const buildPlanPricingMap = (plans) => plans.reduce((acc, plan) => {
+  acc[plan.code] = plan.price;
+  return acc;
+}, {});
+
+// Clear cache (useful when plans are updated)
+const clearPlanCache = () => {
+  planCache = null;
+  cacheTimestamp = null;
+};
+
+module.exports = {
+  DEFAULT_PLANS,
+  getPlanCatalog,
+  getPlanByCode,
+  getActivePlan,
+  getActivePlanCodes,
+  getCachedPlan,
+  addPlanDuration,
+  getPlanDurationDays,
+  getHistoryDuration,
+  addHistoryDuration,
+  buildPlanPricingMap,
+  refreshPlanCache,
+  clearPlanCache
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const APIError = require('../utils/APIError');
+
+const fetchFn = global.fetch || ((...args) => import('node-fetch').then(({ default: f }) => f(...args)));
+
+// RAZORPAY_API_BASE_URL can point at a local fake gateway (see scripts/fakeRazorpayServer.js)
+const getRazorpayConfig = () => ({
+  keyId: process.env.RAZORPAY_KEY_ID,
+  keySecret: process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+  baseUrl: (process.env.RAZORPAY_API_BASE_URL || 'https://api.razorpay.com/v1').replace(/\/+$/, '')
+});
+
+const isRazorpayConfigured = () => {
+  const { keyId, keySecret } = getRazorpayConfig();
+  return Boolean(keyId && keySecret);
+};
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqualHex = (expected, provided) => {
+  if (!expected || !provided) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const razorpayRequest = async (method, path, body, extraHeaders = {}) => {
+  const { keyId, keySecret, baseUrl } = getRazorpayConfig();
+  if (!keyId || !keySecret) {
+    throw new APIError('Razorpay is not configured', 503);
+  }
+
+  const response = await fetchFn(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (parseError) {
+    data = null;
+  }
+
+  if (!response.ok) {
+    const description = data && data.error && data.error.description;
+    console.error('Razorpay request failed:', method, path, response.status, text);
+    throw new APIError(description || `Razorpay request failed (${response.status})`, 502);
+  }
+
+  return data;
+};
+
+/**
+ * Create a Razorpay order. Amounts are in rupees here and sent to Razorpay in paise.
+ * `receipt` is our own order id so the two can be matched in the Razorpay dashboard.
+ */
+const createRazorpayOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  return razorpayRequest('POST', '/orders', {
+    amount: Math.round(amount * 100),
+    currency,
+    receipt,
+    notes
+  });
+};
+
+const fetchRazorpayPayment = async (paymentId) => razorpayRequest('GET', `/payments/${encodeURIComponent(paymentId)}`);
+
+const fetchRazorpayOrderPayments = async (razorpayOrderId) =>
+  razorpayRequest('GET', `/orders/${encodeURIComponent(razorpayOrderId)}/payments`);
+
+// Full refund when amount is omitted; amount in rupees
+const createRazorpayRefund = async (paymentId, { amount, notes = {}, idempotencyKey } = {}) => {
+  const body = { notes };
+  if (amount) body.amount = Math.round(amount * 100);
+  // Razorpay returns the original refund when the same key is sent again
+  const headers = idempotencyKey ? { 'X-Refund-Idempotency': idempotencyKey } : {};
+  return razorpayRequest('POST', `/payments/${encodeURIComponent(paymentId)}/refund`, body, headers);
+};
+
+// Checkout handler signature: HMAC-SHA256("<order_id>|<payment_id>", key secret)
+const verifyCheckoutSignature = ({ razorpayOrderId, razorpayPaymentId, signature }) => {
+  const { keySecret } = getRazorpayConfig();
+  if (!keySecret || !razorpayOrderId || !razorpayPaymentId) return false;
+  return safeEqualHex(hmacHex(keySecret, `${razorpayOrderId}|${razorpayPaymentId}`), signature);
+};
+
+// Webhook signature: HMAC-SHA256(raw request body, webhook secret)
+const verifyWebhookSignature = (rawBody, signature) => {
+  const { webhookSecret } = getRazorpayConfig();
+  if (!webhookSecret || !rawBody) return false;
+  return safeEqualHex(hmacHex(webhookSecret, rawBody), signature);
+};
+
+module.exports = {
+  getRazorpayConfig,
+  isRazorpayConfigured,
+  createRazorpayOrder,
+  fetchRazorpayPayment,
+  fetchRazorpayOrderPayments,
+  createRazorpayRefund,
+  verifyCheckoutSignature,
+  verifyWebhookSignature
+};
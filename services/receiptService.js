@@ -0,0 +1,126 @@
+const Receipt = require('../models/Receipt');
+const { getSettings } = require('../utils/formatters');
+const { IST_OFFSET_MS } = require('../utils/dateHelpers');
+const { buildInvoiceTax } = require('./taxService');
+
+// History entry types that represent money received
+const RECEIPTABLE_TYPES = ['join', 'renewal', 'upgrade', 'downgrade', 'installment'];
+const MAX_NUMBERING_RETRIES = 5;
+
+// Indian financial year (April - March) in IST, e.g. 2026-27
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatReceiptNumber = (prefix, financialYear, sequence) =>
+  `${String(prefix).toUpperCase()}/${financialYear}/${String(sequence).padStart(6, '0')}`;
+
+const getReceiptPrefix = async () => {
+  const settings = await getSettings();
+  return (settings && settings.receiptSettings && settings.receiptSettings.prefix) || 'SG';
+};
+
+/**
+ * Create the receipt for a confirmed membership history entry.
+ * Numbers are taken as "last sequence in the financial year + 1" and guarded by
+ * a unique index, so a number only exists once its receipt is saved (no gaps).
+ * Calling it again for the same entry returns the existing receipt.
+ */
+const issueReceiptForHistoryEntry = async (user, entry, { payment } = {}) => {
+  if (!entry || entry.paymentStatus !== 'confirmed' || !RECEIPTABLE_TYPES.includes(entry.type)) {
+    return null;
+  }
+  if (!(entry.amount > 0)) {
+    return null;
+  }
+
+  const existing = await Receipt.findOne({ membershipHistoryId: entry._id });
+  if (existing) {
+    return existing;
+  }
+
+  const issuedAt = entry.date ? new Date(entry.date) : new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const prefix = await getReceiptPrefix();
+  const tax = await buildInvoiceTax(user, entry.amount);
+
+  for (let attempt = 0; attempt < MAX_NUMBERING_RETRIES; attempt++) {
+    const last = await Receipt.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence').lean();
+    const sequence = (last ? last.sequence : 0) + 1;
+
+    try {
+      return await Receipt.create({
+        receiptNumber: formatReceiptNumber(prefix, financialYear, sequence),
+        financialYear,
+        sequence,
+        user: user._id,
+        membershipHistoryId: entry._id,
+        payment: payment ? payment._id : undefined,
+        type: entry.type,
+        plan: entry.plan,
+        amount: entry.amount,
+        paymentMode: entry.paymentMode,
+        transactionId: entry.transactionId,
+        discount: entry.couponCode ? { code: entry.couponCode, amount: entry.discountAmount } : undefined,
+        issuedAt,
+        member: {
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          gender: user.gender
+        },
+        periodStart: user.startDate,
+        periodEnd: user.endDate,
+        tax
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Same entry issued concurrently: return that receipt
+      if (error.keyPattern && error.keyPattern.membershipHistoryId) {
+        return Receipt.findOne({ membershipHistoryId: entry._id });
+      }
+      // Sequence taken by a concurrent receipt: retry with the next number
+    }
+  }
+
+  throw new Error('Could not allocate a receipt number, please retry');
+};
+
+// Issue receipts for the newest confirmed entry (used right after a payment is confirmed)
+const issueReceiptForLatestEntry = async (user, options = {}) => {
+  const entries = (user.membershipHistory || []).filter(entry =>
+    entry.paymentStatus === 'confirmed' && RECEIPTABLE_TYPES.includes(entry.type)
+  );
+  if (entries.length === 0) return null;
+  return issueReceiptForHistoryEntry(user, entries[entries.length - 1], options);
+};
+
+// Receipt-issuing must never undo a confirmed payment; log and carry on instead
+const safeIssueReceipt = async (issueFn) => {
+  try {
+    return await issueFn();
+  } catch (error) {
+    console.error('Error issuing receipt:', error);
+    return null;
+  }
+};
+
+const findReceiptByNumber = (receiptNumber) =>
+  Receipt.findOne({ receiptNumber: String(receiptNumber).trim().toUpperCase() });
+
+const getLatestReceiptForUser = (userId) =>
+  Receipt.findOne({ user: userId, status: 'issued' }).sort({ issuedAt: -1, sequence: -1 });
+
+module.exports = {
+  RECEIPTABLE_TYPES,
+  getFinancialYear,
+  formatReceiptNumber,
+  issueReceiptForHistoryEntry,
+  issueReceiptForLatestEntry,
+  safeIssueReceipt,
+  findReceiptByNumber,
+  getLatestReceiptForUser
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const APIError = require('../utils/APIError');
+const { getSettings } = require('../utils/formatters');
+const { RECEIPTABLE_TYPES } = require('./receiptService');
+const { issueCreditNote } = require('./creditNoteService');
+const { recordAudit } = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+const normalizeReferralCode = (code) => String(code || '').trim().toUpperCase();
+
+// e.g. "ASHA7K2Q": up to four letters of the name plus a random suffix
+const generateReferralCode = (name) => {
+  const prefix = String(name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 4) || 'SG';
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase().slice(0, 4);
+  return `${prefix}${suffix}`;
+};
+
+// Get (or create on first use) a member's referral code
+const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+
+  for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateReferralCode(user.name);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, referralCode: { $exists: false } },
+      { $set: { referralCode: code } },
+      { new: true }
+    ).catch(error => {
+      if (error.code === 11000) return null;
+      throw error;
+    });
+    if (updated) {
+      user.referralCode = updated.referralCode;
+      return updated.referralCode;
+    }
+    // Someone else may have set it in the meantime
+    const current = await User.findById(user._id).select('referralCode').lean();
+    if (current && current.referralCode) {
+      user.referralCode = current.referralCode;
+      return current.referralCode;
+    }
+  }
+  throw new Error('Could not allocate a referral code, please retry');
+};
+
+const findReferrer = async (code) => {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) return null;
+  return User.findOne({ referralCode: normalized, isDeleted: { $ne: true } });
+};
+
+// Link a newly registered member to the member whose code they used
+const linkReferral = (user, referrer) => {
+  if (String(referrer._id) === String(user._id)) {
+    throw new APIError('Members cannot refer themselves', 400);
+  }
+  user.referredBy = referrer._id;
+  user.referral = { code: referrer.referralCode, status: 'pending' };
+};
+
+const hasPaidMembership = (user) => (user.membershipHistory || []).some(entry =>
+  entry.paymentStatus === 'confirmed' && RECEIPTABLE_TYPES.includes(entry.type) && entry.amount > 0
+);
+
+const getReferralRules = async () => {
+  const settings = await getSettings();
+  const rules = (settings && settings.referralSettings) || {};
+  return {
+    enabled: rules.enabled !== false,
+    rewardType: rules.rewardType === 'credit' ? 'credit' : 'days',
+    rewardDays: rules.rewardDays || 7,
+    rewardCredit: rules.rewardCredit || 500
+  };
+};
+
+/**
+ * Grant the referrer's reward once the referred member has a confirmed payment.
+ * Safe to call after every payment: only the first call for a pending referral
+ * does anything. Never throws, so a reward problem can't undo the payment.
+ * `audit` carries the request/actor that confirmed the payment.
+ */
+const grantReferralReward = async (referee, { audit = {} } = {}) => {
+  try {
+    if (!referee || !referee.referredBy || !referee.referral || referee.referral.status !== 'pending') {
+      return null;
+    }
+    if (!hasPaidMembership(referee)) return null;
+
+    const rules = await getReferralRules();
+    if (!rules.enabled) return null;
+
+    const referrer = await User.findById(referee.referredBy);
+    const now = new Date();
+
+    if (!referrer || referrer.isDeleted) {
+      await User.updateOne(
+        { _id: referee._id, 'referral.status': 'pending' },
+        { $set: { 'referral.status': 'cancelled' } }
+      );
+      referee.referral.status = 'cancelled';
+      return null;
+    }
+
+    const rewardValue = rules.rewardType === 'credit' ? rules.rewardCredit : rules.rewardDays;
+
+    // Claim the reward first so concurrent confirmations can't grant it twice
+    const claimed = await User.updateOne(
+      { _id: referee._id, 'referral.status': 'pending' },
+      {
+        $set: {
+          'referral.status': 'rewarded',
+          'referral.rewardType': rules.rewardType,
+          'referral.rewardValue': rewardValue,
+          'referral.rewardedAt': now
+        }
+      }
+    );
+    if (!claimed.modifiedCount) return null;
+    Object.assign(referee.referral, {
+      status: 'rewarded',
+      rewardType: rules.rewardType,
+      rewardValue,
+      rewardedAt: now
+    });
+
+    const previousEndDate = referrer.endDate;
+    let creditNoteNumber;
+    if (rules.rewardType === 'credit') {
+      // Used up against the referrer's next payments
+      const creditNote = await issueCreditNote({
+        user: referrer,
+        amount: rewardValue,
+        source: 'referral',
+        reason: `Referral reward for ${referee.name}`,
+        issuedAt: now
+      });
+      creditNoteNumber = creditNote.creditNoteNumber;
+      referee.referral.creditNoteNumber = creditNoteNumber;
+      await User.updateOne({ _id: referee._id }, { $set: { 'referral.creditNoteNumber': creditNoteNumber } });
+    } else {
+      // A lapsed referrer gets the days from today rather than from their old end date
+      const extendFrom = referrer.endDate && new Date(referrer.endDate) > now ? new Date(referrer.endDate) : now;
+      referrer.endDate = new Date(extendFrom.getTime() + rewardValue * DAY_MS);
+      if (referrer.subscriptionStatus === 'expired') {
+        referrer.subscriptionStatus = 'active';
+      }
+      await referrer.save();
+    }
+
+    await recordAudit({
+      ...audit,
+      actor: audit.actor || (audit.req ? undefined : { type: 'system', label: 'referral' }),
+      action: 'referral.reward',
+      target: { type: 'member', id: referrer._id },
+      member: referrer._id,
+      before: rules.rewardType === 'days' ? { endDate: previousEndDate } : undefined,
+      after: rules.rewardType === 'days' ? { endDate: referrer.endDate } : undefined,
+      meta: {
+        refereeId: referee._id,
+        refereeName: referee.name,
+        rewardType: rules.rewardType,
+        rewardValue,
+        creditNoteNumber
+      }
+    });
+
+    return { referrer, rewardType: rules.rewardType, rewardValue, creditNoteNumber };
+  } catch (error) {
+    console.error('Error granting referral reward:', error);
+    return null;
+  }
+};
+
+// Matches referred members, optionally limited to a referral status and signup window
+const buildReferralMatch = ({ referrer, status, from, to } = {}) => {
+  const match = { referredBy: { $exists: true } };
+  if (referrer) match.referredBy = referrer;
+  if (status) match['referral.status'] = status;
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+  return match;
+};
+
+/**
+ * Referrers ranked by how many of their referrals have turned into paying members.
+ */
+const getReferralLeaderboard = async ({ from, to, limit = 10 } = {}) => {
+  const rows = await User.aggregate([
+    { $match: buildReferralMatch({ from, to }) },
+    {
+      $group: {
+        _id: '$referredBy',
+        referrals: { $sum: 1 },
+        converted: { $sum: { $cond: [{ $eq: ['$referral.status', 'rewarded'] }, 1, 0] } },
+        rewardDays: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$referral.status', 'rewarded'] }, { $eq: ['$referral.rewardType', 'days'] }] },
+              '$referral.rewardValue',
+              0
+            ]
+          }
+        },
+        rewardCredit: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$referral.status', 'rewarded'] }, { $eq: ['$referral.rewardType', 'credit'] }] },
+              '$referral.rewardValue',
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { converted: -1, referrals: -1 } },
+    { $limit: limit }
+  ]);
+
+  const referrers = await User.find({ _id: { $in: rows.map(row => row._id) } })
+    .select('name phone referralCode isDeleted')
+    .lean();
+  const referrersById = new Map(referrers.map(referrer => [String(referrer._id), referrer]));
+
+  return rows.map((row, index) => {
+    const referrer = referrersById.get(String(row._id));
+    return {
+      rank: index + 1,
+      referrerId: row._id,
+      name: referrer ? referrer.name : null,
+      phone: referrer ? referrer.phone : null,
+      referralCode: referrer ? referrer.referralCode : null,
+      isDeleted: referrer ? Boolean(referrer.isDeleted) : true,
+      referrals: row.referrals,
+      converted: row.converted,
+      rewardDays: row.rewardDays,
+      rewardCredit: row.rewardCredit
+    };
+  });
+};
+
+module.exports = {
+  normalizeReferralCode,
+  generateReferralCode,
+  ensureReferralCode,
+  findReferrer,
+  linkReferral,
+  grantReferralReward,
+  buildReferralMatch,
+  getReferralLeaderboard
+};
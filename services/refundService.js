@@ -0,0 +1,256 @@
+const Refund = require('../models/Refund');
+const Receipt = require('../models/Receipt');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const APIError = require('../utils/APIError');
+const { getCashTag } = require('./cashSessionService');
+const { getSettings } = require('../utils/formatters');
+const { RECEIPTABLE_TYPES, getFinancialYear, formatReceiptNumber } = require('./receiptService');
+const { getPaymentProvider } = require('./paymentProviders');
+const { reverseHistoryTax } = require('./taxService');
+
+const REFUND_MODES = ['cash', 'online', 'gateway'];
+const MEMBERSHIP_ACTIONS = ['none', 'shorten', 'cancel'];
+const MAX_NUMBERING_RETRIES = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getRefundPrefix = async () => {
+  const settings = await getSettings();
+  const prefix = (settings && settings.receiptSettings && settings.receiptSettings.prefix) || 'SG';
+  return `${prefix}/RF`;
+};
+
+// Amount of a history entry that has not been refunded yet. Refunds still in
+// progress count against it; failed ones don't.
+const getRefundableAmount = async (entry) => {
+  const [result] = await Refund.aggregate([
+    { $match: { membershipHistoryId: entry._id, status: { $ne: 'failed' } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return roundAmount(entry.amount - (result ? result.total : 0));
+};
+
+// Same gap-free numbering scheme as receipts, in its own series
+const createRefundRecord = async (fields) => {
+  const financialYear = getFinancialYear(fields.issuedAt);
+  const prefix = await getRefundPrefix();
+
+  for (let attempt = 0; attempt < MAX_NUMBERING_RETRIES; attempt++) {
+    const last = await Refund.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence').lean();
+    const sequence = (last ? last.sequence : 0) + 1;
+
+    try {
+      return await Refund.create({
+        ...fields,
+        refundNumber: formatReceiptNumber(prefix, financialYear, sequence),
+        financialYear,
+        sequence
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not allocate a refund number, please retry');
+};
+
+const resolveNewEndDate = (user, membershipAction, endDate, now) => {
+  if (membershipAction === 'cancel') return now;
+  if (membershipAction !== 'shorten') return null;
+
+  const newEndDate = endDate ? new Date(endDate) : null;
+  if (!newEndDate || isNaN(newEndDate.getTime())) {
+    throw new APIError('endDate is required to shorten the membership', 400);
+  }
+  if (newEndDate >= new Date(user.endDate)) {
+    throw new APIError('endDate must be before the current membership end date', 400);
+  }
+  if (newEndDate < new Date(user.startDate)) {
+    throw new APIError('endDate cannot be before the membership start date', 400);
+  }
+  return newEndDate;
+};
+
+// Give up on a refund that was recorded as pending
+const failRefund = (refund, error) => Refund.updateOne(
+  { _id: refund._id, status: 'pending' },
+  { $set: { status: 'failed', error: error.message } }
+);
+
+/**
+ * Refund all or part of a confirmed membership history entry.
+ * Records a Refund (with its own refund note number), appends a negative
+ * 'refund' entry to membershipHistory, and optionally shortens or cancels the
+ * membership. `amount` defaults to everything not yet refunded.
+ *
+ * The Refund is stored as 'pending' before any money moves, so concurrent
+ * refunds of the same entry see each other and the over-refunded one is
+ * failed. 'gateway' refunds are then sent to the entry's payment provider
+ * keyed on the refund id, so a retried request is not paid out twice.
+ */
+const refundHistoryEntry = async (userId, entryId, {
+  amount,
+  mode,
+  reason,
+  transactionRef,
+  membershipAction = 'none',
+  endDate,
+  adminId
+} = {}) => {
+  if (!REFUND_MODES.includes(mode)) {
+    throw new APIError(`Invalid refund mode. Must be one of: ${REFUND_MODES.join(', ')}`, 400);
+  }
+  if (!MEMBERSHIP_ACTIONS.includes(membershipAction)) {
+    throw new APIError(`Invalid membership action. Must be one of: ${MEMBERSHIP_ACTIONS.join(', ')}`, 400);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new APIError('A reason is required for refunds', 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new APIError('User not found', 404);
+  }
+
+  const entry = user.membershipHistory.id(entryId);
+  if (!entry || entry.paymentStatus !== 'confirmed' || !RECEIPTABLE_TYPES.includes(entry.type) || !(entry.amount > 0)) {
+    throw new APIError('No confirmed payment found for this membership history entry', 404);
+  }
+
+  const refundable = await getRefundableAmount(entry);
+  if (refundable <= 0) {
+    throw new APIError('This payment has already been fully refunded', 409);
+  }
+  const refundAmount = amount === undefined || amount === null || amount === ''
+    ? refundable
+    : roundAmount(Number(amount));
+  if (!(refundAmount > 0)) {
+    throw new APIError('Refund amount must be greater than zero', 400);
+  }
+  if (refundAmount > refundable) {
+    throw new APIError(`Refund amount cannot exceed the refundable balance of Rs. ${refundable}`, 400);
+  }
+
+  const now = new Date();
+  if (membershipAction !== 'none' && (user.freezes || []).some(freeze => ['active', 'scheduled'].includes(freeze.status))) {
+    throw new APIError('Unfreeze the membership before shortening or cancelling it', 409);
+  }
+  const newEndDate = resolveNewEndDate(user, membershipAction, endDate, now);
+  const cashTag = await getCashTag(mode, adminId);
+
+  const receipt = await Receipt.findOne({ membershipHistoryId: entry._id });
+  const payment = receipt && receipt.payment ? await Payment.findById(receipt.payment) : null;
+
+  const provider = mode === 'gateway' && payment ? getPaymentProvider(payment.provider) : null;
+  if (mode === 'gateway') {
+    if (!provider || provider.name === 'manual') {
+      throw new APIError('This payment was not collected through a payment gateway', 400);
+    }
+    // Providers without a refund API (static UPI) move no money
+    if (!provider.canRefund) {
+      throw new APIError(`${provider.name} payments must be refunded manually`, 400);
+    }
+  }
+
+  const refund = await createRefundRecord({
+    status: 'pending',
+    user: user._id,
+    membershipHistoryId: entry._id,
+    receipt: receipt ? receipt._id : undefined,
+    payment: payment ? payment._id : undefined,
+    type: refundAmount === roundAmount(entry.amount) ? 'full' : 'partial',
+    amount: refundAmount,
+    mode,
+    reason: String(reason).trim(),
+    transactionRef,
+    membershipAction,
+    previousEndDate: newEndDate ? user.endDate : undefined,
+    newEndDate: newEndDate || undefined,
+    approvedBy: adminId,
+    issuedAt: now,
+    member: { name: user.name, email: user.email, phone: user.phone },
+    plan: entry.plan,
+    originalAmount: entry.amount,
+    receiptNumber: receipt ? receipt.receiptNumber : undefined
+  });
+
+  // A concurrent refund may have been recorded since the balance was checked
+  const alreadyRefunded = roundAmount(entry.amount - await getRefundableAmount(entry));
+  if (alreadyRefunded > roundAmount(entry.amount)) {
+    const error = new APIError('Another refund was recorded for this payment in the meantime, please retry', 409);
+    await failRefund(refund, error);
+    throw error;
+  }
+
+  if (provider) {
+    try {
+      const gatewayResult = await provider.refund(payment, {
+        amount: refundAmount,
+        reason,
+        idempotencyKey: refund._id.toString()
+      });
+      refund.gatewayRefundId = gatewayResult.refundId;
+      refund.gatewayStatus = gatewayResult.status;
+      await refund.save();
+    } catch (error) {
+      await failRefund(refund, error);
+      throw error;
+    }
+  }
+
+  user.membershipHistory.push({
+    type: 'refund',
+    date: now,
+    duration: '0',
+    amount: -refundAmount,
+    paymentMode: mode === 'cash' ? 'cash' : 'online',
+    plan: entry.plan,
+    paymentStatus: 'confirmed',
+    transactionId: refund.refundNumber,
+    ...reverseHistoryTax(entry, refundAmount),
+    ...cashTag,
+    notes: `Refund ${refund.refundNumber}${receipt ? ` against ${receipt.receiptNumber}` : ''}: ${refund.reason}`
+  });
+  const refundEntry = user.membershipHistory[user.membershipHistory.length - 1];
+
+  if (newEndDate) {
+    user.endDate = newEndDate;
+    if (newEndDate <= now) {
+      user.subscriptionStatus = 'expired';
+    }
+  }
+  try {
+    await user.save();
+  } catch (error) {
+    // Money already sent through the gateway stays on record (pending, with
+    // its gateway id) for staff to reconcile
+    if (!provider) await failRefund(refund, error);
+    throw error;
+  }
+
+  refund.refundEntryId = refundEntry._id;
+  refund.status = 'completed';
+  await refund.save();
+
+  if (payment) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id },
+      { $inc: { refundedAmount: refundAmount }, $set: { refundedAt: now } },
+      { new: true }
+    );
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { status: updated.refundedAmount >= updated.amount - 0.01 ? 'refunded' : 'partially_refunded' } }
+    );
+  }
+
+  return { refund, user };
+};
+
+module.exports = {
+  REFUND_MODES,
+  MEMBERSHIP_ACTIONS,
+  getRefundableAmount,
+  refundHistoryEntry
+};
@@ -0,0 +1,80 @@
+const Payment = require('../models/Payment');
+const { getPlanAmountAsync } = require('../utils/formatters');
+const { createPayment, toPaymentData, toRenewalMeta } = require('./paymentService');
+const { applyCoupon, setPendingCoupon } = require('./couponService');
+
+/**
+ * Record a renewal request as a pending entry in `renewals`. The member keeps
+ * their current plan, dates and status until the renewal is paid or approved,
+ * when applyRenewalTerm puts it into effect; an older pending request is
+ * replaced. Online renewals get a UPI payment carrying the renewal terms. A
+ * `couponCode` is reserved for the renewal and discounts the amount charged.
+ */
+const requestRenewal = async (user, { plan, startDate, endDate, paymentMethod, orderId, couponCode }) => {
+  const previousPlan = user.plan;
+  const previousAmount = await getPlanAmountAsync(user.plan);
+  const newAmount = plan.price;
+
+  // Validate the coupon before touching the membership so a bad code changes nothing
+  let coupon = null;
+  if (couponCode) {
+    ({ appliedCoupon: coupon } = await applyCoupon(couponCode, { user, planCode: plan.code }));
+  }
+  await setPendingCoupon(user, coupon);
+
+  user.renewals = user.renewals || [];
+  user.renewals.forEach(entry => {
+    if (entry.status === 'pending') entry.status = 'cancelled';
+  });
+
+  // Log this renewal in the renewals array with previous plan details
+  user.renewals.push({
+    plan: plan.code,
+    startDate,
+    endDate,
+    paymentMethod,
+    renewedAt: new Date(),
+    previousPlan,
+    previousAmount,
+    newAmount,
+    status: 'pending'
+  });
+  const renewal = user.renewals[user.renewals.length - 1];
+  const renewalMeta = { isRenewal: true, renewal: toRenewalMeta(renewal) };
+
+  let paymentData = null;
+
+  if (paymentMethod === 'online') {
+    try {
+      // Linked to the renewal through meta.renewal
+      const { payment } = await createPayment({
+        userId: user._id,
+        plan: plan.code,
+        paymentMethod: 'online',
+        meta: coupon ? { ...renewalMeta, coupon } : renewalMeta
+      });
+
+      paymentData = toPaymentData(payment);
+    } catch (paymentError) {
+      console.error('Error creating payment for renewal:', paymentError);
+      // Continue with renewal even if payment creation fails
+    }
+  } else if (orderId) {
+    // If orderId provided (legacy support), link existing payment
+    const payment = await Payment.findOne({ orderId });
+    if (payment) {
+      payment.user = user._id;
+      payment.meta = { ...payment.meta, plan: plan.code, ...renewalMeta };
+      await payment.save();
+    }
+  }
+
+  await user.save();
+
+  return { paymentData, renewal, previousPlan, previousAmount, newAmount, discount: coupon ? coupon.discount : 0 };
+};
+
+module.exports = {
+  requestRenewal,
+  toPaymentData
+};
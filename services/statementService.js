@@ -0,0 +1,534 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const StatementImport = require('../models/StatementImport');
+const StatementCredit = require('../models/StatementCredit');
+const APIError = require('../utils/APIError');
+const { getSettings } = require('../utils/formatters');
+const { IST_OFFSET_MS } = require('../utils/dateHelpers');
+const { getPlanByCode } = require('./planService');
+const { getChargeAmount } = require('./taxService');
+const { getPendingCoupon } = require('./couponService');
+const { getCreditBalance } = require('./creditNoteService');
+const {
+  createPayment,
+  markPaymentPaid,
+  markPaymentFailed,
+  isPaymentSettled,
+  getPendingRenewal,
+  toRenewalMeta
+} = require('./paymentService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_SUGGESTION_SCORE = 40;
+const MAX_SUGGESTIONS = 5;
+const MAX_ROW_ERRORS = 50;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header names used by the common Indian bank and UPI app exports, normalised
+const COLUMN_ALIASES = {
+  date: ['date', 'txndate', 'transactiondate', 'trandate', 'valuedate', 'postdate', 'postingdate', 'valuedt', 'txndt'],
+  narration: ['narration', 'description', 'remarks', 'particulars', 'details', 'transactiondetails', 'transactionremarks'],
+  reference: ['refno', 'reference', 'referenceno', 'referencenumber', 'chqrefno', 'chequerefno', 'chqno', 'refnochequeno', 'utr', 'utrno', 'utrnumber', 'upirefno', 'rrn', 'transactionid'],
+  credit: ['credit', 'credits', 'deposit', 'deposits', 'depositamt', 'depositamount', 'creditamount', 'creditamt', 'cramount', 'cr'],
+  amount: ['amount', 'amt', 'transactionamount', 'txnamount', 'amountinr'],
+  type: ['type', 'drcr', 'crdr', 'transactiontype', 'txntype', 'debitcredit']
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeText = (value) => String(value || '').toUpperCase().replace(/\s+/g, ' ').trim();
+
+// RFC 4180-style CSV: quoted fields may contain commas, quotes ("") and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(cells => cells.map(cell => cell.trim()));
+};
+
+// Bank exports often start with account details; the header is the first row naming a date and an amount
+const findColumns = (rows) => {
+  for (let index = 0; index < Math.min(rows.length, 30); index++) {
+    const headers = rows[index].map(normalizeHeader);
+    const find = (key) => headers.findIndex(header => COLUMN_ALIASES[key].includes(header));
+    const columns = {
+      date: find('date'),
+      narration: find('narration'),
+      reference: find('reference'),
+      credit: find('credit'),
+      amount: find('amount'),
+      type: find('type')
+    };
+    if (columns.date !== -1 && (columns.credit !== -1 || columns.amount !== -1)) {
+      return { headerRow: index, columns };
+    }
+  }
+  return null;
+};
+
+const parseAmount = (value) => {
+  const cleaned = String(value || '').replace(/(INR|Rs\.?|₹|,|\s)/gi, '').replace(/(CR|DR)$/i, '');
+  if (!cleaned) return null;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? roundAmount(amount) : null;
+};
+
+// dd/mm/yyyy, dd-mm-yy, dd-MMM-yyyy or yyyy-mm-dd, optionally with hh:mm[:ss] [AM/PM], read as IST
+const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let day;
+  let month;
+  let year;
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/. ,]+(\d{2,4})/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    [, day, month, year] = match.map(Number);
+  } else {
+    return null;
+  }
+  if (year < 100) year += 2000;
+  if (!month || month > 12 || day < 1 || day > 31) return null;
+
+  const time = text.slice(match[0].length).match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  let hours = 0;
+  let minutes = 0;
+  let seconds = 0;
+  if (time) {
+    hours = Number(time[1]) % 24;
+    minutes = Number(time[2]);
+    seconds = Number(time[3] || 0);
+    if (time[4] && time[4].toUpperCase() === 'PM' && hours < 12) hours += 12;
+    if (time[4] && time[4].toUpperCase() === 'AM' && hours === 12) hours = 0;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) - IST_OFFSET_MS);
+  return isNaN(date.getTime()) ? null : { date, dateOnly: !time };
+};
+
+// Indian mobile numbers in the narration or the payer's VPA (e.g. 9876543210@ybl)
+const extractPhones = (text) => [...new Set(
+  (String(text).match(/(?<!\d)(?:\+?91[-\s]?)?[6-9]\d{9}(?!\d)/g) || []).map(phone => phone.replace(/\D/g, '').slice(-10))
+)];
+
+// 12-digit UPI RRN, used when the statement has no reference column
+const extractUpiReference = (text) => {
+  const match = String(text).match(/(?<!\d)\d{12}(?!\d)/);
+  return match ? match[0] : null;
+};
+
+/**
+ * Turn statement rows into credit lines. Debits, blank lines and rows without
+ * a readable date or amount are skipped; unreadable ones are reported.
+ */
+const parseStatement = (text) => {
+  const rows = parseCsv(text);
+  const layout = findColumns(rows);
+  if (!layout) {
+    throw new APIError('Could not find the date and amount columns in this statement', 400);
+  }
+
+  const { headerRow, columns } = layout;
+  const credits = [];
+  const rowErrors = [];
+  let skipped = 0;
+  let totalRows = 0;
+
+  rows.slice(headerRow + 1).forEach((cells, offset) => {
+    const rowNumber = headerRow + offset + 2;
+    if (cells.every(cell => !cell)) return;
+    totalRows++;
+
+    let amount = null;
+    if (columns.credit !== -1) {
+      amount = parseAmount(cells[columns.credit]);
+    } else {
+      const type = String(cells[columns.type] || '').toUpperCase();
+      const rawAmount = String(cells[columns.amount] || '');
+      const isCredit = columns.type !== -1 ? type.startsWith('C') : /CR$/i.test(rawAmount.trim());
+      amount = isCredit ? parseAmount(rawAmount) : null;
+    }
+    if (!amount || amount <= 0) {
+      skipped++;
+      return;
+    }
+
+    const parsedDate = parseStatementDate(cells[columns.date]);
+    if (!parsedDate) {
+      skipped++;
+      if (rowErrors.length < MAX_ROW_ERRORS) {
+        rowErrors.push({ row: rowNumber, message: `Unreadable date "${cells[columns.date] || ''}"` });
+      }
+      return;
+    }
+
+    const narration = columns.narration !== -1 ? cells[columns.narration] : '';
+    const reference = (columns.reference !== -1 && cells[columns.reference]) || extractUpiReference(narration);
+    credits.push({
+      row: rowNumber,
+      txnDate: parsedDate.date,
+      dateOnly: parsedDate.dateOnly,
+      amount,
+      reference: reference || undefined,
+      narration
+    });
+  });
+
+  return { credits, rowErrors, skipped, totalRows };
+};
+
+const getDedupeKey = (credit) => (credit.reference
+  ? `ref:${normalizeText(credit.reference)}:${credit.amount}`
+  : `row:${crypto.createHash('sha1').update(`${credit.txnDate.toISOString()}|${credit.amount}|${normalizeText(credit.narration)}`).digest('hex')}`);
+
+const getMatchWindowHours = async () => {
+  const settings = await getSettings();
+  const payment = settings && settings.paymentSettings;
+  return (payment && payment.statementMatchWindowHours) || 72;
+};
+
+// Every name part of 3+ letters appears in the narration
+const nameMatches = (name, narration) => {
+  const parts = normalizeText(name).split(' ').filter(part => part.length >= 3);
+  return parts.length > 0 && parts.every(part => narration.includes(part));
+};
+
+// What a pending member is expected to pay: their pending renewal's plan, or their current plan
+const getExpectedCharge = async (user) => {
+  const renewal = getPendingRenewal(user);
+  const planCode = renewal ? renewal.plan : user.plan;
+  const coupon = getPendingCoupon(user, planCode);
+  if (coupon) return getChargeAmount(coupon.finalPrice);
+  const plan = await getPlanByCode(planCode);
+  return plan ? getChargeAmount(plan.price) : null;
+};
+
+/**
+ * Score open payment orders and pending members against one credit.
+ * Orders must have the same amount and be created within the match window;
+ * members are found by phone or name among those awaiting a first payment or a renewal.
+ */
+const suggestMatches = async (credit, { windowHours, pendingMembers }) => {
+  const narration = normalizeText(`${credit.narration || ''} ${credit.reference || ''}`);
+  const phones = extractPhones(narration);
+  const slackMs = windowHours * HOUR_MS + (credit.dateOnly ? 24 * HOUR_MS : 0);
+  const txnTime = credit.txnDate.getTime();
+
+  const payments = await Payment.find({
+    status: { $in: ['created', 'expired'] },
+    replacedBy: { $exists: false },
+    amount: { $gte: credit.amount - 0.5, $lte: credit.amount + 0.5 },
+    createdAt: { $gte: new Date(txnTime - slackMs), $lte: new Date(txnTime + (credit.dateOnly ? 24 * HOUR_MS : HOUR_MS)) }
+  }).populate('user', 'name phone').limit(50);
+
+  const suggestions = payments.map(payment => {
+    const reasons = ['amount'];
+    let score = 40;
+    if (narration.includes(payment.orderId.toUpperCase())) {
+      score += 50;
+      reasons.push('order id in narration');
+    }
+    if (credit.reference && payment.transactionRef && normalizeText(payment.transactionRef) === normalizeText(credit.reference)) {
+      score += 50;
+      reasons.push('UPI reference');
+    }
+    if (payment.user && phones.includes(payment.user.phone)) {
+      score += 20;
+      reasons.push('phone');
+    } else if (payment.user && nameMatches(payment.user.name, narration)) {
+      score += 10;
+      reasons.push('name');
+    }
+    if (Math.abs(payment.createdAt.getTime() - txnTime) <= 2 * HOUR_MS && !credit.dateOnly) {
+      score += 10;
+      reasons.push('time');
+    }
+    return {
+      kind: 'payment',
+      payment: payment._id,
+      user: payment.user ? payment.user._id : undefined,
+      score: Math.min(score, 100),
+      reasons
+    };
+  });
+
+  const usersWithOrders = new Set(suggestions.map(suggestion => String(suggestion.user)));
+  for (const member of pendingMembers) {
+    if (usersWithOrders.has(String(member._id))) continue;
+    const reasons = [];
+    let score = 0;
+    if (phones.includes(member.phone)) {
+      score += 50;
+      reasons.push('phone');
+    } else if (nameMatches(member.name, narration)) {
+      score += 25;
+      reasons.push('name');
+    }
+    if (score === 0) continue;
+    if (member.expectedCharge !== null && Math.abs(member.expectedCharge - credit.amount) <= 0.5) {
+      score += 30;
+      reasons.push('amount');
+    }
+    suggestions.push({ kind: 'member', user: member._id, score, reasons });
+  }
+
+  return suggestions
+    .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Import a statement CSV: store each new credit with its suggested matches.
+ * Nothing is marked paid here; an admin confirms each match from the review queue.
+ */
+const importStatement = async ({ text, fileName, adminId }) => {
+  const { credits, rowErrors, skipped, totalRows } = parseStatement(text);
+
+  const windowHours = await getMatchWindowHours();
+  const pendingMembers = await User.find({
+    isDeleted: { $ne: true },
+    $or: [{ paymentStatus: 'pending' }, { renewals: { $elemMatch: { status: 'pending' } } }]
+  }).select('name phone plan pendingCoupon renewals').lean();
+  for (const member of pendingMembers) {
+    member.expectedCharge = await getExpectedCharge(member);
+  }
+
+  const statementImport = await StatementImport.create({
+    fileName,
+    uploadedBy: adminId,
+    totalRows,
+    skipped,
+    rowErrors
+  });
+
+  let duplicates = 0;
+  let suggested = 0;
+  let unmatched = 0;
+  for (const credit of credits) {
+    const dedupeKey = getDedupeKey(credit);
+    if (await StatementCredit.exists({ dedupeKey })) {
+      duplicates++;
+      continue;
+    }
+
+    const suggestions = await suggestMatches(credit, { windowHours, pendingMembers });
+    try {
+      await StatementCredit.create({
+        ...credit,
+        statementImport: statementImport._id,
+        dedupeKey,
+        suggestions,
+        status: suggestions.length > 0 ? 'suggested' : 'unmatched'
+      });
+    } catch (error) {
+      // The same credit appearing twice in one file
+      if (error.code !== 11000) throw error;
+      duplicates++;
+      continue;
+    }
+    if (suggestions.length > 0) suggested++;
+    else unmatched++;
+  }
+
+  statementImport.credits = suggested + unmatched;
+  statementImport.duplicates = duplicates;
+  statementImport.suggested = suggested;
+  statementImport.unmatched = unmatched;
+  await statementImport.save();
+  return statementImport;
+};
+
+/**
+ * Confirm a credit against a payment order or a pending member and mark the
+ * payment paid. Members without an order get one for the credited amount.
+ * Defaults to the best suggestion when neither id is given.
+ */
+const confirmCredit = async (creditId, { paymentId, userId, adminId, audit = {} }) => {
+  const credit = await StatementCredit.findById(creditId);
+  if (!credit) {
+    throw new APIError('Statement credit not found', 404);
+  }
+  if (!['suggested', 'unmatched'].includes(credit.status)) {
+    throw new APIError(`This credit has already been ${credit.status}`, 409);
+  }
+
+  let target = { paymentId, userId };
+  if (!paymentId && !userId) {
+    const best = credit.suggestions[0];
+    if (!best) {
+      throw new APIError('No suggested match. Choose a payment or member to match this credit to', 400);
+    }
+    target = { paymentId: best.payment, userId: best.kind === 'member' ? best.user : undefined };
+  }
+
+  let payment = null;
+  let user = null;
+  if (target.paymentId) {
+    payment = await Payment.findById(target.paymentId);
+    if (!payment) {
+      throw new APIError('Payment not found', 404);
+    }
+    if (isPaymentSettled(payment)) {
+      throw new APIError('This payment has already been completed', 409);
+    }
+    if (payment.replacedBy) {
+      throw new APIError('This payment was replaced by a newer order. Match the credit to that order instead', 409);
+    }
+    if (Math.abs(payment.amount - credit.amount) > 0.5) {
+      throw new APIError(`The credit of Rs. ${credit.amount} does not match the payment amount of Rs. ${payment.amount}`, 400);
+    }
+  } else {
+    user = await User.findById(target.userId);
+    if (!user || user.isDeleted) {
+      throw new APIError('User not found', 404);
+    }
+    // Installment dues are collected against their installment, not matched here
+    if (user.paymentStatus !== 'pending' && !getPendingRenewal(user)) {
+      throw new APIError('This member has no payment pending', 409);
+    }
+    // Open credit notes come off the charge, as they will on the payment
+    const charge = await getExpectedCharge(user);
+    if (charge === null) {
+      throw new APIError(`Unknown plan: ${user.plan}`, 400);
+    }
+    const expectedCharge = Math.max(0, charge - await getCreditBalance(user._id));
+    if (Math.abs(expectedCharge - credit.amount) > 0.5) {
+      throw new APIError(
+        `The credit of Rs. ${credit.amount} does not match the Rs. ${expectedCharge} this member owes. `
+          + 'Record part payments as installments instead',
+        400
+      );
+    }
+  }
+
+  // Claim the credit so two admins can't confirm it twice
+  const previousStatus = credit.status;
+  const claimed = await StatementCredit.findOneAndUpdate(
+    { _id: credit._id, status: previousStatus },
+    { $set: { status: 'matched', resolvedBy: adminId, resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new APIError('This credit has already been resolved', 409);
+  }
+
+  try {
+    if (!payment) {
+      // The money is already in the bank, so no gateway order is opened for it
+      const renewal = getPendingRenewal(user);
+      const planCode = renewal ? renewal.plan : user.plan;
+      const coupon = getPendingCoupon(user, planCode);
+      ({ payment } = await createPayment({
+        userId: user._id,
+        plan: planCode,
+        paymentMethod: 'online',
+        providerName: 'manual',
+        meta: {
+          source: 'statement',
+          ...(renewal ? { isRenewal: true, renewal: toRenewalMeta(renewal) } : {}),
+          ...(coupon ? { coupon } : {})
+        }
+      }));
+      // The order is priced afresh, so check the credit still covers it
+      if (Math.abs(payment.amount - credit.amount) > 0.5) {
+        await markPaymentFailed({ orderId: payment.orderId, reason: 'amount_mismatch' });
+        throw new APIError(`The credit of Rs. ${credit.amount} does not match the payment amount of Rs. ${payment.amount}`, 400);
+      }
+    }
+
+    payment.meta = { ...payment.meta, statementCredit: credit._id };
+    await payment.save();
+    const paid = await markPaymentPaid({
+      orderId: payment.orderId,
+      transactionRef: credit.reference || `STMT-${String(credit._id).slice(-8).toUpperCase()}`,
+      audit
+    });
+    // A superseded or failed order has not activated anything, so the credit stays open
+    if (paid.status !== 'paid' || (paid.meta && paid.meta.superseded)) {
+      const outcome = paid.meta && paid.meta.superseded ? 'replaced by a newer order' : paid.status;
+      throw new APIError(`Payment ${paid.orderId} could not be confirmed (${outcome}). The credit was not matched`, 409);
+    }
+
+    claimed.matchedPayment = paid._id;
+    claimed.matchedUser = paid.user;
+    await claimed.save();
+    return { credit: claimed, payment: paid };
+  } catch (error) {
+    await StatementCredit.updateOne(
+      { _id: credit._id },
+      { $set: { status: previousStatus }, $unset: { resolvedBy: 1, resolvedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+const ignoreCredit = async (creditId, { reason, adminId }) => {
+  const credit = await StatementCredit.findOneAndUpdate(
+    { _id: creditId, status: { $in: ['suggested', 'unmatched'] } },
+    {
+      $set: {
+        status: 'ignored',
+        ignoreReason: reason ? String(reason).trim() : undefined,
+        resolvedBy: adminId,
+        resolvedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!credit) {
+    const existing = await StatementCredit.exists({ _id: creditId });
+    throw existing
+      ? new APIError('This credit has already been resolved', 409)
+      : new APIError('Statement credit not found', 404);
+  }
+  return credit;
+};
+
+module.exports = {
+  parseCsv,
+  parseStatement,
+  parseStatementDate,
+  extractPhones,
+  importStatement,
+  confirmCredit,
+  ignoreCredit
+};
@@ -1,137 +1,180 @@
 const User = require('../models/User');
-const { sendEmail } = require('./emailService');
-const { sendWhatsAppText } = require('./whatsappService');
+const RenewalReminder = require('../models/RenewalReminder');
+const { sendNotification } = require('./notificationService');
+const { getSettings } = require('../utils/formatters');
+const { getISTMonthRange, getISTYearRange } = require('../utils/dateHelpers');
 const jwt = require('jsonwebtoken');
+const { getPlanCatalog } = require('./planService');
+const { processFreezeSchedule } = require('./freezeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RENEWAL_REMINDER_DAYS = [-7, -3, -1, 0, 7, 30];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Renewal link for a member; the token is good for 7 days
+const createRenewalUrl = (user) => {
+  const renewalToken = jwt.sign(
+    { userId: user._id },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  );
+
+  // Use environment variable for frontend URL; default to live site in production
+  const frontendUrl = process.env.FRONTEND_URL || (process.env.NODE_ENV === 'production'
+    ? 'https://stargympetlad.netlify.app'
+    : 'http://localhost:5173');
+  return `${frontendUrl}/renew-membership/${renewalToken}`;
+};
 
 const checkExpiredSubscriptions = async () => {
   try {
     const today = new Date();
-    
-    // Find users whose subscriptions have expired
-    const expiredUsers = await User.find({
-      endDate: { $lt: today },
-      subscriptionStatus: { $ne: 'expired' }
-    });
 
-    // Update their status and send notifications
-    for (const user of expiredUsers) {
-      user.subscriptionStatus = 'expired';
-      await user.save();
-
-      // Generate renewal token
-      const renewalToken = jwt.sign(
-        { userId: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-      const renewalUrl = `${frontendUrl}/renew-membership/${renewalToken}`;
-
-      // Send notification email
-      await sendEmail({
-        email: user.email,
-        subject: 'StarGym Membership Expired',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h1>Your StarGym Membership Has Expired</h1>
-            <p>Dear ${user.name},</p>
-            <p>Your membership plan has expired on ${new Date(user.endDate).toLocaleDateString()}.</p>
-            <p>To continue enjoying our services, please renew your membership.</p>
-            <div style="text-align:center; margin: 30px 0;">
-              <a href="${renewalUrl}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
-                Renew Membership
-              </a>
-            </div>
-            <p>Thank you for choosing StarGym!</p>
-          </div>
-        `
-      });
-      try {
-        const text = `Hi ${user.name}, your Star Gym membership expired on ${new Date(user.endDate).toLocaleDateString()}. Renew here: ${renewalUrl}`;
-        await sendWhatsAppText({ phone: user.phone, message: text });
-      } catch (waError) {
-        console.error('WhatsApp expired notify error:', waError);
-      }
+    // Start scheduled freezes and end elapsed ones before checking expiry
+    try {
+      await processFreezeSchedule(today);
+    } catch (freezeError) {
+      console.error('Error processing membership freezes:', freezeError);
     }
-
-    // Find users whose subscriptions are about to expire
-    const nearingExpiry = await User.find({
-      endDate: {
-        $gt: today,
-        $lt: new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000)
+    
+    // Mark lapsed memberships expired (frozen members are skipped); the
+    // reminders themselves follow the cadence in sendRenewalReminders
+    const result = await User.updateMany(
+      {
+        endDate: { $lt: today },
+        subscriptionStatus: { $nin: ['expired', 'frozen'] }
       },
-      subscriptionStatus: 'active'
-    });
-
-    // Send reminder emails
-    for (const user of nearingExpiry) {
-      const daysLeft = Math.ceil((new Date(user.endDate).getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
-      
-      await sendEmail({
-        email: user.email,
-        subject: 'StarGym Membership Expiring Soon',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h1>Your StarGym Membership is Expiring Soon</h1>
-            <p>Dear ${user.name},</p>
-            <p>Your membership plan will expire in ${daysLeft} days on ${new Date(user.endDate).toLocaleDateString()}.</p>
-            <p>To avoid any interruption in services, please renew your membership before it expires.</p>
-            <p>Thank you for choosing StarGym!</p>
-          </div>
-        `
-      });
-      try {
-        const text = `Hi ${user.name}, your Star Gym membership expires in ${daysLeft} days on ${new Date(user.endDate).toLocaleDateString()}.`;
-        await sendWhatsAppText({ phone: user.phone, message: text });
-      } catch (waError) {
-        console.error('WhatsApp expiry soon error:', waError);
-      }
+      { $set: { subscriptionStatus: 'expired' } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Marked ${result.modifiedCount} memberships expired`);
     }
   } catch (error) {
     console.error('Error checking subscriptions:', error);
   }
 };
 
+const getRenewalReminderDays = async () => {
+  const settings = await getSettings();
+  const notificationSettings = (settings && settings.notificationSettings) || {};
+  const days = Array.isArray(notificationSettings.renewalReminderDays)
+    ? notificationSettings.renewalReminderDays
+    : DEFAULT_RENEWAL_REMINDER_DAYS;
+  return [...new Set(days.filter(Number.isInteger))].sort((a, b) => a - b);
+};
+
+// Event and values for a reminder sent `daysFromExpiry` days after the end date
+const getReminderNotification = (daysFromExpiry, renewalUrl) => {
+  if (daysFromExpiry > 0) {
+    return { event: 'membership_expired', values: { renewalUrl } };
+  }
+  const daysLeft = -daysFromExpiry;
+  return {
+    event: 'membership_expiring',
+    values: { daysLeft, daysLabel: daysLeft === 1 ? 'day' : 'days', expiresToday: daysLeft === 0, renewalUrl }
+  };
+};
+
+/**
+ * Renewal reminders on the configured cadence (Settings.notificationSettings.renewalReminderDays).
+ * Each member gets the latest step that has come due for their current term, once;
+ * steps missed while the job wasn't running are not replayed. Runs with the daily
+ * checks; returns the number of reminders sent.
+ */
+const sendRenewalReminders = async (now = new Date()) => {
+  const steps = await getRenewalReminderDays();
+  if (steps.length === 0) return 0;
+
+  const today = startOfDay(now);
+  const users = await User.find({
+    isDeleted: { $ne: true },
+    subscriptionStatus: { $in: ['active', 'expired'] },
+    endDate: {
+      $gte: new Date(today.getTime() - Math.max(steps[steps.length - 1], 0) * DAY_MS),
+      $lt: new Date(today.getTime() + (Math.max(-steps[0], 0) + 1) * DAY_MS)
+    }
+  });
+  let sent = 0;
+
+  for (const user of users) {
+    const termEndDate = startOfDay(user.endDate);
+    const daysFromExpiry = Math.round((today - termEndDate) / DAY_MS);
+    const step = steps.filter(day => day <= daysFromExpiry).pop();
+    if (step === undefined) continue;
+
+    const { event, values } = getReminderNotification(daysFromExpiry, createRenewalUrl(user));
+
+    // Claim the step first so overlapping runs can't both send it
+    let reminder;
+    try {
+      reminder = await RenewalReminder.create({ user: user._id, termEndDate, step, event });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    const deliveries = await sendNotification(event, { user, values });
+    await RenewalReminder.updateOne({ _id: reminder._id }, { $set: { deliveries } });
+    sent++;
+  }
+
+  return sent;
+};
+
+// Revenue is reported net of GST; entries from before GST invoicing carry no split
+const NET_AMOUNT = { $ifNull: ['$membershipHistory.taxableValue', '$membershipHistory.amount'] };
+const TAX_AMOUNT = { $ifNull: ['$membershipHistory.taxAmount', 0] };
+
+// Pipeline stages selecting the confirmed membershipHistory entries in a date range
+const confirmedHistoryStages = (startDate, endDate) => [
+  {
+    $match: {
+      // Include all users (including deleted ones) for revenue calculations
+      // Revenue data must be preserved even after member deletion for accounting purposes
+      'membershipHistory.date': {
+        $gte: startDate,
+        $lte: endDate
+      },
+      'membershipHistory.paymentStatus': 'confirmed'
+    }
+  },
+  {
+    $unwind: '$membershipHistory'
+  },
+  {
+    $match: {
+      'membershipHistory.date': {
+        $gte: startDate,
+        $lte: endDate
+      },
+      'membershipHistory.paymentStatus': 'confirmed'
+    }
+  }
+];
+
 const calculateMonthlyRevenue = async (year, month) => {
   try {
-    // Create start and end dates for the specified month
-    const startDate = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0, 0));
-    const endDate = new Date(Date.UTC(year, month, 0, 23, 59, 59, 999));
+    // Months run on IST, like the receipts and GST returns they are reconciled with
+    const { startDate, endDate } = getISTMonthRange(year, month);
 
     const result = await User.aggregate([
-      {
-        $match: {
-          // Include all users (including deleted ones) for revenue calculations
-          // Revenue data must be preserved even after member deletion for accounting purposes
-          'membershipHistory.date': {
-            $gte: startDate,
-            $lte: endDate
-          },
-          'membershipHistory.paymentStatus': 'confirmed'
-        }
-      },
-      {
-        $unwind: '$membershipHistory'
-      },
-      {
-        $match: {
-          'membershipHistory.date': {
-            $gte: startDate,
-            $lte: endDate
-          },
-          'membershipHistory.paymentStatus': 'confirmed'
-        }
-      },
+      ...confirmedHistoryStages(startDate, endDate),
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$membershipHistory.amount' },
+          totalRevenue: { $sum: NET_AMOUNT },
+          taxCollected: { $sum: TAX_AMOUNT },
+          grossRevenue: { $sum: '$membershipHistory.amount' },
           cashRevenue: {
             $sum: {
               $cond: [
                 { $eq: ['$membershipHistory.paymentMode', 'cash'] },
-                '$membershipHistory.amount',
+                NET_AMOUNT,
                 0
               ]
             }
@@ -140,7 +183,7 @@ const calculateMonthlyRevenue = async (year, month) => {
             $sum: {
               $cond: [
                 { $eq: ['$membershipHistory.paymentMode', 'online'] },
-                '$membershipHistory.amount',
+                NET_AMOUNT,
                 0
               ]
             }
@@ -162,6 +205,16 @@ const calculateMonthlyRevenue = async (year, month) => {
                 0
               ]
             }
+          },
+          // Refund entries are negative, so they already reduce the totals above
+          refundedAmount: {
+            $sum: {
+              $cond: [
+                { $eq: ['$membershipHistory.type', 'refund'] },
+                { $abs: NET_AMOUNT },
+                0
+              ]
+            }
           }
         }
       }
@@ -171,10 +224,13 @@ const calculateMonthlyRevenue = async (year, month) => {
       month,
       year,
       totalRevenue: result[0]?.totalRevenue || 0,
+      taxCollected: result[0]?.taxCollected || 0,
+      grossRevenue: result[0]?.grossRevenue || 0,
       cashRevenue: result[0]?.cashRevenue || 0,
       onlineRevenue: result[0]?.onlineRevenue || 0,
       newSubscriptionsCount: result[0]?.newSubscriptions || 0,
       renewalsCount: result[0]?.renewals || 0,
+      refundedAmount: result[0]?.refundedAmount || 0,
       startDate,
       endDate
     };
@@ -186,42 +242,21 @@ const calculateMonthlyRevenue = async (year, month) => {
 
 const calculateYearlyRevenue = async (year) => {
   try {
-    const startDate = new Date(Date.UTC(year, 0, 1, 0, 0, 0, 0));
-    const endDate = new Date(Date.UTC(year, 11, 31, 23, 59, 59, 999));
+    const { startDate, endDate } = getISTYearRange(year);
 
     const result = await User.aggregate([
-      {
-        $match: {
-          // Include all users (including deleted ones) for revenue calculations
-          // Revenue data must be preserved even after member deletion for accounting purposes
-          'membershipHistory.date': {
-            $gte: startDate,
-            $lte: endDate
-          },
-          'membershipHistory.paymentStatus': 'confirmed'
-        }
-      },
-      {
-        $unwind: '$membershipHistory'
-      },
-      {
-        $match: {
-          'membershipHistory.date': {
-            $gte: startDate,
-            $lte: endDate
-          },
-          'membershipHistory.paymentStatus': 'confirmed'
-        }
-      },
+      ...confirmedHistoryStages(startDate, endDate),
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: '$membershipHistory.amount' },
+          totalRevenue: { $sum: NET_AMOUNT },
+          taxCollected: { $sum: TAX_AMOUNT },
+          grossRevenue: { $sum: '$membershipHistory.amount' },
           cashRevenue: {
             $sum: {
               $cond: [
                 { $eq: ['$membershipHistory.paymentMode', 'cash'] },
-                '$membershipHistory.amount',
+                NET_AMOUNT,
                 0
               ]
             }
@@ -230,7 +265,7 @@ const calculateYearlyRevenue = async (year) => {
             $sum: {
               $cond: [
                 { $eq: ['$membershipHistory.paymentMode', 'online'] },
-                '$membershipHistory.amount',
+                NET_AMOUNT,
                 0
               ]
             }
@@ -252,6 +287,16 @@ const calculateYearlyRevenue = async (year) => {
                 0
               ]
             }
+          },
+          // Refund entries are negative, so they already reduce the totals above
+          refundedAmount: {
+            $sum: {
+              $cond: [
+                { $eq: ['$membershipHistory.type', 'refund'] },
+                { $abs: NET_AMOUNT },
+                0
+              ]
+            }
           }
         }
       }
@@ -260,10 +305,13 @@ const calculateYearlyRevenue = async (year) => {
     return {
       year,
       totalRevenue: result[0]?.totalRevenue || 0,
+      taxCollected: result[0]?.taxCollected || 0,
+      grossRevenue: result[0]?.grossRevenue || 0,
       cashRevenue: result[0]?.cashRevenue || 0,
       onlineRevenue: result[0]?.onlineRevenue || 0,
       newSubscriptionsCount: result[0]?.newSubscriptions || 0,
       renewalsCount: result[0]?.renewals || 0,
+      refundedAmount: result[0]?.refundedAmount || 0,
       startDate,
       endDate
     };
@@ -289,13 +337,19 @@ const calculateRevenueByPlan = async () => {
       {
         $group: {
           _id: '$membershipHistory.plan',
-          totalRevenue: { $sum: '$membershipHistory.amount' },
-          count: { $sum: 1 },
+          totalRevenue: { $sum: NET_AMOUNT },
+          taxCollected: { $sum: TAX_AMOUNT },
+          grossRevenue: { $sum: '$membershipHistory.amount' },
+          count: {
+            $sum: {
+              $cond: [{ $eq: ['$membershipHistory.type', 'refund'] }, 0, 1]
+            }
+          },
           cashRevenue: {
             $sum: {
               $cond: [
                 { $eq: ['$membershipHistory.paymentMode', 'cash'] },
-                '$membershipHistory.amount',
+                NET_AMOUNT,
                 0
               ]
             }
@@ -304,7 +358,7 @@ const calculateRevenueByPlan = async () => {
             $sum: {
               $cond: [
                 { $eq: ['$membershipHistory.paymentMode', 'online'] },
-                '$membershipHistory.amount',
+                NET_AMOUNT,
                 0
               ]
             }
@@ -313,10 +367,29 @@ const calculateRevenueByPlan = async () => {
       }
     ]);
 
+    // Resolve plan names from the catalog; retired plans keep their code as name
+    const planCatalog = await getPlanCatalog();
     const planRevenue = {};
+    planCatalog.forEach(plan => {
+      planRevenue[plan.code] = {
+        name: plan.displayName,
+        isActive: plan.isActive,
+        totalRevenue: 0,
+        taxCollected: 0,
+        grossRevenue: 0,
+        count: 0,
+        cashRevenue: 0,
+        onlineRevenue: 0
+      };
+    });
     result.forEach(item => {
+      const plan = planCatalog.find(p => p.code === item._id);
       planRevenue[item._id] = {
+        name: plan ? plan.displayName : item._id,
+        isActive: plan ? plan.isActive : false,
         totalRevenue: item.totalRevenue,
+        taxCollected: item.taxCollected,
+        grossRevenue: item.grossRevenue,
         count: item.count,
         cashRevenue: item.cashRevenue,
         onlineRevenue: item.onlineRevenue
@@ -354,16 +427,22 @@ const getRevenueForDateRange = async (startDate, endDate) => {
     // Calculate totals for the date range
     const totals = monthlyRevenues.reduce((acc, curr) => ({
       totalRevenue: acc.totalRevenue + curr.totalRevenue,
+      taxCollected: acc.taxCollected + curr.taxCollected,
+      grossRevenue: acc.grossRevenue + curr.grossRevenue,
       cashRevenue: acc.cashRevenue + curr.cashRevenue,
       onlineRevenue: acc.onlineRevenue + curr.onlineRevenue,
       newSubscriptionsCount: acc.newSubscriptionsCount + curr.newSubscriptionsCount,
-      renewalsCount: acc.renewalsCount + curr.renewalsCount
+      renewalsCount: acc.renewalsCount + curr.renewalsCount,
+      refundedAmount: acc.refundedAmount + curr.refundedAmount
     }), {
       totalRevenue: 0,
+      taxCollected: 0,
+      grossRevenue: 0,
       cashRevenue: 0,
       onlineRevenue: 0,
       newSubscriptionsCount: 0,
-      renewalsCount: 0
+      renewalsCount: 0,
+      refundedAmount: 0
     });
 
     return {
@@ -378,8 +457,48 @@ const getRevenueForDateRange = async (startDate, endDate) => {
   }
 };
 
+// Individual paid entries (one per transaction) behind the monthly revenue totals
+const getMonthlyRevenueLines = async (year, month) => {
+  const { startDate, endDate } = getISTMonthRange(year, month);
+
+  return User.aggregate([
+    ...confirmedHistoryStages(startDate, endDate),
+    {
+      $match: {
+        'membershipHistory.amount': { $gt: 0 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        userId: '$_id',
+        name: 1,
+        email: 1,
+        phone: 1,
+        gstin: 1,
+        historyEntryId: '$membershipHistory._id',
+        type: '$membershipHistory.type',
+        date: '$membershipHistory.date',
+        plan: '$membershipHistory.plan',
+        amount: '$membershipHistory.amount',
+        taxableValue: '$membershipHistory.taxableValue',
+        taxAmount: '$membershipHistory.taxAmount',
+        paymentMode: '$membershipHistory.paymentMode'
+      }
+    },
+    {
+      $sort: { date: 1 }
+    }
+  ]);
+};
+
 module.exports = { 
   checkExpiredSubscriptions,
+  sendRenewalReminders,
+  createRenewalUrl,
   calculateMonthlyRevenue,
+  getMonthlyRevenueLines,
+  calculateYearlyRevenue,
+  calculateRevenueByPlan,
   getRevenueForDateRange
 }; 
\ No newline at end of file
@@ -0,0 +1,333 @@
+const Receipt = require('../models/Receipt');
+const Refund = require('../models/Refund');
+const { getSettings } = require('../utils/formatters');
+const { getISTMonthRange } = require('../utils/dateHelpers');
+const { getMonthlyRevenueLines } = require('./subscriptionService');
+
+// GST state codes, used for place of supply
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const formatPlaceOfSupply = (stateCode) =>
+  GST_STATE_CODES[stateCode] ? `${stateCode}-${GST_STATE_CODES[stateCode]}` : stateCode;
+
+const getTaxRules = async () => {
+  const settings = await getSettings();
+  const tax = (settings && settings.taxSettings) || {};
+  return {
+    enabled: Boolean(tax.enabled),
+    gstin: tax.gstin || '',
+    legalName: tax.legalName || (settings && settings.gymInfo && settings.gymInfo.name) || 'StarGym',
+    stateCode: tax.stateCode || (tax.gstin ? tax.gstin.slice(0, 2) : '24'),
+    sacCode: tax.sacCode || '999723',
+    rate: typeof tax.rate === 'number' ? tax.rate : 18,
+    pricingMode: tax.pricingMode === 'exclusive' ? 'exclusive' : 'inclusive'
+  };
+};
+
+/**
+ * Amount to collect for a catalog price. With exclusive pricing GST is added on
+ * top of the price; otherwise the price already includes it.
+ */
+const getChargeAmount = async (price, rules = null) => {
+  const taxRules = rules || await getTaxRules();
+  if (!taxRules.enabled || taxRules.pricingMode !== 'exclusive') {
+    return price;
+  }
+  return round2(price * (1 + taxRules.rate / 100));
+};
+
+/**
+ * Split an amount collected (always tax-inclusive) into taxable value and GST.
+ * Intra-state supplies split into CGST/SGST; inter-state supplies, decided by
+ * the buyer's GSTIN state code, are charged IGST.
+ */
+const calculateTaxBreakdown = (total, rules, { buyerGstin } = {}) => {
+  const placeOfSupplyCode = buyerGstin ? buyerGstin.slice(0, 2) : rules.stateCode;
+  const isInterState = placeOfSupplyCode !== rules.stateCode;
+
+  const taxableValue = round2((total * 100) / (100 + rules.rate));
+  const totalTax = round2(total - taxableValue);
+  const cgst = isInterState ? 0 : round2(totalTax / 2);
+  const sgst = isInterState ? 0 : round2(totalTax - cgst);
+
+  return {
+    sellerGstin: rules.gstin,
+    buyerGstin: buyerGstin || undefined,
+    sacCode: rules.sacCode,
+    rate: rules.rate,
+    pricingMode: rules.pricingMode,
+    placeOfSupply: placeOfSupplyCode,
+    isInterState,
+    taxableValue,
+    cgst,
+    sgst,
+    igst: isInterState ? totalTax : 0,
+    totalTax
+  };
+};
+
+/**
+ * Taxable value and GST inside an amount collected, stored on the
+ * membershipHistory entry so revenue can be reported net of tax.
+ * Nothing is stored while GST invoicing is disabled.
+ */
+const getHistoryTax = async (amount, rules = null) => {
+  const taxRules = rules || await getTaxRules();
+  if (!taxRules.enabled || !amount) return {};
+  const { taxableValue, totalTax } = calculateTaxBreakdown(amount, taxRules);
+  return { taxableValue, taxAmount: totalTax };
+};
+
+// Share of an entry's taxable value and GST reversed by refunding `amount` of it
+const reverseHistoryTax = (entry, amount) => {
+  if (typeof entry.taxableValue !== 'number' || !entry.amount) return {};
+  const taxableValue = round2((entry.taxableValue * amount) / entry.amount);
+  return { taxableValue: -taxableValue, taxAmount: -round2(amount - taxableValue) };
+};
+
+// Tax snapshot stored on a receipt when GST invoicing is enabled
+const buildInvoiceTax = async (user, amount) => {
+  const rules = await getTaxRules();
+  if (!rules.enabled) return undefined;
+  return calculateTaxBreakdown(amount, rules, { buyerGstin: user.gstin });
+};
+
+/**
+ * Credit notes for the refunds issued in a calendar month, taxed like the
+ * receipt they reverse (its rate and buyer GSTIN)
+ */
+const getMonthlyCreditNotes = async (year, month, rules) => {
+  const { startDate, endDate } = getISTMonthRange(year, month);
+
+  const refunds = await Refund.find({ issuedAt: { $gte: startDate, $lte: endDate }, status: { $nin: ['pending', 'failed'] } })
+    .sort({ issuedAt: 1 })
+    .populate('receipt', 'receiptNumber issuedAt tax')
+    .lean();
+
+  return refunds.map(refund => {
+    const original = refund.receipt && refund.receipt.tax && typeof refund.receipt.tax.rate === 'number'
+      ? refund.receipt.tax
+      : null;
+    const tax = calculateTaxBreakdown(
+      refund.amount,
+      original ? { ...rules, rate: original.rate } : rules,
+      { buyerGstin: original ? original.buyerGstin : undefined }
+    );
+
+    return {
+      noteNumber: refund.refundNumber,
+      noteDate: refund.issuedAt,
+      originalInvoiceNumber: refund.receiptNumber || (refund.receipt && refund.receipt.receiptNumber) || null,
+      originalInvoiceDate: refund.receipt ? refund.receipt.issuedAt : null,
+      buyerName: refund.member && refund.member.name,
+      buyerGstin: tax.buyerGstin || null,
+      placeOfSupply: formatPlaceOfSupply(tax.placeOfSupply),
+      plan: refund.plan,
+      noteValue: refund.amount,
+      rate: tax.rate,
+      taxableValue: tax.taxableValue,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst
+    };
+  });
+};
+
+/**
+ * GSTR-1 style export for a calendar month: B2B invoices (buyers with a GSTIN),
+ * B2CS totals grouped by place of supply and rate, and the SAC summary.
+ * Lines come from the monthly revenue aggregation; receipts supply invoice
+ * numbers and the tax snapshot taken when they were issued. Refunds are
+ * reported as credit notes: CDNR for registered buyers, and netted off the
+ * B2CS and SAC figures for everyone else.
+ */
+const buildGstr1Export = async (year, month) => {
+  const rules = await getTaxRules();
+  const lines = await getMonthlyRevenueLines(year, month);
+
+  const receipts = await Receipt.find({
+    membershipHistoryId: { $in: lines.map(line => line.historyEntryId) }
+  }).lean();
+  const receiptByEntry = new Map(receipts.map(receipt => [String(receipt.membershipHistoryId), receipt]));
+
+  const invoices = lines
+    .map(line => {
+      const receipt = receiptByEntry.get(String(line.historyEntryId));
+      if (receipt && receipt.status === 'cancelled') return null;
+
+      const tax = (receipt && receipt.tax && typeof receipt.tax.rate === 'number')
+        ? receipt.tax
+        : calculateTaxBreakdown(line.amount, rules, { buyerGstin: line.gstin });
+
+      return {
+        invoiceNumber: receipt ? receipt.receiptNumber : null,
+        invoiceDate: receipt ? receipt.issuedAt : line.date,
+        buyerName: line.name,
+        buyerGstin: tax.buyerGstin || null,
+        placeOfSupply: formatPlaceOfSupply(tax.placeOfSupply),
+        type: line.type,
+        plan: line.plan,
+        paymentMode: line.paymentMode,
+        invoiceValue: line.amount,
+        rate: tax.rate,
+        taxableValue: tax.taxableValue,
+        cgst: tax.cgst,
+        sgst: tax.sgst,
+        igst: tax.igst
+      };
+    })
+    .filter(Boolean);
+
+  const creditNotes = await getMonthlyCreditNotes(year, month, rules);
+
+  const b2b = invoices.filter(invoice => invoice.buyerGstin);
+  const cdnr = creditNotes.filter(note => note.buyerGstin);
+
+  const b2csGroups = new Map();
+  const addToB2cs = (line, sign) => {
+    const key = `${line.placeOfSupply}|${line.rate}`;
+    const group = b2csGroups.get(key) || {
+      placeOfSupply: line.placeOfSupply,
+      rate: line.rate,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0
+    };
+    group.taxableValue = round2(group.taxableValue + sign * line.taxableValue);
+    group.cgst = round2(group.cgst + sign * line.cgst);
+    group.sgst = round2(group.sgst + sign * line.sgst);
+    group.igst = round2(group.igst + sign * line.igst);
+    b2csGroups.set(key, group);
+  };
+  invoices.filter(invoice => !invoice.buyerGstin).forEach(invoice => addToB2cs(invoice, 1));
+  creditNotes.filter(note => !note.buyerGstin).forEach(note => addToB2cs(note, -1));
+
+  const sum = (field) => round2(invoices.reduce((acc, invoice) => acc + invoice[field], 0));
+  const sumNotes = (field) => round2(creditNotes.reduce((acc, note) => acc + note[field], 0));
+  const hsnSummary = [{
+    sacCode: rules.sacCode,
+    description: 'Health club and fitness centre services',
+    quantity: invoices.length,
+    totalValue: round2(sum('invoiceValue') - sumNotes('noteValue')),
+    taxableValue: round2(sum('taxableValue') - sumNotes('taxableValue')),
+    cgst: round2(sum('cgst') - sumNotes('cgst')),
+    sgst: round2(sum('sgst') - sumNotes('sgst')),
+    igst: round2(sum('igst') - sumNotes('igst'))
+  }];
+
+  return {
+    period: `${String(month).padStart(2, '0')}${year}`,
+    gstin: rules.gstin,
+    legalName: rules.legalName,
+    b2b,
+    b2cs: Array.from(b2csGroups.values()),
+    cdnr,
+    hsnSummary,
+    invoices,
+    creditNotes,
+    totals: {
+      invoiceCount: invoices.length,
+      invoiceValue: sum('invoiceValue'),
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      creditNoteCount: creditNotes.length,
+      creditNoteValue: sumNotes('noteValue'),
+      creditNoteTaxableValue: sumNotes('taxableValue'),
+      creditNoteTax: round2(sumNotes('cgst') + sumNotes('sgst') + sumNotes('igst'))
+    }
+  };
+};
+
+const GSTR1_CSV_COLUMNS = [
+  'documentType', 'invoiceNumber', 'invoiceDate', 'originalInvoiceNumber', 'buyerName', 'buyerGstin',
+  'placeOfSupply', 'plan', 'invoiceValue', 'rate', 'taxableValue', 'cgst', 'sgst', 'igst'
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Invoice and credit note lines as CSV, one row per document; credit notes are negative
+const gstr1ToCsv = (report) => {
+  const rows = [
+    ...report.invoices.map(invoice => ({ documentType: 'invoice', ...invoice })),
+    ...(report.creditNotes || []).map(note => ({
+      documentType: 'credit_note',
+      invoiceNumber: note.noteNumber,
+      invoiceDate: note.noteDate,
+      originalInvoiceNumber: note.originalInvoiceNumber,
+      buyerName: note.buyerName,
+      buyerGstin: note.buyerGstin,
+      placeOfSupply: note.placeOfSupply,
+      plan: note.plan,
+      invoiceValue: -note.noteValue,
+      rate: note.rate,
+      taxableValue: -note.taxableValue,
+      cgst: -note.cgst,
+      sgst: -note.sgst,
+      igst: -note.igst
+    }))
+  ];
+  return [
+    GSTR1_CSV_COLUMNS.join(','),
+    ...rows.map(row => GSTR1_CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','))
+  ].join('\n');
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  formatPlaceOfSupply,
+  getTaxRules,
+  getChargeAmount,
+  calculateTaxBreakdown,
+  getHistoryTax,
+  reverseHistoryTax,
+  buildInvoiceTax,
+  buildGstr1Export,
+  gstr1ToCsv
+};
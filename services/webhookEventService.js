@@ -0,0 +1,85 @@
+const WebhookEvent = require('../models/WebhookEvent');
+
+// A delivery stuck in 'processing' this long (e.g. the server restarted mid-way)
+// may be claimed again by the provider's next retry
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Claim an event for processing. The first delivery creates the log row; later
+ * deliveries are duplicates unless the earlier attempt failed or stalled, in
+ * which case they take it over so provider retries still go through.
+ */
+const claimWebhookEvent = async ({ provider, eventId, eventType, orderId, payload }) => {
+  try {
+    const event = await WebhookEvent.create({ provider, eventId, eventType, orderId, payload });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const retried = await WebhookEvent.findOneAndUpdate(
+    {
+      provider,
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (retried) {
+    return { event: retried, duplicate: false };
+  }
+
+  const event = await WebhookEvent.findOneAndUpdate(
+    { provider, eventId },
+    { $inc: { duplicates: 1 } },
+    { new: true }
+  );
+  return { event, duplicate: true };
+};
+
+// Never throws: the event has already been handled, a lost status update only
+// means a retry is skipped or processed again (both safe)
+const finishWebhookEvent = async (event, { status, outcome, error }) => {
+  try {
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      { $set: { status, outcome, error, processedAt: new Date() } }
+    );
+  } catch (updateError) {
+    console.error('Failed to update webhook event:', updateError);
+  }
+};
+
+/**
+ * Run `handler` once per provider event id. The handler returns
+ * { status: 'processed' | 'ignored', outcome, ...result }; a thrown error marks
+ * the event failed so the provider's retry is processed.
+ * Returns { duplicate, event, result }.
+ */
+const processWebhookEvent = async (details, handler) => {
+  const { event, duplicate } = await claimWebhookEvent(details);
+  if (duplicate) {
+    return { duplicate: true, event, result: null };
+  }
+
+  try {
+    const result = await handler();
+    await finishWebhookEvent(event, {
+      status: result.status || 'processed',
+      outcome: result.outcome
+    });
+    return { duplicate: false, event, result };
+  } catch (error) {
+    await finishWebhookEvent(event, { status: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  claimWebhookEvent,
+  processWebhookEvent
+};
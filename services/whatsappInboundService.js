@@ -0,0 +1,159 @@
+const InboundMessage = require('../models/InboundMessage');
+const User = require('../models/User');
+const { recordDeliveryStatus } = require('./outboxService');
+const {
+  sendNotification,
+  getNotificationPreferences,
+  setNotificationPreferences
+} = require('./notificationService');
+const { createRenewalUrl } = require('./subscriptionService');
+const { recordAudit } = require('./auditService');
+
+const WEBHOOK_ACTOR = { type: 'webhook', label: 'whatsapp' };
+
+// Whole-message keywords (case-insensitive)
+const KEYWORDS = {
+  RENEW: 'renew',
+  STOP: 'stop',
+  UNSUBSCRIBE: 'stop'
+};
+
+const getKeyword = (text) => (text ? KEYWORDS[String(text).trim().toUpperCase()] : undefined);
+
+// Text of a text message, or the label of a tapped quick-reply button
+const getMessageText = (message) => {
+  if (message.text && message.text.body) return message.text.body;
+  if (message.button && message.button.text) return message.button.text;
+  if (message.interactive && message.interactive.button_reply) return message.interactive.button_reply.title;
+  return undefined;
+};
+
+// Members are stored with 10-digit numbers; WhatsApp reports country code + number
+const findMemberByWhatsAppNumber = (from) => {
+  const digits = String(from || '').replace(/\D/g, '');
+  if (digits.length < 10) return null;
+  return User.findOne({ phone: digits.slice(-10), isDeleted: { $ne: true } });
+};
+
+const toReply = (result) => (result ? { status: result.status, reason: result.reason, outboxId: result.outboxId } : undefined);
+
+const handleKeyword = async (keyword, user, from) => {
+  if (keyword === 'renew') {
+    const { whatsapp } = await sendNotification('whatsapp_renewal_link', {
+      user,
+      phone: from,
+      values: { renewalUrl: createRenewalUrl(user) },
+      channels: ['whatsapp']
+    });
+    return { action: 'renewal_link_sent', reply: toReply(whatsapp) };
+  }
+
+  const before = getNotificationPreferences(user);
+  if (before.whatsapp) {
+    const after = await setNotificationPreferences(user, { whatsapp: false }, { via: 'whatsapp' });
+    await recordAudit({
+      actor: WEBHOOK_ACTOR,
+      action: 'member.notification_preferences',
+      target: { type: 'member', id: user._id },
+      member: user._id,
+      before: { email: before.email, whatsapp: before.whatsapp },
+      after: { email: after.email, whatsapp: after.whatsapp },
+      meta: { via: 'whatsapp' }
+    });
+  }
+  const { whatsapp } = await sendNotification('whatsapp_opt_out', { user, phone: from, channels: ['whatsapp'] });
+  return { action: 'opted_out', reply: toReply(whatsapp) };
+};
+
+/**
+ * Store one inbound message, open the member's 24-hour reply window and act on
+ * RENEW / STOP. Redelivered messages are ignored. Returns the stored message,
+ * or null for a duplicate.
+ */
+const handleInboundMessage = async (message, contact) => {
+  const receivedAt = message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date();
+  const text = getMessageText(message);
+  const keyword = getKeyword(text);
+  const user = await findMemberByWhatsAppNumber(message.from);
+
+  let inbound;
+  try {
+    inbound = await InboundMessage.create({
+      providerMessageId: message.id,
+      from: message.from,
+      profileName: contact && contact.profile ? contact.profile.name : undefined,
+      user: user ? user._id : undefined,
+      type: message.type,
+      text,
+      keyword,
+      receivedAt
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (user) {
+    await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ whatsappLastInboundAt: { $exists: false } }, { whatsappLastInboundAt: { $lt: receivedAt } }]
+      },
+      { $set: { whatsappLastInboundAt: receivedAt } }
+    );
+    if (!user.whatsappLastInboundAt || user.whatsappLastInboundAt < receivedAt) {
+      user.whatsappLastInboundAt = receivedAt;
+    }
+  }
+
+  if (keyword) {
+    const outcome = user ? await handleKeyword(keyword, user, message.from) : { action: 'unknown_member' };
+    inbound.action = outcome.action;
+    inbound.reply = outcome.reply;
+    await inbound.save();
+  }
+  return inbound;
+};
+
+/**
+ * Process a WhatsApp Cloud API webhook payload: status callbacks for messages we
+ * sent and messages members sent us. Items are handled independently so one bad
+ * item doesn't make WhatsApp redeliver the whole batch. Returns counts.
+ */
+const handleWhatsAppWebhook = async (body) => {
+  const summary = { messages: 0, duplicates: 0, statuses: 0, errors: 0 };
+  const changes = ((body && body.entry) || [])
+    .flatMap(entry => entry.changes || [])
+    .filter(change => change.field === 'messages' && change.value);
+
+  for (const { value } of changes) {
+    for (const status of value.statuses || []) {
+      try {
+        await recordDeliveryStatus(status);
+        summary.statuses++;
+      } catch (error) {
+        console.error('Error recording WhatsApp status:', error);
+        summary.errors++;
+      }
+    }
+
+    for (const message of value.messages || []) {
+      try {
+        const contact = (value.contacts || []).find(item => item.wa_id === message.from);
+        const inbound = await handleInboundMessage(message, contact);
+        if (inbound) summary.messages++;
+        else summary.duplicates++;
+      } catch (error) {
+        console.error('Error handling inbound WhatsApp message:', error);
+        summary.errors++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  handleWhatsAppWebhook,
+  handleInboundMessage
+};
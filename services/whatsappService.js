@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 const fetchFn = global.fetch || ((...args) => import('node-fetch').then(({ default: f }) => f(...args)));
 
 const formatPhoneE164 = (phone, defaultCountryCode = '+91') => {
@@ -15,10 +17,24 @@ const formatPhoneE164 = (phone, defaultCountryCode = '+91') => {
   }
 };
 
-const sendWhatsAppText = async ({ phone, message }) => {
+// WHATSAPP_API_BASE_URL can point at a local fake Graph API (see scripts/fakeWhatsAppServer.js)
+const getWhatsAppConfig = () => ({
+  token: process.env.WHATSAPP_TOKEN,
+  phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+  appSecret: process.env.WHATSAPP_APP_SECRET,
+  verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+  baseUrl: (process.env.WHATSAPP_API_BASE_URL || 'https://graph.facebook.com/v17.0').replace(/\/+$/, '')
+});
+
+/**
+ * Send one Cloud API message of `type` ('text', 'template', 'document') with its
+ * type-specific `content`. Never throws; returns { skipped, reason } when
+ * WhatsApp isn't configured or the phone is invalid, { ok: false, status, error }
+ * when the API rejects the message, { ok: true, data } otherwise.
+ */
+const sendWhatsAppMessage = async ({ phone, type, content }) => {
   try {
-    const token = process.env.WHATSAPP_TOKEN;
-    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const { token, phoneNumberId, baseUrl } = getWhatsAppConfig();
 
     if (!token || !phoneNumberId) {
       console.warn('WhatsApp config missing: WHATSAPP_TOKEN or WHATSAPP_PHONE_NUMBER_ID');
@@ -31,12 +47,12 @@ const sendWhatsAppText = async ({ phone, message }) => {
       return { skipped: true, reason: 'invalid_phone' };
     }
 
-    const url = `https://graph.facebook.com/v17.0/${phoneNumberId}/messages`;
+    const url = `${baseUrl}/${phoneNumberId}/messages`;
     const body = {
       messaging_product: 'whatsapp',
       to,
-      type: 'text',
-      text: { body: message }
+      type,
+      [type]: content
     };
 
     const response = await fetchFn(url, {
@@ -62,9 +78,48 @@ const sendWhatsAppText = async ({ phone, message }) => {
   }
 };
 
+// Free-form text; only delivered within 24 hours of the member's last message
+const sendWhatsAppText = ({ phone, message }) => sendWhatsAppMessage({
+  phone,
+  type: 'text',
+  content: { body: message }
+});
+
+// Approved template with body parameters ({{1}}, {{2}}, ... in the template, in order)
+const sendWhatsAppTemplate = ({ phone, name, language = 'en', parameters = [] }) => sendWhatsAppMessage({
+  phone,
+  type: 'template',
+  content: {
+    name,
+    language: { code: language },
+    components: parameters.length > 0
+      ? [{ type: 'body', parameters: parameters.map(text => ({ type: 'text', text: String(text) })) }]
+      : []
+  }
+});
+
+// Document (e.g. a receipt PDF) fetched by WhatsApp from a public `link`
+const sendWhatsAppDocument = ({ phone, link, filename, caption }) => sendWhatsAppMessage({
+  phone,
+  type: 'document',
+  content: { link, filename, ...(caption ? { caption } : {}) }
+});
+
+// Webhook payloads are signed with the app secret in X-Hub-Signature-256 ("sha256=<hex>")
+const verifyWhatsAppSignature = (rawBody, signatureHeader) => {
+  const { appSecret } = getWhatsAppConfig();
+  if (!appSecret || !rawBody || !signatureHeader) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signatureHeader));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
 module.exports = {
+  getWhatsAppConfig,
   sendWhatsAppText,
+  sendWhatsAppTemplate,
+  sendWhatsAppDocument,
+  verifyWhatsAppSignature,
   formatPhoneE164
 };
-
-
@@ -0,0 +1,21 @@
+// The gym runs on Indian Standard Time: receipts, financial years, GST returns
+// and revenue reports all go by IST calendar days
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// First and last instant of an IST calendar month (month is 1-12), as UTC Dates
+const getISTMonthRange = (year, month) => ({
+  startDate: new Date(Date.UTC(year, month - 1, 1) - IST_OFFSET_MS),
+  endDate: new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS - 1)
+});
+
+// First and last instant of an IST calendar year, as UTC Dates
+const getISTYearRange = (year) => ({
+  startDate: getISTMonthRange(year, 1).startDate,
+  endDate: getISTMonthRange(year, 12).endDate
+});
+
+module.exports = {
+  IST_OFFSET_MS,
+  getISTMonthRange,
+  getISTYearRange
+};
@@ -1,4 +1,5 @@
 const Settings = require('../models/Settings');
+const { DEFAULT_PLANS, getCachedPlan, getPlanByCode } = require('../services/planService');
 
 // Cache for settings to avoid frequent database queries
 let settingsCache = null;
@@ -44,8 +45,47 @@ const formatIndianPrice = (amount) => {
   }).format(amount);
 };
 
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+// Indian numbering (thousand, lakh, crore) for whole numbers
+const numberToWords = (num) => {
+  if (num === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(num / 10000000);
+  const lakh = Math.floor((num % 10000000) / 100000);
+  const thousand = Math.floor((num % 100000) / 1000);
+  const hundred = Math.floor((num % 1000) / 100);
+  const rest = num % 100;
+
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  if (hundred) parts.push(`${ONES[hundred]} Hundred`);
+  if (rest) parts.push(twoDigitWords(rest));
+  return parts.join(' ');
+};
+
+// e.g. 1770.5 -> "Rupees One Thousand Seven Hundred Seventy and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+  const paiseText = paise ? ` and ${twoDigitWords(paise)} Paise` : '';
+  return `Rupees ${numberToWords(rupees)}${paiseText} Only`;
+};
+
 // Synchronous version (uses cache or defaults)
 const getPlanAmount = (plan) => {
+  // Prefer the plan catalog when it has been loaded
+  const cachedPlan = getCachedPlan(plan);
+  if (cachedPlan) {
+    return cachedPlan.price || 0;
+  }
+
   // Use cached settings if available
   if (settingsCache && settingsCache.planPricing) {
     return settingsCache.planPricing[plan] || 0;
@@ -64,19 +104,17 @@ const getPlanAmount = (plan) => {
 
 // Async version (fetches from database if needed)
 const getPlanAmountAsync = async (plan) => {
+  const catalogPlan = await getPlanByCode(plan);
+  if (catalogPlan) {
+    return catalogPlan.price || 0;
+  }
   const settings = await getSettings();
-  return settings.planPricing[plan] || 0;
+  return (settings.planPricing && settings.planPricing[plan]) || 0;
 };
 
 const getPlanDisplayName = (plan) => {
-  const planNames = {
-    '1month': '1 Month',
-    '2month': '2 Months',
-    '3month': '3 Months',
-    '6month': '6 Months',
-    'yearly': '1 Year'
-  };
-  return planNames[plan] || plan;
+  const catalogPlan = getCachedPlan(plan) || DEFAULT_PLANS.find(p => p.code === plan);
+  return catalogPlan ? catalogPlan.displayName : plan;
 };
 
 // Clear cache (useful when settings are updated)
@@ -87,6 +125,7 @@ const clearSettingsCache = () => {
 
 module.exports = {
   formatIndianPrice,
+  amountInWords,
   getPlanAmount,
   getPlanAmountAsync,
   getPlanDisplayName,
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accepts "a,b" or repeated query params (?plan=a&plan=b) and returns a clean array
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+// Returns a Date or null for missing/invalid input
+const parseDateParam = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Page/limit parsing with sane bounds
+const parsePagination = (query, { defaultLimit = DEFAULT_PAGE_LIMIT, maxLimit = MAX_PAGE_LIMIT } = {}) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Cursor is an opaque base64url token holding the last row's sort value and _id.
+// A missing sort value is stored as null so the cursor can still be resumed.
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    d: value instanceof Date,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const CURSOR_VALUE_TYPES = ['string', 'number', 'boolean'];
+
+// Cursors come from the client, so anything but a plain sort value (an object
+// could smuggle in a query operator) makes the cursor invalid
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.id !== 'string' || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    const value = payload.v === undefined ? null : payload.v;
+    if (value !== null && !CURSOR_VALUE_TYPES.includes(typeof value)) return null;
+    if (payload.d) {
+      const date = new Date(value);
+      if (value === null || isNaN(date.getTime())) return null;
+      return { value: date, id: new mongoose.Types.ObjectId(payload.id) };
+    }
+    return {
+      value,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+// Keyset condition for rows that come after the cursor in (sortField, _id) order.
+// MongoDB sorts null/missing values before everything else, and $lt/$gt never
+// match them, so those rows are handled explicitly.
+const buildCursorFilter = (cursor, sortField, direction) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  const isNull = cursor.value === null;
+  const conditions = [
+    { [sortField]: isNull ? null : cursor.value, _id: { [op]: cursor.id } }
+  ];
+  if (!isNull) {
+    conditions.push({ [sortField]: { [op]: cursor.value } });
+    // Descending: null/missing rows come after every value
+    if (direction === -1) conditions.push({ [sortField]: null });
+  } else if (direction !== -1) {
+    // Ascending: every row with a value comes after the null/missing ones
+    conditions.push({ [sortField]: { $ne: null } });
+  }
+  return { $or: conditions };
+};
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  escapeRegex,
+  parseListParam,
+  parseDateParam,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};